@@ -12,6 +12,12 @@ import Refund from "../models/refund.model.js";
 import mongoose from "mongoose";
 import os from "os";
 import metricsService from "../services/metricsService.js";
+import ledgerService from "../services/ledgerService.js";
+import payoutService from "../services/payoutService.js";
+import refundService from "../services/refundService.js";
+import checkoutSessionService from "../services/checkoutSessionService.js";
+import jobSchedulerService from "../services/jobSchedulerService.js";
+import searchSuggestService from "../services/searchSuggestService.js";
 
 // Helper function to log admin actions
 const logAdminAction = async (adminId, adminUsername, action, targetType, targetId = null, details = {}, oldValues = null, newValues = null, req = null) => {
@@ -199,31 +205,22 @@ export const processRefund = async (req, res, next) => {
     const now = new Date();
 
     if (action === 'approve') {
-      // Mark refund as completed
-      updatedRefund = await Refund.findByIdAndUpdate(
-        refundId,
-        { $set: { status: 'completed', processedAt: now, processedBy: req.userId, adminNotes } },
-        { new: true }
-      );
-
-      // Update the related order to cancelled/refunded
-      if (refund.orderId) {
-        updatedOrder = await Order.findByIdAndUpdate(
-          refund.orderId,
-          {
-            $set: {
-              status: 'cancelled',
-              escrowStatus: 'refunded',
-              refundAmount: refund.amount,
-              adminNotes,
-              refundedAt: now,
-              refundedBy: req.userId
-            }
-          },
-          { new: true }
-        );
+      if (!['pending', 'failed'].includes(refund.status)) {
+        return next(createError(400, `Refund is already ${refund.status}`));
       }
 
+      const order = await Order.findById(refund.orderId);
+      if (!order) return next(createError(404, 'Order not found for this refund'));
+
+      // Send the money back through the gateway and settle escrow (or, for a
+      // refund that failed after escrow was settled, just repeat the payment)
+      const result = await refundService.retryRefund(refund, order, {
+        processedBy: req.userId,
+        adminNotes
+      });
+      updatedRefund = result.refund;
+      updatedOrder = result.order;
+
       await logAdminAction(
         req.userId,
         req.adminUser.username,
@@ -243,6 +240,12 @@ export const processRefund = async (req, res, next) => {
       );
     } else {
       // Reject refund
+      if (refund.status === 'failed') {
+        const order = await Order.findById(refund.orderId);
+        if (refund.paymentReference || (order && refundService.isSettledFromEscrow(refund, order))) {
+          return next(createError(400, 'The buyer is still owed this money (escrow was already settled or the payment was never applied). Retry the refund instead.'));
+        }
+      }
       updatedRefund = await Refund.findByIdAndUpdate(
         refundId,
         { $set: { status: 'rejected', processedAt: now, processedBy: req.userId, adminNotes } },
@@ -278,7 +281,9 @@ export const processRefund = async (req, res, next) => {
           firstname: req.adminUser?.firstname || 'Admin',
           lastname: req.adminUser?.lastname || 'User'
         },
-        adminNotes: updatedRefund.adminNotes || ''
+        adminNotes: updatedRefund.adminNotes || '',
+        transactionId: updatedRefund.transactionId || null,
+        sellerReleaseAmount: updatedRefund.sellerReleaseAmount || 0
       }
     });
   } catch (err) {
@@ -763,6 +768,7 @@ export const updateUser = async (req, res, next) => {
       { $set: updates },
       { new: true, runValidators: true }
     ).select('-password');
+    if (updatedUser.username !== oldUser.username) searchSuggestService.syncSeller(updatedUser);
 
     await logAdminAction(
       req.userId,
@@ -958,6 +964,7 @@ export const deleteUser = async (req, res, next) => {
       },
       { new: true }
     ).select('-password');
+    searchSuggestService.syncSeller(deletedUser);
 
     await logAdminAction(
       req.userId,
@@ -1111,6 +1118,7 @@ export const updateGig = async (req, res, next) => {
       updatedGig.toObject(),
       req
     );
+    await searchSuggestService.syncGig(updatedGig);
 
     res.status(200).json({
       message: "Gig updated successfully",
@@ -1140,6 +1148,7 @@ export const deleteGig = async (req, res, next) => {
     }
 
     await Gig.findByIdAndDelete(gigId);
+    await searchSuggestService.removeGig(gigId);
 
     await logAdminAction(
       req.userId,
@@ -1367,46 +1376,23 @@ export const refundOrder = async (req, res, next) => {
       return next(createError(400, 'Order has already been refunded'));
     }
 
-    const refundAmount = amount || order.price;
-    
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      {
-        $set: {
-          status: 'cancelled',
-          escrowStatus: 'refunded',
-          refundAmount,
-          adminNotes: reason,
-          refundedAt: new Date(),
-          refundedBy: req.userId
-        }
-      },
-      { new: true }
-    ).populate('buyerId', 'username firstname lastname')
-     .populate('sellerId', 'username firstname lastname');
+    const refundAmount = Number(amount) || order.price;
 
-    // Create a Refund record for AdminRefunds page visibility
-    let createdRefund = null;
-    try {
-      createdRefund = await Refund.create({
-        orderId: updatedOrder._id,
-        buyerId: String(updatedOrder.buyerId?._id || updatedOrder.buyerId),
-        sellerId: String(updatedOrder.sellerId?._id || updatedOrder.sellerId),
-        amount: refundAmount,
-        reason: reason || 'Admin refund',
-        description: reason || 'Refund initiated from Admin Orders',
-        status: 'completed',
-        requestedAt: new Date(),
-        processedAt: new Date(),
-        processedBy: req.userId,
-        adminNotes: reason || '',
-        priority: 'medium',
-        refundMethod: 'original_payment'
-      });
-    } catch (e) {
-      // Do not fail the main flow if refund record creation fails
-      console.error('Failed to create Refund record:', e?.message);
-    }
+    // Issue the refund through the gateway (creates the Refund record for AdminRefunds);
+    // a partial refund releases the remainder to the seller
+    const { refund: createdRefund } = await refundService.issueRefund(order, {
+      amount: refundAmount,
+      reason: reason || 'Admin refund',
+      description: reason || 'Refund initiated from Admin Orders',
+      processedBy: req.userId,
+      adminNotes: reason || '',
+      source: 'admin',
+      orderUpdates: { adminNotes: reason }
+    });
+
+    const updatedOrder = await Order.findById(orderId)
+      .populate('buyerId', 'username firstname lastname')
+      .populate('sellerId', 'username firstname lastname');
 
     await logAdminAction(
       req.userId,
@@ -1504,6 +1490,8 @@ export const updateWithdrawalStatus = async (req, res, next) => {
       { new: true }
     ).populate('freelancerId', 'username firstname lastname');
 
+    await ledgerService.tryPost('withdrawal status', 'syncWithdrawal', updatedWithdrawal);
+
     await logAdminAction(
       req.userId,
       req.adminUser.username,
@@ -1530,6 +1518,53 @@ export const updateWithdrawalStatus = async (req, res, next) => {
   }
 };
 
+// Send (or re-send) a withdrawal through Paystack Transfers
+export const sendWithdrawalPayout = async (req, res, next) => {
+  try {
+    const { withdrawalId } = req.params;
+
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal) return next(createError(404, "Withdrawal not found"));
+
+    if (!withdrawal.recipientCode) {
+      return next(createError(400, "This withdrawal has no verified payout account and must be processed manually"));
+    }
+
+    // A processing withdrawal without a transfer code never got a response from Paystack
+    const retry = withdrawal.status === 'processing';
+    const updatedWithdrawal = await payoutService.initiatePayout(withdrawal._id, { retry });
+    if (!updatedWithdrawal) {
+      return next(createError(400, `A ${withdrawal.status} withdrawal cannot be sent`));
+    }
+
+    await logAdminAction(
+      req.userId,
+      req.adminUser.username,
+      'withdrawal_approved',
+      'withdrawal',
+      withdrawalId,
+      {
+        targetName: `₦${withdrawal.amount.toLocaleString()} transfer`,
+        amount: withdrawal.amount,
+        retry,
+        severity: 'high'
+      },
+      { status: withdrawal.status },
+      { status: updatedWithdrawal.status },
+      req
+    );
+
+    res.status(200).json({
+      message: updatedWithdrawal.status === 'failed'
+        ? `Transfer failed: ${updatedWithdrawal.failureReason}`
+        : "Transfer initiated",
+      withdrawal: updatedWithdrawal
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // ===========================================
 // SYSTEM MANAGEMENT
 // ===========================================
@@ -1635,7 +1670,8 @@ export const getSystemHealth = async (req, res, next) => {
       activeUsers,
       errorLogsLastHour,
       totalLogsLastHour,
-      diskUsageSnapshot
+      diskUsageSnapshot,
+      scheduledJobs
     ] = await Promise.all([
       User.countDocuments({ isAdmin: false }),
       Gig.countDocuments(),
@@ -1647,9 +1683,12 @@ export const getSystemHealth = async (req, res, next) => {
       User.countDocuments({ lastSeen: { $gte: tenMinutesAgo } }),
       AdminLog.countDocuments({ success: false, createdAt: { $gte: oneHourAgo } }),
       AdminLog.countDocuments({ createdAt: { $gte: oneHourAgo } }),
-      metricsService.getDiskUsage()
+      metricsService.getDiskUsage(),
+      jobSchedulerService.getJobs()
     ]);
 
+    const failingJobs = scheduledJobs.filter(job => job.enabled && job.lastStatus === 'failed');
+
     // Calculate system health score
     let healthScore = 100;
     if (dbStatus !== 'connected') healthScore -= 50;
@@ -1700,7 +1739,13 @@ export const getSystemHealth = async (req, res, next) => {
       },
       services: [
         { name: 'API Server', status: errorRate < 1 ? 'healthy' : errorRate < 5 ? 'warning' : 'critical', responseTime: avgResponseMs, uptime: uptimePercent },
-        { name: 'Database', status: dbStatus === 'connected' ? 'healthy' : 'critical', responseTime: 0, uptime: 100 }
+        { name: 'Database', status: dbStatus === 'connected' ? 'healthy' : 'critical', responseTime: 0, uptime: 100 },
+        {
+          name: 'Job Scheduler',
+          status: failingJobs.length === 0 ? 'healthy' : failingJobs.length < 2 ? 'warning' : 'critical',
+          failingJobs: failingJobs.map(job => job.name),
+          lastRunAt: scheduledJobs.reduce((latest, job) => (job.lastRunAt && job.lastRunAt > latest ? job.lastRunAt : latest), null)
+        }
       ],
       metrics: {
         totalUsers: userCount,
@@ -1725,6 +1770,86 @@ export const getSystemHealth = async (req, res, next) => {
   }
 };
 
+// Background jobs with their schedule, lock and last outcome
+export const getSystemJobs = async (req, res, next) => {
+  try {
+    const jobs = await jobSchedulerService.getJobs();
+    res.status(200).json({ jobs });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getSystemJobHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { jobName, status } = req.query;
+
+    const history = await jobSchedulerService.getHistory({ jobName, status, page, limit });
+    res.status(200).json(history);
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const runSystemJob = async (req, res, next) => {
+  try {
+    const { jobName } = req.params;
+    const run = await jobSchedulerService.runNow(jobName, { triggeredBy: req.userId });
+
+    await logAdminAction(
+      req.userId,
+      req.adminUser.username,
+      'system_job_triggered',
+      'system',
+      String(run._id),
+      { targetName: jobName, status: run.status, severity: 'medium' },
+      null,
+      { result: run.result, error: run.error },
+      req
+    );
+
+    res.status(200).json({
+      message: run.status === 'success' ? `Job ${jobName} completed` : `Job ${jobName} failed: ${run.error}`,
+      run
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const updateSystemJob = async (req, res, next) => {
+  try {
+    const { jobName } = req.params;
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return next(createError(400, "enabled must be true or false"));
+    }
+
+    const job = await jobSchedulerService.setEnabled(jobName, enabled);
+
+    await logAdminAction(
+      req.userId,
+      req.adminUser.username,
+      'system_settings_changed',
+      'system',
+      String(job._id),
+      { targetName: `Job ${jobName}`, section: 'jobs', severity: 'medium' },
+      { enabled: !enabled },
+      { enabled },
+      req
+    );
+
+    res.status(200).json({
+      message: `Job ${jobName} ${enabled ? 'enabled' : 'disabled'}`,
+      job
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // ===========================================
 // REPORTS & ANALYTICS
 // ===========================================
@@ -2104,6 +2229,7 @@ export const approveGig = async (req, res, next) => {
       { status: 'active' },
       req
     );
+    await searchSuggestService.syncGig(updatedGig);
 
     res.status(200).json({
       message: "Gig approved successfully",
@@ -2146,6 +2272,7 @@ export const rejectGig = async (req, res, next) => {
       { status: 'rejected' },
       req
     );
+    await searchSuggestService.syncGig(updatedGig);
 
     res.status(200).json({
       message: "Gig rejected successfully",
@@ -2188,6 +2315,7 @@ export const suspendGig = async (req, res, next) => {
       { status: 'suspended' },
       req
     );
+    await searchSuggestService.syncGig(updatedGig);
 
     res.status(200).json({
       message: "Gig suspended successfully",
@@ -2236,6 +2364,7 @@ export const restoreGig = async (req, res, next) => {
       { status: 'active' },
       req
     );
+    await searchSuggestService.syncGig(updatedGig);
 
     res.status(200).json({
       message: "Gig restored successfully",
@@ -2278,6 +2407,7 @@ export const featureGig = async (req, res, next) => {
       { featured },
       req
     );
+    await searchSuggestService.syncGig(updatedGig);
 
     res.status(200).json({
       message: `Gig ${featured ? 'featured' : 'unfeatured'} successfully`,
@@ -2396,6 +2526,9 @@ export const bulkGigAction = async (req, res, next) => {
         break;
       case 'delete':
         const result = await Gig.deleteMany({ _id: { $in: gigIds } });
+        for (const id of gigIds) {
+          await searchSuggestService.removeGig(id);
+        }
         
         await logAdminAction(
           req.userId,
@@ -2430,6 +2563,12 @@ export const bulkGigAction = async (req, res, next) => {
       { $set: updateData }
     );
 
+    // Approved gigs join the search suggestions; rejected and suspended ones leave them
+    const changedGigs = await Gig.find({ _id: { $in: targetIds } }).populate('userId', 'username');
+    for (const gig of changedGigs) {
+      await searchSuggestService.syncGig(gig);
+    }
+
     await logAdminAction(
       req.userId,
       req.adminUser.username,
@@ -2853,6 +2992,40 @@ export const getAnalyticsOrders = async (req, res, next) => {
   }
 };
 
+// Checkout conversion: initialized checkouts vs. paid, expired and still pending
+export const getAnalyticsCheckout = async (req, res, next) => {
+  try {
+    const { timeframe = '30days' } = req.query;
+    
+    let dateFilter = {};
+    const now = new Date();
+    
+    switch (timeframe) {
+      case '7days':
+        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 7)) };
+        break;
+      case '30days':
+        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 30)) };
+        break;
+      case '90days':
+        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 90)) };
+        break;
+      case '1year':
+        dateFilter.createdAt = { $gte: new Date(now.setFullYear(now.getFullYear() - 1)) };
+        break;
+    }
+
+    const stats = await checkoutSessionService.getConversionStats(dateFilter);
+
+    res.status(200).json({
+      ...stats,
+      timeframe
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 export const getAnalyticsPerformance = async (req, res, next) => {
   try {
     const { timeframe = '30days' } = req.query;
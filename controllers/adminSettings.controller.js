@@ -2,6 +2,7 @@ import createError from "../utils/createError.js";
 import User from "../models/user.model.js";
 import PlatformSettings from "../models/platformSettings.model.js";
 import AdminLog from "../models/adminLog.model.js";
+import paymentProviderService, { PROVIDER_NAMES } from "../services/paymentProviderService.js";
 
 // Get current platform settings
 export const getPlatformSettings = async (req, res, next) => {
@@ -94,7 +95,7 @@ export const updatePlatformSettings = async (req, res, next) => {
 // Update fee structure
 export const updateFeeStructure = async (req, res, next) => {
   try {
-    const { serviceFee, paymentProcessingFee, withdrawalFee, reason } = req.body;
+    const { serviceFee, paymentProcessingFee, withdrawalFee, tips, reason } = req.body;
     
     const admin = await User.findById(req.userId);
     let settings = await PlatformSettings.findOne();
@@ -115,6 +116,9 @@ export const updateFeeStructure = async (req, res, next) => {
     if (withdrawalFee) {
       settings.fees.withdrawalFee = { ...settings.fees.withdrawalFee, ...withdrawalFee };
     }
+    if (tips) {
+      settings.fees.tips = { ...settings.fees.tips, ...tips };
+    }
 
     settings.lastUpdatedBy = req.userId;
     settings.lastUpdatedByName = `${admin.firstname} ${admin.lastname}`;
@@ -368,6 +372,70 @@ export const updateFeatureFlags = async (req, res, next) => {
   }
 };
 
+// Choose the default payment provider, checkout failover and how long unpaid checkouts stay open
+export const updatePaymentProviders = async (req, res, next) => {
+  try {
+    const { defaultProvider, failoverEnabled, checkoutExpiryHours, reason } = req.body;
+
+    if (defaultProvider !== undefined) {
+      if (!PROVIDER_NAMES.includes(defaultProvider)) {
+        return next(createError(400, `Payment provider must be one of: ${PROVIDER_NAMES.join(', ')}`));
+      }
+      if (!paymentProviderService.get(defaultProvider).isConfigured()) {
+        return next(createError(400, `${defaultProvider} has no API keys configured on the server`));
+      }
+    }
+    if (checkoutExpiryHours !== undefined && !(Number(checkoutExpiryHours) >= 1 && Number(checkoutExpiryHours) <= 168)) {
+      return next(createError(400, "Checkout expiry must be between 1 and 168 hours"));
+    }
+
+    const admin = await User.findById(req.userId);
+    let settings = await PlatformSettings.findOne();
+
+    if (!settings) {
+      settings = new PlatformSettings();
+    }
+
+    const oldPayments = { ...settings.toObject().payments };
+    if (defaultProvider !== undefined) settings.payments.defaultProvider = defaultProvider;
+    if (failoverEnabled !== undefined) settings.payments.failoverEnabled = Boolean(failoverEnabled);
+    if (checkoutExpiryHours !== undefined) settings.payments.checkoutExpiryHours = Number(checkoutExpiryHours);
+
+    settings.lastUpdatedBy = req.userId;
+    settings.lastUpdatedByName = `${admin.firstname} ${admin.lastname}`;
+    settings.updateReason = reason || 'Payment provider update';
+
+    await settings.save();
+
+    await AdminLog.create({
+      adminId: req.userId,
+      adminUsername: admin.username,
+      action: 'system_settings_changed',
+      targetType: 'system',
+      targetName: 'Payment providers',
+      details: {
+        section: 'payments',
+        reason,
+        severity: 'high'
+      },
+      oldValues: oldPayments,
+      newValues: settings.payments,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    res.status(200).json({
+      message: "Payment provider settings updated successfully",
+      payments: settings.payments,
+      configuredProviders: PROVIDER_NAMES.filter(name => paymentProviderService.get(name).isConfigured())
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Get settings history/audit trail
 export const getSettingsHistory = async (req, res, next) => {
   try {
@@ -497,6 +565,9 @@ export const validateSettings = async (req, res, next) => {
       if (settings.fees.withdrawalFee?.percentage > 10) {
         errors.push("Withdrawal fee cannot exceed 10%");
       }
+      if (settings.fees.tips?.minimum > settings.fees.tips?.maximum) {
+        errors.push("Minimum tip cannot be greater than maximum tip");
+      }
     }
 
     // Validate limits
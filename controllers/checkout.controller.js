@@ -0,0 +1,62 @@
+import checkoutSessionService from "../services/checkoutSessionService.js";
+
+// Unpaid checkouts the logged-in buyer can still complete
+export const getPendingCheckouts = async (req, res, next) => {
+  try {
+    const sessions = await checkoutSessionService.getPendingForBuyer(req.userId);
+    res.status(200).json({ checkouts: sessions });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Send the buyer back to the payment page of an unpaid checkout
+export const resumeCheckout = async (req, res, next) => {
+  try {
+    const { status, session, order } = await checkoutSessionService.resume(req.userId, req.params.reference);
+
+    if (status === 'paid') {
+      return res.status(200).json({
+        status: "paid",
+        message: "This checkout has already been paid.",
+        orderId: order?._id || session.orderId
+      });
+    }
+
+    res.status(200).json({
+      status: "pending",
+      provider: session.provider,
+      data: {
+        authorization_url: session.authorizationUrl,
+        access_code: session.accessCode,
+        reference: session.reference
+      },
+      expiresAt: session.expiresAt,
+      total: session.total
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: checkouts the sweeper gave up on after repeated failures
+export const getFailedCheckouts = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const result = await checkoutSessionService.getFailed({ page, limit });
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: reconcile a failed checkout again once its cause has been fixed
+export const retryFailedCheckout = async (req, res, next) => {
+  try {
+    const { status, session, order } = await checkoutSessionService.retryFailed(req.params.reference);
+    res.status(200).json({ status, checkout: session, orderId: order?._id || session.orderId });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,6 +1,11 @@
 import createError from "../utils/createError.js";
 import Order from "../models/order.model.js";
+import Dispute from "../models/dispute.model.js";
 import User from "../models/user.model.js";
+import ledgerService from "../services/ledgerService.js";
+import refundService from "../services/refundService.js";
+import disputeService from "../services/disputeService.js";
+import disputeSettlementService from "../services/disputeSettlementService.js";
 
 // ADMIN DISPUTE RESOLUTION SYSTEM (FRAUD PROTECTION)
 
@@ -67,6 +72,9 @@ export const startDisputeReview = async (req, res, next) => {
       return next(createError(400, "This dispute is not available for review"));
     }
 
+    // Parties get the negotiation window to settle before admins step in
+    await disputeService.assertReviewable(order);
+
     const updatedOrder = await Order.findByIdAndUpdate(
       orderId,
       {
@@ -78,8 +86,11 @@ export const startDisputeReview = async (req, res, next) => {
       { new: true }
     );
 
+    const dispute = await disputeService.recordReviewStarted(updatedOrder, req.userId, adminNotes);
+
     res.status(200).json({
       message: "Dispute review started. Both parties will be notified.",
+      dispute,
       order: updatedOrder,
       reviewStartedBy: adminUser.username
     });
@@ -108,25 +119,33 @@ export const resolveWithRefund = async (req, res, next) => {
       return next(createError(400, "Dispute must be under review to resolve"));
     }
 
-    // Validate refund amount
-    if (refundAmount < 0 || refundAmount > order.price) {
+    // Validate refund amount (a zero refund is a resolution in the freelancer's favour)
+    if (!(refundAmount > 0) || refundAmount > order.price) {
       return next(createError(400, "Invalid refund amount"));
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      {
+    // Refund the client through the gateway; any remainder is released to the freelancer
+    const { order: updatedOrder, refund } = await refundService.issueRefund(order, {
+      amount: refundAmount,
+      reason: `Dispute resolution: ${resolution || 'refund to client'}`,
+      processedBy: req.userId,
+      adminNotes,
+      source: 'dispute',
+      orderUpdates: {
         disputeStatus: "resolved",
         disputeResolution: resolution,
         disputeResolvedAt: new Date(),
         disputeResolvedBy: req.userId,
-        escrowStatus: "refunded",
-        status: "cancelled",
-        adminNotes: adminNotes,
-        refundAmount: refundAmount
-      },
-      { new: true }
-    );
+        adminNotes: adminNotes
+      }
+    });
+
+    await disputeService.recordResolution(updatedOrder, {
+      outcome: refundAmount === order.price ? 'refund' : 'partial_refund',
+      refundAmount,
+      summary: resolution || `Refund of ₦${refundAmount} to the client`,
+      resolvedBy: req.userId
+    });
 
     // Update user statistics based on resolution
     if (refundAmount === order.price) {
@@ -150,6 +169,8 @@ export const resolveWithRefund = async (req, res, next) => {
       order: updatedOrder,
       resolution: resolution,
       refundAmount: refundAmount,
+      releasedToFreelancer: refund.sellerReleaseAmount,
+      refund,
       resolvedBy: adminUser.username
     });
 
@@ -193,6 +214,14 @@ export const resolveInFavorOfFreelancer = async (req, res, next) => {
       { new: true }
     );
 
+    await ledgerService.tryPost('dispute release', 'recordEscrowRelease', updatedOrder);
+    await disputeService.recordResolution(updatedOrder, {
+      outcome: 'release',
+      refundAmount: 0,
+      summary: resolution || 'Payment released to the freelancer',
+      resolvedBy: req.userId
+    });
+
     // Update user statistics - freelancer wins
     await Promise.all([
       User.findByIdAndUpdate(order.sellerId, {
@@ -294,43 +323,30 @@ export const getDisputeStatistics = async (req, res, next) => {
 };
 
 // 6. Add evidence to dispute (Both parties can use this)
+// Files come through the upload middleware and are stored privately with a SHA-256 hash
 export const addDisputeEvidence = async (req, res, next) => {
   try {
     const { orderId } = req.params;
     const { evidenceType, description, fileUrls } = req.body;
 
-    const order = await Order.findById(orderId);
-    if (!order) return next(createError(404, "Order not found"));
-
-    // Verify user is part of this dispute
-    if (order.buyerId !== req.userId && order.sellerId !== req.userId) {
-      return next(createError(403, "You are not part of this dispute"));
+    // Links can be changed after submission; evidence has to be uploaded
+    if (fileUrls && (!req.files || req.files.length === 0)) {
+      return next(createError(400, "Upload evidence files instead of linking to them"));
     }
 
-    if (order.disputeStatus === "resolved") {
-      return next(createError(400, "Cannot add evidence to resolved dispute"));
-    }
-
-    // Add evidence to order
-    const evidence = {
-      submittedBy: req.userId,
-      userType: order.buyerId === req.userId ? "client" : "freelancer",
+    const { dispute, evidence } = await disputeService.submitEvidence(orderId, req.userId, {
       evidenceType,
       description,
-      fileUrls: fileUrls || [],
-      submittedAt: new Date()
-    };
-
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      { $push: { disputeEvidence: evidence } },
-      { new: true }
-    );
+      files: req.files || [],
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.status(200).json({
       message: "Evidence submitted successfully. Admin will review all evidence.",
       evidence: evidence,
-      disputeStatus: order.disputeStatus
+      disputeId: dispute._id,
+      disputeStatus: dispute.status
     });
 
   } catch (err) {
@@ -391,3 +407,106 @@ export const detectFraudulentDisputes = async (req, res, next) => {
     next(err);
   }
 };
+
+// 8. Case file with statements and timeline (both parties and admins)
+export const getDispute = async (req, res, next) => {
+  try {
+    const view = await disputeService.getCase(req.params.id, req.userId);
+    res.status(200).json(view);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 9. Add a statement or reply to the case thread (admins may add internal notes)
+export const addDisputeStatement = async (req, res, next) => {
+  try {
+    const { body, parentId, internal } = req.body;
+    const dispute = await disputeService.addStatement(req.params.id, req.userId, { body, parentId, internal });
+    res.status(201).json({
+      message: "Statement added",
+      statement: dispute.statements[dispute.statements.length - 1],
+      status: dispute.status,
+      awaitingResponseFrom: dispute.awaitingResponseFrom
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 10. Dispute cases for the admin queue (?status=, ?assignedTo=me|unassigned|<adminId>)
+export const getDisputeCases = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status } = req.query;
+    const assignedTo = req.query.assignedTo === 'me' ? req.userId : req.query.assignedTo;
+
+    const validStatuses = Dispute.schema.path('status').enumValues;
+    if (status && !validStatuses.includes(status)) {
+      return next(createError(400, "Invalid dispute status"));
+    }
+
+    const result = await disputeService.listCases({ status, assignedTo, page, limit });
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 11. Assign a case to an admin (defaults to the admin making the request)
+export const assignDispute = async (req, res, next) => {
+  try {
+    const dispute = await disputeService.assign(req.params.id, req.userId, req.body.adminId || req.userId);
+    res.status(200).json({ message: "Dispute assigned", dispute });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 12. Ask the buyer or seller for a statement before a deadline
+export const requestDisputeStatement = async (req, res, next) => {
+  try {
+    const { from, note } = req.body;
+    const dispute = await disputeService.requestResponse(req.params.id, req.userId, { from, note });
+    res.status(200).json({
+      message: `Statement requested from the ${from}`,
+      dispute,
+      responseDueAt: dispute.responseDueAt
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 13. Propose a settlement split (either party, during negotiation)
+export const makeSettlementOffer = async (req, res, next) => {
+  try {
+    const { refundPercent, message } = req.body;
+    const { offer, dispute } = await disputeSettlementService.makeOffer(req.params.orderId, req.userId, { refundPercent, message });
+    res.status(201).json({
+      message: "Settlement offer sent",
+      offer,
+      negotiationEndsAt: dispute.negotiationEndsAt
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 14. Accept, decline or counter the other party's offer
+export const respondToSettlementOffer = async (req, res, next) => {
+  try {
+    const { action, refundPercent, message } = req.body;
+    const result = await disputeSettlementService.respond(req.params.orderId, req.params.offerId, req.userId, { action, refundPercent, message });
+
+    const messages = {
+      accept: `Settlement accepted. ₦${(result.refundAmount || 0).toLocaleString()} is refunded to the client and the rest is released to the freelancer.`,
+      decline: "Offer declined",
+      counter: "Counter-offer sent"
+    };
+    res.status(200).json({ message: messages[action], ...result });
+  } catch (err) {
+    next(err);
+  }
+};
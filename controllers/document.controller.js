@@ -0,0 +1,91 @@
+import financialDocumentService from "../services/financialDocumentService.js";
+import FinancialDocument from "../models/financialDocument.model.js";
+import createError from "../utils/createError.js";
+
+const sendPdf = async (res, document, viewerId) => {
+  const pdf = await financialDocumentService.renderPdf(financialDocumentService.viewFor(document, viewerId));
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${financialDocumentService.filename(document)}"`,
+    "Content-Length": pdf.length
+  });
+  res.status(200).send(pdf);
+};
+
+// Invoice PDF for an order payment (buyer or seller); ?reference= picks a milestone or tip payment
+export const getOrderInvoicePdf = async (req, res, next) => {
+  try {
+    const document = await financialDocumentService.getOrderInvoice(req.params.orderId, req.userId, req.query.reference);
+    await sendPdf(res, document, req.userId);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Email the invoice to the buyer's account address
+export const emailOrderInvoice = async (req, res, next) => {
+  try {
+    const document = await financialDocumentService.getOrderInvoice(req.params.orderId, req.userId, req.body?.reference);
+    if (document.recipientId !== req.userId) {
+      return next(createError(403, "Only the client can have the invoice emailed"));
+    }
+    const updated = await financialDocumentService.deliver(document);
+    res.status(200).json({ message: "Invoice sent", number: updated.number, delivery: updated.delivery });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Receipt PDF for one of the seller's completed withdrawals
+export const getWithdrawalReceiptPdf = async (req, res, next) => {
+  try {
+    const document = await financialDocumentService.getWithdrawalReceipt(req.params.withdrawalId, req.userId);
+    await sendPdf(res, document, req.userId);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Monthly earnings statement PDF (period as YYYY-MM)
+export const getStatementPdf = async (req, res, next) => {
+  try {
+    if (!req.isSeller) return next(createError(403, "Earnings statements are available to sellers only"));
+    const document = await financialDocumentService.getStatement(req.userId, req.params.period);
+    await sendPdf(res, document, req.userId);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Documents issued to the logged-in user
+export const getMyDocuments = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { type } = req.query;
+
+    const validTypes = FinancialDocument.schema.path('type').enumValues;
+    if (type && !validTypes.includes(type)) {
+      return next(createError(400, "Invalid document type"));
+    }
+
+    const result = await financialDocumentService.getUserDocuments(req.userId, { type, page, limit });
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Download a previously issued document by id
+export const getDocumentPdf = async (req, res, next) => {
+  try {
+    const document = await FinancialDocument.findById(req.params.documentId);
+    if (!document) return next(createError(404, "Document not found"));
+    if (document.recipientId !== req.userId && document.sellerId !== req.userId) {
+      return next(createError(403, "You do not have access to this document"));
+    }
+    await sendPdf(res, document, req.userId);
+  } catch (err) {
+    next(err);
+  }
+};
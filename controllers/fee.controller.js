@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import Gig from "../models/gig.model.js";
+import feeService from "../services/feeService.js";
+import { resolveGigPrice, resolveOrderExtras } from "../utils/gigPricing.js";
+import createError from "../utils/createError.js";
+
+// Exact checkout total for a gig (and optional package, quantity and add-ons) before payment is initialized
+export const getFeeQuote = async (req, res, next) => {
+  try {
+    const { gigId, package: selectedPackage, quantity } = req.query;
+
+    if (!gigId || !mongoose.Types.ObjectId.isValid(gigId)) {
+      return next(createError(400, "A valid gigId is required"));
+    }
+
+    const gig = await Gig.findById(gigId);
+    if (!gig) return next(createError(404, "Gig not found"));
+
+    // addOns=<addOnId>[:<quantity>],...
+    const addOns = String(req.query.addOns || '')
+      .split(',')
+      .filter(Boolean)
+      .map((entry) => {
+        const [addOnId, addOnQuantity] = entry.split(':');
+        return { addOnId, quantity: addOnQuantity ? Number(addOnQuantity) : 1 };
+      });
+
+    const pricing = resolveGigPrice(gig, selectedPackage);
+    if (pricing.milestoneTotal && (addOns.length > 0 || Number(quantity || 1) !== 1)) {
+      return next(createError(400, "Quantities and add-ons are not available for milestone-based services"));
+    }
+    const extras = resolveOrderExtras(gig, pricing.amount, {
+      quantity: quantity ? Number(quantity) : 1,
+      addOns
+    });
+    const fees = await feeService.quote(extras.amount, gig.userId);
+
+    res.status(200).json({
+      gigId: gig._id,
+      package: pricing.selectedPackage || null,
+      quantity: extras.quantity,
+      addOns: extras.addOns,
+      addOnTotal: extras.addOnTotal,
+      ...fees
+    });
+  } catch (err) {
+    next(err);
+  }
+};
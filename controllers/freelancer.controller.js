@@ -4,6 +4,9 @@ import Review from "../models/review.model.js";
 import User from "../models/user.model.js";
 import Settings from "../models/settings.model.js";
 import createError from "../utils/createError.js";
+import ledgerService from "../services/ledgerService.js";
+import feeService from "../services/feeService.js";
+import payoutService from "../services/payoutService.js";
 
 // Get comprehensive freelancer statistics
 export const getFreelancerStats = async (req, res, next) => {
@@ -39,13 +42,23 @@ export const getFreelancerStats = async (req, res, next) => {
     // Get reviews for this freelancer
     const reviews = await Review.find({ sellerId: freelancerId });
 
-    // Calculate statistics with 15% platform commission
+    // Platform commission comes from each order's fee snapshot (live settings for older orders)
+    const [feeSettings, freelancer] = await Promise.all([
+      feeService.getFeeSettings(),
+      User.findById(freelancerId, 'sellerSubscription').lean()
+    ]);
+    const netFor = (order) => feeService.sellerNetFor(order, freelancer, feeSettings);
+
+    // Calculate statistics
     const totalGrossEarnings = completedOrders.reduce((sum, order) => sum + order.price, 0);
-    const platformCommission = totalGrossEarnings * 0.15; // 15% platform commission
-    const totalEarnings = totalGrossEarnings - platformCommission;
+    const totalEarnings = completedOrders.reduce((sum, order) => sum + netFor(order), 0);
+    const platformCommission = totalGrossEarnings - totalEarnings;
     const totalWithdrawn = completedWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
     const pendingWithdrawalAmount = pendingWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    const availableBalance = totalEarnings - totalWithdrawn - pendingWithdrawalAmount;
+
+    // Withdrawable balance comes from the ledger, which already nets out fees and holds
+    const { seller: wallet } = await ledgerService.getUserBalances(freelancerId);
+    const availableBalance = wallet.available;
 
     // This month earnings
     const thisMonthStart = new Date();
@@ -55,9 +68,7 @@ export const getFreelancerStats = async (req, res, next) => {
     const thisMonthOrders = completedOrders.filter(order => 
       new Date(order.releasedAt || order.createdAt) >= thisMonthStart
     );
-    const thisMonthGrossEarnings = thisMonthOrders.reduce((sum, order) => sum + order.price, 0);
-    const thisMonthCommission = thisMonthGrossEarnings * 0.15;
-    const thisMonthEarnings = thisMonthGrossEarnings - thisMonthCommission;
+    const thisMonthEarnings = thisMonthOrders.reduce((sum, order) => sum + netFor(order), 0);
 
     // Project statistics
     const totalProjects = allOrders.length;
@@ -97,9 +108,7 @@ export const getFreelancerStats = async (req, res, next) => {
         return releaseDate >= monthStart && releaseDate < monthEnd;
       });
 
-      const monthGrossEarnings = monthOrders.reduce((sum, order) => sum + order.price, 0);
-      const monthCommission = monthGrossEarnings * 0.15;
-      const monthEarnings = monthGrossEarnings - monthCommission;
+      const monthEarnings = monthOrders.reduce((sum, order) => sum + netFor(order), 0);
 
       monthlyEarnings.push({
         month: monthStart.toLocaleString('default', { month: 'short', year: 'numeric' }),
@@ -119,7 +128,7 @@ export const getFreelancerStats = async (req, res, next) => {
       totalEarnings,
       totalGrossEarnings,
       platformCommission,
-      commissionRate: 15, // 15% commission rate
+      commissionRate: feeService.serviceFeeRateFor(freelancer, feeSettings).rate, // Current rate for new orders
       availableBalance,
       thisMonthEarnings,
       totalWithdrawn,
@@ -152,7 +161,7 @@ export const getFreelancerStats = async (req, res, next) => {
           .map(async order => {
             // Get client username
             const client = await User.findById(order.buyerId).select('username');
-            const netAmount = order.price - (order.price * 0.15); // After 15% commission
+            const netAmount = netFor(order); // After platform commission
             
             return {
               id: order._id,
@@ -179,7 +188,7 @@ export const getFreelancerStats = async (req, res, next) => {
 export const createWithdrawal = async (req, res, next) => {
   try {
     const { freelancerId } = req.params;
-    const { amount, bankDetails } = req.body;
+    const { amount, bankDetails, recipientId } = req.body;
 
     // Verify the user is creating withdrawal for their own account
     if (req.userId !== freelancerId) {
@@ -195,78 +204,121 @@ export const createWithdrawal = async (req, res, next) => {
       return next(createError(400, "Minimum withdrawal amount is ₦1,000"));
     }
 
-    // Get saved bank details from settings or use provided ones
-    let finalBankDetails;
-    
-    // Check for saved bank details in settings
-    const userSettings = await Settings.findOne({ userId: freelancerId });
-    const savedBankDetails = userSettings?.bankDetails;
-    
-    if (savedBankDetails && savedBankDetails.accountNumber && savedBankDetails.bankName && savedBankDetails.accountName) {
-      // Use saved bank details
-      finalBankDetails = {
-        accountNumber: savedBankDetails.accountNumber,
-        bankName: savedBankDetails.bankName,
-        accountName: savedBankDetails.accountName
-      };
-    } else if (bankDetails && bankDetails.accountNumber && bankDetails.bankName && bankDetails.accountName) {
-      // Use provided bank details
-      finalBankDetails = bankDetails;
-    } else {
-      return next(createError(400, "Bank details are required. Please provide bank details or save them in your profile settings."));
+    // Held from the limit check until the withdrawal is saved, so parallel
+    // requests cannot each pass the daily and monthly limits
+    let lock;
+    try {
+      lock = await payoutService.acquireWithdrawalLock(freelancerId);
+    } catch (lockError) {
+      return next(lockError);
     }
 
-    // Calculate available balance with 15% platform commission
-    const completedOrders = await Order.find({
-      sellerId: freelancerId,
-      escrowStatus: 'released'
-    });
+    let withdrawal;
+    let recipient = null;
+    try {
+      // Per-request, daily and monthly limits from platform settings
+      try {
+        await payoutService.checkWithdrawalLimits(freelancerId, Number(amount));
+      } catch (limitError) {
+        return next(limitError);
+      }
 
-    const completedWithdrawals = await Withdrawal.find({
-      freelancerId,
-      status: 'completed'
-    });
+      // Prefer a verified payout account (paid out automatically), otherwise fall back
+      // to saved / provided bank details for a manual payout
+      let finalBankDetails;
+      try {
+        recipient = await payoutService.resolveRecipient(freelancerId, recipientId);
+      } catch (recipientError) {
+        return next(recipientError);
+      }
 
-    const pendingWithdrawals = await Withdrawal.find({
-      freelancerId,
-      status: { $in: ['pending', 'processing'] }
-    });
+      // Check for saved bank details in settings
+      const userSettings = await Settings.findOne({ userId: freelancerId });
+      const savedBankDetails = userSettings?.bankDetails;
+    
+      if (recipient) {
+        finalBankDetails = {
+          accountNumber: recipient.accountNumber,
+          bankName: recipient.bankName,
+          bankCode: recipient.bankCode,
+          accountName: recipient.accountName
+        };
+      } else if (savedBankDetails && savedBankDetails.accountNumber && savedBankDetails.bankName && savedBankDetails.accountName) {
+        // Use saved bank details
+        finalBankDetails = {
+          accountNumber: savedBankDetails.accountNumber,
+          bankName: savedBankDetails.bankName,
+          accountName: savedBankDetails.accountName
+        };
+      } else if (bankDetails && bankDetails.accountNumber && bankDetails.bankName && bankDetails.accountName) {
+        // Use provided bank details
+        finalBankDetails = bankDetails;
+      } else {
+        return next(createError(400, "Bank details are required. Please provide bank details or save them in your profile settings."));
+      }
 
-    const totalGrossEarnings = completedOrders.reduce((sum, order) => sum + order.price, 0);
-    const platformCommission = totalGrossEarnings * 0.15; // 15% platform commission
-    const totalEarnings = totalGrossEarnings - platformCommission;
-    const totalWithdrawn = completedWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    const pendingWithdrawalAmount = pendingWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    const availableBalance = totalEarnings - totalWithdrawn - pendingWithdrawalAmount;
+      // Withdrawal fee from the live fee structure
+      const { processingFee, netAmount } = await feeService.computeWithdrawalFee(Number(amount));
+
+      // Create withdrawal request
+      withdrawal = new Withdrawal({
+        freelancerId,
+        amount,
+        processingFee,
+        netAmount,
+        bankDetails: {
+          accountNumber: finalBankDetails.accountNumber.trim(),
+          bankName: finalBankDetails.bankName,
+          bankCode: finalBankDetails.bankCode,
+          accountName: finalBankDetails.accountName.trim()
+        },
+        ...(recipient && { recipientId: String(recipient._id), recipientCode: recipient.recipientCode, provider: recipient.provider })
+      });
 
-    // Check if user has sufficient balance
-    if (amount > availableBalance) {
-      return next(createError(400, `Insufficient balance. Available: ₦${availableBalance.toLocaleString()}`));
-    }
+      // Reserve the funds in the ledger first; this is the authoritative balance check
+      try {
+        await ledgerService.holdWithdrawal(withdrawal);
+      } catch (holdError) {
+        if (holdError.status === 400) {
+          const { seller: wallet } = await ledgerService.getUserBalances(freelancerId);
+          return next(createError(400, `Insufficient balance. Available: ₦${wallet.available.toLocaleString()}`));
+        }
+        throw holdError;
+      }
 
-    // Create withdrawal request
-    const withdrawal = new Withdrawal({
-      freelancerId,
-      amount,
-      bankDetails: {
-        accountNumber: finalBankDetails.accountNumber.trim(),
-        bankName: finalBankDetails.bankName,
-        accountName: finalBankDetails.accountName.trim()
+      try {
+        await withdrawal.save();
+      } catch (saveError) {
+        await ledgerService.tryPost('withdrawal hold rollback', 'releaseWithdrawalHold', withdrawal);
+        throw saveError;
       }
-    });
+    } finally {
+      await payoutService.releaseWithdrawalLock(lock);
+    }
 
-    await withdrawal.save();
+    // Send it straight to the bank when automatic payouts are on
+    let result = withdrawal;
+    if (recipient && await payoutService.automaticPayoutsEnabled()) {
+      try {
+        result = (await payoutService.initiatePayout(withdrawal._id)) || withdrawal;
+      } catch (payoutError) {
+        console.error("Automatic payout failed to start:", payoutError?.message || payoutError);
+      }
+    }
 
     res.status(201).json({
-      message: "Withdrawal request submitted successfully",
+      message: result.status === 'failed'
+        ? "Withdrawal could not be sent to your bank; the amount has been returned to your balance"
+        : "Withdrawal request submitted successfully",
       withdrawal: {
-        id: withdrawal._id,
-        amount: withdrawal.amount,
-        processingFee: withdrawal.processingFee,
-        netAmount: withdrawal.netAmount,
-        status: withdrawal.status,
-        transactionReference: withdrawal.transactionReference,
-        requestedAt: withdrawal.requestedAt
+        id: result._id,
+        amount: result.amount,
+        processingFee: result.processingFee,
+        netAmount: result.netAmount,
+        status: result.status,
+        transactionReference: result.transactionReference,
+        failureReason: result.failureReason,
+        requestedAt: result.requestedAt
       }
     });
 
@@ -337,6 +389,8 @@ export const updateWithdrawalStatus = async (req, res, next) => {
       return next(createError(404, "Withdrawal not found"));
     }
 
+    await ledgerService.tryPost('withdrawal status', 'syncWithdrawal', withdrawal);
+
     res.status(200).json({
       message: `Withdrawal ${status} successfully`,
       withdrawal
@@ -348,3 +402,85 @@ export const updateWithdrawalStatus = async (req, res, next) => {
   }
 };
 
+// ===========================================
+// PAYOUT ACCOUNTS (Paystack transfer recipients)
+// ===========================================
+
+// Banks that can receive payouts
+export const getBanks = async (req, res, next) => {
+  try {
+    const banks = await payoutService.listBanks();
+    res.status(200).json(banks);
+  } catch (err) {
+    console.error("Error fetching banks:", err?.response?.data || err);
+    next(createError(502, "Unable to load the bank list right now"));
+  }
+};
+
+export const getPayoutRecipients = async (req, res, next) => {
+  try {
+    const { freelancerId } = req.params;
+    if (req.userId !== freelancerId) {
+      return next(createError(403, "You can only view your own payout accounts"));
+    }
+
+    const recipients = await payoutService.getRecipients(freelancerId);
+    res.status(200).json(recipients);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Verify a bank account with the bank and register it for payouts
+export const addPayoutRecipient = async (req, res, next) => {
+  try {
+    const { freelancerId } = req.params;
+    const { accountNumber, bankCode } = req.body;
+    if (req.userId !== freelancerId) {
+      return next(createError(403, "You can only add payout accounts to your own profile"));
+    }
+    if (!accountNumber || !bankCode) {
+      return next(createError(400, "Account number and bank are required"));
+    }
+
+    const recipient = await payoutService.addRecipient(freelancerId, { accountNumber, bankCode });
+    res.status(201).json({
+      message: `Payout account verified for ${recipient.accountName}`,
+      recipient
+    });
+  } catch (err) {
+    if (err.response) {
+      console.error("Paystack recipient error:", err.response.data);
+      return next(createError(502, "Unable to register this account for payouts right now"));
+    }
+    next(err);
+  }
+};
+
+export const setDefaultPayoutRecipient = async (req, res, next) => {
+  try {
+    const { freelancerId, recipientId } = req.params;
+    if (req.userId !== freelancerId) {
+      return next(createError(403, "You can only manage your own payout accounts"));
+    }
+
+    const recipient = await payoutService.setDefaultRecipient(freelancerId, recipientId);
+    res.status(200).json({ message: "Default payout account updated", recipient });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const removePayoutRecipient = async (req, res, next) => {
+  try {
+    const { freelancerId, recipientId } = req.params;
+    if (req.userId !== freelancerId) {
+      return next(createError(403, "You can only manage your own payout accounts"));
+    }
+
+    await payoutService.removeRecipient(freelancerId, recipientId);
+    res.status(200).json({ message: "Payout account removed" });
+  } catch (err) {
+    next(err);
+  }
+};
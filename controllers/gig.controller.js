@@ -3,6 +3,10 @@ import createError from "../utils/createError.js";
 import User from "../models/user.model.js";
 import emailService from "../services/emailService.js";
 import Order from "../models/order.model.js";
+import { normalizeAddOns } from "../utils/gigPricing.js";
+import orderRequirementsService from "../services/orderRequirementsService.js";
+import gigSearchService from "../services/gigSearchService.js";
+import searchSuggestService from "../services/searchSuggestService.js";
 
 export const createGig = async (req, res, next) => {
     if (!req.isSeller)
@@ -10,7 +14,7 @@ export const createGig = async (req, res, next) => {
 
     try {
         // Get seller information for email notification
-        const seller = await User.findById(req.userId).select('username email firstname lastname img');
+        const seller = await User.findById(req.userId).select('username email firstname lastname img skills');
         if (!seller) {
             return next(createError(404, "Seller not found"));
         }
@@ -30,6 +34,7 @@ export const createGig = async (req, res, next) => {
         const gigData = {
             userId: req.userId,
             ...req.body,
+            sellerSkills: seller.skills || [], // Searchable alongside the gig text
             status: 'pending' // Ensure gig requires approval
         };
 
@@ -57,6 +62,36 @@ export const createGig = async (req, res, next) => {
             return next(createError(400, "You cannot enable both Packages and Milestones. Please choose one pricing mode."));
         }
 
+        // Validate add-ons (extras are priced on top of a package or the base price)
+        if (req.body.addOns !== undefined) {
+            if (req.body.hasMilestones && req.body.addOns.length > 0) {
+                return next(createError(400, "Add-ons are not available for milestone gigs."));
+            }
+            try {
+                gigData.addOns = normalizeAddOns(req.body.addOns);
+            } catch (addOnError) {
+                return next(addOnError);
+            }
+        }
+
+        // Validate the post-purchase requirements questionnaire
+        if (req.body.requirements !== undefined) {
+            try {
+                gigData.requirements = orderRequirementsService.normalizeQuestions(req.body.requirements);
+            } catch (requirementsError) {
+                return next(requirementsError);
+            }
+        }
+
+        // Validate the monthly retainer offer
+        if (req.body.retainer?.enabled) {
+            const monthlyPrice = Number(req.body.retainer.monthlyPrice);
+            if (!(monthlyPrice >= 1)) {
+                return next(createError(400, "Please set a monthly price for the retainer"));
+            }
+            gigData.retainer = { enabled: true, monthlyPrice, scope: req.body.retainer.scope };
+        }
+
         // Compute unified starting price for gig cards/listing
         let computedPrice = null;
         if (req.body.hasPackages) {
@@ -112,6 +147,7 @@ export const createGig = async (req, res, next) => {
 
         const newGig = new Gig(gigData);
         const savedGig = await newGig.save();
+        await searchSuggestService.syncGig(savedGig);
 
         // Send email notification to admin
         try {
@@ -173,6 +209,7 @@ export const deleteGig = async (req, res, next) => {
         }
 
         await Gig.findByIdAndDelete(req.params.id);
+        await searchSuggestService.removeGig(req.params.id);
         res.status(200).send("Gig has been deleted!");
     } catch (err) {
         next(err);
@@ -224,6 +261,7 @@ export const updateGig = async (req, res, next) => {
             ...req.body,
             status: 'pending' // Reset to pending when gig is edited
         };
+        delete updateData.sellerSkills; // Synced from the seller's profile
 
         // Validate package data if packages are enabled
         if (req.body.hasPackages) {
@@ -249,6 +287,39 @@ export const updateGig = async (req, res, next) => {
             return next(createError(400, "You cannot enable both Packages and Milestones. Please choose one pricing mode."));
         }
 
+        // Validate add-ons (extras are priced on top of a package or the base price).
+        // Partial updates fall back to what the gig already has.
+        const hasMilestones = req.body.hasMilestones ?? gig.hasMilestones;
+        const addOns = req.body.addOns ?? gig.addOns ?? [];
+        if (hasMilestones && addOns.length > 0) {
+            return next(createError(400, "Add-ons are not available for milestone gigs."));
+        }
+        if (req.body.addOns !== undefined) {
+            try {
+                updateData.addOns = normalizeAddOns(req.body.addOns);
+            } catch (addOnError) {
+                return next(addOnError);
+            }
+        }
+
+        // Validate the post-purchase requirements questionnaire
+        if (req.body.requirements !== undefined) {
+            try {
+                updateData.requirements = orderRequirementsService.normalizeQuestions(req.body.requirements);
+            } catch (requirementsError) {
+                return next(requirementsError);
+            }
+        }
+
+        // Validate the monthly retainer offer
+        if (req.body.retainer?.enabled) {
+            const monthlyPrice = Number(req.body.retainer.monthlyPrice);
+            if (!(monthlyPrice >= 1)) {
+                return next(createError(400, "Please set a monthly price for the retainer"));
+            }
+            updateData.retainer = { enabled: true, monthlyPrice, scope: req.body.retainer.scope };
+        }
+
         // Compute unified starting price for gig cards/listing
         if (Object.prototype.hasOwnProperty.call(req.body, 'hasPackages') ||
             Object.prototype.hasOwnProperty.call(req.body, 'hasMilestones') ||
@@ -308,6 +379,8 @@ export const updateGig = async (req, res, next) => {
             updateData,
             { new: true, runValidators: true }
         );
+        // Back to pending, so out of the suggestions until approved again
+        await searchSuggestService.syncGig(updatedGig);
 
         // Send notification to admin for re-approval
         try {
@@ -354,59 +427,16 @@ export const updateGig = async (req, res, next) => {
     }
 };
 
+// Search and browse gigs: text relevance with typo correction, filters,
+// sorting and facet counts (see gigSearchService)
 export const getGigs = async (req, res, next) => {
-    const q = req.query;
-    
-    // Pagination parameters
-    const page = parseInt(q.page) || 1;
-    const limit = parseInt(q.limit) || 12;
-    const skip = (page - 1) * limit;
-    
-    const filters = {
-        ...(q.userId && {userId: q.userId}),
-        ...(q.cat && {cat: q.cat}),
-        ...((q.min || q.max) && {
-            price: {
-                ...(q.min && {$gt: q.min}), 
-                ...(q.max && {$lt: q.max}) 
-            },
-         }),
-        ...(q.search && {title: {$regex: q.search, $options: "i"}}),
-        ...(q.status && {status: q.status}),
-        // Only show active gigs to public unless explicitly overridden
-        ...(!q.userId && !q.status && {status: 'active'}),
-    };
-    
     try {
-        // Get sort parameter with default
-        const sortField = q.sort || 'sales';
-        const sortOrder = -1; // Descending order
-        
-        // Execute query with pagination
-        const [gigs, totalCount] = await Promise.all([
-            Gig.find(filters)
-                .sort({ [sortField]: sortOrder })
-                .skip(skip)
-                .limit(limit)
-                .populate('userId', 'username img averageRating totalReviews'),
-            Gig.countDocuments(filters)
-        ]);
-        
-        // Calculate pagination info
-        const totalPages = Math.ceil(totalCount / limit);
-        const hasMore = page < totalPages;
-        
-        res.status(200).json({
-            data: gigs,
-            pagination: {
-                page,
-                limit,
-                totalCount,
-                pages: totalPages,
-                hasMore,
-                hasPrevious: page > 1
-            }
-        });
+        const result = await gigSearchService.searchGigs(req.query);
+        // Counted once per search, not per page
+        if (result.search.query && result.pagination.page === 1) {
+            searchSuggestService.recordQuery(result.search.correctedQuery || result.search.query, result.pagination.totalCount);
+        }
+        res.status(200).json(result);
     } catch (err) {
         next(err);
     }
@@ -464,6 +494,7 @@ export const pauseGig = async (req, res, next) => {
             { $set: { status: 'paused' } },
             { new: true }
         );
+        await searchSuggestService.syncGig(updatedGig);
 
         res.status(200).json({
             message: "Gig paused successfully",
@@ -500,6 +531,7 @@ export const resumeGig = async (req, res, next) => {
             { $set: { status: 'active' } },
             { new: true }
         );
+        await searchSuggestService.syncGig(updatedGig);
 
         res.status(200).json({
             message: "Gig resumed successfully",
@@ -0,0 +1,190 @@
+import createError from "../utils/createError.js";
+import HourlyContract from "../models/hourlyContract.model.js";
+import HourlyInvoice from "../models/hourlyInvoice.model.js";
+import TimeEntry from "../models/timeEntry.model.js";
+import hourlyContractService from "../services/hourlyContractService.js";
+
+const loadContract = async (contractId) => {
+  const contract = await HourlyContract.findById(contractId);
+  if (!contract) throw createError(404, "Contract not found");
+  return contract;
+};
+
+const loadEntry = async (entryId) => {
+  const entry = await TimeEntry.findById(entryId);
+  if (!entry) throw createError(404, "Time entry not found");
+  return entry;
+};
+
+const loadInvoice = async (invoiceId) => {
+  const invoice = await HourlyInvoice.findById(invoiceId);
+  if (!invoice) throw createError(404, "Invoice not found");
+  return invoice;
+};
+
+// ===========================================
+// CONTRACTS
+// ===========================================
+
+// Buyer offers an hourly contract to a freelancer
+export const createContract = async (req, res, next) => {
+  try {
+    const contract = await hourlyContractService.offerContract(req.userId, req.body);
+    res.status(201).json({ message: "Hourly contract offered", contract });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getMyContracts = async (req, res, next) => {
+  try {
+    const contracts = await hourlyContractService.getUserContracts(req.userId, { status: req.query.status });
+    res.status(200).json({ contracts });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getContract = async (req, res, next) => {
+  try {
+    const overview = await hourlyContractService.getContractOverview(req.params.contractId, req.userId);
+    res.status(200).json(overview);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Freelancer accepts or declines the offer
+export const respondToContract = async (req, res, next) => {
+  try {
+    const contract = await loadContract(req.params.contractId);
+    const updated = await hourlyContractService.respondToOffer(contract, req.userId, { action: req.body.action });
+    res.status(200).json({
+      message: updated.status === "active" ? "Contract accepted" : "Contract declined",
+      contract: updated
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const pauseContract = async (req, res, next) => {
+  try {
+    const contract = await loadContract(req.params.contractId);
+    const updated = await hourlyContractService.pause(contract, req.userId, { reason: req.body.reason });
+    res.status(200).json({ message: "Contract paused", contract: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const resumeContract = async (req, res, next) => {
+  try {
+    const contract = await loadContract(req.params.contractId);
+    const updated = await hourlyContractService.resume(contract, req.userId);
+    res.status(200).json({ message: "Contract resumed", contract: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const endContract = async (req, res, next) => {
+  try {
+    const contract = await loadContract(req.params.contractId);
+    const updated = await hourlyContractService.end(contract, req.userId, { reason: req.body.reason });
+    res.status(200).json({ message: "Contract ended", contract: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ===========================================
+// TIME LOGS
+// ===========================================
+
+// Freelancer logs time, optionally with screenshots
+export const logTime = async (req, res, next) => {
+  try {
+    const contract = await loadContract(req.params.contractId);
+    const entry = await hourlyContractService.logTime(contract, req.userId, req.body, req.files);
+    res.status(201).json({ message: "Time logged", entry });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const deleteTimeEntry = async (req, res, next) => {
+  try {
+    const entry = await loadEntry(req.params.entryId);
+    await hourlyContractService.deleteEntry(entry, req.userId);
+    res.status(200).json({ message: "Time entry removed" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Buyer approves or disputes a single entry during the review window
+export const reviewTimeEntry = async (req, res, next) => {
+  try {
+    const entry = await loadEntry(req.params.entryId);
+    const { action, reason } = req.body;
+    const updated = await hourlyContractService.reviewEntry(entry, req.userId, { action, reason });
+    res.status(200).json({
+      message: updated.status === "approved" ? "Time approved" : "Time disputed",
+      entry: updated
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ===========================================
+// INVOICES
+// ===========================================
+
+export const getInvoice = async (req, res, next) => {
+  try {
+    const { invoice, entries } = await hourlyContractService.getInvoiceWithEntries(req.params.invoiceId, req.userId);
+    res.status(200).json({ invoice, entries });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Buyer approves the whole week before the review deadline
+export const approveInvoice = async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req.params.invoiceId);
+    const updated = await hourlyContractService.approveWeek(invoice, req.userId);
+    res.status(200).json({ message: "Week approved", invoice: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Pay a week through checkout; the card is saved for the following weeks
+export const payInvoice = async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req.params.invoiceId);
+    const { session, fees, isExisting } = await hourlyContractService.startCheckout(invoice, req.userId, { email: req.body.email });
+    res.status(200).json({
+      status: true,
+      message: isExisting ? "Continue your open checkout" : "Authorization URL created",
+      data: {
+        authorization_url: session.authorizationUrl,
+        access_code: session.accessCode,
+        reference: session.reference
+      },
+      provider: session.provider,
+      orderInfo: {
+        amount: session.amount,
+        total: session.total,
+        reference: session.reference,
+        expiresAt: session.expiresAt
+      },
+      fees
+    });
+  } catch (err) {
+    next(err);
+  }
+};
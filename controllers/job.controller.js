@@ -0,0 +1,183 @@
+import createError from "../utils/createError.js";
+import Job from "../models/job.model.js";
+import jobService from "../services/jobService.js";
+
+// Shape a checkout the same way order intents do, so the frontend can redirect either
+const checkoutResponse = ({ session, fees, isExisting }) => ({
+  status: true,
+  message: isExisting ? "Continue your open checkout" : "Authorization URL created",
+  data: {
+    authorization_url: session.authorizationUrl,
+    access_code: session.accessCode,
+    reference: session.reference
+  },
+  provider: session.provider,
+  orderInfo: {
+    amount: session.amount,
+    total: session.total,
+    reference: session.reference,
+    expiresAt: session.expiresAt
+  },
+  fees
+});
+
+const loadJob = async (jobId) => {
+  const job = await Job.findById(jobId);
+  if (!job) throw createError(404, "Job not found");
+  return job;
+};
+
+// ===========================================
+// JOBS
+// ===========================================
+
+// Buyer posts a job (multipart, with optional attachments)
+export const createJob = async (req, res, next) => {
+  try {
+    const job = await jobService.postJob(req.userId, req.body, req.files);
+    res.status(201).json({ message: "Job posted", job });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Public job board: open jobs with the same filters and pagination as gigs
+export const getJobs = async (req, res, next) => {
+  try {
+    const result = await jobService.listJobs(req.query);
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getMyJobs = async (req, res, next) => {
+  try {
+    const jobs = await jobService.getBuyerJobs(req.userId, { status: req.query.status });
+    res.status(200).json({ jobs });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Job with all proposals for its owner, or with the caller's own proposal
+export const getJob = async (req, res, next) => {
+  try {
+    const result = await jobService.getJob(req.params.jobId, req.userId);
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const updateJob = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.jobId);
+    const updated = await jobService.updateJob(job, req.userId, req.body, req.files);
+    res.status(200).json({ message: "Job updated", job: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Stop taking new proposals; the buyer can still hire from those received
+export const closeJob = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.jobId);
+    const updated = await jobService.setAcceptingProposals(job, req.userId, false);
+    res.status(200).json({ message: "Job closed to new proposals", job: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const reopenJob = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.jobId);
+    const updated = await jobService.setAcceptingProposals(job, req.userId, true);
+    res.status(200).json({ message: "Job reopened", job: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const cancelJob = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.jobId);
+    const updated = await jobService.cancelJob(job, req.userId);
+    res.status(200).json({ message: "Job cancelled", job: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ===========================================
+// PROPOSALS
+// ===========================================
+
+export const submitProposal = async (req, res, next) => {
+  try {
+    if (!req.isSeller) return next(createError(403, "Only freelancers can send proposals"));
+
+    const { proposal, warning } = await jobService.submitProposal(req.params.jobId, req.userId, req.body);
+    res.status(201).json({ message: "Proposal sent", proposal, warning });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getMyProposals = async (req, res, next) => {
+  try {
+    const proposals = await jobService.getSellerProposals(req.userId, { status: req.query.status });
+    res.status(200).json({ proposals });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const updateProposal = async (req, res, next) => {
+  try {
+    const { proposal, warning } = await jobService.updateProposal(req.params.proposalId, req.userId, req.body);
+    res.status(200).json({ message: "Proposal updated", proposal, warning });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const withdrawProposal = async (req, res, next) => {
+  try {
+    const proposal = await jobService.withdrawProposal(req.params.proposalId, req.userId);
+    res.status(200).json({ message: "Proposal withdrawn", proposal });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const shortlistProposal = async (req, res, next) => {
+  try {
+    const proposal = await jobService.shortlistProposal(req.params.proposalId, req.userId);
+    res.status(200).json({ message: "Proposal shortlisted", proposal });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const declineProposal = async (req, res, next) => {
+  try {
+    const proposal = await jobService.declineProposal(req.params.proposalId, req.userId, { reason: req.body.reason });
+    res.status(200).json({ message: "Proposal declined", proposal });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Buyer hires the freelancer; the order is created once checkout is paid
+export const hireProposal = async (req, res, next) => {
+  try {
+    const { email, fundingMode } = req.body;
+    const { proposal, ...checkout } = await jobService.hire(req.params.proposalId, req.userId, { email, fundingMode });
+    res.status(200).json({ ...checkoutResponse(checkout), proposal });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,43 @@
+import ledgerService from "../services/ledgerService.js";
+import JournalEntry from "../models/journalEntry.model.js";
+import createError from "../utils/createError.js";
+
+// Wallet balances for the logged-in user (seller and buyer views)
+export const getWallet = async (req, res, next) => {
+  try {
+    const balances = await ledgerService.getUserBalances(req.userId);
+    res.status(200).json(balances);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Paginated ledger history for the logged-in user
+export const getWalletTransactions = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { type } = req.query;
+
+    const validTypes = JournalEntry.schema.path('type').enumValues;
+    if (type && !validTypes.includes(type)) {
+      return next(createError(400, "Invalid transaction type"));
+    }
+
+    const result = await ledgerService.getUserTransactions(req.userId, { page, limit, type });
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: trial balance plus order / withdrawal discrepancies
+export const getLedgerReconciliation = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const report = await ledgerService.getReconciliationReport({ limit });
+    res.status(200).json(report);
+  } catch (err) {
+    next(err);
+  }
+};
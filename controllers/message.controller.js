@@ -2,6 +2,7 @@ import createError from "../utils/createError.js";
 import Message from "../models/message.model.js";
 import Conversation from "../models/conversation.model.js";
 import User from "../models/user.model.js";
+import Offer from "../models/offer.model.js";
 import fileUploadService from "../services/fileUploadService.js";
 import socketService from "../services/socketService.js";
 import notificationService from "../services/notificationService.js";
@@ -231,6 +232,16 @@ export const getMessages = async (req, res, next) => {
       userImageMap[user._id] = user.img;
     });
 
+    // Attach the current state of any custom offers shown in the thread
+    const offerIds = messages.filter(msg => msg.offerId).map(msg => msg.offerId);
+    const offerMap = {};
+    if (offerIds.length > 0) {
+      const offers = await Offer.find({ _id: { $in: offerIds } }).lean();
+      offers.forEach(offer => {
+        offerMap[String(offer._id)] = offer;
+      });
+    }
+
     // Add userImg and additional data to each message
     const formattedMessages = messages.map(msg => ({
       _id: msg._id,
@@ -240,6 +251,7 @@ export const getMessages = async (req, res, next) => {
       desc: msg.desc,
       messageType: msg.messageType,
       attachments: msg.attachments,
+      offer: msg.offerId ? offerMap[msg.offerId] || null : undefined,
       replyTo: msg.replyTo,
       reactions: msg.reactions,
       isEdited: msg.isEdited,
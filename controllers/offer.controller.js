@@ -0,0 +1,115 @@
+import createError from "../utils/createError.js";
+import Offer from "../models/offer.model.js";
+import offerService from "../services/offerService.js";
+
+// Shape a checkout the same way order intents do, so the frontend can redirect either
+const checkoutResponse = ({ session, fees, isExisting }) => ({
+  status: true,
+  message: isExisting ? "Continue your open checkout" : "Authorization URL created",
+  data: {
+    authorization_url: session.authorizationUrl,
+    access_code: session.accessCode,
+    reference: session.reference
+  },
+  provider: session.provider,
+  orderInfo: {
+    amount: session.amount,
+    total: session.total,
+    reference: session.reference,
+    expiresAt: session.expiresAt
+  },
+  fees
+});
+
+// Seller sends a custom offer in a conversation
+export const createOffer = async (req, res, next) => {
+  try {
+    if (!req.isSeller) return next(createError(403, "Only sellers can send custom offers"));
+
+    const offer = await offerService.createOffer(req.userId, req.body);
+    res.status(201).json({ message: "Offer sent", offer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// All offers (and counter-offers) in a conversation, newest first
+export const getConversationOffers = async (req, res, next) => {
+  try {
+    const offers = await offerService.getConversationOffers(req.params.conversationId, req.userId);
+    res.status(200).json({ offers });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getOffer = async (req, res, next) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) return next(createError(404, "Offer not found"));
+    if (!offerService.partyRole(offer, req.userId)) {
+      return next(createError(403, "You are not part of this offer"));
+    }
+    res.status(200).json({ offer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Accept; a buyer acceptance returns the checkout to pay for the order
+export const acceptOffer = async (req, res, next) => {
+  try {
+    const { email, fundingMode } = req.body;
+    const { offer, checkout } = await offerService.accept(req.params.offerId, req.userId, { email, fundingMode });
+
+    if (!checkout) {
+      return res.status(200).json({ message: "Offer accepted. The buyer has been asked to complete checkout.", offer });
+    }
+    res.status(200).json({ ...checkoutResponse(checkout), offer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const counterOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.counter(req.params.offerId, req.userId, req.body);
+    res.status(201).json({ message: "Counter-offer sent", offer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const declineOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.decline(req.params.offerId, req.userId, { reason: req.body.reason });
+    res.status(200).json({ message: "Offer declined", offer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const withdrawOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.withdraw(req.params.offerId, req.userId);
+    res.status(200).json({ message: "Offer withdrawn", offer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Buyer pays for an accepted offer (or resumes its open checkout)
+export const checkoutOffer = async (req, res, next) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) return next(createError(404, "Offer not found"));
+
+    const checkout = await offerService.startCheckout(offer, req.userId, {
+      email: req.body.email,
+      fundingMode: req.body.fundingMode
+    });
+    res.status(200).json({ ...checkoutResponse(checkout), offer: checkout.offer });
+  } catch (err) {
+    next(err);
+  }
+};
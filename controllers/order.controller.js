@@ -1,4 +1,3 @@
-import axios from "axios";
 import createError from "../utils/createError.js";
 import Order from "../models/order.model.js";
 import Gig from "../models/gig.model.js";
@@ -7,6 +6,20 @@ import User from "../models/user.model.js";
 import notificationService from "../services/notificationService.js";
 import socketService from "../services/socketService.js";
 import PlatformSettings from "../models/platformSettings.model.js";
+import paymentProviderService from "../services/paymentProviderService.js";
+import orderFulfillmentService from "../services/orderFulfillmentService.js";
+import checkoutSessionService from "../services/checkoutSessionService.js";
+import jobSchedulerService from "../services/jobSchedulerService.js";
+import orderCancellationService from "../services/orderCancellationService.js";
+import deliveryExtensionService from "../services/deliveryExtensionService.js";
+import milestoneFundingService from "../services/milestoneFundingService.js";
+import orderRequirementsService from "../services/orderRequirementsService.js";
+import revisionService from "../services/revisionService.js";
+import tipService from "../services/tipService.js";
+import disputeService from "../services/disputeService.js";
+import ledgerService from "../services/ledgerService.js";
+import feeService from "../services/feeService.js";
+import { resolveGigPrice, resolveOrderExtras } from "../utils/gigPricing.js";
 
 export const intent = async (req, res, next) => {
   try {
@@ -51,81 +64,144 @@ export const intent = async (req, res, next) => {
     const reference = crypto.randomBytes(8).toString("hex");
 
     // Determine amount based on pricing mode (supports packages)
-    const selectedPackage = (req.body.selectedPackage || '').toString().toLowerCase();
-    const validPkgKeys = ['basic','standard','premium'];
-    const isValidPkg = validPkgKeys.includes(selectedPackage);
-    let amountNaira = gig.price;
-    let packageDeliveryTime = null;
-    let milestoneTotal = null;
-
-    // Prefer milestone total when seller defined milestones on the gig
-    if (gig.hasMilestones && Array.isArray(gig.milestones) && gig.milestones.length > 0) {
-      milestoneTotal = gig.milestones.reduce((sum, m) => sum + (m.price || 0), 0);
-      if (milestoneTotal && milestoneTotal > 0) {
-        amountNaira = milestoneTotal;
-      }
-    } else if (gig.hasPackages && gig.packages && isValidPkg) {
-      // Otherwise use selected package price
-      const pkg = gig.packages[selectedPackage];
-      if (pkg && pkg.enabled && typeof pkg.price === 'number' && pkg.price > 0) {
-        amountNaira = pkg.price;
-        if (typeof pkg.deliveryTime === 'number' && pkg.deliveryTime > 0) {
-          packageDeliveryTime = pkg.deliveryTime;
+    const { amount: unitPrice, selectedPackage, packageDeliveryTime, packageRevisions, milestoneTotal } =
+      resolveGigPrice(gig, req.body.selectedPackage);
+
+    // Quantity and add-ons are priced on top of the package (milestone gigs are fixed-scope)
+    const hasExtras = Number(req.body.quantity || 1) !== 1 || (Array.isArray(req.body.addOns) && req.body.addOns.length > 0);
+    if (milestoneTotal && hasExtras) {
+      return res.status(400).json({
+        error: "Invalid order options",
+        message: "Quantities and add-ons are not available for milestone-based services.",
+        code: "EXTRAS_NOT_SUPPORTED"
+      });
+    }
+    let extras;
+    try {
+      extras = resolveOrderExtras(gig, unitPrice, { quantity: req.body.quantity, addOns: req.body.addOns });
+    } catch (extrasError) {
+      return res.status(400).json({
+        error: "Invalid order options",
+        message: extrasError.message,
+        code: "INVALID_ADD_ONS"
+      });
+    }
+    const amountNaira = extras.amount;
+
+    // Per-milestone funding: the checkout only pays for the first milestone
+    const fundingMode = req.body.fundingMode === 'per_milestone' ? 'per_milestone' : 'upfront';
+    let milestonePlan;
+    let chargeNow = amountNaira;
+    if (fundingMode === 'per_milestone') {
+      if (milestoneTotal) {
+        const [firstMilestone] = [...gig.milestones].sort((a, b) => (a.order || 1) - (b.order || 1));
+        chargeNow = firstMilestone.price;
+      } else {
+        try {
+          milestonePlan = milestoneFundingService.buildPlan(req.body.milestones, amountNaira);
+        } catch (planError) {
+          return res.status(400).json({
+            error: "Invalid milestone plan",
+            message: planError.message,
+            code: "INVALID_MILESTONE_PLAN"
+          });
         }
+        chargeNow = milestonePlan[0].amount;
       }
     }
 
-    // Payment initialization with enhanced error handling
+    // Fee breakdown is fixed now and snapshotted onto the order once paid
+    const fees = await feeService.quote(chargeNow, gig.userId);
+
+    // Payment initialization with enhanced error handling; falls over to the
+    // next configured provider if the admin's default one errors
     try {
-      const response = await axios.post(
-        "https://api.paystack.co/transaction/initialize",
-        {
-          email: req.body.email,
-          amount: amountNaira * 100, // Paystack uses kobo
-          reference, // use the reference for tracking
-          callback_url: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`, // frontend success page
-          metadata: {
-            gigId: gig._id,
-            buyerId: req.userId,
-            sellerId: gig.userId,
-            gigTitle: gig.title,
-            gigPrice: amountNaira,
-            clientEmail: req.body.email,
-            selectedPackage: isValidPkg ? selectedPackage : undefined,
-            packageDeliveryTime: packageDeliveryTime || undefined,
-            milestoneTotal: milestoneTotal || undefined
-          },
+      const payment = await paymentProviderService.initializeWithFailover({
+        email: req.body.email,
+        amount: fees.buyerTotal,
+        baseReference: reference, // providers may prefix it; use payment.reference for tracking
+        callbackUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`, // frontend success page
+        metadata: {
+          gigId: gig._id,
+          buyerId: req.userId,
+          sellerId: gig.userId,
+          gigTitle: gig.title,
+          gigPrice: amountNaira,
+          clientEmail: req.body.email,
+          selectedPackage,
+          packageDeliveryTime: packageDeliveryTime || undefined,
+          packageRevisions: packageRevisions ?? undefined,
+          milestoneTotal: milestoneTotal || undefined,
+          quantity: extras.quantity,
+          addOns: extras.addOns.length > 0 ? extras.addOns : undefined,
+          addOnDays: extras.extraDays || undefined,
+          addOnRevisions: extras.extraRevisions || undefined,
+          fundingMode,
+          projectPrice: fundingMode === 'per_milestone' ? amountNaira : undefined,
+          milestones: milestonePlan,
+          fees
         },
-        {
-          headers: {
-            Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+      });
+
+      // Record the unpaid checkout so it can be resumed, expired and counted
+      let checkoutSession = null;
+      try {
+        checkoutSession = await checkoutSessionService.createSession({
+          reference: payment.reference,
+          provider: payment.provider,
+          buyerId: req.userId,
+          sellerId: gig.userId,
+          gigId: String(gig._id),
+          gigTitle: gig.title,
+          selectedPackage,
+          email: req.body.email,
+          amount: chargeNow,
+          total: fees.buyerTotal,
+          fees,
+          authorizationUrl: payment.authorizationUrl,
+          accessCode: payment.accessCode
+        });
+      } catch (sessionError) {
+        console.error('Checkout session record failed:', sessionError?.message || sessionError);
+      }
 
       // Add additional context to the response
       const enhancedResponse = {
-        ...response.data,
+        status: true,
+        message: "Authorization URL created",
+        data: {
+          authorization_url: payment.authorizationUrl,
+          access_code: payment.accessCode,
+          reference: payment.reference
+        },
+        provider: payment.provider,
         orderInfo: {
           gigId: gig._id,
           title: gig.title,
           price: amountNaira,
+          total: fees.buyerTotal,
           seller: gig.userId,
-          reference: reference
-        }
+          reference: payment.reference,
+          expiresAt: checkoutSession?.expiresAt,
+          quantity: extras.quantity,
+          addOns: extras.addOns,
+          addOnTotal: extras.addOnTotal,
+          fundingMode,
+          chargedNow: chargeNow
+        },
+        fees
       };
 
       res.status(200).json(enhancedResponse);
 
-    } catch (paystackError) {
-      console.error('Paystack initialization error:', paystackError.response?.data || paystackError.message);
+    } catch (providerError) {
+      console.error('Payment initialization error:', providerError.response?.data || providerError.message);
       
       return res.status(500).json({
         error: "Payment initialization failed",
         message: "Unable to initialize payment at this time. Please try again in a few moments.",
         code: "PAYMENT_INIT_FAILED",
-        details: paystackError.response?.data?.message || "Payment service temporarily unavailable"
+        details: providerError.response?.data?.message || "Payment service temporarily unavailable"
       });
     }
 
@@ -162,183 +238,82 @@ export const verifyPayment = async (req, res) => {
   const { reference } = req.params;
 
   try {
-    const verifyRes = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-        }
-      }
-    );
+    const provider = req.query.provider
+      ? paymentProviderService.get(req.query.provider)
+      : paymentProviderService.providerForReference(reference);
+    const transaction = await provider.verifyPayment(reference);
 
-    if (verifyRes.data.data.status === "success") {
-      const metadata = verifyRes.data.data.metadata;
-      const amount = verifyRes.data.data.amount / 100; // Convert from kobo to naira
-      
-      // CRITICAL: Check if order already exists to prevent duplicates
-      const existingOrder = await Order.findOne({ reference: reference });
-      if (existingOrder) {
-        console.log("🔄 Order already exists for reference:", reference);
-        return res.json({ 
+    if (transaction?.status === "success") {
+      const { order, isExisting, milestoneIndex, refunded, tip } = await orderFulfillmentService.fulfillTransaction(transaction, { source: 'verify' });
+
+      if (tip) {
+        return res.json({
           status: "success",
-          message: "Payment already verified and order exists.",
-          orderId: existingOrder._id,
-          autoReleaseDate: existingOrder.autoReleaseDate,
-          isExisting: true
+          message: `Thank you! Your ₦${tip.amount.toLocaleString()} tip has been sent to the seller.`,
+          orderId: order._id,
+          tip,
+          isExisting
         });
       }
-      
-      // Get gig details for order creation
-      const gig = await Gig.findById(metadata.gigId);
-      if (!gig) {
-        return res.status(404).json({ 
-          status: "error", 
-          message: "Gig not found" 
+
+      if (milestoneIndex !== undefined) {
+        return res.json({
+          status: refunded ? "refunded" : "success",
+          message: refunded
+            ? "This milestone could no longer accept the payment, so it is being refunded."
+            : `Payment successful! Milestone ${milestoneIndex + 1} is funded and held securely in escrow.`,
+          orderId: order._id,
+          milestoneIndex,
+          isExisting
         });
       }
 
-      console.log("✅ Creating new order for reference:", reference);
-      
-      // CREATE ORDER ONLY NOW AFTER SUCCESSFUL PAYMENT
-      const newOrder = new Order({
-        gigId: gig._id,
-        img: gig.cover,
-        title: gig.title,
-        buyerId: metadata.buyerId,
-        sellerId: metadata.sellerId,
-        price: amount,
-        reference: reference,
-        status: "in progress",
-        paymentStatus: "paid",
-        escrowStatus: "funded", // CRITICAL: Funds held in escrow, not released
-        paidAt: new Date(),
-      });
-
-      // Calculate auto-release and review windows using gig delivery time for better alignment
-      const MS_PER_DAY = 24 * 60 * 60 * 1000;
-
-      // Platform settings
-      let autoReleaseDays = amount >= 50000 ? 14 : 7;
-      let reviewDays = 3; // for non-milestone gigs: client review window after work submission
-      let holdDays = 3;   // for milestone gigs: hold window after last due date
-      try {
-        const settings = await PlatformSettings.findOne().lean();
-        autoReleaseDays = settings?.disputes?.autoReleaseAfterDays ?? autoReleaseDays;
-        reviewDays = settings?.disputes?.clientReviewWindowDays ?? settings?.disputes?.escrowHoldDays ?? reviewDays;
-        holdDays = settings?.disputes?.escrowHoldDays ?? holdDays;
-      } catch (e) {
-        // keep fallbacks
+      if (order.retainerId) {
+        return res.json({
+          status: "success",
+          message: `Payment successful! Month ${order.retainerCycle} of your retainer is funded and held securely in escrow.`,
+          orderId: order._id,
+          retainerId: order.retainerId,
+          isExisting
+        });
       }
 
-      const paidAt = newOrder.paidAt || new Date();
-      let autoReleaseDate;
-
-      if (gig.hasMilestones && Array.isArray(gig.milestones) && gig.milestones.length > 0) {
-        // Auto-create order milestones based on seller-defined gig milestones
-        const sorted = [...gig.milestones].sort((a, b) => (a.order || 1) - (b.order || 1));
-        let accumulatedDays = 0;
-        const formattedMilestones = sorted.map((m) => {
-          const days = Number(m.deliveryTime) || 0;
-          accumulatedDays += days;
-          const dueDate = new Date(paidAt.getTime() + accumulatedDays * MS_PER_DAY);
-          return {
-            title: m.title,
-            description: m.description,
-            amount: m.price,
-            dueDate,
-            status: "pending",
-            deliverables: []
-          };
+      if (order.hourlyContractId) {
+        return res.json({
+          status: refunded ? "refunded" : "success",
+          message: refunded
+            ? "This week was already paid, so this payment is being refunded."
+            : "Payment successful! The week's approved hours are paid and your card is saved for the following weeks.",
+          orderId: order._id,
+          contractId: order.hourlyContractId,
+          isExisting
         });
-
-        const latestDue = formattedMilestones.reduce((max, m) => (m.dueDate && m.dueDate > max ? m.dueDate : max), new Date(0));
-        if (latestDue && latestDue.getTime() > 0) {
-          newOrder.expectedDeliveryDate = latestDue;
-          autoReleaseDate = new Date(latestDue.getTime() + holdDays * MS_PER_DAY);
-          newOrder.autoReleaseDate = autoReleaseDate;
-          newOrder.clientReviewDeadline = autoReleaseDate;
-        }
-        newOrder.milestones = formattedMilestones;
-        newOrder.protectionLevel = newOrder.price >= 100000 ? "enhanced" : "standard";
-      } else {
-        // Non-milestone gigs: derive expected delivery and review-based auto-release
-        let expectedDeliveryDays = null;
-        if (gig.hasPackages && gig.packages) {
-          const candidates = ['basic', 'standard', 'premium']
-            .map(k => gig.packages[k])
-            .filter(p => p && p.enabled && typeof p.deliveryTime === 'number' && p.deliveryTime > 0)
-            .map(p => p.deliveryTime);
-          if (candidates.length > 0) expectedDeliveryDays = Math.min(...candidates);
-        } else if (typeof gig.deliveryTime === 'number' && gig.deliveryTime > 0) {
-          expectedDeliveryDays = gig.deliveryTime;
-        }
-
-        const expectedDeliveryDate = expectedDeliveryDays
-          ? new Date(paidAt.getTime() + expectedDeliveryDays * MS_PER_DAY)
-          : null;
-        if (expectedDeliveryDate) {
-          newOrder.expectedDeliveryDate = expectedDeliveryDate;
-        }
-
-        const baseDate = expectedDeliveryDate || new Date(paidAt.getTime() + autoReleaseDays * MS_PER_DAY);
-        autoReleaseDate = new Date(baseDate.getTime() + reviewDays * MS_PER_DAY);
-        newOrder.autoReleaseDate = autoReleaseDate;
-        newOrder.clientReviewDeadline = autoReleaseDate;
       }
 
-      try {
-        await newOrder.save();
-        console.log("✅ Order created successfully:", newOrder._id);
-
-        // Send notifications to seller and buyer
-        try {
-          const [buyer, seller] = await Promise.all([
-            User.findById(metadata.buyerId, "username"),
-            User.findById(metadata.sellerId, "username")
-          ]);
-
-          // Persist notifications in DB
-          await notificationService.notifyNewOrder(newOrder, seller, buyer);
-
-          // Real-time toast for seller (new order)
-          socketService.sendNotificationToUser(metadata.sellerId, {
-            title: "New Order Received!",
-            body: `You received a new order for "${gig.title}" from ${buyer?.username || "a buyer"}`,
-            type: "order",
-            data: { action: "open_order", orderId: newOrder._id }
-          });
+      if (refunded) {
+        return res.json({
+          status: "refunded",
+          message: "This job was already filled, so this payment is being refunded.",
+          orderId: order._id,
+          isExisting
+        });
+      }
 
-          // Real-time toast for buyer (order confirmed)
-          socketService.sendNotificationToUser(metadata.buyerId, {
-            title: "Order Confirmed",
-            body: `Your order "${gig.title}" has been confirmed and is being processed`,
-            type: "order",
-            data: { action: "open_order", orderId: newOrder._id }
-          });
-        } catch (notifyError) {
-          console.log("Order notification dispatch failed:", notifyError?.message || notifyError);
-        }
-      } catch (saveError) {
-        // Handle duplicate key error gracefully
-        if (saveError.code === 11000 && saveError.keyPattern?.reference) {
-          console.log("🔄 Duplicate order detected during save, fetching existing order");
-          const existingOrder = await Order.findOne({ reference: reference });
-          return res.json({ 
-            status: "success",
-            message: "Payment already verified and order exists.",
-            orderId: existingOrder._id,
-            autoReleaseDate: existingOrder.autoReleaseDate,
-            isExisting: true
-          });
-        }
-        throw saveError; // Re-throw other errors
+      if (isExisting) {
+        return res.json({ 
+          status: "success",
+          message: "Payment already verified and order exists.",
+          orderId: order._id,
+          autoReleaseDate: order.autoReleaseDate,
+          isExisting: true
+        });
       }
 
       res.json({ 
         status: "success",
         message: "Payment successful! Order created and funds held securely in escrow. Funds will be released when work is delivered and approved.",
-        orderId: newOrder._id,
-        autoReleaseDate: autoReleaseDate
+        orderId: order._id,
+        autoReleaseDate: order.autoReleaseDate
       });
     } else {
       res.json({ 
@@ -348,6 +323,12 @@ export const verifyPayment = async (req, res) => {
     }
   } catch (error) {
     console.error("Payment verification error:", error);
+    if (error.status === 404) {
+      return res.status(404).json({ 
+        status: "error", 
+        message: error.message 
+      });
+    }
     res.status(500).json({ 
       status: "error", 
       message: "Payment verification failed" 
@@ -448,6 +429,10 @@ export const submitWork = async (req, res, next) => {
       return next(createError(403, "You are not authorized to submit work for this order"));
     }
 
+    if (orderRequirementsService.isAwaitingRequirements(order)) {
+      return next(createError(400, "The client has not submitted the order requirements yet"));
+    }
+
     // Verify order is paid and in progress OR is work_submitted with no deliverables (recovery case)
     const canSubmit = order.escrowStatus === "funded" || 
                      (order.escrowStatus === "work_submitted" && (!order.deliverables || order.deliverables.length === 0));
@@ -462,7 +447,8 @@ export const submitWork = async (req, res, next) => {
       escrowStatus: "work_submitted",
       status: "completed", // Work submitted, awaiting review
       workSubmittedAt: now,
-      freelancerNotes: description
+      freelancerNotes: description,
+      reviewReminderSentAt: null // New review window, so the buyer gets a fresh reminder
     };
 
     // VALIDATE: Ensure deliverables are provided (prevent empty work submission)
@@ -490,6 +476,7 @@ export const submitWork = async (req, res, next) => {
         description: url.description,
         submittedAt: new Date(),
         revisionNumber: nextRevisionNumber, // Same revision number for all files in this submission
+        revisionRound: revisionService.used(order), // 0 = original delivery, n = after the nth revision request
         
         // PREVIEW PROTECTION SETTINGS
         isPreview: true,
@@ -534,6 +521,24 @@ export const submitWork = async (req, res, next) => {
   }
 };
 
+// Buyer answers the gig's requirements questionnaire; this starts the delivery clock
+export const submitRequirements = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const updatedOrder = await orderRequirementsService.submitRequirements(order, req.userId, req.body.answers, req.files || []);
+
+    res.status(200).json({
+      message: "Requirements submitted. The seller has been notified and can start work.",
+      order: updatedOrder,
+      expectedDeliveryDate: updatedOrder.expectedDeliveryDate
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // 2. Client approves work and releases payment (CRITICAL FRAUD PREVENTION)
 export const approveWork = async (req, res, next) => {
   try {
@@ -581,6 +586,8 @@ export const approveWork = async (req, res, next) => {
 
     const updatedOrder = await Order.findByIdAndUpdate(orderId, { $set: releaseData }, { new: true });
 
+    await ledgerService.tryPost('escrow release', 'recordEscrowRelease', updatedOrder);
+
     // Update freelancer stats
     await User.findByIdAndUpdate(order.sellerId, {
       $inc: { 
@@ -653,26 +660,134 @@ export const requestRevision = async (req, res, next) => {
       return next(createError(400, "No work has been submitted yet"));
     }
 
+    // Enforce the revision allowance purchased with the order
+    if (!revisionService.hasRevisionLeft(order)) {
+      return res.status(400).json(revisionService.limitReachedResponse(order));
+    }
+
     // Add revision request
     const revisionRequest = {
       reason,
       details,
+      round: revisionService.used(order) + 1,
       requestedAt: new Date(),
       requestedBy: req.userId
     };
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId, 
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: orderId, escrowStatus: "work_submitted", ...revisionService.availabilityFilter(order) },
       {
         $push: { revisionRequests: revisionRequest },
+        ...revisionService.useRevision(),
         escrowStatus: "funded", // Back to funded status for revision
         status: "in progress"
       },
       { new: true }
     );
+    if (!updatedOrder) {
+      // A concurrent request used the last revision or the work changed state
+      const current = await Order.findById(orderId);
+      if (!revisionService.hasRevisionLeft(current)) {
+        return res.status(400).json(revisionService.limitReachedResponse(current));
+      }
+      return next(createError(409, "The order changed while requesting the revision. Please refresh and try again."));
+    }
 
     res.status(200).json({
       message: "Revision requested. The freelancer will be notified to make changes.",
+      order: updatedOrder,
+      revisionsRemaining: revisionService.remaining(updatedOrder)
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Either party proposes cancelling the order; the other side has until respondBy to answer
+export const requestCancellation = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason, details, refundAmount } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const updatedOrder = await orderCancellationService.requestCancellation(order, req.userId, { reason, details, refundAmount });
+    const request = orderCancellationService.pendingRequest(updatedOrder);
+
+    res.status(200).json({
+      message: "Cancellation requested. The other party has been asked to accept or decline.",
+      cancellationRequest: request,
+      order: updatedOrder
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+// The counterparty accepts (refunding the buyer) or declines a cancellation request
+export const respondToCancellation = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { action, note } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const { order: updatedOrder, refund } = await orderCancellationService.respond(order, req.userId, { action, note });
+
+    res.status(200).json({
+      message: action === "accept"
+        ? "Order cancelled. The refund to the buyer is being processed."
+        : "Cancellation declined. The order continues.",
+      order: updatedOrder,
+      ...(refund && { refund: { id: refund._id, amount: refund.amount, status: refund.status } })
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Seller asks for N more days; nothing moves until the buyer approves
+export const requestExtension = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { days, reason, milestoneIndex } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const updatedOrder = await deliveryExtensionService.requestExtension(order, req.userId, { days, reason, milestoneIndex });
+
+    res.status(200).json({
+      message: "Extension requested. The buyer will be asked to approve it.",
+      extension: deliveryExtensionService.pendingExtension(updatedOrder),
+      order: updatedOrder
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Buyer approves (shifting all delivery deadlines) or rejects an extension request
+export const respondToExtension = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { action, note } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const updatedOrder = await deliveryExtensionService.respond(order, req.userId, { action, note });
+
+    res.status(200).json({
+      message: action === "approve"
+        ? "Extension approved. Delivery deadlines have been updated."
+        : "Extension rejected. The original deadline still applies.",
       order: updatedOrder
     });
 
@@ -700,24 +815,17 @@ export const initiateDispute = async (req, res, next) => {
       return next(createError(400, "A dispute is already active for this order"));
     }
 
-    // Update order with dispute information
-    const disputeData = {
-      disputeStatus: "pending",
-      disputeReason: reason,
-      disputeDetails: details,
-      disputeInitiatedBy: req.userId,
-      disputeInitiatedAt: new Date(),
-      escrowStatus: "disputed",
-      status: "disputed"
-    };
-
-    const updatedOrder = await Order.findByIdAndUpdate(orderId, disputeData, { new: true });
+    // Flags the order as disputed and opens the case file
+    const { order: updatedOrder, dispute } = await disputeService.openCase(order, req.userId, { reason, details });
 
     res.status(200).json({
-      message: "Dispute initiated. Our support team will review within 24-48 hours.",
+      message: "Dispute opened. The other party has been asked for their statement.",
       order: updatedOrder,
-      disputeId: orderId,
-      nextSteps: "Both parties will be contacted for evidence and statements."
+      dispute,
+      disputeId: dispute._id,
+      responseDueAt: dispute.responseDueAt,
+      negotiationEndsAt: dispute.negotiationEndsAt,
+      nextSteps: "Both parties can add statements and evidence, and settle with an offer before the case goes to an admin."
     });
 
   } catch (err) {
@@ -726,55 +834,19 @@ export const initiateDispute = async (req, res, next) => {
 };
 
 // 5. Auto-release payment if client doesn't respond (PREVENTS PAYMENT HOLDING ABUSE)
+// Admin: run the escrow auto-release job now instead of waiting for the scheduler
 export const checkAutoRelease = async (req, res, next) => {
   try {
-    // Find orders where work is submitted but auto-release date has passed
-    const ordersForAutoRelease = await Order.find({
-      escrowStatus: "work_submitted",
-      autoReleaseDate: { $lte: new Date() },
-      disputeStatus: "none"
-    });
-
-    let releasedCount = 0;
-
-    for (const order of ordersForAutoRelease) {
-      // Harden: if the order has milestones, do not auto-release early unless past the extended window
-      if (order.milestones && order.milestones.length > 0) {
-        // Compute latest milestone due date
-        const latestDue = order.milestones.reduce((max, m) => (m.dueDate && m.dueDate > max ? m.dueDate : max), new Date(0));
-        let holdDays = 3;
-        try {
-          const settings = await PlatformSettings.findOne().lean();
-          holdDays = settings?.disputes?.escrowHoldDays ?? 3;
-        } catch (e) {}
-        const extendedCutoff = latestDue && latestDue.getTime() > 0
-          ? new Date(new Date(latestDue).getTime() + holdDays * 24 * 60 * 60 * 1000)
-          : null;
-
-        if (extendedCutoff && new Date() < extendedCutoff) {
-          // Skip auto-release for this order until after the milestone window passes
-          continue;
-        }
-      }
-      await Order.findByIdAndUpdate(order._id, {
-        escrowStatus: "released",
-        status: "completed",
-        isCompleted: true,
-        releasedAt: new Date(),
-        adminNotes: "Auto-released due to client non-response within deadline"
-      });
-
-      // Update freelancer stats
-      await User.findByIdAndUpdate(order.sellerId, {
-        $inc: { totalOrders: 1 }
-      });
-
-      releasedCount++;
+    const run = await jobSchedulerService.runNow('escrow-auto-release', { triggeredBy: req.userId });
+    if (run.status === 'failed') {
+      return next(createError(500, `Auto-release check failed: ${run.error}`));
     }
 
+    const releasedCount = run.result?.released || 0;
     res.status(200).json({
       message: `Auto-release check completed. ${releasedCount} payments released.`,
-      releasedOrders: releasedCount
+      releasedOrders: releasedCount,
+      runId: run._id
     });
 
   } catch (err) {
@@ -845,6 +917,7 @@ export const getOrderDetails = async (req, res, next) => {
 
     const orderDetails = {
       ...order.toObject(),
+      requirements: orderRequirementsService.requirementsView(order),
       buyerInfo: buyer,
       sellerInfo: seller,
       canSubmitWork: order.sellerId === req.userId && order.escrowStatus === "funded" && !(order.milestones && order.milestones.length > 0),
@@ -986,6 +1059,19 @@ export const submitMilestoneWork = async (req, res, next) => {
       return next(createError(400, "This milestone is not available for submission"));
     }
 
+    if (order.status === "cancelled") {
+      return next(createError(400, "This project has been stopped"));
+    }
+
+    if (orderRequirementsService.isAwaitingRequirements(order)) {
+      return next(createError(400, "The client has not submitted the order requirements yet"));
+    }
+
+    // Per-milestone orders: work unlocks once the client has paid for the milestone
+    if (!milestoneFundingService.isFunded(order, milestone)) {
+      return next(createError(400, "The client has not funded this milestone yet"));
+    }
+
     // Add deliverables to milestone - WITH PREVIEW PROTECTION
     const deliverables = deliverableUrls ? deliverableUrls.map(url => ({
       fileUrl: url.previewUrl || url.fileUrl, // Show preview version by default
@@ -997,6 +1083,7 @@ export const submitMilestoneWork = async (req, res, next) => {
       finalFileSize: url.originalFileSize || url.fileSize,
       description: url.description,
       submittedAt: new Date(),
+      revisionRound: revisionService.used(order, parseInt(milestoneIndex)),
       // PREVIEW PROTECTION SETTINGS
       isPreview: true,
       accessLevel: 'preview_only', // Client can only access previews until milestone payment approved
@@ -1102,6 +1189,16 @@ export const approveMilestone = async (req, res, next) => {
       ).exec();
     }
 
+    // Pay out this milestone; the final approval also releases anything left in escrow
+    await ledgerService.tryPost('milestone release', 'recordEscrowRelease', updatedOrder, {
+      amount: milestone.amount,
+      milestoneIndex: Number(milestoneIndex),
+      capToHeld: true
+    });
+    if (allMilestonesCompleted) {
+      await ledgerService.tryPost('escrow release', 'recordEscrowRelease', updatedOrder);
+    }
+
     // Update freelancer stats for milestone completion
     await User.findByIdAndUpdate(order.sellerId, {
       $inc: { 
@@ -1110,16 +1207,21 @@ export const approveMilestone = async (req, res, next) => {
     });
 
     const approvedMilestone = updatedOrder.milestones[milestoneIndex];
-    const responseMessage = allMilestonesCompleted 
+    const nextUnfunded = updatedOrder.milestones.findIndex(m => m.fundingStatus === "unfunded");
+    let responseMessage = allMilestonesCompleted 
       ? "Final milestone approved! Project completed and full payment released."
       : `Milestone ${parseInt(milestoneIndex) + 1} approved! Payment of ₦${approvedMilestone.amount} released.`;
+    if (!allMilestonesCompleted && milestoneFundingService.isPerMilestone(updatedOrder) && nextUnfunded !== -1) {
+      responseMessage += ` Fund milestone ${nextUnfunded + 1} to continue the project.`;
+    }
 
     res.status(200).json({
       message: responseMessage,
       order: updatedOrder,
       milestone: approvedMilestone,
       projectCompleted: allMilestonesCompleted,
-      remainingMilestones: updatedOrder.milestones.filter(m => m.status === "pending" || m.status === "in_progress").length
+      remainingMilestones: updatedOrder.milestones.filter(m => m.status === "pending" || m.status === "in_progress").length,
+      nextMilestoneToFund: nextUnfunded === -1 ? null : nextUnfunded
     });
 
   } catch (err) {
@@ -1151,36 +1253,153 @@ export const requestMilestoneRevision = async (req, res, next) => {
       return next(createError(400, "No work has been submitted for this milestone"));
     }
 
+    // Each milestone gets the order's revision allowance
+    const index = parseInt(milestoneIndex);
+    if (!revisionService.hasRevisionLeft(order, index)) {
+      return res.status(400).json(revisionService.limitReachedResponse(order, index));
+    }
+
     // Use $set to properly update the specific milestone status (same fix as approveMilestone)
     const milestoneUpdateQuery = {};
     milestoneUpdateQuery[`milestones.${milestoneIndex}.status`] = "in_progress";
 
     // Add revision request to main order  
     const revisionRequest = {
-      reason: `Milestone ${parseInt(milestoneIndex) + 1}: ${reason}`,
+      reason: `Milestone ${index + 1}: ${reason}`,
       details,
+      milestoneIndex: index,
+      round: revisionService.used(order, index) + 1,
       requestedAt: new Date(),
       requestedBy: req.userId
     };
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
+    const updatedOrder = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        [`milestones.${milestoneIndex}.status`]: "submitted",
+        ...revisionService.availabilityFilter(order, index)
+      },
       {
         $set: milestoneUpdateQuery,
-        $push: { revisionRequests: revisionRequest }
+        $push: { revisionRequests: revisionRequest },
+        ...revisionService.useRevision(index)
       },
       { new: true, runValidators: true }
     ).exec();
+    if (!updatedOrder) {
+      const current = await Order.findById(orderId);
+      if (!revisionService.hasRevisionLeft(current, index)) {
+        return res.status(400).json(revisionService.limitReachedResponse(current, index));
+      }
+      return next(createError(409, "The milestone changed while requesting the revision. Please refresh and try again."));
+    }
 
     const revisedMilestone = updatedOrder.milestones[milestoneIndex];
 
     res.status(200).json({
-      message: `Revision requested for milestone ${parseInt(milestoneIndex) + 1}. Freelancer will be notified.`,
+      message: `Revision requested for milestone ${index + 1}. Freelancer will be notified.`,
       order: updatedOrder,
-      milestone: revisedMilestone
+      milestone: revisedMilestone,
+      revisionsRemaining: revisionService.remaining(updatedOrder, index)
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+// 11. Pay for the next milestone of a per-milestone order (Client)
+export const fundMilestone = async (req, res, next) => {
+  try {
+    const { orderId, milestoneIndex } = req.params;
+
+    const order = await Order.findById(orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const index = Number(milestoneIndex);
+    const { session, fees, isExisting } = await milestoneFundingService.initializeFunding(order, index, req.userId, {
+      email: req.body.email
+    });
+
+    res.status(200).json({
+      status: true,
+      message: isExisting ? "Continue your open milestone payment" : "Authorization URL created",
+      data: {
+        authorization_url: session.authorizationUrl,
+        access_code: session.accessCode,
+        reference: session.reference
+      },
+      provider: session.provider,
+      milestone: {
+        index,
+        title: order.milestones[index].title,
+        amount: session.amount,
+        total: session.total,
+        expiresAt: session.expiresAt
+      },
+      fees
     });
 
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+// Tip or bonus on a completed order; the seller is credited once the payment is confirmed
+export const tipOrder = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const { amount, message, email } = req.body;
+    const { session, fees, isExisting } = await tipService.startCheckout(order, req.userId, { amount, message, email });
+
+    res.status(200).json({
+      status: true,
+      message: isExisting ? "Continue your open tip payment" : "Authorization URL created",
+      data: {
+        authorization_url: session.authorizationUrl,
+        access_code: session.accessCode,
+        reference: session.reference
+      },
+      provider: session.provider,
+      tip: {
+        amount: session.amount,
+        total: session.total,
+        expiresAt: session.expiresAt
+      },
+      fees
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 12. Stop a per-milestone project early and refund unreleased milestones (Client or Freelancer)
+export const stopMilestoneProject = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) return next(createError(404, "Order not found"));
+
+    const { order: updatedOrder, refunds, amount } = await milestoneFundingService.stopProject(order, req.userId, { reason });
+
+    res.status(200).json({
+      message: amount > 0
+        ? `Project stopped. ₦${amount.toLocaleString()} for unreleased milestones is being refunded to the client.`
+        : "Project stopped. No milestone payments were left to refund.",
+      order: updatedOrder,
+      refunds: refunds.map(refund => ({
+        id: refund._id,
+        milestoneIndex: refund.milestoneIndex,
+        amount: refund.amount,
+        status: refund.status
+      }))
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,126 @@
+import Withdrawal from "../models/withdrawal.model.js";
+import paymentProviderService from "../services/paymentProviderService.js";
+import orderFulfillmentService from "../services/orderFulfillmentService.js";
+import ledgerService from "../services/ledgerService.js";
+import payoutService from "../services/payoutService.js";
+import refundService from "../services/refundService.js";
+import paymentEventService from "../services/paymentEventService.js";
+
+// Withdrawal statuses a transfer event may move away from. Anything else is
+// final, so a late "transfer.failed" can never undo a recorded success.
+const TRANSFER_TRANSITIONS = {
+  'transfer.success': { from: ['pending', 'processing'], to: 'completed' },
+  'transfer.failed': { from: ['pending', 'processing'], to: 'failed' },
+  'transfer.reversed': { from: ['pending', 'processing', 'completed'], to: 'failed' }
+};
+
+// ===========================================
+// EVENT HANDLERS
+// Events arrive normalized by the provider adapter (parseWebhookEvent).
+// Each returns { status, result } where status is processed | deferred | ignored
+// ===========================================
+
+const handleChargeSuccess = async (provider, data) => {
+  const transaction = await provider.resolveWebhookCharge(data);
+  if (!transaction || transaction.status !== 'success') {
+    return { status: 'ignored', result: { reason: `charge status is ${transaction?.status || 'unknown'}` } };
+  }
+  // Payment links and other integrations on the same account are not ours to fulfil
+  if (!transaction.metadata?.type && !transaction.metadata?.gigId) {
+    return { status: 'ignored', result: { reason: 'charge has no platform metadata' } };
+  }
+  const { order, isExisting } = await orderFulfillmentService.fulfillTransaction(transaction, { source: 'webhook' });
+  return { status: 'processed', result: { orderId: order._id, isExisting } };
+};
+
+const handleTransferEvent = async (event, data) => {
+  const transition = TRANSFER_TRANSITIONS[event];
+  if (!transition) {
+    return { status: 'ignored', result: { reason: `unhandled transfer event ${event}` } };
+  }
+
+  const withdrawal = await Withdrawal.findOne({
+    $or: [{ transferReference: data.reference }, { transactionReference: data.reference }]
+  });
+  if (!withdrawal) {
+    return { status: 'ignored', result: { reason: 'no withdrawal for reference' } };
+  }
+
+  const updates = {
+    paymentGatewayResponse: { event, ...data }
+  };
+  const applied = transition.from.includes(withdrawal.status);
+  if (applied) {
+    updates.status = transition.to;
+    updates.processedAt = new Date();
+    if (transition.to === 'failed') {
+      updates.failureReason = data.reason || `${withdrawal.provider || 'paystack'} ${event}`;
+    }
+  }
+
+  const updated = await Withdrawal.findByIdAndUpdate(withdrawal._id, { $set: updates }, { new: true });
+
+  // Ledger postings are keyed, so a redelivery after a failed attempt completes them safely
+  await ledgerService.syncWithdrawal(updated);
+  if (applied) {
+    await payoutService.notifyPayoutOutcome(updated);
+  }
+
+  return {
+    status: 'processed',
+    result: { withdrawalId: withdrawal._id, applied, previousStatus: withdrawal.status }
+  };
+};
+
+const dispatchEvent = async (provider, event, data) => {
+  if (event === 'charge.success') return handleChargeSuccess(provider, data);
+  if (event.startsWith('refund.')) return refundService.handleGatewayEvent(event, data);
+  if (event.startsWith('transfer.')) return handleTransferEvent(event, data);
+  return { status: 'ignored', result: { reason: `unhandled event ${event}` } };
+};
+
+// ===========================================
+// WEBHOOK ENDPOINTS
+// ===========================================
+
+const createWebhookHandler = (providerName) => async (req, res, next) => {
+  try {
+    const provider = paymentProviderService.get(providerName);
+    if (!provider.verifyWebhook(req)) {
+      return res.status(401).json({ message: "Invalid signature" });
+    }
+
+    const parsed = provider.parseWebhookEvent(req.body || {});
+    if (!parsed) {
+      return res.status(400).json({ message: "Malformed event" });
+    }
+    const { event, eventKey, reference, data } = parsed;
+
+    // Store first, process second. A redelivery is only processed again when
+    // the previous attempt failed or was abandoned mid-way.
+    const paymentEvent = await paymentEventService.claim({
+      provider: providerName,
+      eventKey,
+      event,
+      reference,
+      payload: data
+    });
+    if (!paymentEvent) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    // Deferred refunds for this reference are replayed by the fulfillment itself
+    const status = await paymentEventService.process(paymentEvent, () => dispatchEvent(provider, event, data));
+
+    // A non-2xx response makes the provider redeliver, which retries the stored event
+    if (status === 'failed') {
+      return res.status(500).json({ received: true, status });
+    }
+    res.status(200).json({ received: true, status });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const paystackWebhook = createWebhookHandler('paystack');
+export const flutterwaveWebhook = createWebhookHandler('flutterwave');
@@ -116,6 +116,11 @@ export const updateProfile = async (req, res, next) => {
       { new: true, runValidators: true }
     ).select("-password");
 
+    // Gigs carry a copy of the seller's skills for search
+    if (skills !== undefined) {
+      await Gig.updateMany({ userId }, { $set: { sellerSkills: updatedUser.skills || [] } });
+    }
+
     res.status(200).json(updatedUser);
   } catch (err) {
     next(err);
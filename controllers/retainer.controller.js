@@ -0,0 +1,106 @@
+import createError from "../utils/createError.js";
+import Retainer from "../models/retainer.model.js";
+import retainerService from "../services/retainerService.js";
+
+// Shape a checkout the same way order intents do, so the frontend can redirect either
+const checkoutResponse = ({ session, fees, isExisting }) => ({
+  status: true,
+  message: isExisting ? "Continue your open checkout" : "Authorization URL created",
+  data: {
+    authorization_url: session.authorizationUrl,
+    access_code: session.accessCode,
+    reference: session.reference
+  },
+  provider: session.provider,
+  orderInfo: {
+    amount: session.amount,
+    total: session.total,
+    reference: session.reference,
+    expiresAt: session.expiresAt
+  },
+  fees
+});
+
+const loadRetainer = async (retainerId) => {
+  const retainer = await Retainer.findById(retainerId);
+  if (!retainer) throw createError(404, "Retainer not found");
+  return retainer;
+};
+
+// Buyer starts a monthly retainer on a gig; returns the checkout for the first month
+export const subscribe = async (req, res, next) => {
+  try {
+    const { retainer, ...checkout } = await retainerService.subscribe(req.params.gigId, req.userId, { email: req.body.email });
+    res.status(200).json({ ...checkoutResponse(checkout), retainer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getMyRetainers = async (req, res, next) => {
+  try {
+    const retainers = await retainerService.getUserRetainers(req.userId, { status: req.query.status });
+    res.status(200).json({ retainers });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Retainer with the order created for each month
+export const getRetainer = async (req, res, next) => {
+  try {
+    const { retainer, cycles } = await retainerService.getRetainerWithCycles(req.params.retainerId, req.userId);
+    res.status(200).json({ retainer, cycles });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Pay the first or a past-due month through checkout (also replaces the saved card)
+export const payRetainer = async (req, res, next) => {
+  try {
+    const retainer = await loadRetainer(req.params.retainerId);
+    const checkout = await retainerService.startCheckout(retainer, req.userId, { email: req.body.email });
+    res.status(200).json(checkoutResponse(checkout));
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const pauseRetainer = async (req, res, next) => {
+  try {
+    const retainer = await loadRetainer(req.params.retainerId);
+    const updated = await retainerService.pause(retainer, req.userId, { reason: req.body.reason });
+    res.status(200).json({ message: "Retainer paused. The current month continues until it ends.", retainer: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const resumeRetainer = async (req, res, next) => {
+  try {
+    const retainer = await loadRetainer(req.params.retainerId);
+    const updated = await retainerService.resume(retainer, req.userId);
+    res.status(200).json({ message: "Retainer resumed", retainer: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Cancel at the end of the paid month, or immediately with a prorated refund
+export const cancelRetainer = async (req, res, next) => {
+  try {
+    const retainer = await loadRetainer(req.params.retainerId);
+    const { reason, immediate } = req.body;
+    const result = await retainerService.cancel(retainer, req.userId, { reason, immediate: Boolean(immediate) });
+    res.status(200).json({
+      message: result.retainer.status === "cancelled"
+        ? "Retainer cancelled"
+        : "Retainer will end at the close of the current month",
+      retainer: result.retainer,
+      refundAmount: result.refundAmount
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,12 @@
+import searchSuggestService from "../services/searchSuggestService.js";
+
+// Search box autocomplete: gig titles, categories, subcategories, sellers and
+// popular searches matching what has been typed so far
+export const getSuggestions = async (req, res, next) => {
+    try {
+        const result = await searchSuggestService.suggest(req.query.q, req.query.limit);
+        res.status(200).json(result);
+    } catch (err) {
+        next(err);
+    }
+};
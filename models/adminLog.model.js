@@ -23,7 +23,7 @@ const AdminLogSchema = new Schema({
       'verification_approved', 'verification_rejected',
       'trust_score_adjusted', 'user_flagged', 'user_unflagged',
       'admin_created', 'admin_removed',
-      'system_settings_changed', 'bulk_action_performed',
+      'system_settings_changed', 'system_job_triggered', 'bulk_action_performed',
       'login', 'logout', 'failed_login_attempt', 'gig_updated', 'order_updated'
     ]
   },
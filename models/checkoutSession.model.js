@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A checkout that was initialized with a payment provider. Orders are only
+// created once payment succeeds, so this is the record of everything before
+// that: unpaid checkouts can be resumed, stale ones are swept to "expired",
+// and paid / total sessions give checkout conversion.
+const CheckoutSessionSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    enum: ['paystack', 'flutterwave'],
+    default: 'paystack'
+  },
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  gigId: {
+    type: String,
+    required: function() { return !['hourly_invoice', 'tip'].includes(this.purpose) && !this.proposalId; },
+    ref: 'Gig'
+  },
+  gigTitle: String,
+  selectedPackage: String,
+  email: String,
+
+  // Amounts in Naira: the service price and what the buyer is charged
+  amount: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  fees: {
+    type: Schema.Types.Mixed // Fee quote shown at checkout
+  },
+
+  authorizationUrl: String,
+  accessCode: String,
+
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'expired', 'failed'], // failed: the sweeper gave up, for admin review
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  paidAt: Date,
+  expiredAt: Date,
+  orderId: {
+    type: String,
+    ref: 'Order'
+  },
+
+  // Funding for one milestone of an existing per-milestone order, a retainer billing cycle, an hourly invoice or a tip
+  purpose: {
+    type: String,
+    enum: ['order', 'milestone_funding', 'retainer_cycle', 'hourly_invoice', 'tip'],
+    default: 'order'
+  },
+  milestoneIndex: Number,
+  retainerId: {
+    type: String,
+    ref: 'Retainer'
+  },
+  retainerCycle: Number,
+  hourlyInvoiceId: {
+    type: String,
+    ref: 'HourlyInvoice'
+  },
+  proposalId: {
+    type: String,
+    ref: 'Proposal' // Hiring from a job posting
+  },
+
+  // Gateway re-verification by the sweeper / resume endpoint
+  lastVerifiedAt: Date,
+  verifyAttempts: {
+    type: Number,
+    default: 0
+  },
+  gatewayStatus: String,
+  resumeCount: {
+    type: Number,
+    default: 0
+  },
+  sweepFailures: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+CheckoutSessionSchema.index({ status: 1, expiresAt: 1 });
+CheckoutSessionSchema.index({ buyerId: 1, status: 1, createdAt: -1 });
+CheckoutSessionSchema.index({ createdAt: -1 });
+
+export default mongoose.model("CheckoutSession", CheckoutSessionSchema);
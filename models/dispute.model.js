@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A statement in the case thread. Replies point at the statement they answer;
+// admin notes marked internal are hidden from the buyer and seller.
+const StatementSchema = new Schema({
+  authorId: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin'],
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  parentId: Schema.Types.ObjectId, // Statement this replies to
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A proposed split of the money still in escrow. Countering an offer closes
+// it and opens a new one from the other side.
+const OfferSchema = new Schema({
+  proposedBy: {
+    type: String,
+    required: true
+  },
+  proposedByRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  refundPercent: {
+    type: Number, // Share of the escrow refunded to the buyer; the rest is released to the seller
+    required: true,
+    min: 0,
+    max: 100
+  },
+  refundAmount: Number,
+  releaseAmount: Number,
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  counterTo: Schema.Types.ObjectId, // Offer this one answers
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'],
+    default: 'pending'
+  },
+  respondedAt: Date,
+  responseNote: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Evidence is append-only: files go to the private upload folder and are
+// stored with their SHA-256 so later tampering can be detected.
+const EvidenceFileSchema = new Schema({
+  fileName: { type: String, immutable: true },
+  fileType: { type: String, immutable: true },
+  fileSize: { type: Number, immutable: true },
+  publicId: { type: String, immutable: true }, // Private Cloudinary asset; served through signed URLs
+  resourceType: { type: String, immutable: true },
+  sha256: { type: String, immutable: true }
+}, { _id: false });
+
+const EvidenceSchema = new Schema({
+  submittedBy: { type: String, required: true, immutable: true },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin'],
+    required: true,
+    immutable: true
+  },
+  evidenceType: {
+    type: String,
+    enum: ["screenshot", "document", "communication", "video", "other"],
+    required: true,
+    immutable: true
+  },
+  description: { type: String, maxlength: 2000, immutable: true },
+  files: { type: [EvidenceFileSchema], immutable: true },
+  uploader: {
+    ipAddress: { type: String, immutable: true },
+    userAgent: { type: String, immutable: true }
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+const TimelineEventSchema = new Schema({
+  event: {
+    type: String,
+    enum: [
+      'opened',
+      'statement',
+      'evidence_added',
+      'offer_made',
+      'offer_declined',
+      'offer_accepted',
+      'response_requested',
+      'responded',
+      'assigned',
+      'review_started',
+      'escalated',
+      'resolved'
+    ],
+    required: true
+  },
+  actorId: String, // userId, or 'system'
+  actorRole: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', 'system']
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Case file for a disputed order. The Order keeps its flat dispute fields
+// (disputeStatus and friends) in step so existing order flows keep working.
+const DisputeSchema = new Schema({
+  orderId: {
+    type: String,
+    required: true,
+    ref: 'Order',
+    unique: true
+  },
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  openedBy: {
+    type: String,
+    required: true
+  },
+  openedByRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  details: String,
+
+  status: {
+    type: String,
+    // open: the parties are negotiating (and the respondent owes a statement)
+    // awaiting_review: negotiation ended without a settlement, waiting on an admin
+    // under_review: an admin is working the case
+    // escalated: a deadline was missed
+    enum: ['open', 'awaiting_review', 'under_review', 'escalated', 'resolved'],
+    default: 'open',
+    index: true
+  },
+
+  // Whose move it is and by when
+  awaitingResponseFrom: {
+    type: String,
+    enum: ['buyer', 'seller', null],
+    default: null
+  },
+  responseDueAt: Date,
+  negotiationEndsAt: Date, // Admins only step in after this
+  reviewDueAt: Date,
+
+  assignedTo: {
+    type: String, // admin userId
+    ref: 'User',
+    index: true
+  },
+  assignedAt: Date,
+  assignedBy: String,
+
+  escalatedAt: Date,
+  escalationReason: {
+    type: String,
+    enum: ['no_response', 'negotiation_timeout', 'review_overdue', null],
+    default: null
+  },
+
+  statements: [StatementSchema],
+  offers: [OfferSchema],
+  evidence: [EvidenceSchema],
+
+  // Conversation and delivery history as they stood when the dispute opened.
+  // content is hashed (sha256) so the record can be checked for changes.
+  snapshot: {
+    takenAt: { type: Date, immutable: true },
+    sha256: { type: String, immutable: true },
+    content: { type: Schema.Types.Mixed, immutable: true }
+  },
+  timeline: [TimelineEventSchema],
+
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['refund', 'partial_refund', 'release']
+    },
+    refundAmount: Number,
+    summary: String,
+    settledByOfferId: Schema.Types.ObjectId, // Set when the parties agreed on an offer
+    resolvedBy: String,
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+DisputeSchema.index({ status: 1, responseDueAt: 1 });
+DisputeSchema.index({ status: 1, reviewDueAt: 1 });
+DisputeSchema.index({ status: 1, negotiationEndsAt: 1 });
+
+export default mongoose.model("Dispute", DisputeSchema);
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// An issued invoice, withdrawal receipt or monthly earnings statement. The
+// figures are snapshotted when the number is assigned, so a document renders
+// the same every time it is downloaded, even if settings or records change.
+const FinancialDocumentSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'receipt', 'statement'],
+    required: true
+  },
+  number: {
+    type: String, // e.g. INV-2026-000042, sequential per type and year
+    required: true,
+    unique: true
+  },
+  recipientId: {
+    type: String, // User the document is addressed to
+    required: true,
+    ref: 'User',
+    index: true
+  },
+
+  // What the document covers (one of)
+  orderId: {
+    type: String,
+    ref: 'Order',
+    index: true
+  },
+  paymentReference: String, // Invoices: one per captured payment
+  withdrawalId: {
+    type: String,
+    ref: 'Withdrawal'
+  },
+  sellerId: {
+    type: String,
+    ref: 'User'
+  },
+  period: String, // Statements: YYYY-MM
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  total: Number,
+  data: {
+    type: Schema.Types.Mixed, // Issuer, parties, lines, totals and VAT at issue time
+    required: true
+  },
+
+  // EMAIL DELIVERY
+  delivery: {
+    status: {
+      type: String,
+      enum: ['not_requested', 'pending', 'sent', 'failed'],
+      default: 'not_requested'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: Date,
+    lastError: String
+  }
+}, {
+  timestamps: true
+});
+
+FinancialDocumentSchema.index({ paymentReference: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+FinancialDocumentSchema.index({ withdrawalId: 1 }, { unique: true, partialFilterExpression: { type: 'receipt' } });
+FinancialDocumentSchema.index({ sellerId: 1, period: 1 }, { unique: true, partialFilterExpression: { type: 'statement' } });
+FinancialDocumentSchema.index({ 'delivery.status': 1, createdAt: -1 });
+
+export default mongoose.model("FinancialDocument", FinancialDocumentSchema);
@@ -65,6 +65,10 @@ const GigSchema = new Schema({
         type: [String],
         required: false
     },
+    sellerSkills:{
+        type: [String], // Copy of the seller's profile skills, kept for search
+        default: []
+    },
     sales:{
         type: Number,
         default: 0,
@@ -114,6 +118,77 @@ const GigSchema = new Schema({
         }
     },
     
+    // Optional extras buyers can add at checkout (not available with milestones)
+    addOns: [{
+        title: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        description: String,
+        price: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        extraDays: {
+            type: Number, // Added to delivery time per unit; negative for faster delivery
+            default: 0
+        },
+        extraRevisions: {
+            type: Number, // Revisions added per unit (sells extra revisions)
+            default: 0,
+            min: 0,
+            max: 10
+        },
+        maxQuantity: {
+            type: Number,
+            default: 1,
+            min: 1,
+            max: 10
+        },
+        enabled: {
+            type: Boolean,
+            default: true
+        }
+    }],
+
+    // Monthly retainer the seller offers alongside one-off orders
+    retainer: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        monthlyPrice: {
+            type: Number,
+            min: 1
+        },
+        scope: String // What a month of work includes
+    },
+
+    // Questions the buyer answers after purchase; delivery starts once they are submitted
+    requirements: [{
+        question: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: ['text', 'multiple_choice', 'file'],
+            default: 'text'
+        },
+        options: [String], // multiple_choice only
+        allowMultiple: {
+            type: Boolean,
+            default: false
+        },
+        required: {
+            type: Boolean,
+            default: true
+        }
+    }],
+
     // Milestone System
     hasMilestones: {
         type: Boolean,
@@ -151,6 +226,10 @@ const GigSchema = new Schema({
         type: Boolean,
         default: false
     },
+    rankScore: {
+        type: Number, // Browse ranking from rating, sales and seller trust, refreshed by a scheduled job
+        default: 0
+    },
     adminNotes: {
         type: String,
         required: false
@@ -200,4 +279,16 @@ const GigSchema = new Schema({
     timestamps:true
 });
 
+// Full-text search (see gigSearchService). MongoDB allows one text index per collection.
+GigSchema.index(
+    { title: 'text', shortTitle: 'text', features: 'text', sellerSkills: 'text', desc: 'text' },
+    {
+        name: 'gig_search',
+        weights: { title: 10, shortTitle: 8, features: 4, sellerSkills: 3, desc: 1 },
+        default_language: 'english'
+    }
+);
+GigSchema.index({ status: 1, cat: 1, subcategory: 1, price: 1 });
+GigSchema.index({ status: 1, rankScore: -1 });
+
 export default mongoose.model("Gig", GigSchema)
\ No newline at end of file
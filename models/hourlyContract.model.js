@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// An hourly engagement: the freelancer logs time against it, the buyer
+// reviews each week's entries, and approved hours are charged to the buyer's
+// card and released to the freelancer (see HourlyInvoice).
+const HourlyContractSchema = new Schema({
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: String,
+  hourlyRate: {
+    type: Number, // Naira per hour
+    required: true,
+    min: 1
+  },
+  weeklyCapHours: {
+    type: Number, // Most hours the freelancer can bill in a week
+    required: true,
+    min: 1,
+    max: 80
+  },
+
+  status: {
+    type: String,
+    // offered: waiting for the freelancer to accept
+    enum: ['offered', 'active', 'paused', 'ended', 'declined'],
+    default: 'offered',
+    index: true
+  },
+  acceptedAt: Date,
+  declinedAt: Date,
+  pausedAt: Date,
+  pausedBy: String, // userId, or 'system' after an invoice could not be charged
+  pauseReason: String,
+  endedAt: Date,
+  endedBy: String,
+  endReason: String,
+
+  // BILLING (Paystack saved authorization, captured by the first invoice paid through checkout)
+  email: String,
+  provider: {
+    type: String,
+    enum: ['paystack'],
+    default: 'paystack'
+  },
+  authorization: {
+    code: String,
+    signature: String,
+    last4: String,
+    cardType: String,
+    bank: String,
+    expMonth: String,
+    expYear: String
+  },
+  lastInvoicedWeekStart: Date, // Most recent week an invoice was opened for
+
+  // Running total for the weekly cap, reserved before an entry is created
+  loggedWeekStart: Date,
+  loggedWeekMinutes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model("HourlyContract", HourlyContractSchema);
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One week of an hourly contract. Opened for review when the week ends,
+// finalized when the buyer approves or the review window closes, then
+// charged for the approved hours.
+const HourlyInvoiceSchema = new Schema({
+  contractId: {
+    type: Schema.Types.ObjectId,
+    ref: 'HourlyContract',
+    required: true
+  },
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+  hourlyRate: {
+    type: Number, // Snapshot of the contract rate
+    required: true
+  },
+
+  status: {
+    type: String,
+    // in_review: buyer can approve or dispute entries; awaiting_payment: being charged;
+    // no_charge: nothing approved; failed: charging gave up and the contract was paused
+    enum: ['in_review', 'awaiting_payment', 'paid', 'no_charge', 'failed'],
+    default: 'in_review',
+    index: true
+  },
+  reviewDeadline: Date, // Pending entries are approved automatically after this
+  finalizedAt: Date,
+
+  loggedMinutes: {
+    type: Number,
+    default: 0
+  },
+  approvedMinutes: {
+    type: Number,
+    default: 0
+  },
+  disputedMinutes: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number, // Naira for the approved hours
+    default: 0
+  },
+
+  // CHARGING
+  nextChargeAt: Date,
+  pendingChargeReference: String,
+  chargeAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastChargeError: String,
+  paidReference: String,
+  paidAt: Date,
+  orderId: {
+    type: String,
+    ref: 'Order' // Escrow order the payment was recorded and released through
+  }
+}, {
+  timestamps: true
+});
+
+HourlyInvoiceSchema.index({ contractId: 1, weekStart: 1 }, { unique: true });
+HourlyInvoiceSchema.index({ status: 1, reviewDeadline: 1 });
+
+export default mongoose.model("HourlyInvoice", HourlyInvoiceSchema);
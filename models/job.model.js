@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A project posted by a buyer for freelancers to bid on. Categories use the
+// same cat/subcategory values as gigs so both can be browsed together.
+const JobSchema = new Schema({
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 120
+  },
+  desc: {
+    type: String,
+    required: true
+  },
+  cat: {
+    type: String,
+    required: true
+  },
+  subcategory: {
+    type: String,
+    required: true
+  },
+  skills: [String],
+
+  // BUDGET (Naira)
+  budgetMin: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  budgetMax: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  deadline: Date, // When the buyer needs the work delivered by
+
+  attachments: [{
+    fileName: String,
+    fileUrl: String,
+    fileType: String,
+    fileSize: Number,
+    publicId: String,
+    resourceType: String
+  }],
+
+  // open: taking proposals; closed: no new proposals, buyer can still hire
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'hired', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+  proposalCount: {
+    type: Number,
+    default: 0
+  },
+  closedAt: Date,
+
+  // HIRE
+  hiredProposalId: {
+    type: String,
+    ref: 'Proposal'
+  },
+  hiredSellerId: {
+    type: String,
+    ref: 'User'
+  },
+  orderId: {
+    type: String,
+    ref: 'Order'
+  },
+  hiredAt: Date
+}, {
+  timestamps: true
+});
+
+JobSchema.index({ status: 1, cat: 1, createdAt: -1 });
+
+export default mongoose.model("Job", JobSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// History of background job executions, shown in the admin system endpoints
+const JobRunSchema = new Schema({
+  jobName: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: String, // Admin user ID for manual runs
+  instanceId: String,
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: {
+    type: Schema.Types.Mixed
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+JobRunSchema.index({ jobName: 1, startedAt: -1 });
+JobRunSchema.index({ status: 1, startedAt: -1 });
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Keep 90 days of history
+
+export default mongoose.model("JobRun", JobRunSchema);
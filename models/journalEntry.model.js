@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const JournalLineSchema = new Schema({
+  accountCode: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  memo: String
+}, { _id: false });
+
+// Immutable, balanced journal entry. The idempotency key guarantees a business
+// event (e.g. "order:<id>:release") is only ever posted once.
+const JournalEntrySchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'escrow_funding',
+      'escrow_release',
+      'milestone_release',
+      'tip',
+      'refund',
+      'refund_payout',
+      'withdrawal_hold',
+      'withdrawal_payout',
+      'withdrawal_release',
+      'withdrawal_reversal'
+    ],
+    required: true,
+    index: true
+  },
+  description: String,
+  lines: {
+    type: [JournalLineSchema],
+    validate: {
+      validator: (lines) => Array.isArray(lines) && lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  amount: {
+    type: Number, // Total debits (= total credits)
+    required: true
+  },
+  // References used for wallet history and reconciliation
+  orderId: {
+    type: String,
+    index: true
+  },
+  milestoneIndex: Number,
+  withdrawalId: {
+    type: String,
+    index: true
+  },
+  refundId: String,
+  buyerId: String,
+  sellerId: String,
+  userIds: {
+    type: [String],
+    index: true
+  },
+  metadata: {
+    type: Schema.Types.Mixed
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+JournalEntrySchema.index({ userIds: 1, postedAt: -1 });
+JournalEntrySchema.index({ 'lines.accountCode': 1 });
+
+export default mongoose.model("JournalEntry", JournalEntrySchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One account per (owner, purpose). Balances are kept on the account's normal
+// side: debit-normal for assets, credit-normal for liabilities and revenue.
+const LedgerAccountSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true // e.g. "platform:escrow", "seller:<userId>:available"
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'revenue'],
+    required: true
+  },
+  ownerType: {
+    type: String,
+    enum: ['platform', 'buyer', 'seller'],
+    required: true
+  },
+  ownerId: {
+    type: String,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: [
+      'gateway',            // Cash held at the payment gateway
+      'revenue',            // Platform fee income
+      'buyer_escrow',       // Buyer funds held for open orders
+      'buyer_refunds',      // Refunds owed back to the buyer's payment method
+      'seller_available',   // Released earnings the seller can withdraw
+      'seller_withdrawal_hold' // Earnings reserved for pending withdrawals
+    ],
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  balance: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+LedgerAccountSchema.index({ ownerId: 1, purpose: 1 });
+
+export default mongoose.model("LedgerAccount", LedgerAccountSchema);
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A ledger posting that failed after the money had already moved. The
+// ledger-retry job replays it (postings are keyed, so replays are safe) until
+// it succeeds or runs out of attempts.
+const LedgerRetrySchema = new Schema({
+  label: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String, // ledgerService method to call
+    required: true
+  },
+  args: {
+    type: Schema.Types.Mixed, // Arguments as they were at the time (documents are stored as plain objects)
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'posted', 'abandoned'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lastError: String,
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  postedAt: Date
+}, {
+  timestamps: true
+});
+
+LedgerRetrySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default mongoose.model("LedgerRetry", LedgerRetrySchema);
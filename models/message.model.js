@@ -16,9 +16,13 @@ const MessageSchema = new Schema({
     },
     messageType:{
         type:String,
-        enum: ['text', 'image', 'file', 'audio', 'video'],
+        enum: ['text', 'image', 'file', 'audio', 'video', 'offer'],
         default: 'text'
     },
+    offerId:{
+        type: String, // messageType 'offer': the custom offer this message presents
+        required: false
+    },
     attachments:[{
         fileName: String,
         fileUrl: String,
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A custom offer (or counter-offer) negotiated inside a conversation. Each
+// counter is a new offer pointing at the one it answers, so the negotiation
+// history is the chain of parentOfferId links.
+const OfferSchema = new Schema({
+  conversationId: {
+    type: String, // Conversation.id
+    required: true,
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  gigId: {
+    type: String, // Seller's gig the offer is based on
+    required: true,
+    ref: 'Gig'
+  },
+
+  // Who made this version of the terms
+  proposedBy: {
+    type: String,
+    enum: ['seller', 'buyer'],
+    required: true
+  },
+  parentOfferId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+
+  // TERMS
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String, // Scope of work
+    required: true
+  },
+  price: {
+    type: Number, // Naira
+    required: true,
+    min: 0
+  },
+  deliveryDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  revisions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  milestones: [{
+    title: String,
+    description: String,
+    amount: Number,
+    deliveryDays: Number // Days after the previous milestone
+  }],
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'countered', 'declined', 'withdrawn', 'expired', 'ordered'],
+    default: 'pending',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  respondedBy: String,
+  declineReason: String,
+
+  // Checkout and the order it produced
+  checkoutReference: String,
+  orderId: {
+    type: String,
+    ref: 'Order'
+  },
+  orderedAt: Date,
+
+  messageId: String // Offer message posted in the conversation
+}, {
+  timestamps: true
+});
+
+OfferSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model("Offer", OfferSchema);
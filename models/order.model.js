@@ -4,7 +4,7 @@ const { Schema } = mongoose;
 const OrderSchema = new Schema({
     gigId:{
         type:String,
-        required:true,
+        required: function() { return !this.hourlyContractId && !this.proposalId; }, // Hourly contracts and hired job proposals are not tied to a gig
         ref: 'Gig',
     },
     img:{
@@ -42,6 +42,99 @@ const OrderSchema = new Schema({
       required:true,
       unique: true,
     },
+    provider: {
+      type: String,
+      enum: ["paystack", "flutterwave"], // Gateway that captured the payment; refunds go back through it
+      default: "paystack",
+    },
+    offerId: {
+      type: String,
+      ref: 'Offer', // Custom offer whose terms this order was created with
+    },
+    jobId: {
+      type: String,
+      ref: 'Job', // Job posting the seller was hired from
+    },
+    proposalId: {
+      type: String,
+      ref: 'Proposal', // Hired proposal whose terms this order was created with
+    },
+    // REVISIONS (no revisionsIncluded = unlimited; milestone orders count rounds per milestone)
+    revisionsIncluded: Number, // Revisions in the purchased package or agreed in a custom offer
+    extraRevisions: {
+      type: Number, // Bought as add-ons at checkout
+      default: 0
+    },
+    revisionsUsed: {
+      type: Number,
+      default: 0
+    },
+    selectedPackage: String,
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Extras bought at checkout, snapshotted so later gig edits don't change the order
+    addOns: [{
+      addOnId: String,
+      title: String,
+      price: Number,     // Unit price
+      quantity: Number,
+      extraDays: Number, // Total days this add-on added to delivery
+      extraRevisions: Number, // Total revisions this add-on added
+      total: Number
+    }],
+    // RETAINER CYCLE (one order per monthly billing period)
+    retainerId: {
+      type: String,
+      ref: 'Retainer',
+      index: true
+    },
+    retainerCycle: Number,
+    billingPeriodStart: Date, // Retainer month or hourly week
+    billingPeriodEnd: Date,
+
+    // HOURLY CONTRACT WEEK (charged for approved hours and released straight away)
+    hourlyContractId: {
+      type: String,
+      ref: 'HourlyContract',
+      index: true
+    },
+    hourlyInvoiceId: {
+      type: String,
+      ref: 'HourlyInvoice'
+    },
+    billedMinutes: Number,
+
+    // POST-PURCHASE REQUIREMENTS (snapshot of the gig questionnaire with the buyer's answers)
+    requirementsStatus: {
+      type: String,
+      enum: ["not_required", "pending", "submitted"],
+      default: "not_required"
+    },
+    requirements: [{
+      questionId: String,
+      question: String,
+      type: {
+        type: String,
+        enum: ["text", "multiple_choice", "file"]
+      },
+      options: [String],
+      allowMultiple: Boolean,
+      required: Boolean,
+      answerText: String,
+      selectedOptions: [String],
+      files: [{
+        fileUrl: String,
+        originalName: String,
+        fileSize: Number,
+        mimeType: String,
+        publicId: String,     // Private upload; served through signed download links
+        resourceType: String
+      }]
+    }],
+    requirementsSubmittedAt: Date,
     paymentStatus: {
       type: String,
       enum: ["paid", "failed"], // Removed "pending" - orders only created after successful payment
@@ -52,6 +145,27 @@ const OrderSchema = new Schema({
       enum: ["pending", "in progress", "completed", "cancelled", "disputed"],
       default: "pending"
     },
+
+
+    // FEE SNAPSHOT (taken at payment time so later settings changes don't affect this order)
+    fees: {
+      subtotal: Number,             // Service price held in escrow
+      paymentProcessingFee: Number, // Buyer-side
+      buyerTotal: Number,           // What the buyer was charged
+      serviceFee: Number,           // Seller-side platform commission
+      serviceFeeRate: Number,       // Percentage applied
+      subscriptionDiscount: {
+        type: Boolean,
+        default: false
+      },
+      sellerNet: Number,
+      platformRevenue: Number,
+      currency: {
+        type: String,
+        default: 'NGN'
+      },
+      calculatedAt: Date
+    },
     
     // ESCROW SYSTEM FIELDS
     escrowStatus: {
@@ -73,6 +187,7 @@ const OrderSchema = new Schema({
       type: Number,
       default: 1
     },
+    revisionRound: Number, // Revision requests made before this delivery (0 = original delivery)
     // PREVIEW PROTECTION SYSTEM
     isPreview: {
       type: Boolean,
@@ -98,6 +213,11 @@ const OrderSchema = new Schema({
     expectedDeliveryDate: Date, // Expected delivery date based on gig settings
     
     // MILESTONE SYSTEM
+    fundingMode: {
+      type: String,
+      enum: ["upfront", "per_milestone"], // per_milestone: each milestone is paid through its own reference before work on it starts
+      default: "upfront"
+    },
     milestones: [{
       title: String,
       description: String,
@@ -115,6 +235,7 @@ const OrderSchema = new Schema({
         fileSize: Number,
         submittedAt: Date,
         description: String,
+        revisionRound: Number, // Revision requests on this milestone before this delivery
         // PREVIEW PROTECTION FOR MILESTONES
         isPreview: {
           type: Boolean,
@@ -138,7 +259,34 @@ const OrderSchema = new Schema({
       submittedAt: Date,
       approvedAt: Date,
       paidAt: Date,
-      clientFeedback: String
+      clientFeedback: String,
+      revisionsUsed: {
+        type: Number,
+        default: 0
+      },
+      lateWarningSentAt: Date, // Seller was warned this milestone is past its due date
+
+      // PER-MILESTONE FUNDING (upfront orders are funded by the order payment)
+      fundingStatus: {
+        type: String,
+        enum: ["unfunded", "funded", "refunded"],
+        default: "funded"
+      },
+      fundingReference: {
+        type: String, // Payment reference that funded this milestone
+        index: true
+      },
+      fundingProvider: {
+        type: String,
+        enum: ["paystack", "flutterwave"]
+      },
+      fundingFees: {
+        paymentProcessingFee: Number,
+        buyerTotal: Number
+      },
+      fundedAt: Date,
+      refundedAt: Date,
+      refundId: String
     }],
     
     // FRAUD PREVENTION
@@ -148,9 +296,67 @@ const OrderSchema = new Schema({
     },
     autoReleaseDate: Date, // Automatic release if no action taken
 
+    // CANCELLATION (mutual: one party proposes, the other accepts or declines)
+    cancellationRequests: [{
+      requestedBy: String,
+      requestedByRole: {
+        type: String,
+        enum: ["buyer", "seller"]
+      },
+      reason: String,
+      details: String,
+      refundAmount: Number, // Proposed refund to the buyer; any remainder is released to the seller
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      },
+      respondBy: Date,
+      status: {
+        type: String,
+        enum: ["pending", "accepted", "declined", "expired"],
+        default: "pending"
+      },
+      respondedAt: Date,
+      responseNote: String
+    }],
+    cancelledAt: Date,
+    cancelledBy: String, // userId, or 'system' for automatic cancellation
+    cancellationReason: String,
+
+    // DELIVERY EXTENSIONS (seller asks for more time, buyer approves or rejects)
+    deliveryExtensions: [{
+      requestedBy: String, // sellerId
+      days: Number,
+      reason: String,
+      fromMilestoneIndex: Number, // Milestone orders: shift this milestone and the unfinished ones after it
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      },
+      respondBy: Date, // Unanswered requests expire and the original deadline stands
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected", "expired"],
+        default: "pending"
+      },
+      respondedAt: Date,
+      responseNote: String,
+      previousExpectedDeliveryDate: Date,
+      newExpectedDeliveryDate: Date,
+      shiftedMilestones: [Number] // Indexes whose dueDate moved
+    }],
+
+    // SCHEDULER REMINDERS (each sent once)
+    lateDeliveryWarningSentAt: Date, // Seller warned the order is past expectedDeliveryDate
+    reviewReminderSentAt: Date,      // Buyer reminded that submitted work is about to auto-release
+    autoCancelledAt: Date,           // Cancelled and refunded for being far past due
+    requirementsReminderSentAt: Date, // Buyer reminded to submit the requirements questionnaire
+
     revisionRequests: [{
       reason: String,
       details: String,
+      round: Number,          // Which revision this was for the order (or milestone)
+      milestoneIndex: Number,
       requestedAt: {
         type: Date,
         default: Date.now
@@ -159,6 +365,10 @@ const OrderSchema = new Schema({
     }],
     
     // DISPUTE SYSTEM
+    disputeId: {
+      type: String, // Case file with statements and deadlines (see Dispute)
+      ref: 'Dispute'
+    },
     disputeReason: String,
     disputeDetails: String,
     disputeInitiatedBy: String,
@@ -171,7 +381,7 @@ const OrderSchema = new Schema({
     disputeResolution: String,
     disputeResolvedAt: Date,
     disputeResolvedBy: String, // admin userId
-    disputeEvidence: [{
+    disputeEvidence: [{ // Older disputes only; evidence now lives on the Dispute case
       submittedBy: String,
       userType: {
         type: String,
@@ -202,6 +412,22 @@ const OrderSchema = new Schema({
     freelancerNotes: String,
     adminNotes: String,
     
+    // TIPS (paid by the buyer after completion, credited straight to the seller)
+    tips: [{
+      amount: Number, // Tip before the buyer's processing fee
+      serviceFee: Number,
+      paymentProcessingFee: Number,
+      sellerNet: Number,
+      message: String,
+      reference: String,
+      provider: String,
+      paidAt: Date
+    }],
+    tipsTotal: {
+      type: Number,
+      default: 0
+    },
+
     // PROTECTION SETTINGS
     protectionLevel: {
       type: String,
@@ -220,4 +446,10 @@ const OrderSchema = new Schema({
     timestamps:true
 });
 
+// A retainer cycle is funded exactly once
+OrderSchema.index(
+    { retainerId: 1, retainerCycle: 1 },
+    { unique: true, partialFilterExpression: { retainerId: { $exists: true } } }
+);
+
 export default mongoose.model("Order", OrderSchema)
\ No newline at end of file
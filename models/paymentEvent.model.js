@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Log of every payment gateway webhook we receive. The unique eventKey makes
+// redelivered events no-ops, and "deferred" events are replayed once the
+// record they depend on (e.g. the order for a refund) exists.
+const PaymentEventSchema = new Schema({
+  provider: {
+    type: String,
+    enum: ['paystack', 'flutterwave'],
+    required: true,
+    default: 'paystack'
+  },
+  eventKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  reference: {
+    type: String,
+    index: true
+  },
+  payload: {
+    type: Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'deferred', 'ignored', 'failed'],
+    default: 'received',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  processingStartedAt: Date, // Lease for the current attempt (see paymentEventService.claim)
+  lastError: String,
+  result: {
+    type: Schema.Types.Mixed
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+PaymentEventSchema.index({ reference: 1, status: 1 });
+PaymentEventSchema.index({ createdAt: -1 });
+
+export default mongoose.model("PaymentEvent", PaymentEventSchema);
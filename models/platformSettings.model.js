@@ -47,6 +47,25 @@ const PlatformSettingsSchema = new Schema({
         type: Number,
         default: 5000 // Maximum ₦5,000 fee
       }
+    },
+    // Tips paid to sellers after an order is completed
+    tips: {
+      waiveServiceFee: {
+        type: Boolean,
+        default: false // Seller keeps the whole tip when true
+      },
+      waiveProcessingFee: {
+        type: Boolean,
+        default: false // Buyer pays no processing fee on tips when true
+      },
+      minimum: {
+        type: Number,
+        default: 100 // Minimum ₦100 tip
+      },
+      maximum: {
+        type: Number,
+        default: 1000000 // Maximum ₦1,000,000 tip
+      }
     }
   },
 
@@ -167,6 +186,30 @@ const PlatformSettingsSchema = new Schema({
     adminReviewTimeoutDays: {
       type: Number,
       default: 7 // Admin must review dispute within 7 days
+    },
+    reviewReminderHours: {
+      type: Number,
+      default: 24 // Remind buyers this long before submitted work auto-releases
+    },
+    requirementsReminderHours: {
+      type: Number,
+      default: 24 // Remind buyers who have not submitted requirements this long after paying
+    },
+    autoCancelOverdueDays: {
+      type: Number,
+      default: 7 // Cancel and refund undelivered orders this many days past due (0 disables)
+    },
+    cancellationResponseHours: {
+      type: Number,
+      default: 48 // Time the other party has to answer a cancellation request
+    },
+    extensionResponseHours: {
+      type: Number,
+      default: 48 // Time the buyer has to answer a delivery extension request
+    },
+    negotiationDays: {
+      type: Number,
+      default: 5 // Parties can trade settlement offers this long before admins step in
     }
   },
 
@@ -342,6 +385,71 @@ const PlatformSettingsSchema = new Schema({
     }
   },
 
+  // Payment Provider Settings
+  payments: {
+    defaultProvider: {
+      type: String,
+      enum: ['paystack', 'flutterwave'],
+      default: 'paystack'
+    },
+    failoverEnabled: {
+      type: Boolean,
+      default: true // Try the other configured provider when checkout initialization fails
+    },
+    checkoutExpiryHours: {
+      type: Number,
+      default: 24, // Unpaid checkouts are re-verified and expired after this long
+      min: 1,
+      max: 168
+    }
+  },
+
+  // Invoices, withdrawal receipts and earnings statements
+  invoicing: {
+    companyName: {
+      type: String,
+      default: 'Nairalancers'
+    },
+    companyAddress: {
+      type: String,
+      default: 'Lagos, Nigeria'
+    },
+    taxId: String, // TIN printed on every document
+    vat: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      rate: {
+        type: Number,
+        default: 7.5, // Nigerian VAT; shown as included in platform fees
+        min: 0,
+        max: 50
+      },
+      registrationNumber: String
+    },
+    invoicePrefix: {
+      type: String,
+      default: 'INV'
+    },
+    receiptPrefix: {
+      type: String,
+      default: 'RCT'
+    },
+    statementPrefix: {
+      type: String,
+      default: 'STM'
+    },
+    footerNote: {
+      type: String,
+      default: 'Thank you for using Nairalancers.'
+    },
+    emailDocuments: {
+      type: Boolean,
+      default: true // Email each document to its recipient when it is issued
+    }
+  },
+
   // Feature Flags
   features: {
     chatSystem: {
@@ -367,6 +475,10 @@ const PlatformSettingsSchema = new Schema({
     affiliateProgram: {
       type: Boolean,
       default: false
+    },
+    automaticPayouts: {
+      type: Boolean,
+      default: true // Send withdrawals through Paystack Transfers when the seller has a verified recipient
     }
   },
 
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A freelancer's bid on a job. Hiring pays for the proposal's terms through
+// the normal checkout, so the order is created in escrow like any other.
+const ProposalSchema = new Schema({
+  jobId: {
+    type: String,
+    required: true,
+    ref: 'Job',
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+
+  // TERMS
+  coverLetter: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number, // Naira
+    required: true,
+    min: 0
+  },
+  deliveryDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  revisions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  milestones: [{
+    title: String,
+    description: String,
+    amount: Number,
+    deliveryDays: Number // Days after the previous milestone
+  }],
+
+  // Set when the content filter censored contact details from the cover letter
+  isFiltered: {
+    type: Boolean,
+    default: false
+  },
+  originalCoverLetter: String,
+  filteringDetails: {
+    violations: [Schema.Types.Mixed],
+    action: String,
+    filteredAt: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['submitted', 'shortlisted', 'hired', 'declined', 'withdrawn'],
+    default: 'submitted',
+    index: true
+  },
+  shortlistedAt: Date,
+  declinedAt: Date,
+  declineReason: String,
+  withdrawnAt: Date,
+
+  // Checkout and the order it produced
+  checkoutReference: String,
+  orderId: {
+    type: String,
+    ref: 'Order'
+  },
+  hiredAt: Date
+}, {
+  timestamps: true
+});
+
+// One proposal per freelancer per job; it can be edited until the buyer decides
+ProposalSchema.index({ jobId: 1, sellerId: 1 }, { unique: true });
+
+export default mongoose.model("Proposal", ProposalSchema);
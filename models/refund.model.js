@@ -33,7 +33,7 @@ const RefundSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'rejected'],
+    enum: ['pending', 'processing', 'completed', 'rejected', 'failed'],
     default: 'pending',
     index: true
   },
@@ -61,13 +61,37 @@ const RefundSchema = new Schema({
     default: 'original_payment'
   },
   transactionId: {
-    type: String
-  }
+    type: String // Gateway refund id
+  },
+  source: {
+    type: String,
+    enum: ['request', 'admin', 'dispute', 'cancellation', 'system'],
+    default: 'request'
+  },
+  milestoneIndex: {
+    type: Number // Per-milestone orders: the milestone whose payment this refunds
+  },
+  paymentReference: {
+    type: String, // Set when refunding a payment that was never applied to the order
+    unique: true,
+    sparse: true
+  },
+  paymentProvider: String, // Gateway that took the unapplied payment
+  sellerReleaseAmount: {
+    type: Number, // Remainder of a partial refund released to the seller
+    default: 0
+  },
+  gatewayStatus: String,
+  gatewayResponse: {
+    type: Schema.Types.Mixed
+  },
+  failureReason: String
 }, {
   timestamps: true
 });
 
 RefundSchema.index({ status: 1, requestedAt: -1 });
 RefundSchema.index({ amount: 1 });
+RefundSchema.index({ transactionId: 1 }, { sparse: true });
 
 export default mongoose.model('Refund', RefundSchema);
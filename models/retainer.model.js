@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A monthly retainer between a buyer and a seller. Each billing cycle is
+// charged to the buyer's saved card and becomes its own escrow-funded Order
+// (retainerId + retainerCycle) with the usual delivery and approval flow.
+const RetainerSchema = new Schema({
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  gigId: {
+    type: String,
+    required: true,
+    ref: 'Gig'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  scope: String, // What the seller delivers each month
+  monthlyAmount: {
+    type: Number, // Naira, held in escrow each cycle
+    required: true,
+    min: 1
+  },
+  email: String, // Billing email used for the saved card
+
+  status: {
+    type: String,
+    // pending: first cycle not paid yet; past_due: a renewal charge failed and is being retried
+    enum: ['pending', 'active', 'paused', 'past_due', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+
+  // BILLING (Paystack saved authorization)
+  provider: {
+    type: String,
+    enum: ['paystack'],
+    default: 'paystack'
+  },
+  authorization: {
+    code: String,
+    signature: String,
+    last4: String,
+    cardType: String,
+    bank: String,
+    expMonth: String,
+    expYear: String
+  },
+  currentCycle: {
+    type: Number,
+    default: 0
+  },
+  currentOrderId: {
+    type: String,
+    ref: 'Order'
+  },
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  nextBillingDate: Date,
+  pendingChargeReference: String, // Renewal charge sent to the gateway but not settled yet
+  lastChargeAttemptAt: Date,
+  failedChargeAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastChargeError: String,
+
+  // PAUSE / CANCEL
+  pausedAt: Date,
+  pausedBy: String,
+  pauseReason: String,
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: Date,
+  cancelledBy: String, // userId, or 'system' when renewals kept failing
+  cancellationReason: String,
+  proratedRefundAmount: Number // Unused part of the current cycle refunded on immediate cancellation
+}, {
+  timestamps: true
+});
+
+RetainerSchema.index({ status: 1, nextBillingDate: 1 });
+
+export default mongoose.model("Retainer", RetainerSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One document per recurring background job. It doubles as the lock: an
+// instance may only run a job after atomically setting lockedBy/lockedUntil,
+// so with several API instances each run happens exactly once.
+const ScheduledJobSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  intervalMs: {
+    type: Number,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  // LOCK
+  lockedBy: String,   // host:pid of the instance running the job
+  lockedUntil: Date,  // Lock expires so a crashed instance cannot hold it forever
+
+  // LAST RUN
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastError: String,
+  lastResult: {
+    type: Schema.Types.Mixed
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model("ScheduledJob", ScheduledJobSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// How often each (normalised) gig search has been run, for search suggestions
+const SearchQuerySchema = new Schema({
+  _id: {
+    type: String // The normalised query text
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastResultCount: Number,
+  lastSearchedAt: Date
+}, {
+  versionKey: false
+});
+
+SearchQuerySchema.index({ count: -1 });
+
+export default mongoose.model("SearchQuery", SearchQuerySchema);
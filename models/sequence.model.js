@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Named counters for gapless document numbering (e.g. "invoice:2026")
+const SequenceSchema = new Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+export default mongoose.model("Sequence", SequenceSchema);
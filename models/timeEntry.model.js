@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Time logged by the freelancer on an hourly contract
+const TimeEntrySchema = new Schema({
+  contractId: {
+    type: Schema.Types.ObjectId,
+    ref: 'HourlyContract',
+    required: true,
+    index: true
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  weekStart: {
+    type: Date, // Monday 00:00 UTC of the billing week
+    required: true
+  },
+  workDate: {
+    type: Date,
+    required: true
+  },
+  minutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 1440
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  attachments: [{
+    fileName: String,
+    fileUrl: String,
+    fileType: String,
+    fileSize: Number,
+    publicId: String,
+    resourceType: String
+  }],
+
+  // BUYER REVIEW
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'disputed'],
+    default: 'pending'
+  },
+  disputeReason: String,
+  reviewedAt: Date,
+  invoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'HourlyInvoice'
+  },
+  finalizedAt: Date // Week was finalized; the entry can no longer be reviewed or removed
+}, {
+  timestamps: true
+});
+
+TimeEntrySchema.index({ contractId: 1, weekStart: 1 });
+
+export default mongoose.model("TimeEntry", TimeEntrySchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A seller's verified payout destination, registered with the payment provider
+const TransferRecipientSchema = new Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    enum: ['paystack'],
+    default: 'paystack'
+  },
+  recipientCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  accountNumber: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return /^\d{10}$/.test(v); // Nigerian account numbers are 10 digits
+      },
+      message: 'Account number must be 10 digits'
+    }
+  },
+  accountName: {
+    type: String,
+    required: true,
+    trim: true // Name as resolved by the bank, not as typed by the user
+  },
+  bankCode: {
+    type: String,
+    required: true
+  },
+  bankName: {
+    type: String,
+    required: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+TransferRecipientSchema.index({ userId: 1, accountNumber: 1, bankCode: 1 });
+
+export default mongoose.model("TransferRecipient", TransferRecipientSchema);
@@ -161,6 +161,15 @@ availability: {
     default: 'Available',
     required: false,
 },
+// Seller subscription (discounted platform fee while active)
+sellerSubscription: {
+    active: {
+        type: Boolean,
+        default: false,
+    },
+    startedAt: Date,
+    expiresAt: Date,
+},
 // Statistics (calculated fields)
 totalReviews: {
     type: Number,
@@ -178,6 +187,10 @@ completionRate: {
     type: Number,
     default: 0,
 },
+cancelledOrders: {
+    type: Number,
+    default: 0,
+},
 
 // FRAUD PREVENTION & TRUST SYSTEM
 trustScore: {
@@ -25,14 +25,9 @@ const WithdrawalSchema = new Schema({
     },
     bankName: {
       type: String,
-      required: true,
-      enum: [
-        'Access Bank', 'GTBank', 'First Bank', 'UBA', 'Zenith Bank',
-        'Fidelity Bank', 'FCMB', 'Sterling Bank', 'Union Bank', 
-        'Keystone Bank', 'Wema Bank', 'Polaris Bank', 'Stanbic IBTC',
-        'Ecobank', 'Heritage Bank', 'Standard Chartered'
-      ]
+      required: true // Free text: payout recipients use the bank names returned by Paystack
     },
+    bankCode: String,
     accountName: {
       type: String,
       required: true,
@@ -46,9 +41,7 @@ const WithdrawalSchema = new Schema({
   },
   processingFee: {
     type: Number,
-    default: function() {
-      return this.amount * 0.02; // 2% processing fee
-    }
+    default: 0 // Set from PlatformSettings.fees.withdrawalFee when the request is created
   },
   netAmount: {
     type: Number,
@@ -71,6 +64,26 @@ const WithdrawalSchema = new Schema({
     unique: true,
     sparse: true // Allow multiple null values but unique non-null values
   },
+  // AUTOMATED PAYOUT
+  provider: {
+    type: String,
+    enum: ['paystack', 'flutterwave'],
+    default: 'paystack' // Provider the transfer is sent through
+  },
+  recipientId: {
+    type: String // TransferRecipient _id
+  },
+  recipientCode: String,
+  transferReference: {
+    type: String,
+    unique: true,
+    sparse: true // Reference sent to the transfer API
+  },
+  transferCode: String,
+  transferAttempts: {
+    type: Number,
+    default: 0
+  },
   paymentGatewayResponse: {
     type: Schema.Types.Mixed // Store payment gateway response
   },
@@ -88,11 +101,10 @@ const WithdrawalSchema = new Schema({
 WithdrawalSchema.index({ freelancerId: 1, createdAt: -1 });
 WithdrawalSchema.index({ status: 1, createdAt: -1 });
 
-// Pre-save middleware to calculate processing fee and net amount
+// Pre-save middleware to keep the net amount in step with the fee
 WithdrawalSchema.pre('save', function(next) {
-  if (this.isModified('amount')) {
-    this.processingFee = Math.round(this.amount * 0.02); // 2% fee, rounded
-    this.netAmount = this.amount - this.processingFee;
+  if (this.isModified('amount') || this.isModified('processingFee')) {
+    this.netAmount = this.amount - (this.processingFee || 0);
   }
   next();
 });
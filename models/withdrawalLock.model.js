@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One per seller. A withdrawal request holds it from the limit check until
+// the withdrawal is saved, so parallel requests cannot each pass the limits.
+const WithdrawalLockSchema = new Schema({
+  _id: {
+    type: String // Seller's user ID
+  },
+  lockedUntil: Date // Expires so a crashed request cannot hold it forever
+}, {
+  versionKey: false
+});
+
+export default mongoose.model("WithdrawalLock", WithdrawalLockSchema);
@@ -32,6 +32,7 @@ import {
   // Withdrawal Management
   getAllWithdrawals,
   updateWithdrawalStatus,
+  sendWithdrawalPayout,
   
   // Refund Management
   getRefunds,
@@ -71,7 +72,13 @@ import {
   getAnalyticsUsers,
   getAnalyticsRevenue,
   getAnalyticsOrders,
-  getAnalyticsPerformance
+  getAnalyticsPerformance,
+  getAnalyticsCheckout,
+  // Background jobs
+  getSystemJobs,
+  getSystemJobHistory,
+  runSystemJob,
+  updateSystemJob
 } from '../controllers/admin.controller.js';
 
 // Import existing admin controllers
@@ -118,11 +125,18 @@ import {
   toggleMaintenanceMode,
   updateVerificationRequirements,
   updateFeatureFlags,
+  updatePaymentProviders,
   getSettingsHistory,
   validateSettings,
   resetSettingsToDefault
 } from '../controllers/adminSettings.controller.js';
 
+// Import ledger controller functions
+import { getLedgerReconciliation } from '../controllers/ledger.controller.js';
+
+// Import checkout controller functions
+import { getFailedCheckouts, retryFailedCheckout } from '../controllers/checkout.controller.js';
+
 // Import admin auth controller functions
 import {
   adminLogin,
@@ -143,6 +157,10 @@ router.get('/system/logs', verifyAdmin, getSystemLogs);
 router.get('/system/performance', verifyAdmin, getSystemPerformance);
 router.get('/system/alerts', verifyAdmin, getSystemAlerts);
 router.post('/system/alerts/:alertId/acknowledge', verifyAdmin, acknowledgeSystemAlert);
+router.get('/system/jobs', verifyAdmin, getSystemJobs);
+router.get('/system/jobs/history', verifyAdmin, getSystemJobHistory);
+router.post('/system/jobs/:jobName/run', verifyAdmin, runSystemJob);
+router.put('/system/jobs/:jobName', verifyAdmin, updateSystemJob);
 // Alias routes to support AdminSystem.jsx expectations
 router.get('/system/backups', verifyAdmin, getBackups);
 router.post('/system/backup', verifyAdmin, createBackup);
@@ -194,6 +212,7 @@ router.post('/disputes/:orderId/resolve-freelancer', verifyAdmin, resolveInFavor
 // ===========================================
 router.get('/withdrawals', verifyAdmin, getAllWithdrawals);
 router.put('/withdrawals/:withdrawalId/status', verifyAdmin, updateWithdrawalStatus);
+router.post('/withdrawals/:withdrawalId/payout', verifyAdmin, sendWithdrawalPayout);
 
 // ===========================================
 // REFUND MANAGEMENT ROUTES
@@ -202,6 +221,17 @@ router.get('/refunds', verifyAdmin, getRefunds);
 router.get('/refunds/statistics', verifyAdmin, getRefundStatistics);
 router.put('/refunds/:refundId/process', verifyAdmin, processRefund);
 
+// ===========================================
+// LEDGER ROUTES
+// ===========================================
+router.get('/ledger/reconciliation', verifyAdmin, getLedgerReconciliation);
+
+// ===========================================
+// CHECKOUT ROUTES
+// ===========================================
+router.get('/checkouts/failed', verifyAdmin, getFailedCheckouts);
+router.post('/checkouts/:reference/retry', verifyAdmin, retryFailedCheckout);
+
 // ===========================================
 // VERIFICATION MANAGEMENT ROUTES
 // ===========================================
@@ -241,6 +271,7 @@ router.put('/settings/limits', verifyAdmin, updateTransactionLimits);
 router.put('/settings/maintenance', verifyAdmin, toggleMaintenanceMode);
 router.put('/settings/verification', verifyAdmin, updateVerificationRequirements);
 router.put('/settings/features', verifyAdmin, updateFeatureFlags);
+router.put('/settings/payments', verifyAdmin, updatePaymentProviders);
 router.get('/settings/history', verifyAdmin, getSettingsHistory);
 router.post('/settings/validate', verifyAdmin, validateSettings);
 router.post('/settings/reset', verifyAdmin, resetSettingsToDefault);
@@ -266,6 +297,7 @@ router.get('/analytics/users', verifyAdmin, getAnalyticsUsers);
 router.get('/analytics/revenue', verifyAdmin, getAnalyticsRevenue);
 router.get('/analytics/orders', verifyAdmin, getAnalyticsOrders);
 router.get('/analytics/performance', verifyAdmin, getAnalyticsPerformance);
+router.get('/analytics/checkout', verifyAdmin, getAnalyticsCheckout);
 
 // ===========================================
 // HEALTH CHECK & TESTING
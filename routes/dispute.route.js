@@ -1,5 +1,7 @@
 import express from "express";
 import { verifyToken } from "../middleware/jwt.js";
+import { verifyAdmin } from "../middleware/adminAuth.js";
+import { uploadMultiple, handleUploadError } from "../middleware/upload.js";
 import {
   getPendingDisputes,
   startDisputeReview,
@@ -7,7 +9,14 @@ import {
   resolveInFavorOfFreelancer,
   getDisputeStatistics,
   addDisputeEvidence,
-  detectFraudulentDisputes
+  detectFraudulentDisputes,
+  getDispute,
+  addDisputeStatement,
+  getDisputeCases,
+  assignDispute,
+  requestDisputeStatement,
+  makeSettlementOffer,
+  respondToSettlementOffer
 } from "../controllers/dispute.controller.js";
 
 const router = express.Router();
@@ -16,6 +25,9 @@ const router = express.Router();
 router.get("/pending", verifyToken, getPendingDisputes); // Get all pending disputes (Admin)
 router.get("/statistics", verifyToken, getDisputeStatistics); // Get dispute statistics (Admin)
 router.post("/fraud-detection", verifyToken, detectFraudulentDisputes); // Run fraud detection (Admin)
+router.get("/cases", verifyAdmin, getDisputeCases); // Case queue, filterable by status and assignee
+router.post("/:id/assign", verifyAdmin, assignDispute); // Assign the case to an admin
+router.post("/:id/request-statement", verifyAdmin, requestDisputeStatement); // Ask a party to respond by a deadline
 
 // DISPUTE RESOLUTION ROUTES (Admin)
 router.post("/:orderId/start-review", verifyToken, startDisputeReview); // Start reviewing dispute
@@ -23,6 +35,14 @@ router.post("/:orderId/resolve-refund", verifyToken, resolveWithRefund); // Reso
 router.post("/:orderId/resolve-freelancer", verifyToken, resolveInFavorOfFreelancer); // Resolve in favor of freelancer
 
 // EVIDENCE SUBMISSION ROUTES (Both parties)
-router.post("/:orderId/evidence", verifyToken, addDisputeEvidence); // Add evidence to dispute
+router.post("/:orderId/evidence", verifyToken, uploadMultiple, handleUploadError, addDisputeEvidence); // Upload evidence files (multipart "files")
+
+// SETTLEMENT ROUTES (Both parties, before admin review)
+router.post("/:orderId/offers", verifyToken, makeSettlementOffer); // Propose a refund / release split
+router.post("/:orderId/offers/:offerId/respond", verifyToken, respondToSettlementOffer); // { action: accept|decline|counter }
+
+// CASE FILE ROUTES (Both parties and admins; :id is the dispute or order id)
+router.get("/:id", verifyToken, getDispute); // Case view with statements and timeline
+router.post("/:id/statements", verifyToken, addDisputeStatement); // Add a statement or reply
 
 export default router;
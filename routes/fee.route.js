@@ -0,0 +1,9 @@
+import express from "express";
+import { getFeeQuote } from "../controllers/fee.controller.js";
+
+const router = express.Router();
+
+// Checkout fee breakdown: ?gigId=&package=&quantity=&addOns=<id>:<qty>,...
+router.get("/quote", getFeeQuote);
+
+export default router;
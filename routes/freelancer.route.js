@@ -4,7 +4,12 @@ import {
   getFreelancerStats,
   createWithdrawal,
   getWithdrawals,
-  updateWithdrawalStatus
+  updateWithdrawalStatus,
+  getBanks,
+  getPayoutRecipients,
+  addPayoutRecipient,
+  setDefaultPayoutRecipient,
+  removePayoutRecipient
 } from "../controllers/freelancer.controller.js";
 
 const router = express.Router();
@@ -21,5 +26,14 @@ router.get("/:freelancerId/withdrawals", verifyToken, getWithdrawals);
 // Update withdrawal status (admin only)
 router.patch("/withdrawals/:withdrawalId/status", verifyToken, updateWithdrawalStatus);
 
+// Banks that support payouts
+router.get("/banks", verifyToken, getBanks);
+
+// Verified payout accounts (Paystack transfer recipients)
+router.get("/:freelancerId/payout-recipients", verifyToken, getPayoutRecipients);
+router.post("/:freelancerId/payout-recipients", verifyToken, addPayoutRecipient);
+router.patch("/:freelancerId/payout-recipients/:recipientId/default", verifyToken, setDefaultPayoutRecipient);
+router.delete("/:freelancerId/payout-recipients/:recipientId", verifyToken, removePayoutRecipient);
+
 export default router;
 
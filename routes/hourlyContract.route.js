@@ -0,0 +1,39 @@
+import express from "express";
+import { verifyToken } from "../middleware/jwt.js";
+import { uploadMultiple, handleUploadError } from "../middleware/upload.js";
+import {
+  createContract,
+  getMyContracts,
+  getContract,
+  respondToContract,
+  pauseContract,
+  resumeContract,
+  endContract,
+  logTime,
+  deleteTimeEntry,
+  reviewTimeEntry,
+  getInvoice,
+  approveInvoice,
+  payInvoice
+} from "../controllers/hourlyContract.controller.js";
+
+const router = express.Router();
+
+router.post("/", verifyToken, createContract); // Buyer offers { sellerId, title, hourlyRate, weeklyCapHours }
+router.get("/", verifyToken, getMyContracts);
+
+router.get("/invoices/:invoiceId", verifyToken, getInvoice);
+router.post("/invoices/:invoiceId/approve", verifyToken, approveInvoice);
+router.post("/invoices/:invoiceId/pay", verifyToken, payInvoice);
+
+router.delete("/entries/:entryId", verifyToken, deleteTimeEntry);
+router.post("/entries/:entryId/review", verifyToken, reviewTimeEntry); // { action: approve|dispute, reason }
+
+router.get("/:contractId", verifyToken, getContract);
+router.post("/:contractId/respond", verifyToken, respondToContract); // { action: accept|decline }
+router.post("/:contractId/time", verifyToken, uploadMultiple, handleUploadError, logTime);
+router.post("/:contractId/pause", verifyToken, pauseContract);
+router.post("/:contractId/resume", verifyToken, resumeContract);
+router.post("/:contractId/end", verifyToken, endContract);
+
+export default router;
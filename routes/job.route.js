@@ -0,0 +1,42 @@
+import express from "express";
+import { verifyToken } from "../middleware/jwt.js";
+import { uploadMultiple, handleUploadError } from "../middleware/upload.js";
+import {
+  createJob,
+  getJobs,
+  getMyJobs,
+  getJob,
+  updateJob,
+  closeJob,
+  reopenJob,
+  cancelJob,
+  submitProposal,
+  getMyProposals,
+  updateProposal,
+  withdrawProposal,
+  shortlistProposal,
+  declineProposal,
+  hireProposal
+} from "../controllers/job.controller.js";
+
+const router = express.Router();
+
+router.get("/", getJobs); // Public job board
+router.post("/", verifyToken, uploadMultiple, handleUploadError, createJob);
+router.get("/mine", verifyToken, getMyJobs); // Jobs posted by the buyer
+
+router.get("/proposals/mine", verifyToken, getMyProposals); // Proposals sent by the freelancer
+router.put("/proposals/:proposalId", verifyToken, updateProposal);
+router.post("/proposals/:proposalId/withdraw", verifyToken, withdrawProposal);
+router.post("/proposals/:proposalId/shortlist", verifyToken, shortlistProposal);
+router.post("/proposals/:proposalId/decline", verifyToken, declineProposal);
+router.post("/proposals/:proposalId/hire", verifyToken, hireProposal); // Starts checkout { email, fundingMode }
+
+router.get("/:jobId", verifyToken, getJob);
+router.put("/:jobId", verifyToken, uploadMultiple, handleUploadError, updateJob);
+router.post("/:jobId/close", verifyToken, closeJob);
+router.post("/:jobId/reopen", verifyToken, reopenJob);
+router.post("/:jobId/cancel", verifyToken, cancelJob);
+router.post("/:jobId/proposals", verifyToken, submitProposal);
+
+export default router;
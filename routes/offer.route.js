@@ -0,0 +1,25 @@
+import express from "express";
+import { verifyToken } from "../middleware/jwt.js";
+import {
+  createOffer,
+  getConversationOffers,
+  getOffer,
+  acceptOffer,
+  counterOffer,
+  declineOffer,
+  withdrawOffer,
+  checkoutOffer
+} from "../controllers/offer.controller.js";
+
+const router = express.Router();
+
+router.post("/", verifyToken, createOffer); // Seller sends a custom offer in a conversation
+router.get("/conversation/:conversationId", verifyToken, getConversationOffers);
+router.get("/:offerId", verifyToken, getOffer);
+router.post("/:offerId/accept", verifyToken, acceptOffer); // Buyer acceptance starts checkout
+router.post("/:offerId/counter", verifyToken, counterOffer);
+router.post("/:offerId/decline", verifyToken, declineOffer);
+router.post("/:offerId/withdraw", verifyToken, withdrawOffer);
+router.post("/:offerId/checkout", verifyToken, checkoutOffer); // Pay for an accepted offer
+
+export default router;
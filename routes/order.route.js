@@ -1,11 +1,14 @@
 import express from "express";
 import {verifyToken} from "../middleware/jwt.js";
+import { verifyAdmin } from "../middleware/adminAuth.js";
 import { validateTransactionLimit } from "../utils/transactionLimits.js";
+import { uploadMultiple, handleUploadError } from "../middleware/upload.js";
 import {
   getOrders, 
   intent, 
   verifyPayment, 
   submitWork, 
+  submitRequirements,
   approveWork, 
   requestRevision, 
   initiateDispute, 
@@ -15,8 +18,17 @@ import {
   submitMilestoneWork,
   approveMilestone,
   requestMilestoneRevision,
-  resetOrderForResubmission
+  fundMilestone,
+  stopMilestoneProject,
+  resetOrderForResubmission,
+  requestCancellation,
+  respondToCancellation,
+  requestExtension,
+  respondToExtension,
+  tipOrder
 } from "../controllers/order.controller.js"
+import { getPendingCheckouts, resumeCheckout } from "../controllers/checkout.controller.js";
+import { getOrderInvoicePdf, emailOrderInvoice } from "../controllers/document.controller.js";
 
 const router = express.Router();
 
@@ -24,24 +36,36 @@ const router = express.Router();
 router.get("/", verifyToken, getOrders);
 router.post("/transaction/initialize/:id", verifyToken, validateTransactionLimit, intent);
 router.post("/verify/:reference", verifyToken, verifyPayment);
+router.get("/checkouts/pending", verifyToken, getPendingCheckouts); // Buyer's unpaid checkouts
+router.post("/checkouts/:reference/resume", verifyToken, resumeCheckout); // Re-open an unpaid checkout
 
 // FRAUD PREVENTION & ESCROW ROUTES
 router.get("/:orderId/details", verifyToken, getOrderDetails); // Get order details
+router.post("/:orderId/requirements", verifyToken, uploadMultiple, handleUploadError, submitRequirements); // Client answers the gig questionnaire (multipart "files" for file answers)
 router.post("/:orderId/submit-work", verifyToken, submitWork); // Freelancer submits deliverables
 router.post("/:orderId/approve", verifyToken, approveWork); // Client approves work and releases payment
 router.post("/:orderId/request-revision", verifyToken, requestRevision); // Client requests changes
 router.post("/:orderId/dispute", verifyToken, initiateDispute); // Either party initiates dispute
+router.post("/:orderId/cancel-request", verifyToken, requestCancellation); // Either party proposes cancellation
+router.post("/:orderId/cancel-respond", verifyToken, respondToCancellation); // Other party accepts or declines
+router.post("/:orderId/extension-request", verifyToken, requestExtension); // Seller asks for more time
+router.post("/:orderId/extension-respond", verifyToken, respondToExtension); // Buyer approves or rejects
+router.post("/:orderId/tip", verifyToken, tipOrder); // Client tips the seller after completion
+router.get("/:orderId/invoice.pdf", verifyToken, getOrderInvoicePdf); // Invoice for a payment on the order
+router.post("/:orderId/invoice/email", verifyToken, emailOrderInvoice); // Email the invoice to the client
 
 // MILESTONE PAYMENT ROUTES (FRAUD PREVENTION FOR LARGE PROJECTS)
 router.post("/:orderId/milestones", verifyToken, createMilestones); // Client creates project milestones
 router.post("/:orderId/milestones/:milestoneIndex/submit", verifyToken, submitMilestoneWork); // Submit milestone work
 router.post("/:orderId/milestones/:milestoneIndex/approve", verifyToken, approveMilestone); // Approve milestone
 router.post("/:orderId/milestones/:milestoneIndex/revise", verifyToken, requestMilestoneRevision); // Request milestone revision
+router.post("/:orderId/milestones/:milestoneIndex/fund", verifyToken, fundMilestone); // Pay for a milestone (per-milestone funding)
+router.post("/:orderId/milestones/stop", verifyToken, stopMilestoneProject); // Stop early, refunding unreleased milestones
 
 // RECOVERY ROUTES
 router.post("/:orderId/reset-for-resubmission", verifyToken, resetOrderForResubmission); // Reset stuck order for re-submission
 
 // ADMIN/SYSTEM ROUTES
-router.post("/auto-release/check", checkAutoRelease); // System endpoint for auto-releasing payments
+router.post("/auto-release/check", verifyAdmin, checkAutoRelease); // Run the auto-release job now (runs on a schedule otherwise)
 
 export default router;
\ No newline at end of file
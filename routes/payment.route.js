@@ -0,0 +1,10 @@
+import express from "express";
+import { paystackWebhook, flutterwaveWebhook } from "../controllers/payment.controller.js";
+
+const router = express.Router();
+
+// PAYMENT GATEWAY WEBHOOKS (authenticated by signature, not by cookie)
+router.post("/webhooks/paystack", paystackWebhook);
+router.post("/webhooks/flutterwave", flutterwaveWebhook);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import { verifyToken } from "../middleware/jwt.js";
+import {
+  subscribe,
+  getMyRetainers,
+  getRetainer,
+  payRetainer,
+  pauseRetainer,
+  resumeRetainer,
+  cancelRetainer
+} from "../controllers/retainer.controller.js";
+
+const router = express.Router();
+
+router.get("/", verifyToken, getMyRetainers); // Retainers as buyer or seller
+router.post("/gig/:gigId", verifyToken, subscribe); // Start a retainer and pay the first month
+router.get("/:retainerId", verifyToken, getRetainer);
+router.post("/:retainerId/pay", verifyToken, payRetainer); // Pay a due month through checkout
+router.post("/:retainerId/pause", verifyToken, pauseRetainer);
+router.post("/:retainerId/resume", verifyToken, resumeRetainer);
+router.post("/:retainerId/cancel", verifyToken, cancelRetainer); // { reason, immediate }
+
+export default router;
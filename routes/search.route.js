@@ -0,0 +1,8 @@
+import express from "express";
+import { getSuggestions } from "../controllers/search.controller.js";
+
+const router = express.Router();
+
+router.get("/suggest", getSuggestions );
+
+export default router;
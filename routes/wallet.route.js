@@ -0,0 +1,32 @@
+import express from "express";
+import { verifyToken } from "../middleware/jwt.js";
+import {
+  getWallet,
+  getWalletTransactions
+} from "../controllers/ledger.controller.js";
+import {
+  getMyDocuments,
+  getDocumentPdf,
+  getWithdrawalReceiptPdf,
+  getStatementPdf
+} from "../controllers/document.controller.js";
+
+const router = express.Router();
+
+// Current balances (available, pending withdrawal, in escrow)
+router.get("/", verifyToken, getWallet);
+
+// Ledger history
+router.get("/transactions", verifyToken, getWalletTransactions);
+
+// Invoices, receipts and statements issued to the user
+router.get("/documents", verifyToken, getMyDocuments);
+router.get("/documents/:documentId.pdf", verifyToken, getDocumentPdf);
+
+// Receipt for a completed withdrawal
+router.get("/withdrawals/:withdrawalId/receipt.pdf", verifyToken, getWithdrawalReceiptPdf);
+
+// Monthly earnings statement, e.g. /statements/2024-05.pdf
+router.get("/statements/:period.pdf", verifyToken, getStatementPdf);
+
+export default router;
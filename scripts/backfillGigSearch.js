@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Gig from '../models/gig.model.js';
+import User from '../models/user.model.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error);
+    process.exit(1);
+  }
+};
+
+// Copy each seller's profile skills onto their gigs so search can match them.
+// Safe to re-run.
+const backfillSellerSkills = async () => {
+  const sellerIds = await Gig.distinct('userId');
+  let updated = 0;
+
+  for (const sellerId of sellerIds) {
+    if (!mongoose.Types.ObjectId.isValid(sellerId)) continue;
+    const seller = await User.findById(sellerId).select('skills').lean();
+    const result = await Gig.updateMany({ userId: sellerId }, { $set: { sellerSkills: seller?.skills || [] } });
+    updated += result.modifiedCount;
+  }
+
+  console.log(`🔎 Sellers processed: ${sellerIds.length}, gigs updated: ${updated}`);
+};
+
+// Main execution
+const main = async () => {
+  await connectDB();
+  try {
+    // Builds the gig_search text index if the server has not done so yet
+    await Gig.createIndexes();
+    await backfillSellerSkills();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Gig search backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ledgerService from '../services/ledgerService.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error);
+    process.exit(1);
+  }
+};
+
+// Post journal entries for orders and withdrawals created before the ledger existed.
+// The ledger-backfill job does this once on the first start after the rollout;
+// this script forces another pass. Every posting is keyed, so it can be re-run safely.
+const main = async () => {
+  await connectDB();
+  try {
+    await ledgerService.assertTransactionSupport();
+    const result = await ledgerService.backfillHistory({ force: true });
+    console.log(`📦 Orders processed: ${result.orders} (${result.ordersFailed} failed)`);
+    console.log(`💸 Withdrawals processed: ${result.withdrawals} (${result.withdrawalsFailed} failed)`);
+
+    const report = await ledgerService.getReconciliationReport({ limit: 0 });
+    console.log(`📒 Trial balance ${report.trialBalance.balanced ? 'balanced' : 'NOT balanced'}: ₦${report.trialBalance.debit}`);
+    console.log(`🔎 Order discrepancies: ${report.orders.discrepancyCount}, withdrawal discrepancies: ${report.withdrawals.discrepancyCount}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Ledger backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -23,11 +23,22 @@ import freelancerRoute from "./routes/freelancer.route.js";
 import adminRoute from "./routes/admin.route.js";
 import favoritesRoute from "./routes/favorites.route.js";
 import contentModerationRoute from "./routes/contentModeration.route.js";
+import paymentRoute from "./routes/payment.route.js";
+import walletRoute from "./routes/wallet.route.js";
+import feeRoute from "./routes/fee.route.js";
+import offerRoute from "./routes/offer.route.js";
+import retainerRoute from "./routes/retainer.route.js";
+import hourlyContractRoute from "./routes/hourlyContract.route.js";
+import jobRoute from "./routes/job.route.js";
+import searchRoute from "./routes/search.route.js";
 import cookieParser from "cookie-parser";
 import cors from "cors";
 import socketService from "./services/socketService.js"; // Commented out for now
 import os from "os";
 import metricsService from "./services/metricsService.js";
+import jobSchedulerService from "./services/jobSchedulerService.js";
+import ledgerService from "./services/ledgerService.js";
+import { registerScheduledJobs } from "./services/scheduledJobs.js";
 
  const app = express();
  const server = createServer(app);
@@ -88,7 +99,12 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cookieParser());
 
 // Request timing metrics middleware
@@ -147,6 +163,14 @@ app.use("/api/freelancers", freelancerRoute);
 app.use("/api/admin", adminRoute);
 app.use("/api/favorites", favoritesRoute);
 app.use("/api/content-moderation", contentModerationRoute);
+app.use("/api/payments", paymentRoute);
+app.use("/api/wallet", walletRoute);
+app.use("/api/fees", feeRoute);
+app.use("/api/offers", offerRoute);
+app.use("/api/retainers", retainerRoute);
+app.use("/api/hourly-contracts", hourlyContractRoute);
+app.use("/api/jobs", jobRoute);
+app.use("/api/search", searchRoute);
 
 // Prometheus metrics endpoint (no auth)
 app.get("/metrics", async (req, res) => {
@@ -254,7 +278,20 @@ app.use((err,req,res,next)=>{
 })
 
  server.listen(PORT, ()=>{
-  connect();
+  connect().then(async () => {
+    // Ledger postings run in MongoDB transactions: MONGO must be a replica set
+    // or sharded cluster, so refuse to start against a standalone server
+    try {
+      await ledgerService.assertTransactionSupport();
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+
+    // Escrow auto-release, delivery reminders, overdue cancellation, checkout expiry
+    registerScheduledJobs();
+    return jobSchedulerService.start();
+  }).catch(err => console.error('Job scheduler failed to start:', err?.message || err));
   
   // Initialize Socket.io when available
   try {
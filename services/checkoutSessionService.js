@@ -0,0 +1,280 @@
+import CheckoutSession from "../models/checkoutSession.model.js";
+import Order from "../models/order.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import orderFulfillmentService from "./orderFulfillmentService.js";
+import createError from "../utils/createError.js";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const DEFAULT_EXPIRY_HOURS = 24;
+const SWEEP_BATCH_SIZE = 50;
+const MAX_SWEEP_FAILURES = 5;
+
+// Checkouts between payment initialization and order creation: recording,
+// resuming, and expiring them once the gateway confirms they were never paid.
+class CheckoutSessionService {
+  async getExpiryHours() {
+    const settings = await paymentProviderService.getSettings();
+    return settings?.checkoutExpiryHours || DEFAULT_EXPIRY_HOURS;
+  }
+
+  /**
+   * Record a checkout that was just initialized with a provider
+   * @param {Object} params - { reference, provider, buyerId, sellerId, gigId, gigTitle, selectedPackage, email, amount, total, fees, authorizationUrl, accessCode }
+   * @returns {Promise<Object>} CheckoutSession document
+   */
+  async createSession(params) {
+    const expiryHours = await this.getExpiryHours();
+    return CheckoutSession.create({
+      ...params,
+      expiresAt: new Date(Date.now() + expiryHours * MS_PER_HOUR)
+    });
+  }
+
+  /**
+   * Ask the gateway what happened to a pending checkout and settle it
+   * @param {Object} session - CheckoutSession document
+   * @param {Object} options - { source } passed through to fulfillment
+   * @returns {Promise<{status: string, session: Object, order?: Object}>} status is paid | pending | expired | unknown
+   */
+  async reconcile(session, options = {}) {
+    if (session.status !== 'pending') {
+      return { status: session.status, session };
+    }
+
+    const provider = paymentProviderService.get(session.provider);
+    let transaction = null;
+    try {
+      transaction = await provider.verifyPayment(session.reference);
+    } catch (err) {
+      // Network error: we cannot tell whether it was paid, so never expire on it
+      if (!err.response) {
+        console.error(`Checkout ${session.reference} verification failed:`, err.message);
+        await CheckoutSession.findByIdAndUpdate(session._id, {
+          $set: { lastVerifiedAt: new Date() },
+          $inc: { verifyAttempts: 1 }
+        });
+        return { status: 'unknown', session };
+      }
+      // Otherwise the gateway has no (paid) transaction for this reference
+    }
+
+    if (transaction?.status === 'success') {
+      const { order } = await orderFulfillmentService.fulfillTransaction(transaction, { source: options.source || 'checkout_sweep' });
+      const updated = await CheckoutSession.findById(session._id);
+      return { status: 'paid', session: updated, order };
+    }
+
+    const updates = { lastVerifiedAt: new Date(), gatewayStatus: transaction?.status || 'not_found' };
+    if (session.expiresAt <= new Date()) {
+      const updated = await CheckoutSession.findOneAndUpdate(
+        { _id: session._id, status: 'pending' },
+        { $set: { ...updates, status: 'expired', expiredAt: new Date() }, $inc: { verifyAttempts: 1 } },
+        { new: true }
+      );
+      return { status: updated ? 'expired' : 'pending', session: updated || session };
+    }
+
+    const updated = await CheckoutSession.findByIdAndUpdate(
+      session._id,
+      { $set: updates, $inc: { verifyAttempts: 1 } },
+      { new: true }
+    );
+    return { status: 'pending', session: updated };
+  }
+
+  // ===========================================
+  // SWEEPER
+  // ===========================================
+
+  /**
+   * Re-verify and expire pending checkouts that are past their expiry
+   * @returns {Promise<Object>} { checked, paid, expired, unresolved, errors, failed }
+   */
+  async sweepExpired({ batchSize = SWEEP_BATCH_SIZE } = {}) {
+    const stale = await CheckoutSession.find({ status: 'pending', expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(batchSize);
+
+    const summary = { checked: stale.length, paid: 0, expired: 0, unresolved: 0, errors: 0, failed: 0 };
+    for (const session of stale) {
+      try {
+        const { status } = await this.reconcile(session);
+        if (status === 'paid') summary.paid += 1;
+        else if (status === 'expired') summary.expired += 1;
+        else summary.unresolved += 1;
+      } catch (err) {
+        summary.errors += 1;
+        console.error(`Checkout sweep failed for ${session.reference}:`, err?.message || err);
+        if (await this.recordSweepFailure(session, err)) summary.failed += 1;
+      }
+    }
+    return summary;
+  }
+
+  // Stop sweeping a checkout that keeps failing (e.g. paid for a gig that has
+  // since been deleted) and leave it for an admin; true once it is marked failed
+  async recordSweepFailure(session, err) {
+    const failures = (session.sweepFailures || 0) + 1;
+    const givesUp = failures >= MAX_SWEEP_FAILURES;
+    await CheckoutSession.updateOne(
+      { _id: session._id, status: 'pending' },
+      {
+        $set: {
+          sweepFailures: failures,
+          lastError: err?.message || String(err),
+          ...(givesUp && { status: 'failed', failedAt: new Date() })
+        }
+      }
+    );
+    return givesUp;
+  }
+
+  // ===========================================
+  // ADMIN REVIEW
+  // ===========================================
+
+  async getFailed({ page = 1, limit = 20 } = {}) {
+    const [checkouts, total] = await Promise.all([
+      CheckoutSession.find({ status: 'failed' })
+        .sort({ failedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CheckoutSession.countDocuments({ status: 'failed' })
+    ]);
+    return { checkouts, total, page, totalPages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * Reconcile a failed checkout again once the cause has been fixed. If it
+   * still fails it goes back to failed with the new error.
+   * @param {string} reference - Checkout reference
+   * @returns {Promise<{status: string, session: Object, order?: Object}>}
+   */
+  async retryFailed(reference) {
+    const session = await CheckoutSession.findOneAndUpdate(
+      { reference, status: 'failed' },
+      { $set: { status: 'pending', failedAt: null } },
+      { new: true }
+    );
+    if (!session) throw createError(404, "No failed checkout with this reference");
+
+    try {
+      return await this.reconcile(session, { source: 'admin_retry' });
+    } catch (err) {
+      await CheckoutSession.updateOne(
+        { _id: session._id, status: 'pending' },
+        { $set: { status: 'failed', failedAt: new Date(), lastError: err?.message || String(err) }, $inc: { sweepFailures: 1 } }
+      );
+      throw err;
+    }
+  }
+
+  // ===========================================
+  // BUYER CHECKOUTS
+  // ===========================================
+
+  async getPendingForBuyer(buyerId) {
+    return CheckoutSession.find({ buyerId: String(buyerId), status: 'pending', expiresAt: { $gt: new Date() } })
+      .select('-fees')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Resume an unpaid checkout. Re-verifies first so a checkout that was in
+   * fact paid returns its order instead of sending the buyer to pay again.
+   * @returns {Promise<{status: string, session: Object, order?: Object}>}
+   */
+  async resume(buyerId, reference) {
+    const session = await CheckoutSession.findOne({ reference, buyerId: String(buyerId) });
+    if (!session) throw createError(404, "Checkout not found");
+
+    if (session.status === 'paid') {
+      const order = await Order.findOne({ reference });
+      return { status: 'paid', session, order };
+    }
+    if (session.status === 'failed') {
+      throw createError(409, "This checkout could not be completed and is being reviewed by our team.");
+    }
+    if (session.status !== 'pending') {
+      throw createError(410, "This checkout has expired. Please start a new order.");
+    }
+
+    const result = await this.reconcile(session, { source: 'checkout_resume' });
+    if (result.status === 'paid') return result;
+    if (result.status === 'expired') {
+      throw createError(410, "This checkout has expired. Please start a new order.");
+    }
+
+    const updated = await CheckoutSession.findByIdAndUpdate(
+      session._id,
+      { $inc: { resumeCount: 1 } },
+      { new: true }
+    );
+    return { status: 'pending', session: updated };
+  }
+
+  // ===========================================
+  // ANALYTICS
+  // ===========================================
+
+  /**
+   * Checkout funnel for sessions created in a window
+   * @param {Object} match - Mongo filter on CheckoutSession (e.g. { createdAt: { $gte } })
+   * @returns {Promise<Object>} { totals, byProvider, trend }
+   */
+  async getConversionStats(match = {}) {
+    const countByStatus = {
+      sessions: { $sum: 1 },
+      paid: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] } },
+      expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+      pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+      failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+      paidValue: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$total', 0] } },
+      abandonedValue: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, '$total', 0] } },
+      resumed: { $sum: { $cond: [{ $gt: ['$resumeCount', 0] }, 1, 0] } }
+    };
+
+    const [totals, byProvider, trend] = await Promise.all([
+      CheckoutSession.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...countByStatus } }
+      ]),
+      CheckoutSession.aggregate([
+        { $match: match },
+        { $group: { _id: '$provider', ...countByStatus } },
+        { $sort: { sessions: -1 } }
+      ]),
+      CheckoutSession.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              year: { $year: '$createdAt' },
+              month: { $month: '$createdAt' },
+              day: { $dayOfMonth: '$createdAt' }
+            },
+            sessions: { $sum: 1 },
+            paid: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] } }
+          }
+        },
+        { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+      ])
+    ]);
+
+    const withRate = (row) => ({
+      ...row,
+      conversionRate: row.sessions > 0 ? Number(((row.paid / row.sessions) * 100).toFixed(2)) : 0
+    });
+
+    const summary = totals[0] || { sessions: 0, paid: 0, expired: 0, pending: 0, paidValue: 0, abandonedValue: 0, resumed: 0 };
+    delete summary._id;
+
+    return {
+      totals: withRate(summary),
+      byProvider: byProvider.map(({ _id, ...row }) => withRate({ provider: _id, ...row })),
+      trend: trend.map(withRate)
+    };
+  }
+}
+
+export default new CheckoutSessionService();
@@ -0,0 +1,270 @@
+import Order from "../models/order.model.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import createError from "../utils/createError.js";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const DEFAULT_RESPONSE_HOURS = 48;
+const MAX_EXTENSION_DAYS = 30;
+const UNFINISHED_MILESTONE_STATUSES = ["pending", "in_progress"];
+
+// Seller-requested delivery extensions. Approval moves every deadline that
+// hangs off the delivery date by the same number of days, so expected
+// delivery, review window, auto-release and milestone due dates stay aligned.
+class DeliveryExtensionService {
+
+  async getResponseHours() {
+    try {
+      const settings = await PlatformSettings.findOne().lean();
+      return settings?.disputes?.extensionResponseHours || DEFAULT_RESPONSE_HOURS;
+    } catch (e) {
+      return DEFAULT_RESPONSE_HOURS;
+    }
+  }
+
+  // Requests from before deadlines were stored run from when they were made
+  respondBy(extension, responseHours) {
+    return extension.respondBy || new Date(new Date(extension.requestedAt).getTime() + responseHours * MS_PER_HOUR);
+  }
+
+  pendingExtension(order) {
+    return (order.deliveryExtensions || []).find(e => e.status === "pending") || null;
+  }
+
+  async notify(userId, title, message, order) {
+    try {
+      await notificationService.createUserNotification(userId, "order", title, message, {
+        priority: "high",
+        actionButton: { text: "View Order", url: `/orders/${order._id}`, style: "primary" }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: "order",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Extension notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // Milestones an extension would move: unfinished ones from the chosen index on
+  milestonesToShift(order, fromMilestoneIndex = 0) {
+    return (order.milestones || [])
+      .map((milestone, index) => ({ milestone, index }))
+      .filter(({ milestone, index }) =>
+        index >= fromMilestoneIndex
+        && UNFINISHED_MILESTONE_STATUSES.includes(milestone.status)
+        && milestone.dueDate)
+      .map(({ index }) => index);
+  }
+
+  /**
+   * Seller asks the buyer for more time
+   * @param {Object} order - Order document
+   * @param {string} userId - Must be the seller
+   * @param {Object} params - { days, reason, milestoneIndex }
+   * @returns {Promise<Object>} Updated order
+   */
+  async requestExtension(order, userId, { days, reason, milestoneIndex } = {}) {
+    if (order.sellerId !== userId) {
+      throw createError(403, "Only the seller can request a delivery extension");
+    }
+
+    const extraDays = Number(days);
+    if (!Number.isInteger(extraDays) || extraDays < 1 || extraDays > MAX_EXTENSION_DAYS) {
+      throw createError(400, `Extension must be a whole number of days between 1 and ${MAX_EXTENSION_DAYS}`);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw createError(400, "Please give the buyer a reason for the extension");
+    }
+    if (order.disputeStatus !== "none" || order.status === "cancelled") {
+      throw createError(400, "Deadlines cannot be extended on this order");
+    }
+    if (order.requirementsStatus === "pending") {
+      throw createError(400, "The delivery clock starts once the client submits the requirements");
+    }
+
+    const hasMilestones = order.milestones && order.milestones.length > 0;
+    let fromMilestoneIndex;
+    if (hasMilestones) {
+      fromMilestoneIndex = milestoneIndex === undefined || milestoneIndex === null ? 0 : Number(milestoneIndex);
+      if (!Number.isInteger(fromMilestoneIndex) || fromMilestoneIndex < 0 || fromMilestoneIndex >= order.milestones.length) {
+        throw createError(400, "Invalid milestone index");
+      }
+      if (this.milestonesToShift(order, fromMilestoneIndex).length === 0) {
+        throw createError(400, "There are no unfinished milestones to extend");
+      }
+      if (!["funded", "work_submitted"].includes(order.escrowStatus)) {
+        throw createError(400, "Deadlines cannot be extended on this order");
+      }
+    } else if (order.escrowStatus !== "funded") {
+      throw createError(400, "Extensions can only be requested before work is delivered");
+    }
+
+    const responseHours = await this.getResponseHours();
+    const requestedAt = new Date();
+    const extension = {
+      requestedBy: userId,
+      days: extraDays,
+      reason: String(reason).trim(),
+      fromMilestoneIndex,
+      requestedAt,
+      respondBy: new Date(requestedAt.getTime() + responseHours * MS_PER_HOUR),
+      status: "pending"
+    };
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, "deliveryExtensions.status": { $ne: "pending" } },
+      { $push: { deliveryExtensions: extension } },
+      { new: true }
+    );
+    if (!updatedOrder) {
+      throw createError(400, "An extension request is already awaiting the buyer's response");
+    }
+
+    await this.notify(
+      order.buyerId,
+      "Extension Requested",
+      `The seller has asked for ${extraDays} more day${extraDays === 1 ? "" : "s"} on "${order.title}": ${extension.reason}. Please approve or reject by ${extension.respondBy.toLocaleString()}.`,
+      order
+    );
+
+    return updatedOrder;
+  }
+
+  /**
+   * Buyer approves or rejects the pending extension
+   * @param {Object} order - Order document
+   * @param {string} userId - Must be the buyer
+   * @param {Object} params - { action: 'approve' | 'reject', note }
+   * @returns {Promise<Object>} Updated order
+   */
+  async respond(order, userId, { action, note } = {}) {
+    if (order.buyerId !== userId) {
+      throw createError(403, "Only the buyer can respond to an extension request");
+    }
+    if (!["approve", "reject"].includes(action)) {
+      throw createError(400, "Action must be 'approve' or 'reject'");
+    }
+
+    const extension = this.pendingExtension(order);
+    if (!extension) throw createError(404, "There is no pending extension request");
+    if (this.respondBy(extension, await this.getResponseHours()) <= new Date()) {
+      await this.expireRequest(order, extension);
+      throw createError(410, "This extension request has expired");
+    }
+
+    if (action === "reject") {
+      const rejected = await Order.findOneAndUpdate(
+        { _id: order._id, deliveryExtensions: { $elemMatch: { _id: extension._id, status: "pending" } } },
+        {
+          $set: {
+            "deliveryExtensions.$.status": "rejected",
+            "deliveryExtensions.$.respondedAt": new Date(),
+            "deliveryExtensions.$.responseNote": note
+          }
+        },
+        { new: true }
+      );
+      if (!rejected) throw createError(409, "This extension request was already answered");
+
+      await this.notify(
+        order.sellerId,
+        "Extension Rejected",
+        `The buyer declined your extension request for "${order.title}". The original deadline still applies.`,
+        order
+      );
+      return rejected;
+    }
+
+    const shiftMs = extension.days * MS_PER_DAY;
+    const shift = (date) => (date ? new Date(new Date(date).getTime() + shiftMs) : date);
+    const shiftedMilestones = this.milestonesToShift(order, extension.fromMilestoneIndex || 0);
+    const newExpectedDeliveryDate = shift(order.expectedDeliveryDate);
+
+    const updates = {
+      "deliveryExtensions.$.status": "approved",
+      "deliveryExtensions.$.respondedAt": new Date(),
+      "deliveryExtensions.$.responseNote": note,
+      "deliveryExtensions.$.previousExpectedDeliveryDate": order.expectedDeliveryDate,
+      "deliveryExtensions.$.newExpectedDeliveryDate": newExpectedDeliveryDate,
+      "deliveryExtensions.$.shiftedMilestones": shiftedMilestones,
+      // The new deadline deserves a fresh overdue warning
+      lateDeliveryWarningSentAt: null
+    };
+    if (order.expectedDeliveryDate) updates.expectedDeliveryDate = newExpectedDeliveryDate;
+    if (order.autoReleaseDate) updates.autoReleaseDate = shift(order.autoReleaseDate);
+    if (order.clientReviewDeadline) updates.clientReviewDeadline = shift(order.clientReviewDeadline);
+    shiftedMilestones.forEach(index => {
+      updates[`milestones.${index}.dueDate`] = shift(order.milestones[index].dueDate);
+      updates[`milestones.${index}.lateWarningSentAt`] = null;
+    });
+
+    // Guard on the deadlines we computed from, so a concurrent change can't be shifted twice
+    const approved = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        expectedDeliveryDate: order.expectedDeliveryDate || null,
+        deliveryExtensions: { $elemMatch: { _id: extension._id, status: "pending" } }
+      },
+      { $set: updates },
+      { new: true }
+    );
+    if (!approved) throw createError(409, "This order changed while you were responding. Please reload and try again.");
+
+    await this.notify(
+      order.sellerId,
+      "Extension Approved",
+      `The buyer approved ${extension.days} more day${extension.days === 1 ? "" : "s"} for "${order.title}".${newExpectedDeliveryDate ? ` New delivery date: ${newExpectedDeliveryDate.toDateString()}.` : ""}`,
+      order
+    );
+    return approved;
+  }
+
+  async expireRequest(order, extension) {
+    const expired = await Order.findOneAndUpdate(
+      { _id: order._id, deliveryExtensions: { $elemMatch: { _id: extension._id, status: "pending" } } },
+      { $set: { "deliveryExtensions.$.status": "expired", "deliveryExtensions.$.respondedAt": new Date() } }
+    );
+    if (expired) {
+      await this.notify(
+        order.sellerId,
+        "Extension Request Expired",
+        `The buyer did not answer your extension request for "${order.title}" in time. The original deadline still applies.`,
+        order
+      );
+    }
+    return Boolean(expired);
+  }
+
+  // Scheduler job: close requests whose response deadline has passed
+  async expireStaleRequests() {
+    const now = new Date();
+    const responseHours = await this.getResponseHours();
+    const orders = await Order.find({
+      deliveryExtensions: {
+        $elemMatch: {
+          status: "pending",
+          $or: [
+            { respondBy: { $lte: now } },
+            { respondBy: null, requestedAt: { $lte: new Date(now.getTime() - responseHours * MS_PER_HOUR) } }
+          ]
+        }
+      }
+    }).limit(100);
+
+    let expired = 0;
+    for (const order of orders) {
+      const extension = this.pendingExtension(order);
+      if (extension && this.respondBy(extension, responseHours) <= now && await this.expireRequest(order, extension)) {
+        expired++;
+      }
+    }
+    return { expired };
+  }
+}
+
+export default new DeliveryExtensionService();
@@ -0,0 +1,250 @@
+import crypto from "crypto";
+import Dispute from "../models/dispute.model.js";
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+import fileUploadService from "./fileUploadService.js";
+import createError from "../utils/createError.js";
+
+const EVIDENCE_FOLDER = 'dispute-evidence';
+const MAX_SNAPSHOT_MESSAGES = 2000;
+const DOWNLOAD_URL_SECONDS = 60 * 60;
+const EVIDENCE_TYPES = ["screenshot", "document", "communication", "video", "other"];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// JSON with sorted keys, so a stored snapshot hashes the same after a round trip through MongoDB
+const canonicalJson = (value) => {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Dispute evidence: files uploaded into the private folder with a SHA-256 of
+// each file, and the conversation/deliverable snapshot frozen when a dispute
+// opens. Nothing here can be edited or removed once stored.
+class DisputeEvidenceService {
+
+  // ===========================================
+  // SNAPSHOTS
+  // ===========================================
+
+  deliverableEntry(deliverable, extra = {}) {
+    return {
+      ...extra,
+      filename: deliverable.filename,
+      originalName: deliverable.originalName,
+      fileUrl: deliverable.fileUrl,
+      finalUrl: deliverable.finalUrl,
+      previewUrl: deliverable.previewUrl,
+      fileSize: deliverable.fileSize,
+      description: deliverable.description,
+      revisionNumber: deliverable.revisionNumber,
+      revisionRound: deliverable.revisionRound,
+      submittedAt: deliverable.submittedAt
+    };
+  }
+
+  /**
+   * Freeze the parties' messages (including the original text of filtered
+   * messages) and the order's delivery history
+   * @param {Object} order - Disputed order
+   * @returns {Promise<Object>} { takenAt, sha256, content }
+   */
+  async buildSnapshot(order) {
+    const takenAt = new Date();
+    const conversations = await Conversation.find(
+      { buyerId: order.buyerId, sellerId: order.sellerId },
+      'id'
+    ).lean();
+    const conversationIds = conversations.map(c => c.id);
+
+    const totalMessages = conversationIds.length > 0
+      ? await Message.countDocuments({ conversationId: { $in: conversationIds }, createdAt: { $lte: takenAt } })
+      : 0;
+    const messages = totalMessages > 0
+      ? (await Message.find({ conversationId: { $in: conversationIds }, createdAt: { $lte: takenAt } })
+          .sort({ createdAt: -1 })
+          .limit(MAX_SNAPSHOT_MESSAGES)
+          .lean()).reverse()
+      : [];
+
+    const role = (userId) => (userId === order.buyerId ? 'buyer' : userId === order.sellerId ? 'seller' : 'other');
+    const content = {
+      order: {
+        id: String(order._id),
+        title: order.title,
+        price: order.price,
+        status: order.status,
+        escrowStatus: order.escrowStatus,
+        fundingMode: order.fundingMode,
+        createdAt: order.createdAt,
+        expectedDeliveryDate: order.expectedDeliveryDate,
+        workSubmittedAt: order.workSubmittedAt,
+        freelancerNotes: order.freelancerNotes
+      },
+      conversationIds,
+      messageCount: totalMessages,
+      truncated: totalMessages > messages.length,
+      messages: messages.map(message => ({
+        id: String(message._id),
+        conversationId: message.conversationId,
+        userId: message.userId,
+        role: role(message.userId),
+        messageType: message.messageType,
+        desc: message.desc,
+        originalContent: message.isFiltered ? message.originalContent : undefined,
+        isFiltered: Boolean(message.isFiltered),
+        violations: message.isFiltered ? (message.filteringDetails?.violations || []).map(v => ({ type: v.type, severity: v.severity })) : undefined,
+        offerId: message.offerId,
+        attachments: (message.attachments || []).map(a => ({
+          fileName: a.fileName,
+          fileUrl: a.fileUrl,
+          fileType: a.fileType,
+          fileSize: a.fileSize,
+          publicId: a.publicId
+        })),
+        isEdited: Boolean(message.isEdited),
+        editedAt: message.editedAt,
+        isDeleted: Boolean(message.isDeleted),
+        deletedAt: message.deletedAt,
+        createdAt: message.createdAt
+      })),
+      deliverables: [
+        ...(order.deliverables || []).map(d => this.deliverableEntry(d, { scope: 'order' })),
+        ...(order.milestones || []).flatMap((milestone, index) => (milestone.deliverables || []).map(d => this.deliverableEntry(d, {
+          scope: 'milestone',
+          milestoneIndex: index,
+          milestoneTitle: milestone.title
+        })))
+      ],
+      revisionRequests: (order.revisionRequests || []).map(r => ({
+        reason: r.reason,
+        details: r.details,
+        round: r.round,
+        milestoneIndex: r.milestoneIndex,
+        requestedAt: r.requestedAt
+      })),
+      milestones: (order.milestones || []).map(m => ({
+        title: m.title,
+        amount: m.amount,
+        status: m.status,
+        dueDate: m.dueDate,
+        submittedAt: m.submittedAt,
+        approvedAt: m.approvedAt
+      }))
+    };
+
+    // Store exactly what was hashed (dates as ISO strings, no undefined fields)
+    const json = canonicalJson(content);
+    return { takenAt, sha256: sha256(json), content: JSON.parse(json) };
+  }
+
+  verifySnapshot(snapshot) {
+    if (!snapshot?.sha256) return null;
+    return sha256(canonicalJson(snapshot.content)) === snapshot.sha256;
+  }
+
+  // Parties see the snapshot without the original text of filtered messages
+  snapshotView(snapshot, isAdmin) {
+    if (!snapshot?.sha256) return null;
+    const content = isAdmin
+      ? snapshot.content
+      : {
+          ...snapshot.content,
+          messages: (snapshot.content.messages || []).map(({ originalContent, violations, ...message }) => message)
+        };
+    return { takenAt: snapshot.takenAt, sha256: snapshot.sha256, intact: this.verifySnapshot(snapshot), content };
+  }
+
+  // ===========================================
+  // EVIDENCE
+  // ===========================================
+
+  /**
+   * Upload evidence files to the private folder and append them to the case
+   * @param {Object} dispute - Dispute document
+   * @param {string} userId - Buyer, seller or admin
+   * @param {string} role
+   * @param {Object} params - { evidenceType, description, files, ipAddress, userAgent }
+   * @returns {Promise<Object>} The stored evidence entry
+   */
+  async submitEvidence(dispute, userId, role, { evidenceType, description, files = [], ipAddress, userAgent } = {}) {
+    if (dispute.status === 'resolved') throw createError(400, "Cannot add evidence to resolved dispute");
+    if (!EVIDENCE_TYPES.includes(evidenceType)) {
+      throw createError(400, `Evidence type must be one of: ${EVIDENCE_TYPES.join(', ')}`);
+    }
+    if (files.length === 0 && !String(description || '').trim()) {
+      throw createError(400, "Upload at least one file or describe the evidence");
+    }
+    if (description && String(description).length > 2000) {
+      throw createError(400, "Evidence descriptions are limited to 2000 characters");
+    }
+
+    // Hash what the user sent, before it leaves the server
+    const hashes = files.map(file => sha256(file.buffer));
+    const uploaded = files.length > 0
+      ? await fileUploadService.uploadMultipleFiles(files, `${EVIDENCE_FOLDER}/${dispute._id}`, true)
+      : [];
+
+    const entry = {
+      submittedBy: userId,
+      role,
+      evidenceType,
+      description,
+      files: uploaded.map((file, index) => ({
+        fileName: file.fileName,
+        fileType: file.fileType,
+        fileSize: file.fileSize,
+        publicId: file.publicId,
+        resourceType: file.resourceType,
+        sha256: hashes[index]
+      })),
+      uploader: { ipAddress, userAgent },
+      submittedAt: new Date()
+    };
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $ne: 'resolved' } },
+      {
+        $push: {
+          evidence: entry,
+          timeline: {
+            event: 'evidence_added',
+            actorId: userId,
+            actorRole: role,
+            note: description || `${uploaded.length} file(s)`,
+            at: entry.submittedAt
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      // The case closed while the files were uploading
+      await fileUploadService.deleteMultipleFiles(uploaded.map(f => f.publicId)).catch(() => {});
+      throw createError(409, "This dispute was resolved in the meantime");
+    }
+    return updated.evidence[updated.evidence.length - 1];
+  }
+
+  // Evidence with short-lived download links for the private files
+  evidenceView(dispute) {
+    return (dispute.evidence || []).map(item => {
+      const evidence = typeof item.toObject === 'function' ? item.toObject() : item;
+      return {
+        ...evidence,
+        files: (evidence.files || []).map(file => ({
+          ...file,
+          downloadUrl: fileUploadService.generateSecureDownloadUrl(file.publicId, file.resourceType, DOWNLOAD_URL_SECONDS)
+        }))
+      };
+    });
+  }
+}
+
+export default new DisputeEvidenceService();
@@ -0,0 +1,643 @@
+import mongoose from "mongoose";
+import Dispute from "../models/dispute.model.js";
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import notificationService from "./notificationService.js";
+import disputeEvidenceService from "./disputeEvidenceService.js";
+import socketService from "./socketService.js";
+import createError from "../utils/createError.js";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_REVIEW_DAYS = 7;
+const DEFAULT_NEGOTIATION_DAYS = 5;
+const ACTIVE_STATUSES = ['open', 'awaiting_review', 'under_review', 'escalated'];
+
+// Order.disputeStatus for each case status
+const ORDER_DISPUTE_STATUS = {
+  open: 'pending',
+  awaiting_review: 'pending',
+  escalated: 'pending',
+  under_review: 'under_review',
+  resolved: 'resolved'
+};
+
+const otherRole = (role) => (role === 'buyer' ? 'seller' : 'buyer');
+
+// Dispute case files: a threaded statement log between the buyer, the seller
+// and admins, a timeline of everything that happened, and response deadlines
+// that escalate the case when a party or the reviewing admin goes quiet.
+// Deadlines use PlatformSettings.disputes.adminReviewTimeoutDays. A new case
+// first gets a negotiation window (disputes.negotiationDays) in which the
+// parties can settle through offers (see disputeSettlementService).
+class DisputeService {
+
+  async getDisputeSettings() {
+    try {
+      const settings = await PlatformSettings.findOne().lean();
+      return settings?.disputes || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  async getDeadlineDays() {
+    return (await this.getDisputeSettings()).adminReviewTimeoutDays || DEFAULT_REVIEW_DAYS;
+  }
+
+  async deadline() {
+    return new Date(Date.now() + (await this.getDeadlineDays()) * MS_PER_DAY);
+  }
+
+  async negotiationDeadline() {
+    const days = (await this.getDisputeSettings()).negotiationDays ?? DEFAULT_NEGOTIATION_DAYS;
+    return new Date(Date.now() + days * MS_PER_DAY);
+  }
+
+  isNegotiating(dispute) {
+    return dispute.status === 'open' && dispute.negotiationEndsAt > new Date();
+  }
+
+  // Admins step in once negotiation has run its course
+  async assertReviewable(order) {
+    const dispute = await Dispute.findOne({ orderId: String(order._id) }, 'status negotiationEndsAt').lean();
+    if (dispute && this.isNegotiating(dispute)) {
+      throw createError(400, `The parties can negotiate a settlement until ${dispute.negotiationEndsAt.toDateString()}`);
+    }
+  }
+
+  partyRole(dispute, userId) {
+    if (dispute.buyerId === userId) return 'buyer';
+    if (dispute.sellerId === userId) return 'seller';
+    return null;
+  }
+
+  partyId(dispute, role) {
+    return role === 'buyer' ? dispute.buyerId : dispute.sellerId;
+  }
+
+  event(event, actorId, actorRole, note) {
+    return { event, actorId, actorRole, note, at: new Date() };
+  }
+
+  async notify(userId, title, message, dispute, priority = "high") {
+    try {
+      await notificationService.createUserNotification(userId, "dispute_update", title, message, {
+        priority,
+        actionButton: { text: "View Dispute", url: `/disputes/${dispute._id}`, style: "primary" }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: "dispute_update",
+        data: { action: "open_dispute", disputeId: dispute._id, orderId: dispute.orderId }
+      });
+    } catch (notifyError) {
+      console.log("Dispute notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // The assigned admin, or every admin while the case is unassigned
+  async notifyAdmins(title, message, dispute) {
+    try {
+      const adminIds = dispute.assignedTo
+        ? [dispute.assignedTo]
+        : (await User.find({ isAdmin: true }, '_id').lean()).map(admin => String(admin._id));
+      await Promise.all(adminIds.map(adminId => this.notify(adminId, title, message, dispute, "urgent")));
+    } catch (notifyError) {
+      console.log("Dispute admin notification failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // Keep the order's flat dispute fields in step with the case
+  async syncOrder(dispute, extra = {}) {
+    await Order.updateOne(
+      { _id: dispute.orderId },
+      { $set: { disputeStatus: ORDER_DISPUTE_STATUS[dispute.status], disputeId: String(dispute._id), ...extra } }
+    );
+  }
+
+  // ===========================================
+  // OPENING AND LOOKUP
+  // ===========================================
+
+  /**
+   * Open a dispute on an order and start the case file
+   * @param {Object} order - Order document
+   * @param {string} userId - Buyer or seller raising the dispute
+   * @param {Object} params - { reason, details }
+   * @returns {Promise<{order: Object, dispute: Object}>}
+   */
+  async openCase(order, userId, { reason, details } = {}) {
+    const role = order.buyerId === userId ? 'buyer' : order.sellerId === userId ? 'seller' : null;
+    if (!role) throw createError(403, "You are not authorized to dispute this order");
+    if (!reason || !String(reason).trim()) throw createError(400, "Please give a reason for the dispute");
+
+    const openedAt = new Date();
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, disputeStatus: "none" },
+      {
+        disputeStatus: "pending",
+        disputeReason: reason,
+        disputeDetails: details,
+        disputeInitiatedBy: userId,
+        disputeInitiatedAt: openedAt,
+        escrowStatus: "disputed",
+        status: "disputed"
+      },
+      { new: true }
+    );
+    if (!updatedOrder) throw createError(400, "A dispute is already active for this order");
+
+    const respondent = otherRole(role);
+    const responseDueAt = await this.deadline();
+    const negotiationEndsAt = await this.negotiationDeadline();
+    let dispute;
+    try {
+      // Freeze the conversation and delivery history before either side can change it
+      const snapshot = await disputeEvidenceService.buildSnapshot(updatedOrder);
+      dispute = await Dispute.create({
+        orderId: String(order._id),
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        openedBy: userId,
+        openedByRole: role,
+        reason,
+        details,
+        status: 'open',
+        awaitingResponseFrom: respondent,
+        responseDueAt,
+        negotiationEndsAt,
+        snapshot,
+        statements: [{ authorId: userId, role, body: details || reason }],
+        timeline: [
+          this.event('opened', userId, role, reason),
+          this.event('response_requested', 'system', 'system', `Waiting for the ${respondent}'s statement`)
+        ]
+      });
+    } catch (err) {
+      // Put the order back so the dispute can be raised again
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          disputeStatus: "none",
+          escrowStatus: order.escrowStatus,
+          status: order.status,
+          $unset: { disputeReason: 1, disputeDetails: 1, disputeInitiatedBy: 1, disputeInitiatedAt: 1 }
+        }
+      );
+      throw err;
+    }
+
+    await Order.updateOne({ _id: order._id }, { disputeId: String(dispute._id) });
+    updatedOrder.disputeId = String(dispute._id);
+
+    await this.notify(
+      this.partyId(dispute, respondent),
+      "A dispute was opened on your order",
+      `The ${role} opened a dispute on "${order.title}": ${reason}. Please add your statement by ${responseDueAt.toDateString()}. You can settle it between you with an offer until ${negotiationEndsAt.toDateString()}, after which an admin decides.`,
+      dispute
+    );
+    await this.notifyAdmins("New dispute", `A dispute was opened on "${order.title}".`, dispute);
+
+    return { order: updatedOrder, dispute };
+  }
+
+  // Case file for orders disputed before cases existed
+  async ensureCase(order) {
+    const existing = await Dispute.findOne({ orderId: String(order._id) });
+    if (existing) return existing;
+    if (!order.disputeStatus || order.disputeStatus === 'none') return null;
+
+    const openedBy = order.disputeInitiatedBy || order.buyerId;
+    const openedByRole = openedBy === order.sellerId ? 'seller' : 'buyer';
+    const status = order.disputeStatus === 'resolved'
+      ? 'resolved'
+      : order.disputeStatus === 'under_review' ? 'under_review' : 'awaiting_review';
+    try {
+      const dispute = await Dispute.create({
+        orderId: String(order._id),
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        openedBy,
+        openedByRole,
+        reason: order.disputeReason || 'Not specified',
+        details: order.disputeDetails,
+        status,
+        reviewDueAt: status === 'resolved' ? undefined : await this.deadline(),
+        assignedTo: order.disputeReviewedBy,
+        snapshot: await disputeEvidenceService.buildSnapshot(order),
+        statements: order.disputeDetails ? [{ authorId: openedBy, role: openedByRole, body: order.disputeDetails, createdAt: order.disputeInitiatedAt }] : [],
+        timeline: [{ event: 'opened', actorId: openedBy, actorRole: openedByRole, note: order.disputeReason, at: order.disputeInitiatedAt || order.updatedAt }]
+      });
+      await Order.updateOne({ _id: order._id }, { disputeId: String(dispute._id) });
+      return dispute;
+    } catch (err) {
+      if (err.code === 11000) return Dispute.findOne({ orderId: String(order._id) });
+      throw err;
+    }
+  }
+
+  // Accepts either the dispute id or the disputed order's id
+  async findCase(id) {
+    let dispute = mongoose.Types.ObjectId.isValid(id) ? await Dispute.findById(id) : null;
+    if (!dispute) dispute = await Dispute.findOne({ orderId: String(id) });
+    if (!dispute && mongoose.Types.ObjectId.isValid(id)) {
+      const order = await Order.findById(id);
+      if (order) dispute = await this.ensureCase(order);
+    }
+    if (!dispute) throw createError(404, "Dispute not found");
+    return dispute;
+  }
+
+  async isAdmin(userId) {
+    const user = await User.findById(userId, 'isAdmin').lean();
+    return Boolean(user?.isAdmin);
+  }
+
+  /**
+   * Case view for a party or an admin
+   * @param {string} id - Dispute id or order id
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getCase(id, userId) {
+    const dispute = await this.findCase(id);
+    const role = this.partyRole(dispute, userId) || (await this.isAdmin(userId) ? 'admin' : null);
+    if (!role) throw createError(403, "You are not part of this dispute");
+
+    const [order, buyer, seller, assignee] = await Promise.all([
+      Order.findById(dispute.orderId, 'title price status escrowStatus gigId fundingMode milestones.title milestones.amount milestones.status createdAt').lean(),
+      User.findById(dispute.buyerId, 'username img').lean(),
+      User.findById(dispute.sellerId, 'username img').lean(),
+      dispute.assignedTo ? User.findById(dispute.assignedTo, 'username').lean() : null
+    ]);
+
+    const view = dispute.toObject();
+    if (role !== 'admin') {
+      view.statements = view.statements.filter(s => !s.internal);
+    }
+    view.evidence = disputeEvidenceService.evidenceView(dispute);
+    view.snapshot = disputeEvidenceService.snapshotView(dispute.snapshot, role === 'admin');
+    return {
+      dispute: view,
+      order,
+      buyer,
+      seller,
+      assignedAdmin: assignee ? { _id: assignee._id, username: assignee.username } : null,
+      myRole: role,
+      awaitingMyResponse: role !== 'admin' && dispute.awaitingResponseFrom === role
+    };
+  }
+
+  async listCases({ status, assignedTo, page = 1, limit = 20 } = {}) {
+    const filter = {
+      ...(status ? { status } : { status: { $in: ACTIVE_STATUSES } }),
+      ...(assignedTo === 'unassigned' ? { assignedTo: null } : assignedTo ? { assignedTo } : {})
+    };
+    const [disputes, total] = await Promise.all([
+      Dispute.find(filter)
+        .select('-statements -timeline')
+        .sort({ status: 1, responseDueAt: 1, reviewDueAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Dispute.countDocuments(filter)
+    ]);
+    return {
+      disputes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit), hasMore: page * limit < total }
+    };
+  }
+
+  // ===========================================
+  // STATEMENTS
+  // ===========================================
+
+  /**
+   * Add a statement to the case thread. A statement from the party the case
+   * is waiting on counts as their response.
+   * @param {string} id - Dispute id or order id
+   * @param {string} userId
+   * @param {Object} params - { body, parentId, internal } internal notes are admin only
+   * @returns {Promise<Object>} Updated dispute
+   */
+  async addStatement(id, userId, { body, parentId, internal } = {}) {
+    const dispute = await this.findCase(id);
+    const partyRole = this.partyRole(dispute, userId);
+    const role = partyRole || (await this.isAdmin(userId) ? 'admin' : null);
+    if (!role) throw createError(403, "You are not part of this dispute");
+    if (dispute.status === 'resolved') throw createError(400, "This dispute has been resolved");
+
+    const text = String(body || '').trim();
+    if (!text) throw createError(400, "Statement cannot be empty");
+    if (text.length > 5000) throw createError(400, "Statements are limited to 5000 characters");
+    if (internal && role !== 'admin') throw createError(403, "Only admins can add internal notes");
+    if (parentId) {
+      const parent = dispute.statements.id(parentId);
+      if (!parent || (parent.internal && role !== 'admin')) throw createError(404, "Statement to reply to not found");
+    }
+
+    const update = {
+      $push: {
+        statements: { authorId: userId, role, body: text, parentId: parentId || undefined, internal: Boolean(internal) },
+        timeline: this.event('statement', userId, role, internal ? 'Internal note' : undefined)
+      }
+    };
+    const isResponse = partyRole && dispute.awaitingResponseFrom === partyRole;
+    if (isResponse) {
+      update.$set = { awaitingResponseFrom: null, responseDueAt: null };
+      update.$push.timeline = { $each: [update.$push.timeline, this.event('responded', userId, role)] };
+      // Once the respondent has answered the case is ready for an admin,
+      // unless the parties are still inside the negotiation window
+      if (dispute.status === 'open' && !this.isNegotiating(dispute)) {
+        update.$set.status = 'awaiting_review';
+        update.$set.reviewDueAt = await this.deadline();
+      }
+    }
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $ne: 'resolved' } },
+      update,
+      { new: true }
+    );
+    if (!updated) throw createError(409, "This dispute was resolved in the meantime");
+    if (isResponse) await this.syncOrder(updated);
+
+    if (!internal) {
+      const recipients = ['buyer', 'seller'].filter(r => r !== role).map(r => this.partyId(updated, r));
+      await Promise.all(recipients.map(recipientId => this.notify(
+        recipientId,
+        "New statement on your dispute",
+        `The ${role} added a statement to the dispute.`,
+        updated,
+        "medium"
+      )));
+    }
+    if (role !== 'admin' && updated.assignedTo) {
+      await this.notify(updated.assignedTo, "New statement on an assigned dispute", `The ${role} added a statement.`, updated, "medium");
+    }
+    return updated;
+  }
+
+  // ===========================================
+  // ADMIN ACTIONS
+  // ===========================================
+
+  /**
+   * Assign the case to an admin
+   * @param {string} id - Dispute id or order id
+   * @param {string} adminId - Admin making the assignment
+   * @param {string} assigneeId - Admin who will handle the case
+   */
+  async assign(id, adminId, assigneeId) {
+    const dispute = await this.findCase(id);
+    if (dispute.status === 'resolved') throw createError(400, "This dispute has been resolved");
+    const assignee = await User.findById(assigneeId, 'username isAdmin').lean();
+    if (!assignee?.isAdmin) throw createError(400, "Disputes can only be assigned to admins");
+
+    const updated = await Dispute.findByIdAndUpdate(
+      dispute._id,
+      {
+        $set: { assignedTo: String(assignee._id), assignedAt: new Date(), assignedBy: adminId },
+        $push: { timeline: this.event('assigned', adminId, 'admin', `Assigned to ${assignee.username}`) }
+      },
+      { new: true }
+    );
+    if (String(assignee._id) !== adminId) {
+      await this.notify(String(assignee._id), "Dispute assigned to you", `You have been assigned the dispute on order ${updated.orderId}.`, updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Ask a party for a statement, with a deadline
+   * @param {string} id - Dispute id or order id
+   * @param {string} adminId
+   * @param {Object} params - { from: 'buyer'|'seller', note }
+   */
+  async requestResponse(id, adminId, { from, note } = {}) {
+    if (!['buyer', 'seller'].includes(from)) throw createError(400, "Choose whether the buyer or the seller should respond");
+    const dispute = await this.findCase(id);
+    if (dispute.status === 'resolved') throw createError(400, "This dispute has been resolved");
+
+    const responseDueAt = await this.deadline();
+    const updated = await Dispute.findByIdAndUpdate(
+      dispute._id,
+      {
+        $set: {
+          awaitingResponseFrom: from,
+          responseDueAt,
+          ...(dispute.status === 'escalated' && { status: 'under_review', escalatedAt: null, escalationReason: null })
+        },
+        $push: {
+          ...(note && { statements: { authorId: adminId, role: 'admin', body: note } }),
+          timeline: this.event('response_requested', adminId, 'admin', `Statement requested from the ${from}`)
+        }
+      },
+      { new: true }
+    );
+    await this.syncOrder(updated);
+    await this.notify(
+      this.partyId(updated, from),
+      "Your statement is needed",
+      `An admin has asked for your statement on the dispute${note ? `: ${note}` : ''}. Please respond by ${responseDueAt.toDateString()}.`,
+      updated
+    );
+    return updated;
+  }
+
+  // Admin picked up the case (startDisputeReview)
+  async recordReviewStarted(order, adminId, notes) {
+    const dispute = await this.ensureCase(order);
+    if (!dispute) return null;
+    const updated = await Dispute.findByIdAndUpdate(
+      dispute._id,
+      {
+        $set: {
+          status: 'under_review',
+          reviewDueAt: await this.deadline(),
+          escalatedAt: null,
+          escalationReason: null,
+          ...(!dispute.assignedTo && { assignedTo: adminId, assignedAt: new Date(), assignedBy: adminId })
+        },
+        $push: {
+          ...(notes && { statements: { authorId: adminId, role: 'admin', body: notes, internal: true } }),
+          timeline: this.event('review_started', adminId, 'admin')
+        }
+      },
+      { new: true }
+    );
+    await Promise.all(['buyer', 'seller'].map(role => this.notify(
+      this.partyId(updated, role),
+      "Your dispute is being reviewed",
+      "An admin has started reviewing the dispute.",
+      updated,
+      "medium"
+    )));
+    return updated;
+  }
+
+  /**
+   * Close the case after the order has been refunded or released
+   * @param {Object} order - Disputed order
+   * @param {Object} params - { outcome, refundAmount, summary, resolvedBy }
+   */
+  async recordResolution(order, { outcome, refundAmount = 0, summary, resolvedBy, actorRole = 'admin', offerId }) {
+    const dispute = await this.ensureCase(order);
+    if (!dispute) return null;
+    const resolvedAt = new Date();
+    const updated = await Dispute.findByIdAndUpdate(
+      dispute._id,
+      {
+        $set: {
+          status: 'resolved',
+          awaitingResponseFrom: null,
+          responseDueAt: null,
+          reviewDueAt: null,
+          resolution: { outcome, refundAmount, summary, settledByOfferId: offerId, resolvedBy, resolvedAt }
+        },
+        $push: { timeline: this.event('resolved', resolvedBy, actorRole, summary) }
+      },
+      { new: true }
+    );
+    await this.expirePendingOffers(updated);
+    await Promise.all(['buyer', 'seller'].map(role => this.notify(
+      this.partyId(updated, role),
+      "Your dispute has been resolved",
+      summary || "The dispute on your order has been resolved.",
+      updated
+    )));
+    return updated;
+  }
+
+  /**
+   * Add uploaded evidence to the case
+   * @param {string} id - Dispute id or order id
+   * @param {string} userId - Buyer, seller or admin
+   * @param {Object} params - { evidenceType, description, files, ipAddress, userAgent }
+   * @returns {Promise<{dispute: Object, evidence: Object}>}
+   */
+  async submitEvidence(id, userId, params = {}) {
+    const dispute = await this.findCase(id);
+    const role = this.partyRole(dispute, userId) || (await this.isAdmin(userId) ? 'admin' : null);
+    if (!role) throw createError(403, "You are not part of this dispute");
+
+    const evidence = await disputeEvidenceService.submitEvidence(dispute, userId, role, params);
+
+    const recipients = ['buyer', 'seller'].filter(r => r !== role).map(r => this.partyId(dispute, r));
+    if (role !== 'admin' && dispute.assignedTo) recipients.push(dispute.assignedTo);
+    await Promise.all(recipients.map(recipientId => this.notify(
+      recipientId,
+      "New evidence on your dispute",
+      `The ${role} added ${evidence.files.length > 0 ? `${evidence.files.length} file(s) of ` : ''}evidence to the dispute.`,
+      dispute,
+      "medium"
+    )));
+    return { dispute, evidence };
+  }
+
+  // ===========================================
+  // DEADLINES
+  // ===========================================
+
+  // Settlement offers still open when the case leaves negotiation lapse. Kept
+  // out of the status update because arrayFilters fail on older cases that
+  // have no offers array.
+  async expirePendingOffers(dispute) {
+    await Dispute.updateOne(
+      { _id: dispute._id, 'offers.status': 'pending' },
+      { $set: { 'offers.$[p].status': 'expired' } },
+      { arrayFilters: [{ 'p.status': 'pending' }] }
+    );
+    (dispute.offers || []).forEach(offer => {
+      if (offer.status === 'pending') offer.status = 'expired';
+    });
+  }
+
+  // Hand the case to admins; unanswered settlement offers lapse
+  async escalate(dispute, reason, note, status = 'escalated') {
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: dispute.status },
+      {
+        $set: {
+          status,
+          escalatedAt: new Date(),
+          escalationReason: reason,
+          awaitingResponseFrom: null,
+          responseDueAt: null,
+          reviewDueAt: await this.deadline()
+        },
+        $push: { timeline: this.event('escalated', 'system', 'system', note) }
+      },
+      { new: true }
+    );
+    if (!updated) return null; // Someone acted on the case first
+    await this.expirePendingOffers(updated);
+
+    await this.syncOrder(updated);
+    await this.notifyAdmins("Dispute escalated", note, updated);
+    return updated;
+  }
+
+  /**
+   * Scheduler job: escalate cases where a party missed their response
+   * deadline, negotiation ended without a settlement, or the admin review
+   * is overdue
+   * @returns {Promise<Object>} Counts of escalated cases
+   */
+  async escalateOverdue() {
+    const now = new Date();
+    let noResponse = 0;
+    let negotiationTimeout = 0;
+    let reviewOverdue = 0;
+
+    const silent = await Dispute.find({
+      status: { $in: ['open', 'awaiting_review', 'under_review'] },
+      awaitingResponseFrom: { $ne: null },
+      responseDueAt: { $lte: now }
+    }).limit(200);
+    for (const dispute of silent) {
+      const role = dispute.awaitingResponseFrom;
+      const updated = await this.escalate(dispute, 'no_response', `The ${role} did not respond before the deadline`);
+      if (!updated) continue;
+      noResponse++;
+      await this.notify(
+        this.partyId(updated, role),
+        "Dispute escalated",
+        "You did not respond before the deadline, so the dispute has gone to an admin for a decision.",
+        updated
+      );
+    }
+
+    const unsettled = await Dispute.find({
+      status: 'open',
+      negotiationEndsAt: { $lte: now }
+    }).limit(200);
+    for (const dispute of unsettled) {
+      const updated = await this.escalate(dispute, 'negotiation_timeout', 'Negotiation ended without a settlement', 'awaiting_review');
+      if (!updated) continue;
+      negotiationTimeout++;
+      await Promise.all(['buyer', 'seller'].map(role => this.notify(
+        this.partyId(updated, role),
+        "Dispute sent to an admin",
+        "No settlement was agreed in time, so an admin will now review the case and decide.",
+        updated,
+        "medium"
+      )));
+    }
+
+    const stalled = await Dispute.find({
+      status: { $in: ['awaiting_review', 'under_review'] },
+      awaitingResponseFrom: null,
+      reviewDueAt: { $lte: now }
+    }).limit(200);
+    for (const dispute of stalled) {
+      if (await this.escalate(dispute, 'review_overdue', 'Admin review is overdue')) reviewOverdue++;
+    }
+
+    return { noResponse, negotiationTimeout, reviewOverdue };
+  }
+}
+
+export default new DisputeService();
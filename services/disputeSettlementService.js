@@ -0,0 +1,240 @@
+import Dispute from "../models/dispute.model.js";
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import disputeService from "./disputeService.js";
+import refundService from "./refundService.js";
+import orderCancellationService from "./orderCancellationService.js";
+import ledgerService, { roundMoney } from "./ledgerService.js";
+import createError from "../utils/createError.js";
+
+const otherRole = (role) => (role === 'buyer' ? 'seller' : 'buyer');
+
+// Settlement offers: while a dispute is in its negotiation window either
+// party can propose how the escrow is split (refund to the buyer, release
+// to the seller). The other side accepts, declines or counters. An accepted
+// offer settles the dispute straight away; cases that are not settled in time
+// go to admin review (see disputeService.escalateOverdue).
+class DisputeSettlementService {
+
+  async loadNegotiation(orderId, userId) {
+    const dispute = await disputeService.findCase(orderId);
+    const role = disputeService.partyRole(dispute, userId);
+    if (!role) throw createError(403, "You are not part of this dispute");
+    if (dispute.status === 'resolved') throw createError(400, "This dispute has been resolved");
+    if (!disputeService.isNegotiating(dispute)) {
+      throw createError(400, "Negotiation for this dispute has ended. An admin will decide the outcome.");
+    }
+    const order = await Order.findById(dispute.orderId);
+    if (!order) throw createError(404, "Order not found");
+    return { dispute, order, role };
+  }
+
+  pendingOffer(dispute) {
+    return (dispute.offers || []).find(o => o.status === 'pending') || null;
+  }
+
+  // Split the escrow still held for the order
+  quoteSplit(order, refundPercent) {
+    const percent = Number(refundPercent);
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+      throw createError(400, "Refund percentage must be a whole number from 0 to 100");
+    }
+    // Per-milestone orders are refunded a whole milestone payment at a time
+    if (order.fundingMode === 'per_milestone' && percent !== 0 && percent !== 100) {
+      throw createError(400, "Milestone-funded orders can only be settled with a full refund (100) or a full release (0)");
+    }
+    const escrow = orderCancellationService.refundableAmount(order);
+    if (!(escrow > 0)) throw createError(400, "There is nothing left in escrow to settle");
+    const refundAmount = roundMoney(escrow * percent / 100);
+    return { refundPercent: percent, refundAmount, releaseAmount: roundMoney(escrow - refundAmount) };
+  }
+
+  describe(offer) {
+    return `${offer.refundPercent}% refund (₦${offer.refundAmount.toLocaleString()}) / ${100 - offer.refundPercent}% release (₦${offer.releaseAmount.toLocaleString()})`;
+  }
+
+  /**
+   * Propose a split. Proposing while the other side has an offer open counters it;
+   * proposing again replaces your own open offer.
+   * @param {string} orderId - Disputed order (or dispute) id
+   * @param {string} userId - Buyer or seller
+   * @param {Object} params - { refundPercent, message }
+   * @returns {Promise<{dispute: Object, offer: Object}>}
+   */
+  async makeOffer(orderId, userId, { refundPercent, message } = {}) {
+    const { dispute, order, role } = await this.loadNegotiation(orderId, userId);
+    const split = this.quoteSplit(order, refundPercent);
+    if (message && String(message).length > 1000) throw createError(400, "Offer messages are limited to 1000 characters");
+
+    const previous = this.pendingOffer(dispute);
+    if (previous) {
+      const closed = await Dispute.findOneAndUpdate(
+        { _id: dispute._id, offers: { $elemMatch: { _id: previous._id, status: 'pending' } } },
+        {
+          $set: {
+            'offers.$.status': previous.proposedBy === userId ? 'withdrawn' : 'countered',
+            'offers.$.respondedAt': new Date()
+          }
+        }
+      );
+      if (!closed) throw createError(409, "The open offer was answered in the meantime. Please reload.");
+    }
+
+    const isCounter = Boolean(previous) && previous.proposedBy !== userId;
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: 'open', 'offers.status': { $ne: 'pending' } },
+      {
+        $push: {
+          offers: {
+            proposedBy: userId,
+            proposedByRole: role,
+            ...split,
+            message: message || undefined,
+            counterTo: isCounter ? previous._id : undefined
+          },
+          timeline: disputeService.event('offer_made', userId, role, `${isCounter ? 'Counter-offer' : 'Offer'}: ${split.refundPercent}% refund`)
+        }
+      },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "Another offer was made in the meantime. Please reload.");
+
+    const offer = updated.offers[updated.offers.length - 1];
+    await disputeService.notify(
+      disputeService.partyId(updated, otherRole(role)),
+      isCounter ? "Counter-offer on your dispute" : "Settlement offer on your dispute",
+      `The ${role} proposes ${this.describe(offer)} to settle the dispute on "${order.title}".${message ? ` "${message}"` : ''}`,
+      updated
+    );
+    return { dispute: updated, offer };
+  }
+
+  /**
+   * Accept, decline or counter the other party's offer
+   * @param {string} orderId - Disputed order (or dispute) id
+   * @param {string} offerId
+   * @param {string} userId
+   * @param {Object} params - { action: accept|decline|counter, refundPercent, message }
+   */
+  async respond(orderId, offerId, userId, { action, refundPercent, message } = {}) {
+    if (!['accept', 'decline', 'counter'].includes(action)) {
+      throw createError(400, "Action must be 'accept', 'decline' or 'counter'");
+    }
+    const { dispute, order, role } = await this.loadNegotiation(orderId, userId);
+    const offer = dispute.offers.id(offerId);
+    if (!offer || offer.status !== 'pending') throw createError(404, "This offer is no longer open");
+    if (offer.proposedBy === userId) throw createError(403, "You cannot respond to your own offer");
+
+    if (action === 'counter') {
+      return this.makeOffer(orderId, userId, { refundPercent, message });
+    }
+
+    const status = action === 'accept' ? 'accepted' : 'declined';
+    const claimed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: 'open', offers: { $elemMatch: { _id: offer._id, status: 'pending' } } },
+      {
+        $set: { 'offers.$.status': status, 'offers.$.respondedAt': new Date(), 'offers.$.responseNote': message },
+        $push: { timeline: disputeService.event(status === 'accepted' ? 'offer_accepted' : 'offer_declined', userId, role, message) }
+      },
+      { new: true }
+    );
+    if (!claimed) throw createError(409, "This offer was already answered");
+
+    if (status === 'declined') {
+      await disputeService.notify(
+        offer.proposedBy,
+        "Settlement offer declined",
+        `The ${role} declined your offer of ${this.describe(offer)}.${message ? ` "${message}"` : ''} You can make another offer until ${claimed.negotiationEndsAt.toDateString()}.`,
+        claimed
+      );
+      return { dispute: claimed, offer: claimed.offers.id(offer._id) };
+    }
+
+    let result;
+    try {
+      result = await this.settle(order, offer, userId, role);
+    } catch (err) {
+      // Nothing moved, so the offer stays open for another attempt
+      await Dispute.updateOne(
+        { _id: dispute._id, 'offers._id': offer._id },
+        { $set: { 'offers.$.status': 'pending' }, $unset: { 'offers.$.respondedAt': 1 } }
+      );
+      throw err;
+    }
+    return { ...result, offer: result.dispute?.offers.id(offer._id) || offer };
+  }
+
+  /**
+   * Carry out an accepted offer: refund the buyer's share (the rest is released
+   * to the seller) or, for a 0% refund, release everything to the seller
+   */
+  async settle(order, offer, acceptedBy, acceptedByRole) {
+    const summary = `Settled by agreement: ${this.describe(offer)}`;
+    const orderUpdates = {
+      disputeStatus: "resolved",
+      disputeResolution: summary,
+      disputeResolvedAt: new Date(),
+      disputeResolvedBy: acceptedBy
+    };
+
+    let updatedOrder;
+    let refund = null;
+    if (offer.refundAmount > 0) {
+      ({ order: updatedOrder, refund } = await refundService.issueRefund(order, {
+        amount: offer.refundAmount,
+        reason: `Dispute settlement: ${offer.refundPercent}% refund agreed by both parties`,
+        source: 'dispute',
+        orderUpdates
+      }));
+    } else {
+      updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, escrowStatus: order.escrowStatus },
+        {
+          ...orderUpdates,
+          escrowStatus: "released",
+          status: "completed",
+          isCompleted: true,
+          releasedAt: new Date()
+        },
+        { new: true }
+      );
+      if (!updatedOrder) throw createError(409, "This order was updated by another request. Please reload and try again.");
+      await ledgerService.tryPost('dispute settlement release', 'recordEscrowRelease', updatedOrder);
+    }
+
+    // Same dispute statistics as an admin resolution. A negotiated settlement
+    // leaves both trust scores alone.
+    if (offer.refundPercent === 100) {
+      await User.findByIdAndUpdate(order.sellerId, { $inc: { disputesLost: 1 } });
+    } else if (offer.refundPercent === 0) {
+      await Promise.all([
+        User.findByIdAndUpdate(order.sellerId, { $inc: { disputesWon: 1, totalOrders: 1 } }),
+        User.findByIdAndUpdate(order.buyerId, { $inc: { disputesLost: 1 } })
+      ]);
+    } else {
+      await Promise.all([
+        User.findByIdAndUpdate(order.sellerId, { $inc: { disputesPartial: 1 } }),
+        User.findByIdAndUpdate(order.buyerId, { $inc: { disputesPartial: 1 } })
+      ]);
+    }
+
+    const dispute = await disputeService.recordResolution(updatedOrder, {
+      outcome: offer.refundPercent === 100 ? 'refund' : offer.refundPercent === 0 ? 'release' : 'partial_refund',
+      refundAmount: offer.refundAmount,
+      summary,
+      resolvedBy: acceptedBy,
+      actorRole: acceptedByRole,
+      offerId: offer._id
+    });
+
+    return {
+      order: updatedOrder,
+      dispute,
+      refund,
+      refundAmount: offer.refundAmount,
+      releasedToFreelancer: refund ? refund.sellerReleaseAmount : offer.releaseAmount
+    };
+  }
+}
+
+export default new DisputeSettlementService();
@@ -1,4 +1,5 @@
 import nodemailer from "nodemailer";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
 import { SESv2Client, SendEmailCommand } from "@aws-sdk/client-sesv2";
 import dotenv from "dotenv";
 
@@ -431,6 +432,67 @@ const emailTemplates = {
       
       Nairalancers Admin Team
     `
+  }),
+
+  // Invoice, withdrawal receipt or earnings statement (PDF attached)
+  financialDocument: (templateData) => ({
+    subject: `${templateData.title} ${templateData.number} - Nairalancers`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${templateData.title}</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 20px; }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #1dbf73; }
+          .logo { font-size: 24px; font-weight: bold; color: #1dbf73; }
+          .content { padding: 30px 0; }
+          .summary { background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px 0; border-top: 1px solid #eee; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">🚀 Nairalancers</div>
+          </div>
+          <div class="content">
+            <p>Hi ${templateData.name},</p>
+            <p>${templateData.intro}</p>
+            <div class="summary">
+              <strong>${templateData.title}:</strong> ${templateData.number}<br>
+              <strong>Date:</strong> ${templateData.date}<br>
+              <strong>Amount:</strong> ${templateData.amount}
+            </div>
+            <p>The document is attached as a PDF. You can also download it from your account at any time.</p>
+            <p>Best regards,<br>The Nairalancers Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Nairalancers. All rights reserved.</p>
+            <p>This is an automated email. Please do not reply to this message.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      ${templateData.title} ${templateData.number} - Nairalancers
+
+      Hi ${templateData.name},
+
+      ${templateData.intro}
+
+      ${templateData.title}: ${templateData.number}
+      Date: ${templateData.date}
+      Amount: ${templateData.amount}
+
+      The document is attached as a PDF. You can also download it from your account at any time.
+
+      The Nairalancers Team
+    `
   })
 };
 
@@ -438,6 +500,7 @@ const emailTemplates = {
 export const sendEmail = async (emailDataOrTo, templateOrData, dataOrUndefined) => {
   try {
     let to, template, data, emailContent;
+    let attachments = [];
 
     // Check if first parameter is an object (new format)
     if (typeof emailDataOrTo === 'object' && emailDataOrTo.to) {
@@ -445,6 +508,7 @@ export const sendEmail = async (emailDataOrTo, templateOrData, dataOrUndefined)
       to = Array.isArray(emailDataOrTo.to) ? emailDataOrTo.to : [emailDataOrTo.to];
       template = emailDataOrTo.template;
       data = emailDataOrTo.templateData;
+      attachments = emailDataOrTo.attachments || []; // [{ filename, content (Buffer), contentType }]
       
       if (emailDataOrTo.subject && !template) {
         // Direct email content provided
@@ -490,6 +554,7 @@ export const sendEmail = async (emailDataOrTo, templateOrData, dataOrUndefined)
           subject: emailContent.subject,
           html: emailContent.html,
           text: emailContent.text,
+          ...(attachments.length > 0 && { attachments }),
         });
 
         results.push({
@@ -500,19 +565,33 @@ export const sendEmail = async (emailDataOrTo, templateOrData, dataOrUndefined)
 
         console.log(`✅ Email sent successfully to ${recipient}:`, info?.messageId || info?.response);
       } else {
-        // Fallback: send directly via SESv2 client
+        // Fallback: send directly via SESv2 client (attachments need a raw MIME message)
+        const content = attachments.length > 0
+          ? {
+              Raw: {
+                Data: await new MailComposer({
+                  from: `${SENDER_NAME} <${SENDER_EMAIL}>`,
+                  to: recipient,
+                  subject: emailContent.subject,
+                  html: emailContent.html,
+                  text: emailContent.text,
+                  attachments
+                }).compile().build()
+              }
+            }
+          : {
+              Simple: {
+                Subject: { Data: emailContent.subject, Charset: 'UTF-8' },
+                Body: {
+                  Html: { Data: emailContent.html || '', Charset: 'UTF-8' },
+                  Text: { Data: emailContent.text || '', Charset: 'UTF-8' },
+                }
+              }
+            };
         const params = {
           FromEmailAddress: `${SENDER_NAME} <${SENDER_EMAIL}>`,
           Destination: { ToAddresses: [recipient] },
-          Content: {
-            Simple: {
-              Subject: { Data: emailContent.subject, Charset: 'UTF-8' },
-              Body: {
-                Html: { Data: emailContent.html || '', Charset: 'UTF-8' },
-                Text: { Data: emailContent.text || '', Charset: 'UTF-8' },
-              }
-            }
-          }
+          Content: content
         };
         const resp = await sesClient.send(new SendEmailCommand(params));
         results.push({ recipient, success: true, messageId: resp?.MessageId || "" });
@@ -0,0 +1,153 @@
+import PlatformSettings from "../models/platformSettings.model.js";
+import User from "../models/user.model.js";
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Apply a percentage with optional min / max caps, never exceeding the base amount
+const applyRate = (amount, { percentage = 0, minimum = 0, maximum = null, fixed = 0 } = {}) => {
+  if (!amount || amount <= 0) return 0;
+  let fee = amount * (Number(percentage) || 0) / 100 + (Number(fixed) || 0);
+  if (fee <= 0) return 0;
+  if (minimum) fee = Math.max(fee, minimum);
+  if (maximum) fee = Math.min(fee, maximum);
+  return roundMoney(Math.min(fee, amount));
+};
+
+// Single source of truth for every platform fee. Reads the live PlatformSettings
+// (falling back to schema defaults when no settings document exists yet).
+class FeeService {
+
+  async getFeeSettings() {
+    let settings = null;
+    try {
+      settings = await PlatformSettings.findOne().lean();
+    } catch (e) {
+      // keep fallbacks
+    }
+    if (!settings) {
+      settings = new PlatformSettings().toObject();
+    }
+    return {
+      fees: settings.fees || {},
+      tips: settings.fees?.tips || {},
+      sellerSubscription: settings.subscriptions?.sellerSubscription || {}
+    };
+  }
+
+  hasActiveSellerSubscription(seller) {
+    const subscription = seller?.sellerSubscription;
+    if (!subscription?.active) return false;
+    return !subscription.expiresAt || new Date(subscription.expiresAt) > new Date();
+  }
+
+  // Commission rate for a seller, honouring the subscription discount
+  serviceFeeRateFor(seller, feeSettings) {
+    const baseRate = Number(feeSettings.fees?.serviceFee?.percentage) || 0;
+    const { enabled, discountedFee } = feeSettings.sellerSubscription || {};
+    if (enabled && typeof discountedFee === 'number' && this.hasActiveSellerSubscription(seller)) {
+      return { rate: Math.min(discountedFee, baseRate), discounted: discountedFee < baseRate };
+    }
+    return { rate: baseRate, discounted: false };
+  }
+
+  /**
+   * Compute the full fee breakdown for an order
+   * @param {number} subtotal - Service price in Naira
+   * @param {Object|string} seller - Seller user document or id
+   * @param {Object} options - { feeSettings, chargeBuyerFees (default true) }
+   * @returns {Promise<Object>} Snapshot suitable for Order.fees
+   */
+  async quote(subtotal, seller, options = {}) {
+    const feeSettings = options.feeSettings || await this.getFeeSettings();
+    const sellerDoc = typeof seller === 'string'
+      ? await User.findById(seller, 'sellerSubscription').lean()
+      : seller;
+
+    const amount = roundMoney(subtotal);
+    const { rate, discounted } = this.serviceFeeRateFor(sellerDoc, feeSettings);
+    const serviceFee = applyRate(amount, { ...feeSettings.fees?.serviceFee, percentage: rate });
+    const paymentProcessingFee = options.chargeBuyerFees === false
+      ? 0
+      : applyRate(amount, feeSettings.fees?.paymentProcessingFee);
+
+    return {
+      subtotal: amount,
+      paymentProcessingFee,
+      buyerTotal: roundMoney(amount + paymentProcessingFee),
+      serviceFee,
+      serviceFeeRate: rate,
+      subscriptionDiscount: discounted,
+      sellerNet: roundMoney(amount - serviceFee),
+      platformRevenue: roundMoney(serviceFee + paymentProcessingFee),
+      currency: 'NGN',
+      calculatedAt: new Date()
+    };
+  }
+
+  /**
+   * Fee breakdown for a tip. Tips follow the normal fee rules unless the
+   * platform settings waive the service and/or processing fee for tips.
+   * @param {number} amount - Tip in Naira
+   * @param {Object|string} seller - Seller user document or id
+   * @param {Object} options - { feeSettings, chargeBuyerFees (default true) }
+   * @returns {Promise<Object>} Snapshot in the same shape as quote()
+   */
+  async quoteTip(amount, seller, options = {}) {
+    const feeSettings = options.feeSettings || await this.getFeeSettings();
+    const { waiveServiceFee, waiveProcessingFee } = feeSettings.tips || {};
+    const tipSettings = {
+      ...feeSettings,
+      fees: {
+        ...feeSettings.fees,
+        ...(waiveServiceFee && { serviceFee: { percentage: 0 } })
+      },
+      // A waived service fee is not "discounted" by a subscription
+      ...(waiveServiceFee && { sellerSubscription: {} })
+    };
+    return this.quote(amount, seller, {
+      feeSettings: tipSettings,
+      chargeBuyerFees: options.chargeBuyerFees !== false && !waiveProcessingFee
+    });
+  }
+
+  /**
+   * Fee snapshot for a captured payment. Uses the quote taken at checkout when
+   * the charged amount matches it; otherwise treats the whole charge as the subtotal.
+   * @param {Object} options - { tip } quote the fallback with the tip fee rules
+   */
+  async snapshotForPayment(amountPaid, quotedFees, sellerId, options = {}) {
+    const paid = roundMoney(amountPaid);
+    if (quotedFees && Math.abs(roundMoney(quotedFees.buyerTotal) - paid) < 0.01) {
+      return { ...quotedFees, calculatedAt: quotedFees.calculatedAt ? new Date(quotedFees.calculatedAt) : new Date() };
+    }
+    return options.tip
+      ? this.quoteTip(paid, sellerId, { chargeBuyerFees: false })
+      : this.quote(paid, sellerId, { chargeBuyerFees: false });
+  }
+
+  // Platform commission on (part of) an order's escrow, prorated from its snapshot
+  async serviceFeeForRelease(order, amount) {
+    const fees = order.fees;
+    if (fees && typeof fees.serviceFee === 'number' && fees.subtotal > 0) {
+      return roundMoney(Math.min(fees.serviceFee * amount / fees.subtotal, amount));
+    }
+    // Orders paid before fees were snapshotted
+    const { serviceFee } = await this.quote(amount, String(order.sellerId?._id || order.sellerId), { chargeBuyerFees: false });
+    return serviceFee;
+  }
+
+  // Seller's net for a whole order (snapshot first, live settings for legacy orders)
+  sellerNetFor(order, seller, feeSettings) {
+    if (order.fees && typeof order.fees.sellerNet === 'number') return order.fees.sellerNet;
+    const { rate } = this.serviceFeeRateFor(seller, feeSettings);
+    return roundMoney(order.price - applyRate(order.price, { ...feeSettings.fees?.serviceFee, percentage: rate }));
+  }
+
+  async computeWithdrawalFee(amount, options = {}) {
+    const feeSettings = options.feeSettings || await this.getFeeSettings();
+    const processingFee = applyRate(amount, feeSettings.fees?.withdrawalFee);
+    return { processingFee, netAmount: roundMoney(amount - processingFee) };
+  }
+}
+
+export default new FeeService();
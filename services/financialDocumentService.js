@@ -0,0 +1,792 @@
+import mongoose from "mongoose";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import FinancialDocument from "../models/financialDocument.model.js";
+import Sequence from "../models/sequence.model.js";
+import Order from "../models/order.model.js";
+import Withdrawal from "../models/withdrawal.model.js";
+import JournalEntry from "../models/journalEntry.model.js";
+import User from "../models/user.model.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import { ACCOUNTS, roundMoney } from "./ledgerService.js";
+import { sendEmail } from "./emailService.js";
+import createError from "../utils/createError.js";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 2; // Scheduled issuance re-checks recent payments so nothing is missed
+const STATEMENT_DAYS = 3; // Statements for last month are issued during the first days of a month
+const BATCH_SIZE = 100;
+const MAX_EMAIL_ATTEMPTS = 3;
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const EARNING_TYPES = ['escrow_release', 'milestone_release', 'refund', 'tip'];
+const SELLER_ENTRY_TYPES = [...EARNING_TYPES, 'withdrawal_hold', 'withdrawal_release', 'withdrawal_reversal'];
+
+const TITLES = { invoice: 'Invoice', receipt: 'Withdrawal Receipt', statement: 'Earnings Statement' };
+
+// Money for PDFs: the standard PDF fonts cannot draw the naira sign
+const formatMoney = (value) => `NGN ${roundMoney(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Standard fonts only encode WinAnsi; replace anything else (emoji, non-Latin scripts)
+const pdfSafe = (text) => String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+// Invoices, withdrawal receipts and monthly seller earnings statements.
+// Each document is numbered sequentially per type and year when it is
+// issued, its figures are snapshotted at that moment, and the PDF is
+// rendered from the snapshot on every download.
+class FinancialDocumentService {
+
+  async getSettings() {
+    let settings = null;
+    try {
+      settings = await PlatformSettings.findOne().lean();
+    } catch (e) {
+      // keep fallbacks
+    }
+    const defaults = new PlatformSettings().toObject().invoicing;
+    return { ...defaults, ...(settings?.invoicing || {}), vat: { ...defaults.vat, ...(settings?.invoicing?.vat || {}) } };
+  }
+
+  // VAT contained in a fee that was already charged (fees are VAT-inclusive)
+  vatIncluded(amount, settings) {
+    if (!settings.vat?.enabled || !(settings.vat.rate > 0)) return 0;
+    return roundMoney(amount * settings.vat.rate / (100 + settings.vat.rate));
+  }
+
+  issuer(settings) {
+    return {
+      name: settings.companyName,
+      address: settings.companyAddress,
+      taxId: settings.taxId,
+      vatNumber: settings.vat?.enabled ? settings.vat.registrationNumber : undefined
+    };
+  }
+
+  vatNote(amount, settings) {
+    return settings.vat?.enabled
+      ? [`Platform fees include ${settings.vat.rate}% VAT of ${formatMoney(amount)}.`]
+      : [];
+  }
+
+  async party(userId) {
+    const user = await User.findById(userId, 'username firstname lastname email country').lean();
+    const fullName = [user?.firstname, user?.lastname].filter(Boolean).join(' ');
+    return {
+      name: fullName || user?.username || 'Unknown user',
+      username: user?.username,
+      email: user?.email,
+      country: user?.country
+    };
+  }
+
+  // ===========================================
+  // ISSUING
+  // ===========================================
+
+  /**
+   * Assign the next number and store the document in one transaction, so a
+   * failed insert never leaves a gap in the numbering
+   * @param {Object} params - { type, prefix, filter, fields, data, total, deliver }
+   * @returns {Promise<{document: Object, isExisting: boolean}>}
+   */
+  async issue({ type, prefix, filter, fields, data, total, deliver }) {
+    const existing = await FinancialDocument.findOne({ type, ...filter });
+    if (existing) return { document: existing, isExisting: true };
+
+    const issuedAt = new Date();
+    const year = issuedAt.getUTCFullYear();
+    const session = await mongoose.startSession();
+    try {
+      let created;
+      await session.withTransaction(async () => {
+        const { seq } = await Sequence.findOneAndUpdate(
+          { _id: `${type}:${year}` },
+          { $inc: { seq: 1 } },
+          { upsert: true, new: true, session }
+        );
+        [created] = await FinancialDocument.create([{
+          type,
+          number: `${prefix}-${year}-${String(seq).padStart(6, '0')}`,
+          ...filter,
+          ...fields,
+          issuedAt,
+          total,
+          data: { ...data, title: TITLES[type], issuedAt },
+          delivery: { status: deliver ? 'pending' : 'not_requested' }
+        }], { session });
+      });
+      return { document: created, isExisting: false };
+    } catch (err) {
+      // Issued by a concurrent request
+      if (err.code === 11000) {
+        const document = await FinancialDocument.findOne({ type, ...filter });
+        if (document) return { document, isExisting: true };
+      }
+      throw err;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Every captured payment on an order: checkout, later milestones and tips
+  orderPayments(order) {
+    const payments = [];
+    const perMilestone = order.fundingMode === 'per_milestone';
+    if (order.reference && order.paidAt) {
+      const first = order.milestones?.[0];
+      payments.push({
+        reference: order.reference,
+        description: perMilestone ? `${order.title} - Milestone 1: ${first?.title || ''}` : order.title,
+        quantity: perMilestone ? 1 : (order.quantity || 1),
+        amount: perMilestone ? roundMoney(first?.amount) : roundMoney(order.fees?.subtotal ?? order.price),
+        processingFee: perMilestone
+          ? roundMoney(first?.fundingFees?.paymentProcessingFee)
+          : roundMoney(order.fees?.paymentProcessingFee),
+        provider: order.provider,
+        paidAt: order.paidAt
+      });
+    }
+    if (perMilestone) {
+      (order.milestones || []).forEach((milestone, index) => {
+        if (index === 0 || !milestone.fundingReference) return;
+        payments.push({
+          reference: milestone.fundingReference,
+          description: `${order.title} - Milestone ${index + 1}: ${milestone.title}`,
+          quantity: 1,
+          amount: roundMoney(milestone.amount),
+          processingFee: roundMoney(milestone.fundingFees?.paymentProcessingFee),
+          provider: milestone.fundingProvider || order.provider,
+          paidAt: milestone.fundedAt
+        });
+      });
+    }
+    (order.tips || []).forEach(tip => {
+      payments.push({
+        reference: tip.reference,
+        description: `Tip for ${order.title}`,
+        quantity: 1,
+        amount: roundMoney(tip.amount),
+        processingFee: roundMoney(tip.paymentProcessingFee),
+        provider: tip.provider || order.provider,
+        paidAt: tip.paidAt
+      });
+    });
+    return payments;
+  }
+
+  /**
+   * Issue the buyer's invoice for one payment on an order
+   * @param {Object} order - Order document
+   * @param {string} reference - Payment reference (defaults to the order's checkout payment)
+   * @param {Object} options - { deliver } email it once issued
+   */
+  async issueInvoice(order, reference = order.reference, options = {}) {
+    const payment = this.orderPayments(order).find(p => p.reference === reference);
+    if (!payment) throw createError(404, "No payment with this reference on the order");
+
+    const settings = await this.getSettings();
+    const [buyer, seller] = await Promise.all([this.party(order.buyerId), this.party(order.sellerId)]);
+    const total = roundMoney(payment.amount + payment.processingFee);
+    const vat = this.vatIncluded(payment.processingFee, settings);
+
+    const data = {
+      issuer: this.issuer(settings),
+      parties: [
+        { label: 'Billed to', lines: [buyer.name, buyer.email, buyer.country].filter(Boolean) },
+        { label: 'Service provider', lines: [seller.name, seller.username && `@${seller.username}`].filter(Boolean) }
+      ],
+      details: [
+        ['Order', String(order._id)],
+        ['Payment reference', payment.reference],
+        ['Paid on', formatDate(payment.paidAt)],
+        ['Payment method', (payment.provider || 'paystack').replace(/^./, c => c.toUpperCase())],
+        ['Status', 'Paid']
+      ],
+      columns: [
+        { label: 'Description', width: 0.55 },
+        { label: 'Qty', width: 0.1, align: 'right' },
+        { label: 'Amount', width: 0.35, align: 'right', money: true }
+      ],
+      rows: [
+        [payment.description, payment.quantity, payment.amount],
+        ...(payment.processingFee > 0 ? [['Payment processing fee (platform)', 1, payment.processingFee]] : [])
+      ],
+      totals: [
+        ['Subtotal', payment.amount],
+        ['Platform fees', payment.processingFee],
+        ...(settings.vat?.enabled ? [[`VAT included (${settings.vat.rate}%)`, vat]] : []),
+        ['Total paid', total, { bold: true }]
+      ],
+      notes: [
+        'Payments for services are held in escrow until the work is approved.',
+        ...this.vatNote(vat, settings),
+        settings.footerNote
+      ].filter(Boolean),
+      email: {
+        name: buyer.name,
+        intro: `Here is your invoice for "${order.title}".`
+      }
+    };
+
+    return this.issue({
+      type: 'invoice',
+      prefix: settings.invoicePrefix,
+      filter: { paymentReference: payment.reference },
+      fields: { recipientId: order.buyerId, orderId: String(order._id), sellerId: order.sellerId },
+      data,
+      total,
+      deliver: options.deliver && settings.emailDocuments
+    });
+  }
+
+  /**
+   * Issue the seller's receipt for a completed withdrawal
+   * @param {Object} withdrawal - Withdrawal document
+   * @param {Object} options - { deliver }
+   */
+  async issueWithdrawalReceipt(withdrawal, options = {}) {
+    if (withdrawal.status !== 'completed') {
+      throw createError(400, "Receipts are issued once the withdrawal has been paid out");
+    }
+    const settings = await this.getSettings();
+    const seller = await this.party(withdrawal.freelancerId);
+    const amount = roundMoney(withdrawal.amount);
+    const fee = roundMoney(Math.min(withdrawal.processingFee || 0, amount));
+    const net = roundMoney(amount - fee);
+    const vat = this.vatIncluded(fee, settings);
+    const accountNumber = withdrawal.bankDetails?.accountNumber || '';
+
+    const data = {
+      issuer: this.issuer(settings),
+      parties: [
+        { label: 'Paid to', lines: [seller.name, seller.email].filter(Boolean) },
+        {
+          label: 'Bank account',
+          lines: [
+            withdrawal.bankDetails?.accountName,
+            withdrawal.bankDetails?.bankName,
+            accountNumber && `******${accountNumber.slice(-4)}`
+          ].filter(Boolean)
+        }
+      ],
+      details: [
+        ['Withdrawal', String(withdrawal._id)],
+        ['Reference', withdrawal.transferReference || withdrawal.transactionReference],
+        ['Requested on', formatDate(withdrawal.requestedAt)],
+        ['Paid on', formatDate(withdrawal.processedAt)]
+      ],
+      columns: [
+        { label: 'Description', width: 0.65 },
+        { label: 'Amount', width: 0.35, align: 'right', money: true }
+      ],
+      rows: [
+        ['Withdrawal from available earnings', amount],
+        ...(fee > 0 ? [['Withdrawal processing fee', -fee]] : [])
+      ],
+      totals: [
+        ['Withdrawn', amount],
+        ['Fees', fee],
+        ...(settings.vat?.enabled ? [[`VAT included (${settings.vat.rate}%)`, vat]] : []),
+        ['Paid to bank', net, { bold: true }]
+      ],
+      notes: [...this.vatNote(vat, settings), settings.footerNote].filter(Boolean),
+      email: {
+        name: seller.name,
+        intro: `Your withdrawal of ${formatMoney(amount)} has been paid out. Your receipt is attached.`
+      }
+    };
+
+    return this.issue({
+      type: 'receipt',
+      prefix: settings.receiptPrefix,
+      filter: { withdrawalId: String(withdrawal._id) },
+      fields: { recipientId: withdrawal.freelancerId, sellerId: withdrawal.freelancerId },
+      data,
+      total: net,
+      deliver: options.deliver && settings.emailDocuments
+    });
+  }
+
+  parsePeriod(period) {
+    const match = PERIOD_PATTERN.exec(period || '');
+    if (!match) throw createError(400, "Statement period must be in YYYY-MM format");
+    const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+    const end = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+    if (end > new Date()) throw createError(400, "Statements are available once the month has ended");
+    return { start, end };
+  }
+
+  // Movements on the seller's available balance, from the ledger
+  async buildStatementFigures(sellerId, start, end) {
+    const code = ACCOUNTS.sellerAvailable(sellerId).code;
+    const [[opening], entries, payouts] = await Promise.all([
+      JournalEntry.aggregate([
+        { $match: { 'lines.accountCode': code, postedAt: { $lt: start } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.accountCode': code } },
+        { $group: { _id: null, balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+      ]),
+      JournalEntry.find({ 'lines.accountCode': code, postedAt: { $gte: start, $lt: end } }).sort({ postedAt: 1 }).lean(),
+      JournalEntry.find({ type: 'withdrawal_payout', sellerId: String(sellerId), postedAt: { $gte: start, $lt: end } }).lean()
+    ]);
+
+    const rows = [];
+    const totals = { gross: 0, fees: 0, net: 0, withdrawn: 0, returned: 0 };
+    for (const entry of entries) {
+      const own = entry.lines.filter(l => l.accountCode === code);
+      const change = roundMoney(own.reduce((sum, l) => sum + l.credit - l.debit, 0));
+      if (EARNING_TYPES.includes(entry.type)) {
+        const fee = roundMoney(entry.lines
+          .filter(l => l.accountCode === ACCOUNTS.revenue().code && l.memo === 'Platform service fee')
+          .reduce((sum, l) => sum + l.credit, 0));
+        totals.gross += change + fee;
+        totals.fees += fee;
+        totals.net += change;
+        rows.push([formatDate(entry.postedAt), entry.description, roundMoney(change + fee), fee, change]);
+      } else if (entry.type === 'withdrawal_hold') {
+        totals.withdrawn += -change;
+        rows.push([formatDate(entry.postedAt), entry.description, null, null, change]);
+      } else {
+        totals.returned += change;
+        rows.push([formatDate(entry.postedAt), entry.description, null, null, change]);
+      }
+    }
+    const withdrawalFees = roundMoney(payouts.reduce((sum, entry) => sum + entry.lines
+      .filter(l => l.memo === 'Withdrawal processing fee')
+      .reduce((s, l) => s + l.credit, 0), 0));
+
+    const openingBalance = roundMoney(opening?.balance || 0);
+    const movement = roundMoney(totals.net - totals.withdrawn + totals.returned);
+    return {
+      rows,
+      openingBalance,
+      closingBalance: roundMoney(openingBalance + movement),
+      gross: roundMoney(totals.gross),
+      serviceFees: roundMoney(totals.fees),
+      net: roundMoney(totals.net),
+      withdrawn: roundMoney(totals.withdrawn - totals.returned),
+      withdrawalFees
+    };
+  }
+
+  /**
+   * Issue a seller's earnings statement for a past month
+   * @param {string} sellerId
+   * @param {string} period - YYYY-MM
+   * @param {Object} options - { deliver }
+   */
+  async issueStatement(sellerId, period, options = {}) {
+    const { start, end } = this.parsePeriod(period);
+    const existing = await FinancialDocument.findOne({ type: 'statement', sellerId: String(sellerId), period });
+    if (existing) return { document: existing, isExisting: true };
+
+    const settings = await this.getSettings();
+    const seller = await this.party(sellerId);
+    const figures = await this.buildStatementFigures(String(sellerId), start, end);
+    const platformFees = roundMoney(figures.serviceFees + figures.withdrawalFees);
+    const vat = this.vatIncluded(platformFees, settings);
+    const lastDay = new Date(end.getTime() - MS_PER_DAY);
+
+    const data = {
+      issuer: this.issuer(settings),
+      parties: [{ label: 'Statement for', lines: [seller.name, seller.email].filter(Boolean) }],
+      details: [
+        ['Period', `${formatDate(start)} to ${formatDate(lastDay)}`],
+        ['Opening balance', formatMoney(figures.openingBalance)],
+        ['Closing balance', formatMoney(figures.closingBalance)]
+      ],
+      columns: [
+        { label: 'Date', width: 0.14 },
+        { label: 'Description', width: 0.38 },
+        { label: 'Gross', width: 0.16, align: 'right', money: true },
+        { label: 'Platform fee', width: 0.16, align: 'right', money: true },
+        { label: 'Balance change', width: 0.16, align: 'right', money: true }
+      ],
+      rows: figures.rows.length > 0 ? figures.rows : [['', 'No activity in this period', null, null, null]],
+      totals: [
+        ['Gross earnings', figures.gross],
+        ['Platform service fees', figures.serviceFees],
+        ['Net earnings', figures.net],
+        ['Withdrawn', figures.withdrawn],
+        ['Withdrawal fees', figures.withdrawalFees],
+        ...(settings.vat?.enabled ? [[`VAT included in fees (${settings.vat.rate}%)`, vat]] : []),
+        ['Closing balance', figures.closingBalance, { bold: true }]
+      ],
+      notes: [
+        'Amounts are taken from your available earnings account. Funds still in escrow are not included.',
+        ...this.vatNote(vat, settings),
+        settings.footerNote
+      ].filter(Boolean),
+      email: {
+        name: seller.name,
+        intro: `Your earnings statement for ${period} is ready.`
+      }
+    };
+
+    return this.issue({
+      type: 'statement',
+      prefix: settings.statementPrefix,
+      filter: { sellerId: String(sellerId), period },
+      fields: { recipientId: String(sellerId) },
+      data,
+      total: figures.net,
+      deliver: options.deliver && settings.emailDocuments
+    });
+  }
+
+  // ===========================================
+  // RENDERING
+  // ===========================================
+
+  /**
+   * Render a document snapshot as a PDF
+   * @param {Object} document - FinancialDocument
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(document) {
+    const data = document.data;
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(`${data.title} ${document.number}`);
+    pdf.setProducer(data.issuer?.name || 'Nairalancers');
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+    const [pageWidth, pageHeight] = [595.28, 841.89]; // A4
+    const margin = 50;
+    const contentWidth = pageWidth - margin * 2;
+    const grey = rgb(0.4, 0.4, 0.4);
+    const accent = rgb(0.11, 0.75, 0.45);
+    let page;
+    let y;
+
+    const text = (value, x, size = 10, { font: f = font, color = rgb(0, 0, 0), align = 'left', width = 0 } = {}) => {
+      const safe = pdfSafe(value);
+      const textWidth = f.widthOfTextAtSize(safe, size);
+      const drawX = align === 'right' ? x + width - textWidth : x;
+      page.drawText(safe, { x: drawX, y, size, font: f, color });
+    };
+
+    // Split text into lines that fit the given width
+    const wrap = (value, width, size, f = font) => {
+      const words = pdfSafe(value).split(/\s+/);
+      const lines = [];
+      let line = '';
+      for (const word of words) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (f.widthOfTextAtSize(candidate, size) <= width || !line) {
+          line = candidate;
+        } else {
+          lines.push(line);
+          line = word;
+        }
+      }
+      if (line) lines.push(line);
+      return lines.length > 0 ? lines : [''];
+    };
+
+    const newPage = () => {
+      page = pdf.addPage([pageWidth, pageHeight]);
+      y = pageHeight - margin;
+    };
+    const ensureSpace = (needed, onBreak) => {
+      if (y - needed < margin + 20) {
+        newPage();
+        if (onBreak) onBreak();
+      }
+    };
+
+    newPage();
+
+    // Header: issuer on the left, document title and number on the right
+    text(data.issuer?.name, margin, 18, { font: bold, color: accent });
+    text(data.title.toUpperCase(), margin, 16, { font: bold, align: 'right', width: contentWidth });
+    y -= 16;
+    text(data.issuer?.address, margin, 9, { color: grey });
+    text(`No. ${document.number}`, margin, 10, { align: 'right', width: contentWidth });
+    y -= 12;
+    if (data.issuer?.taxId) text(`TIN: ${data.issuer.taxId}`, margin, 9, { color: grey });
+    text(`Issued ${formatDate(document.issuedAt)}`, margin, 10, { align: 'right', width: contentWidth });
+    y -= 12;
+    if (data.issuer?.vatNumber) {
+      text(`VAT No: ${data.issuer.vatNumber}`, margin, 9, { color: grey });
+      y -= 12;
+    }
+    y -= 14;
+
+    // Parties side by side
+    const partyWidth = contentWidth / Math.max(data.parties?.length || 1, 1);
+    const partyTop = y;
+    let partyBottom = y;
+    (data.parties || []).forEach((party, index) => {
+      y = partyTop;
+      const x = margin + index * partyWidth;
+      text(party.label.toUpperCase(), x, 8, { font: bold, color: grey });
+      y -= 13;
+      party.lines.forEach(line => {
+        text(line, x, 10);
+        y -= 13;
+      });
+      partyBottom = Math.min(partyBottom, y);
+    });
+    y = partyBottom - 10;
+
+    // Details as label / value pairs
+    (data.details || []).forEach(([label, value]) => {
+      text(label, margin, 9, { color: grey });
+      text(value, margin + 130, 9);
+      y -= 13;
+    });
+    y -= 12;
+
+    // Line items table
+    const columns = data.columns.map((column, index) => {
+      const x = margin + data.columns.slice(0, index).reduce((sum, c) => sum + c.width * contentWidth, 0);
+      return { ...column, x, w: column.width * contentWidth - (index < data.columns.length - 1 ? 8 : 0) };
+    });
+    const drawHeader = () => {
+      page.drawRectangle({ x: margin, y: y - 5, width: contentWidth, height: 18, color: rgb(0.94, 0.96, 0.95) });
+      columns.forEach(c => text(c.label, c.x + 2, 9, { font: bold, align: c.align, width: c.w - 4 }));
+      y -= 22;
+    };
+    drawHeader();
+
+    for (const row of data.rows) {
+      const cells = row.map((value, index) => {
+        const column = columns[index];
+        if (value === null || value === undefined || value === '') return [''];
+        if (column.money) return [formatMoney(value)];
+        return wrap(value, column.w - 4, 9);
+      });
+      const height = Math.max(...cells.map(c => c.length)) * 12 + 4;
+      ensureSpace(height, drawHeader);
+      const rowTop = y;
+      cells.forEach((lines, index) => {
+        y = rowTop;
+        lines.forEach(line => {
+          text(line, columns[index].x + 2, 9, { align: columns[index].align, width: columns[index].w - 4 });
+          y -= 12;
+        });
+      });
+      y = rowTop - height;
+      page.drawLine({ start: { x: margin, y: y + 8 }, end: { x: margin + contentWidth, y: y + 8 }, thickness: 0.5, color: rgb(0.88, 0.88, 0.88) });
+    }
+    y -= 8;
+
+    // Totals, right aligned
+    const totalsX = margin + contentWidth * 0.45;
+    const totalsWidth = contentWidth * 0.55;
+    for (const [label, amount, options = {}] of data.totals || []) {
+      ensureSpace(16);
+      const f = options.bold ? bold : font;
+      text(label, totalsX, 10, { font: f });
+      text(formatMoney(amount), totalsX, 10, { font: f, align: 'right', width: totalsWidth });
+      y -= 16;
+    }
+    y -= 12;
+
+    for (const note of data.notes || []) {
+      for (const line of wrap(note, contentWidth, 8)) {
+        ensureSpace(12);
+        text(line, margin, 8, { color: grey });
+        y -= 11;
+      }
+    }
+
+    // Page numbers
+    const pages = pdf.getPages();
+    pages.forEach((p, index) => {
+      const label = `${document.number} - Page ${index + 1} of ${pages.length}`;
+      p.drawText(label, {
+        x: pageWidth - margin - font.widthOfTextAtSize(label, 8),
+        y: margin / 2,
+        size: 8,
+        font,
+        color: grey
+      });
+    });
+
+    return Buffer.from(await pdf.save());
+  }
+
+  filename(document) {
+    return `${document.number}.pdf`;
+  }
+
+  // The seller's copy of an invoice leaves out the buyer's contact details
+  viewFor(document, userId) {
+    if (document.type !== 'invoice' || document.recipientId === userId) return document;
+    const copy = typeof document.toObject === 'function' ? document.toObject() : { ...document };
+    copy.data = {
+      ...copy.data,
+      parties: (copy.data.parties || []).map(party => (
+        party.label === 'Billed to' ? { ...party, lines: party.lines.slice(0, 1) } : party
+      ))
+    };
+    return copy;
+  }
+
+  // ===========================================
+  // EMAIL DELIVERY
+  // ===========================================
+
+  /**
+   * Email a document to its recipient with the PDF attached
+   * @param {Object} document - FinancialDocument
+   * @param {string} email - Override address (defaults to the recipient's account email)
+   * @returns {Promise<Object>} Updated document
+   */
+  async deliver(document, email = null) {
+    const to = email || (await User.findById(document.recipientId, 'email').lean())?.email;
+    if (!to) throw createError(400, "No email address to send this document to");
+
+    try {
+      const pdf = await this.renderPdf(document);
+      await sendEmail({
+        to,
+        template: 'financialDocument',
+        templateData: {
+          title: document.data.title,
+          number: document.number,
+          name: document.data.email?.name || 'there',
+          intro: document.data.email?.intro || '',
+          date: formatDate(document.issuedAt),
+          amount: formatMoney(document.total)
+        },
+        attachments: [{ filename: this.filename(document), content: pdf, contentType: 'application/pdf' }]
+      });
+      return FinancialDocument.findByIdAndUpdate(
+        document._id,
+        { $set: { 'delivery.status': 'sent', 'delivery.sentAt': new Date(), 'delivery.lastError': null }, $inc: { 'delivery.attempts': 1 } },
+        { new: true }
+      );
+    } catch (err) {
+      await FinancialDocument.updateOne(
+        { _id: document._id },
+        { $set: { 'delivery.status': 'failed', 'delivery.lastError': err.message }, $inc: { 'delivery.attempts': 1 } }
+      );
+      throw err;
+    }
+  }
+
+  // ===========================================
+  // ACCESS
+  // ===========================================
+
+  async getOrderInvoice(orderId, userId, reference = null) {
+    const order = await Order.findById(orderId);
+    if (!order) throw createError(404, "Order not found");
+    if (order.buyerId !== userId && order.sellerId !== userId) {
+      throw createError(403, "You can only access invoices for your own orders");
+    }
+    if (!order.paidAt) throw createError(400, "This order has not been paid");
+    const { document } = await this.issueInvoice(order, reference || order.reference);
+    return document;
+  }
+
+  async getWithdrawalReceipt(withdrawalId, userId) {
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal) throw createError(404, "Withdrawal not found");
+    if (withdrawal.freelancerId !== userId) throw createError(403, "You can only access your own withdrawal receipts");
+    const { document } = await this.issueWithdrawalReceipt(withdrawal);
+    return document;
+  }
+
+  async getStatement(sellerId, period) {
+    const { document } = await this.issueStatement(sellerId, period);
+    return document;
+  }
+
+  async getUserDocuments(userId, { type, page = 1, limit = 20 } = {}) {
+    const filter = { recipientId: userId, ...(type && { type }) };
+    const [documents, total] = await Promise.all([
+      FinancialDocument.find(filter)
+        .select('-data')
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FinancialDocument.countDocuments(filter)
+    ]);
+    return {
+      documents,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit), hasMore: page * limit < total }
+    };
+  }
+
+  // ===========================================
+  // SCHEDULED ISSUANCE
+  // ===========================================
+
+  async issueAndDeliver(issueFn, stats, key) {
+    try {
+      const { document, isExisting } = await issueFn();
+      if (isExisting) return;
+      stats[key]++;
+      if (document.delivery.status === 'pending') {
+        await this.deliver(document).then(() => stats.emailed++, () => {});
+      }
+    } catch (err) {
+      console.error(`Issuing ${key} failed:`, err.message);
+    }
+  }
+
+  /**
+   * Scheduler job: invoice recent payments, receipt recent withdrawals, issue
+   * last month's statements early in the month and retry failed emails
+   * @returns {Promise<Object>} Counts of issued and emailed documents
+   */
+  async runScheduledIssuance() {
+    const stats = { invoices: 0, receipts: 0, statements: 0, emailed: 0 };
+    const now = new Date();
+    const since = new Date(now.getTime() - LOOKBACK_DAYS * MS_PER_DAY);
+
+    const orders = await Order.find({
+      $or: [
+        { paidAt: { $gte: since } },
+        { 'milestones.fundedAt': { $gte: since } },
+        { 'tips.paidAt': { $gte: since } }
+      ]
+    }).sort({ updatedAt: -1 }).limit(BATCH_SIZE * 5);
+    for (const order of orders) {
+      for (const payment of this.orderPayments(order)) {
+        if (!payment.paidAt || payment.paidAt < since) continue;
+        if (await FinancialDocument.exists({ type: 'invoice', paymentReference: payment.reference })) continue;
+        await this.issueAndDeliver(() => this.issueInvoice(order, payment.reference, { deliver: true }), stats, 'invoices');
+      }
+    }
+
+    const withdrawals = await Withdrawal.find({ status: 'completed', processedAt: { $gte: since } }).limit(BATCH_SIZE * 5);
+    for (const withdrawal of withdrawals) {
+      if (await FinancialDocument.exists({ type: 'receipt', withdrawalId: String(withdrawal._id) })) continue;
+      await this.issueAndDeliver(() => this.issueWithdrawalReceipt(withdrawal, { deliver: true }), stats, 'receipts');
+    }
+
+    if (now.getUTCDate() <= STATEMENT_DAYS) {
+      const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+      const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const period = start.toISOString().slice(0, 7);
+      const sellerIds = await JournalEntry.distinct('sellerId', {
+        type: { $in: SELLER_ENTRY_TYPES },
+        postedAt: { $gte: start, $lt: end }
+      });
+      let issued = 0;
+      for (const sellerId of sellerIds) {
+        if (!sellerId || issued >= BATCH_SIZE) continue;
+        if (await FinancialDocument.exists({ type: 'statement', sellerId, period })) continue;
+        issued++;
+        await this.issueAndDeliver(() => this.issueStatement(sellerId, period, { deliver: true }), stats, 'statements');
+      }
+    }
+
+    const undelivered = await FinancialDocument.find({
+      'delivery.status': 'failed',
+      'delivery.attempts': { $lt: MAX_EMAIL_ATTEMPTS },
+      createdAt: { $gte: new Date(now.getTime() - 7 * MS_PER_DAY) }
+    }).limit(BATCH_SIZE);
+    for (const document of undelivered) {
+      await this.deliver(document).then(() => stats.emailed++, () => {});
+    }
+
+    return stats;
+  }
+}
+
+export default new FinancialDocumentService();
@@ -0,0 +1,241 @@
+import axios from "axios";
+import crypto from "crypto";
+
+const FLUTTERWAVE_BASE_URL = "https://api.flutterwave.com/v3";
+
+// Flutterwave references carry a prefix so verify and webhook calls can be
+// routed back to this provider from the reference alone
+const REFERENCE_PREFIX = "flw_";
+
+const TRANSFER_STATUSES = {
+  NEW: "pending",
+  PENDING: "pending",
+  SUCCESSFUL: "success",
+  FAILED: "failed",
+};
+
+const REFUND_STATUSES = {
+  completed: "processed",
+  "completed-offline": "processed",
+  pending: "pending",
+  failed: "failed",
+};
+
+class FlutterwaveService {
+  constructor() {
+    this.baseUrl = FLUTTERWAVE_BASE_URL;
+  }
+
+  // Read keys lazily so dotenv has loaded by the time we need them
+  get secretKey() {
+    return process.env.FLUTTERWAVE_SECRET_KEY;
+  }
+
+  // Value configured as the "secret hash" on the Flutterwave dashboard
+  get webhookHash() {
+    return process.env.FLUTTERWAVE_SECRET_HASH;
+  }
+
+  get name() {
+    return "flutterwave";
+  }
+
+  headers() {
+    return {
+      Authorization: `Bearer ${this.secretKey}`,
+      "Content-Type": "application/json",
+    };
+  }
+
+  isConfigured() {
+    return Boolean(this.secretKey);
+  }
+
+  formatReference(base) {
+    return `${REFERENCE_PREFIX}${base}`;
+  }
+
+  ownsReference(reference) {
+    return typeof reference === "string" && reference.startsWith(REFERENCE_PREFIX);
+  }
+
+  // ===========================================
+  // PAYMENTS
+  // ===========================================
+
+  // Hosted checkout (amount in Naira)
+  async initializePayment({ email, amount, reference, callbackUrl, metadata = {} }) {
+    const response = await axios.post(
+      `${this.baseUrl}/payments`,
+      {
+        tx_ref: reference,
+        amount,
+        currency: "NGN",
+        redirect_url: callbackUrl,
+        customer: { email },
+        // meta values must be flat, so the checkout metadata travels as one JSON string
+        meta: { payload: JSON.stringify(metadata) },
+      },
+      { headers: this.headers() }
+    );
+    return {
+      authorizationUrl: response.data?.data?.link,
+      accessCode: undefined,
+      reference,
+      raw: response.data?.data,
+    };
+  }
+
+  async fetchTransaction(reference) {
+    const response = await axios.get(`${this.baseUrl}/transactions/verify_by_reference`, {
+      headers: this.headers(),
+      params: { tx_ref: reference },
+    });
+    return response.data?.data;
+  }
+
+  async verifyPayment(reference) {
+    const transaction = await this.fetchTransaction(reference);
+    return transaction ? this.normalizeTransaction(transaction) : null;
+  }
+
+  normalizeTransaction(data) {
+    let metadata = {};
+    try {
+      metadata = data.meta?.payload ? JSON.parse(data.meta.payload) : data.meta || {};
+    } catch (_) {
+      metadata = {};
+    }
+    return {
+      provider: this.name,
+      reference: data.tx_ref,
+      status: data.status === "successful" ? "success" : data.status,
+      amount: Number(data.amount) || 0,
+      currency: data.currency || "NGN",
+      metadata,
+      paidAt: data.created_at || null,
+      providerTransactionId: data.id ? String(data.id) : undefined,
+      raw: data,
+    };
+  }
+
+  // Refunds are issued against Flutterwave's transaction id, not our reference
+  async refundPayment({ reference, amount }) {
+    const transaction = await this.fetchTransaction(reference);
+    const response = await axios.post(
+      `${this.baseUrl}/transactions/${transaction.id}/refund`,
+      { amount },
+      { headers: this.headers() }
+    );
+    const refund = response.data?.data;
+    return {
+      id: refund?.id ? String(refund.id) : undefined,
+      status: REFUND_STATUSES[refund?.status] || refund?.status,
+      raw: refund,
+    };
+  }
+
+  // ===========================================
+  // TRANSFERS (seller payouts)
+  // ===========================================
+
+  // Flutterwave pays straight to bank details; there is no recipient object
+  async sendTransfer({ amount, recipient = {}, reference, reason }) {
+    const response = await axios.post(
+      `${this.baseUrl}/transfers`,
+      {
+        account_bank: recipient.bankCode,
+        account_number: recipient.accountNumber,
+        amount,
+        narration: reason,
+        currency: "NGN",
+        reference,
+      },
+      { headers: this.headers() }
+    );
+    const transfer = response.data?.data;
+    return {
+      transferCode: transfer?.id ? String(transfer.id) : undefined,
+      status: TRANSFER_STATUSES[transfer?.status] || transfer?.status,
+      failureReason: transfer?.complete_message,
+      raw: transfer,
+    };
+  }
+
+  // ===========================================
+  // WEBHOOKS
+  // ===========================================
+
+  /**
+   * Validate the verif-hash header of a webhook delivery
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  verifyWebhook(req) {
+    const provided = req.headers["verif-hash"];
+    if (!provided || !this.webhookHash) return false;
+
+    const expectedBuf = Buffer.from(String(this.webhookHash));
+    const providedBuf = Buffer.from(String(provided));
+    if (providedBuf.length !== expectedBuf.length) return false;
+    return crypto.timingSafeEqual(expectedBuf, providedBuf);
+  }
+
+  // Map a webhook body onto the event names the payment controller handles
+  parseWebhookEvent(body = {}) {
+    const { event, data } = body;
+    if (!event || !data) return null;
+
+    if (event === "charge.completed") {
+      const normalized = data.status === "successful" ? "charge.success" : `charge.${data.status}`;
+      return {
+        event: normalized,
+        eventKey: `flutterwave:${normalized}:${data.id}`,
+        reference: data.tx_ref,
+        data,
+      };
+    }
+
+    if (event === "transfer.completed") {
+      const status = TRANSFER_STATUSES[data.status] || String(data.status).toLowerCase();
+      const normalized = `transfer.${status}`;
+      return {
+        event: normalized,
+        eventKey: `flutterwave:${normalized}:${data.id}`,
+        reference: data.reference,
+        data: { ...data, reason: data.complete_message },
+      };
+    }
+
+    // Refund webhooks use PascalCase fields on some account versions; amounts are already in Naira
+    if (event.startsWith("refund.")) {
+      const rawStatus = String(data.status || event.split(".")[1] || "").toLowerCase();
+      const status = REFUND_STATUSES[rawStatus] || rawStatus;
+      const normalized = `refund.${status}`;
+      const reference = data.tx_ref || data.txRef || data.meta?.tx_ref;
+      return {
+        event: normalized,
+        eventKey: `flutterwave:${normalized}:${data.id}`,
+        reference,
+        data: {
+          id: data.id ? String(data.id) : undefined,
+          reference,
+          amount: Number(data.amount_refunded ?? data.AmountRefunded ?? data.amount) || 0,
+          status,
+          reason: data.comments || data.complete_message,
+          raw: data,
+        },
+      };
+    }
+
+    return { event, eventKey: `flutterwave:${event}:${data.id}`, reference: data.tx_ref || data.reference, data };
+  }
+
+  // The verif-hash is a shared secret rather than a signature over the body, so
+  // charge details are always re-fetched from the API before fulfilment
+  async resolveWebhookCharge(data) {
+    return this.verifyPayment(data.tx_ref);
+  }
+}
+
+export default new FlutterwaveService();
@@ -0,0 +1,460 @@
+import Gig from "../models/gig.model.js";
+import createError from "../utils/createError.js";
+
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const FACET_TTL_MS = 60 * 1000;
+const MAX_CACHED_FACETS = 500;
+const MAX_QUERY_TERMS = 10;
+const MAX_LIMIT = 100;
+
+// How much each signal counts towards a gig's score (each signal is 0..1)
+const RANKING_WEIGHTS = {
+  withQuery: { text: 0.6, rating: 0.2, sales: 0.1, trust: 0.1 },
+  browse: { text: 0, rating: 0.5, sales: 0.3, trust: 0.2 }
+};
+const FEATURED_BOOST = 0.05;
+const TEXT_SCORE_HALF = 5;  // Text score at which the text signal reaches 0.5
+const SALES_CEILING = 1000; // Sales count at which the sales signal tops out
+
+export const PRICE_BANDS = [
+  { key: 'under_5k', label: 'Under ₦5,000', min: 0, max: 5000 },
+  { key: '5k_20k', label: '₦5,000 - ₦20,000', min: 5000, max: 20000 },
+  { key: '20k_50k', label: '₦20,000 - ₦50,000', min: 20000, max: 50000 },
+  { key: '50k_100k', label: '₦50,000 - ₦100,000', min: 50000, max: 100000 },
+  { key: '100k_plus', label: '₦100,000 and above', min: 100000, max: null }
+];
+
+export const DELIVERY_BANDS = [
+  { key: '1', label: 'Up to 24 hours', maxDays: 1 },
+  { key: '3', label: 'Up to 3 days', maxDays: 3 },
+  { key: '7', label: 'Up to 7 days', maxDays: 7 },
+  { key: 'any', label: 'Any time', maxDays: null }
+];
+
+// sort query values. Older clients send raw gig field names instead, which
+// sort descending as they always have (see sortFor).
+const SORTS = {
+  relevance: null,
+  best: { rankScore: -1 }, // Stored browse ranking (see refreshRankScores)
+  sales: { sales: -1 },
+  rating: { rating: -1, starNumber: -1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  price: { price: -1 },
+  newest: { createdAt: -1 },
+  createdAt: { createdAt: -1 },
+  delivery: { deliverySortKey: 1 }
+};
+
+// Sorts on fields computed in the pipeline rather than stored on the gig
+const COMPUTED_SORT_FIELDS = ['rating', 'deliverySortKey'];
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'to', 'in', 'on', 'with', 'my', 'your', 'i', 'will', 'you', 'me', 'or', 'by', 'at', 'is', 'be']);
+
+export const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9+#]+/)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+// Optimal string alignment distance, giving up once it exceeds max
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      next.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length];
+};
+
+// Typos allowed for a term of this length
+const allowedEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// Gig search over the `gig_search` text index: typo correction against the
+// words used in live gigs, relevance blended with rating, sales and seller
+// trust, and facet counts for category, subcategory, price and delivery time.
+class GigSearchService {
+
+  constructor() {
+    this.vocabulary = null; // term -> number of live gigs using it
+    this.vocabularyBuiltAt = 0;
+    this.building = null;
+    this.facetCache = new Map(); // Facet counts for searches without a query
+  }
+
+  // ===========================================
+  // TYPO CORRECTION
+  // ===========================================
+
+  async getVocabulary() {
+    if (this.vocabulary && Date.now() - this.vocabularyBuiltAt < VOCABULARY_TTL_MS) return this.vocabulary;
+    if (!this.building) {
+      this.building = this.buildVocabulary()
+        .then(vocabulary => {
+          this.vocabulary = vocabulary;
+          this.vocabularyBuiltAt = Date.now();
+          return vocabulary;
+        })
+        .finally(() => { this.building = null; });
+    }
+    // Serve the previous vocabulary while a rebuild runs
+    return this.vocabulary || this.building;
+  }
+
+  async buildVocabulary() {
+    const vocabulary = new Map();
+    const cursor = Gig.find({ status: 'active' }, 'title shortTitle features sellerSkills cat subcategory').lean().cursor();
+    for await (const gig of cursor) {
+      const terms = new Set(tokenize([gig.title, gig.shortTitle, gig.cat, gig.subcategory, ...(gig.features || []), ...(gig.sellerSkills || [])].join(' ')));
+      terms.forEach(term => vocabulary.set(term, (vocabulary.get(term) || 0) + 1));
+    }
+    return vocabulary;
+  }
+
+  // Gig content changed; pick it up on the next search
+  invalidate() {
+    this.vocabularyBuiltAt = 0;
+    this.facetCache.clear();
+  }
+
+  isKnown(term, vocabulary) {
+    if (vocabulary.has(term)) return true;
+    // Plurals and verb forms are matched by the text index's stemming
+    return ['s', 'es', 'ing', 'ed', 'er'].some(suffix => term.endsWith(suffix) && vocabulary.has(term.slice(0, -suffix.length)));
+  }
+
+  correctTerm(term, vocabulary) {
+    const max = allowedEdits(term);
+    if (max === 0 || /\d/.test(term) || this.isKnown(term, vocabulary)) return term;
+    let best = null;
+    for (const [candidate, frequency] of vocabulary) {
+      const distance = editDistance(term, candidate, max);
+      if (distance > max) continue;
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { candidate, distance, frequency };
+      }
+    }
+    return best ? best.candidate : term;
+  }
+
+  /**
+   * Correct misspelled query terms against the words used in live gigs
+   * @param {string} query
+   * @returns {Promise<{terms: string[], corrected: string|null}>}
+   */
+  async correctQuery(query) {
+    const terms = tokenize(query).slice(0, MAX_QUERY_TERMS);
+    if (terms.length === 0) return { terms, corrected: null };
+    let vocabulary;
+    try {
+      vocabulary = await this.getVocabulary();
+    } catch (err) {
+      console.error('Search vocabulary build failed:', err.message);
+      return { terms, corrected: null };
+    }
+    const corrected = terms.map(term => this.correctTerm(term, vocabulary));
+    const changed = corrected.some((term, i) => term !== terms[i]);
+    // Search the original words too, so a rare but correct word still matches
+    return {
+      terms: changed ? [...new Set([...terms, ...corrected])] : terms,
+      corrected: changed ? corrected.join(' ') : null
+    };
+  }
+
+  // ===========================================
+  // SEARCH
+  // ===========================================
+
+  parseParams(q) {
+    const number = (value) => (value === undefined || value === '' ? null : Number(value));
+    // Only plain strings reach the query, never operator objects like cat[$ne]=
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const params = {
+      query: (text(q.q) || text(q.search) || '').slice(0, 200),
+      cat: text(q.cat),
+      subcategory: text(q.subcategory),
+      min: number(q.min),
+      max: number(q.max),
+      priceBand: text(q.priceBand),
+      delivery: text(q.delivery),
+      userId: text(q.userId),
+      status: text(q.status),
+      sort: text(q.sort),
+      page: Math.max(parseInt(q.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(q.limit) || 12, 1), MAX_LIMIT)
+    };
+    if ([params.min, params.max].some(value => value !== null && !Number.isFinite(value))) {
+      throw createError(400, "Price filters must be numbers");
+    }
+    if (params.priceBand && !PRICE_BANDS.some(band => band.key === params.priceBand)) {
+      throw createError(400, "Unknown price band");
+    }
+    if (params.delivery && !DELIVERY_BANDS.some(band => band.key === params.delivery)) {
+      throw createError(400, "Unknown delivery time filter");
+    }
+    if (params.sort && !Object.hasOwn(SORTS, params.sort) && !Gig.schema.path(params.sort)) {
+      throw createError(400, `Sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+    return params;
+  }
+
+  sortFor(sort) {
+    return Object.hasOwn(SORTS, sort) ? SORTS[sort] : { [sort]: -1 };
+  }
+
+  // Filters for each facet dimension, so every facet can be counted without its own filter
+  dimensionFilters(params) {
+    // min and max are exclusive, as they have always been
+    const price = {};
+    if (params.min !== null) price.$gt = params.min;
+    if (params.max !== null) price.$lt = params.max;
+    const band = PRICE_BANDS.find(b => b.key === params.priceBand);
+    if (band) {
+      price.$gte = band.min;
+      if (band.max !== null) price.$lt = Math.min(price.$lt ?? band.max, band.max);
+    }
+    const delivery = DELIVERY_BANDS.find(b => b.key === params.delivery);
+    return {
+      cat: params.cat ? { cat: params.cat } : {},
+      subcategory: params.subcategory ? { subcategory: params.subcategory } : {},
+      price: Object.keys(price).length > 0 ? { price } : {},
+      delivery: delivery?.maxDays ? { deliveryDays: { $lte: delivery.maxDays } } : {}
+    };
+  }
+
+  combine(filters, except = null) {
+    return Object.entries(filters)
+      .filter(([dimension]) => dimension !== except)
+      .reduce((match, [, filter]) => ({ ...match, ...filter }), {});
+  }
+
+  // Fields computed per gig. Gigs with no delivery time anywhere get null, so
+  // they match no delivery band and sort last by delivery time.
+  computedFields(hasQuery) {
+    const milestoneDays = { $sum: '$milestones.deliveryTime' };
+    return {
+      $addFields: {
+        textScore: hasQuery ? { $meta: 'textScore' } : 0,
+        rating: { $cond: [{ $gt: ['$starNumber', 0] }, { $divide: ['$totalStars', '$starNumber'] }, 0] },
+        deliveryDays: {
+          $ifNull: [
+            '$deliveryTime',
+            { $ifNull: ['$packages.basic.deliveryTime', { $cond: [{ $gt: [milestoneDays, 0] }, milestoneDays, null] }] }
+          ]
+        }
+      }
+    };
+  }
+
+  scoreStage(hasQuery) {
+    return { $addFields: { relevance: this.scoreExpression(hasQuery) } };
+  }
+
+  scoreExpression(hasQuery) {
+    const weights = hasQuery ? RANKING_WEIGHTS.withQuery : RANKING_WEIGHTS.browse;
+    return {
+      $add: [
+        { $multiply: [weights.text, { $divide: ['$textScore', { $add: ['$textScore', TEXT_SCORE_HALF] }] }] },
+        { $multiply: [weights.rating, { $divide: ['$rating', 5] }] },
+        { $multiply: [weights.sales, { $min: [1, { $divide: [{ $log10: { $add: [{ $ifNull: ['$sales', 0] }, 1] } }, Math.log10(SALES_CEILING + 1)] }] }] },
+        { $multiply: [weights.trust, { $divide: [{ $ifNull: ['$seller.trustScore', 50] }, 100] }] },
+        { $cond: ['$featured', FEATURED_BOOST, 0] }
+      ]
+    };
+  }
+
+  sellerLookup() {
+    return [
+      {
+        $lookup: {
+          from: 'users',
+          let: { sellerId: { $convert: { input: '$userId', to: 'objectId', onError: null, onNull: null } } },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$sellerId'] } } },
+            { $project: { username: 1, img: 1, averageRating: 1, totalReviews: 1, trustScore: 1 } }
+          ],
+          as: 'seller'
+        }
+      },
+      { $set: { seller: { $arrayElemAt: ['$seller', 0] } } }
+    ];
+  }
+
+  /**
+   * Scheduler job: store each active gig's browse score so browsing can sort
+   * on an indexed field instead of scoring every gig per request
+   * @returns {Promise<{ranked: number}>}
+   */
+  async refreshRankScores() {
+    await Gig.aggregate([
+      { $match: { status: 'active' } },
+      this.computedFields(false),
+      ...this.sellerLookup(),
+      { $project: { rankScore: this.scoreExpression(false) } },
+      { $merge: { into: Gig.collection.name, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+    this.facetCache.clear();
+    return { ranked: await Gig.countDocuments({ status: 'active' }) };
+  }
+
+  // Facet counts and the total over everything the search matches. Without a
+  // query these only change with gig edits, so they are cached briefly.
+  async facetCounts(base, filters, hasQuery) {
+    const cacheKey = hasQuery ? null : JSON.stringify({ base, filters });
+    const cached = cacheKey && this.facetCache.get(cacheKey);
+    if (cached && Date.now() - cached.builtAt < FACET_TTL_MS) return cached.result;
+
+    const countBy = (field, dimension) => [
+      { $match: this.combine(filters, dimension) },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+
+    const [result] = await Gig.aggregate([
+      { $match: base },
+      this.computedFields(false),
+      { $project: { cat: 1, subcategory: 1, price: 1, deliveryDays: 1 } },
+      {
+        $facet: {
+          total: [{ $match: this.combine(filters) }, { $count: 'count' }],
+          categories: countBy('cat', 'cat'),
+          subcategories: countBy('subcategory', 'subcategory'),
+          priceBands: [
+            { $match: this.combine(filters, 'price') },
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: [...PRICE_BANDS.map(band => band.min), Number.MAX_SAFE_INTEGER],
+                default: 'other',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          deliveryTimes: [
+            { $match: this.combine(filters, 'delivery') },
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(DELIVERY_BANDS.map(band => [
+                  `d_${band.key}`,
+                  {
+                    $sum: band.maxDays
+                      ? { $cond: [{ $and: [{ $ne: ['$deliveryDays', null] }, { $lte: ['$deliveryDays', band.maxDays] }] }, 1, 0] }
+                      : 1
+                  }
+                ]))
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    if (cacheKey) {
+      if (this.facetCache.size >= MAX_CACHED_FACETS) this.facetCache.clear();
+      this.facetCache.set(cacheKey, { result, builtAt: Date.now() });
+    }
+    return result;
+  }
+
+  /**
+   * Search gigs
+   * @param {Object} query - Request query: q (or search), cat, subcategory, min, max,
+   *   priceBand, delivery, userId, status, sort, page, limit
+   * @returns {Promise<Object>} { data, pagination, facets, search }
+   */
+  async searchGigs(query = {}) {
+    const params = this.parseParams(query);
+    const { terms, corrected } = params.query ? await this.correctQuery(params.query) : { terms: [], corrected: null };
+    const hasQuery = terms.length > 0;
+
+    const base = {
+      ...(hasQuery && { $text: { $search: terms.join(' ') } }),
+      ...(params.userId && { userId: params.userId }),
+      ...(params.status && { status: params.status }),
+      // Only show active gigs to public unless explicitly overridden
+      ...(!params.userId && !params.status && { status: 'active' })
+    };
+    const filters = this.dimensionFilters(params);
+    const sort = this.sortFor(params.sort || (hasQuery ? 'relevance' : 'best'));
+    const skip = (params.page - 1) * params.limit;
+
+    // Stored-field sorts match, sort and page on the indexed fields first and
+    // only compute scores and look up sellers for the page
+    const computed = this.computedFields(hasQuery);
+    const { delivery: deliveryFilter, ...storedFilters } = filters;
+    const computedFirst = !sort || Object.keys(sort).some(field => COMPUTED_SORT_FIELDS.includes(field))
+      || Object.keys(deliveryFilter).length > 0;
+    const pageStages = [{ $skip: skip }, { $limit: params.limit }];
+    const results = !sort
+      ? [{ $match: { ...base, ...storedFilters } }, computed, { $match: deliveryFilter }, ...this.sellerLookup(), this.scoreStage(hasQuery), { $sort: { relevance: -1, _id: 1 } }, ...pageStages]
+      : computedFirst
+        ? [
+          { $match: { ...base, ...storedFilters } },
+          computed,
+          { $addFields: { deliverySortKey: { $ifNull: ['$deliveryDays', Number.MAX_SAFE_INTEGER] } } },
+          { $match: deliveryFilter },
+          { $sort: { ...sort, _id: 1 } },
+          ...pageStages,
+          ...this.sellerLookup(),
+          this.scoreStage(hasQuery)
+        ]
+        : [{ $match: { ...base, ...storedFilters } }, { $sort: { ...sort, _id: 1 } }, ...pageStages, computed, ...this.sellerLookup(), this.scoreStage(hasQuery)];
+
+    const [gigs, counts] = await Promise.all([
+      Gig.aggregate(results),
+      this.facetCounts(base, filters, hasQuery)
+    ]);
+    const result = { ...counts, results: gigs };
+
+    const totalCount = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalCount / params.limit);
+    const priceCounts = new Map(result.priceBands.map(bucket => [bucket._id, bucket.count]));
+    const deliveryCounts = result.deliveryTimes[0] || {};
+
+    return {
+      data: result.results.map(({ seller, textScore, deliverySortKey, userId, ...gig }) => ({
+        ...gig,
+        // Same shape as populate('userId', ...)
+        userId: seller ? { _id: seller._id, username: seller.username, img: seller.img, averageRating: seller.averageRating, totalReviews: seller.totalReviews } : userId,
+        relevance: Math.round(gig.relevance * 1000) / 1000
+      })),
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        totalCount,
+        pages: totalPages,
+        hasMore: params.page < totalPages,
+        hasPrevious: params.page > 1
+      },
+      facets: {
+        categories: result.categories.map(({ _id, count }) => ({ value: _id, count })),
+        subcategories: result.subcategories.map(({ _id, count }) => ({ value: _id, count })),
+        priceBands: PRICE_BANDS.map(band => ({ ...band, count: priceCounts.get(band.min) || 0 })),
+        deliveryTimes: DELIVERY_BANDS.map(band => ({ ...band, count: deliveryCounts[`d_${band.key}`] || 0 }))
+      },
+      search: {
+        query: params.query || null,
+        correctedQuery: corrected,
+        sort: params.sort || (hasQuery ? 'relevance' : 'best')
+      }
+    };
+  }
+}
+
+export default new GigSearchService();
@@ -0,0 +1,752 @@
+import crypto from "crypto";
+import HourlyContract from "../models/hourlyContract.model.js";
+import HourlyInvoice from "../models/hourlyInvoice.model.js";
+import TimeEntry from "../models/timeEntry.model.js";
+import User from "../models/user.model.js";
+import CheckoutSession from "../models/checkoutSession.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import checkoutSessionService from "./checkoutSessionService.js";
+import orderFulfillmentService from "./orderFulfillmentService.js";
+import fileUploadService from "./fileUploadService.js";
+import feeService from "./feeService.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import { roundMoney } from "./ledgerService.js";
+import createError from "../utils/createError.js";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+const REVIEW_DAYS = 3;
+const MAX_WEEKLY_CAP_HOURS = 80;
+const MAX_CHARGE_ATTEMPTS = 3;
+const BATCH_SIZE = 50;
+
+// Hourly contracts. The freelancer logs time during the week (Monday to
+// Monday, UTC); when the week ends an invoice opens and the buyer has
+// REVIEW_DAYS to approve or dispute entries. Entries still pending at the
+// deadline count as approved. Approved hours are charged to the buyer's
+// saved card (or paid through checkout when there is none yet) and released
+// to the freelancer. Disputed entries are never charged.
+class HourlyContractService {
+
+  partyRole(contract, userId) {
+    if (contract.buyerId === userId) return "buyer";
+    if (contract.sellerId === userId) return "seller";
+    return null;
+  }
+
+  // Monday 00:00 UTC of the week containing date
+  weekStartOf(date = new Date()) {
+    const d = new Date(date);
+    const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - daysSinceMonday));
+  }
+
+  async notify(userId, title, message, contract) {
+    try {
+      await notificationService.createUserNotification(userId, "order", title, message, {
+        priority: "high",
+        actionButton: { text: "View Contract", url: `/contracts/${contract._id}`, style: "primary" }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: "order",
+        data: { action: "open_contract", contractId: contract._id }
+      });
+    } catch (notifyError) {
+      console.log("Hourly contract notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // ===========================================
+  // CONTRACT LIFECYCLE
+  // ===========================================
+
+  /**
+   * Buyer offers an hourly contract to a freelancer
+   * @param {string} buyerId
+   * @param {Object} params - { sellerId, title, description, hourlyRate, weeklyCapHours, email }
+   * @returns {Promise<Object>} HourlyContract document
+   */
+  async offerContract(buyerId, { sellerId, title, description, hourlyRate, weeklyCapHours, email } = {}) {
+    if (!sellerId || sellerId === buyerId) throw createError(400, "Choose a freelancer to hire");
+    const seller = await User.findById(sellerId, "isSeller hourlyRate username");
+    if (!seller || !seller.isSeller) throw createError(404, "Freelancer not found");
+    if (!title || !String(title).trim()) throw createError(400, "Contract title is required");
+
+    // Default to the rate on the freelancer's profile
+    const rate = roundMoney(Number(hourlyRate ?? seller.hourlyRate));
+    const cap = Number(weeklyCapHours);
+    if (!(rate >= 1)) throw createError(400, "Hourly rate must be at least ₦1");
+    if (!Number.isInteger(cap) || cap < 1 || cap > MAX_WEEKLY_CAP_HOURS) {
+      throw createError(400, `Weekly limit must be a whole number of hours between 1 and ${MAX_WEEKLY_CAP_HOURS}`);
+    }
+
+    const contract = await HourlyContract.create({
+      buyerId,
+      sellerId: String(sellerId),
+      title: String(title).trim(),
+      description,
+      hourlyRate: rate,
+      weeklyCapHours: cap,
+      email
+    });
+
+    await this.notify(
+      contract.sellerId,
+      "New Hourly Contract Offer",
+      `You've been offered "${contract.title}" at ₦${rate.toLocaleString()}/hour, up to ${cap} hours a week.`,
+      contract
+    );
+    return contract;
+  }
+
+  async respondToOffer(contract, userId, { action } = {}) {
+    if (contract.sellerId !== userId) throw createError(403, "Only the freelancer can respond to this offer");
+    if (!["accept", "decline"].includes(action)) throw createError(400, "Action must be 'accept' or 'decline'");
+
+    const accepted = action === "accept";
+    const updated = await HourlyContract.findOneAndUpdate(
+      { _id: contract._id, status: "offered" },
+      { $set: accepted ? { status: "active", acceptedAt: new Date() } : { status: "declined", declinedAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "This offer was already answered");
+
+    await this.notify(
+      contract.buyerId,
+      accepted ? "Hourly Contract Started" : "Hourly Contract Declined",
+      accepted
+        ? `The freelancer accepted "${contract.title}" and can start logging time.`
+        : `The freelancer declined "${contract.title}".`,
+      contract
+    );
+    return updated;
+  }
+
+  async pause(contract, userId, { reason } = {}) {
+    const role = this.partyRole(contract, userId);
+    if (!role) throw createError(403, "You are not part of this contract");
+    const updated = await HourlyContract.findOneAndUpdate(
+      { _id: contract._id, status: "active" },
+      { $set: { status: "paused", pausedAt: new Date(), pausedBy: userId, pauseReason: reason } },
+      { new: true }
+    );
+    if (!updated) throw createError(400, "Only an active contract can be paused");
+
+    await this.notify(
+      role === "buyer" ? contract.sellerId : contract.buyerId,
+      "Hourly Contract Paused",
+      `The ${role} paused "${contract.title}". No time can be logged until it is resumed.${reason ? ` Reason: ${reason}` : ""}`,
+      contract
+    );
+    return updated;
+  }
+
+  async resume(contract, userId) {
+    if (!this.partyRole(contract, userId)) throw createError(403, "You are not part of this contract");
+    if (contract.status !== "paused") throw createError(400, "This contract is not paused");
+    if (contract.pausedBy === "system") {
+      throw createError(400, "This contract resumes automatically once the unpaid invoice is settled");
+    }
+    if (contract.pausedBy !== userId) throw createError(403, "Only the party who paused the contract can resume it");
+
+    const updated = await HourlyContract.findOneAndUpdate(
+      { _id: contract._id, status: "paused", pausedBy: userId },
+      { $set: { status: "active", pausedAt: null, pausedBy: null, pauseReason: null } },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "The contract changed while resuming. Please reload and try again.");
+
+    await this.notify(
+      contract.buyerId === userId ? contract.sellerId : contract.buyerId,
+      "Hourly Contract Resumed",
+      `"${contract.title}" has been resumed.`,
+      contract
+    );
+    return updated;
+  }
+
+  // Ending stops new time logs; time already logged is still reviewed and billed
+  async end(contract, userId, { reason } = {}) {
+    const role = this.partyRole(contract, userId);
+    if (!role) throw createError(403, "You are not part of this contract");
+    if (!reason || !String(reason).trim()) throw createError(400, "A reason is required to end the contract");
+
+    const updated = await HourlyContract.findOneAndUpdate(
+      { _id: contract._id, status: { $in: ["offered", "active", "paused"] } },
+      { $set: { status: "ended", endedAt: new Date(), endedBy: userId, endReason: String(reason).trim() } },
+      { new: true }
+    );
+    if (!updated) throw createError(400, "This contract has already ended");
+
+    await this.notify(
+      role === "buyer" ? contract.sellerId : contract.buyerId,
+      "Hourly Contract Ended",
+      `The ${role} ended "${contract.title}". Time already logged will still be reviewed and billed. Reason: ${updated.endReason}`,
+      contract
+    );
+    return updated;
+  }
+
+  // ===========================================
+  // TIME LOGS
+  // ===========================================
+
+  /**
+   * Freelancer logs time in the current week
+   * @param {Object} contract - HourlyContract document
+   * @param {string} userId - Must be the freelancer
+   * @param {Object} params - { workDate, minutes | hours, description }
+   * @param {Array} files - Screenshots from the upload middleware (optional)
+   * @returns {Promise<Object>} TimeEntry document
+   */
+  async logTime(contract, userId, { workDate, minutes, hours, description } = {}, files = []) {
+    if (contract.sellerId !== userId) throw createError(403, "Only the freelancer can log time on this contract");
+    if (contract.status !== "active") throw createError(400, "Time can only be logged on an active contract");
+
+    const date = workDate ? new Date(workDate) : new Date();
+    const weekStart = this.weekStartOf();
+    if (Number.isNaN(date.getTime()) || date > new Date() || date < weekStart) {
+      throw createError(400, "Time can only be logged for the current week, up to today");
+    }
+    const loggedMinutes = Math.round(minutes !== undefined ? Number(minutes) : Number(hours) * 60);
+    if (!(loggedMinutes >= 1) || loggedMinutes > 24 * 60) {
+      throw createError(400, "Log between 1 minute and 24 hours per entry");
+    }
+    if (!description || !String(description).trim()) {
+      throw createError(400, "Describe the work done in this time");
+    }
+
+    await this.reserveWeekMinutes(contract, weekStart, loggedMinutes);
+
+    try {
+      let attachments = [];
+      if (files && files.length > 0) {
+        try {
+          attachments = await fileUploadService.uploadMultipleFiles(files, "time-logs");
+        } catch (uploadError) {
+          console.error("Time log upload error:", uploadError);
+          throw createError(400, "Failed to upload screenshots");
+        }
+      }
+
+      return await TimeEntry.create({
+        contractId: contract._id,
+        sellerId: contract.sellerId,
+        buyerId: contract.buyerId,
+        weekStart,
+        workDate: date,
+        minutes: loggedMinutes,
+        description: String(description).trim(),
+        attachments
+      });
+    } catch (err) {
+      await this.releaseWeekMinutes(contract._id, weekStart, loggedMinutes);
+      throw err;
+    }
+  }
+
+  // Count minutes against the weekly cap with a conditional increment, so
+  // entries logged at the same time cannot both fit under it
+  async reserveWeekMinutes(contract, weekStart, minutes) {
+    const capMinutes = contract.weeklyCapHours * 60;
+    const sameWeek = () => HourlyContract.findOneAndUpdate(
+      { _id: contract._id, loggedWeekStart: weekStart, loggedWeekMinutes: { $lte: capMinutes - minutes } },
+      { $inc: { loggedWeekMinutes: minutes } }
+    );
+
+    if (await sameWeek()) return;
+
+    // First entry of a new week (or of a contract from before the running total):
+    // start the total from what is already logged
+    const [{ total = 0 } = {}] = await TimeEntry.aggregate([
+      { $match: { contractId: contract._id, weekStart } },
+      { $group: { _id: null, total: { $sum: "$minutes" } } }
+    ]);
+    if (total + minutes <= capMinutes) {
+      const started = await HourlyContract.findOneAndUpdate(
+        { _id: contract._id, loggedWeekStart: { $ne: weekStart } },
+        { $set: { loggedWeekStart: weekStart, loggedWeekMinutes: total + minutes } }
+      );
+      if (started || await sameWeek()) return;
+    }
+
+    const current = await HourlyContract.findById(contract._id, { loggedWeekStart: 1, loggedWeekMinutes: 1 });
+    const used = current?.loggedWeekStart?.getTime() === weekStart.getTime() ? current.loggedWeekMinutes : total;
+    const left = Math.max(capMinutes - used, 0);
+    throw createError(400, `This would exceed the weekly limit of ${contract.weeklyCapHours} hours. ${(left / 60).toFixed(2)} hours remain this week.`);
+  }
+
+  async releaseWeekMinutes(contractId, weekStart, minutes) {
+    try {
+      await HourlyContract.updateOne(
+        { _id: contractId, loggedWeekStart: weekStart, loggedWeekMinutes: { $gte: minutes } },
+        { $inc: { loggedWeekMinutes: -minutes } }
+      );
+    } catch (err) {
+      console.log("Releasing weekly hours failed:", err.message);
+    }
+  }
+
+  // Freelancer removes an entry that has not been billed (e.g. one the buyer disputed)
+  async deleteEntry(entry, userId) {
+    if (entry.sellerId !== userId) throw createError(403, "Only the freelancer can remove this entry");
+    if (entry.invoiceId) {
+      const invoice = await HourlyInvoice.findById(entry.invoiceId);
+      if (invoice && invoice.status !== "in_review") {
+        throw createError(400, "This week has already been billed");
+      }
+    }
+
+    const removed = await TimeEntry.findOneAndDelete({ _id: entry._id, status: { $ne: "approved" }, finalizedAt: null });
+    if (!removed) throw createError(400, "Approved or billed time cannot be removed");
+    await this.releaseWeekMinutes(removed.contractId, removed.weekStart, removed.minutes);
+
+    if (removed.attachments?.length) {
+      try {
+        await fileUploadService.deleteMultipleFiles(removed.attachments.map(a => a.publicId).filter(Boolean));
+      } catch (deleteError) {
+        console.log("Time log attachment cleanup failed:", deleteError.message);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Buyer approves or disputes an entry before the week is finalized
+   * @param {Object} entry - TimeEntry document
+   * @param {string} userId - Must be the buyer
+   * @param {Object} params - { action: 'approve' | 'dispute', reason }
+   */
+  async reviewEntry(entry, userId, { action, reason } = {}) {
+    if (entry.buyerId !== userId) throw createError(403, "Only the client can review this entry");
+    if (!["approve", "dispute"].includes(action)) throw createError(400, "Action must be 'approve' or 'dispute'");
+    if (action === "dispute" && (!reason || !String(reason).trim())) {
+      throw createError(400, "Tell the freelancer why you are disputing this time");
+    }
+    if (entry.invoiceId) {
+      const invoice = await HourlyInvoice.findById(entry.invoiceId);
+      if (invoice && invoice.status !== "in_review") {
+        throw createError(400, "This week has already been finalized");
+      }
+    }
+
+    // The week may be finalized while this request is in flight
+    const updated = await TimeEntry.findOneAndUpdate(
+      { _id: entry._id, invoiceId: entry.invoiceId || null, finalizedAt: null },
+      {
+        $set: {
+          status: action === "approve" ? "approved" : "disputed",
+          disputeReason: action === "dispute" ? String(reason).trim() : null,
+          reviewedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "This week has already been finalized");
+
+    if (action === "dispute") {
+      const contract = await HourlyContract.findById(entry.contractId);
+      await this.notify(
+        entry.sellerId,
+        "Time Entry Disputed",
+        `The client disputed ${(entry.minutes / 60).toFixed(2)} hours logged on ${entry.workDate.toDateString()}: ${updated.disputeReason}. Disputed time is not billed.`,
+        contract || { _id: entry.contractId }
+      );
+    }
+    return updated;
+  }
+
+  // ===========================================
+  // WEEKLY INVOICES
+  // ===========================================
+
+  /**
+   * Open review invoices for weeks that have ended
+   * @returns {Promise<Object>} { opened }
+   */
+  async openEndedWeeks() {
+    const currentWeekStart = this.weekStartOf();
+    const weeks = await TimeEntry.aggregate([
+      { $match: { weekStart: { $lt: currentWeekStart }, invoiceId: null } },
+      { $group: { _id: { contractId: "$contractId", weekStart: "$weekStart" } } },
+      { $limit: BATCH_SIZE }
+    ]);
+
+    let opened = 0;
+    for (const { _id: { contractId, weekStart } } of weeks) {
+      try {
+        const contract = await HourlyContract.findById(contractId);
+        if (!contract) continue;
+
+        const weekEnd = new Date(weekStart.getTime() + MS_PER_WEEK);
+        const invoice = await HourlyInvoice.findOneAndUpdate(
+          { contractId, weekStart },
+          {
+            $setOnInsert: {
+              buyerId: contract.buyerId,
+              sellerId: contract.sellerId,
+              weekEnd,
+              hourlyRate: contract.hourlyRate,
+              reviewDeadline: new Date(weekEnd.getTime() + REVIEW_DAYS * MS_PER_DAY)
+            }
+          },
+          { upsert: true, new: true }
+        );
+        const { modifiedCount } = await TimeEntry.updateMany(
+          { contractId, weekStart, invoiceId: null },
+          { $set: { invoiceId: invoice._id } }
+        );
+        await HourlyContract.updateOne({ _id: contractId }, { $max: { lastInvoicedWeekStart: weekStart } });
+        if (modifiedCount === 0) continue;
+
+        opened++;
+        await this.notify(
+          contract.buyerId,
+          "Review Last Week's Hours",
+          `Time logged on "${contract.title}" for the week of ${weekStart.toDateString()} is ready for review. Anything you don't dispute by ${invoice.reviewDeadline.toDateString()} is approved and charged.`,
+          contract
+        );
+      } catch (err) {
+        console.error(`Opening hourly invoice for contract ${contractId} failed:`, err.message);
+      }
+    }
+    return { opened };
+  }
+
+  // Buyer approves the whole week now instead of waiting for the deadline
+  async approveWeek(invoice, userId) {
+    if (invoice.buyerId !== userId) throw createError(403, "Only the client can approve this week");
+    if (invoice.status !== "in_review") throw createError(400, "This week has already been finalized");
+    return this.finalize(invoice);
+  }
+
+  /**
+   * Close the review: pending entries become approved and the approved
+   * hours are billed
+   * @param {Object} invoice - HourlyInvoice document (in_review)
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async finalize(invoice) {
+    // Freeze the entries before totalling them; reviews check finalizedAt
+    const now = new Date();
+    await TimeEntry.updateMany(
+      { invoiceId: invoice._id, status: "pending", finalizedAt: null },
+      { $set: { status: "approved", reviewedAt: now, finalizedAt: now } }
+    );
+    await TimeEntry.updateMany(
+      { invoiceId: invoice._id, finalizedAt: null },
+      { $set: { finalizedAt: now } }
+    );
+    const totals = await TimeEntry.aggregate([
+      { $match: { invoiceId: invoice._id } },
+      { $group: { _id: "$status", minutes: { $sum: "$minutes" } } }
+    ]);
+    const minutesFor = (status) => totals.find(t => t._id === status)?.minutes || 0;
+    const approvedMinutes = minutesFor("approved");
+    const disputedMinutes = minutesFor("disputed");
+    const amount = roundMoney(invoice.hourlyRate * approvedMinutes / 60);
+
+    const finalized = await HourlyInvoice.findOneAndUpdate(
+      { _id: invoice._id, status: "in_review" },
+      {
+        $set: {
+          status: amount > 0 ? "awaiting_payment" : "no_charge",
+          finalizedAt: new Date(),
+          loggedMinutes: approvedMinutes + disputedMinutes,
+          approvedMinutes,
+          disputedMinutes,
+          amount,
+          nextChargeAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!finalized) throw createError(409, "This week was already finalized");
+
+    if (amount > 0) {
+      const contract = await HourlyContract.findById(invoice.contractId);
+      if (contract?.authorization?.code) {
+        await this.chargeInvoice(finalized, contract);
+      } else if (contract) {
+        await this.notify(
+          contract.buyerId,
+          "Hourly Invoice Due",
+          `₦${amount.toLocaleString()} for ${(approvedMinutes / 60).toFixed(2)} approved hours on "${contract.title}" is due. Pay now to keep the contract running; your card will be saved for the following weeks.`,
+          contract
+        );
+      }
+    }
+    return HourlyInvoice.findById(invoice._id);
+  }
+
+  async finalizeDueInvoices() {
+    const due = await HourlyInvoice.find({ status: "in_review", reviewDeadline: { $lte: new Date() } }).limit(BATCH_SIZE);
+    let finalized = 0;
+    for (const invoice of due) {
+      try {
+        await this.finalize(invoice);
+        finalized++;
+      } catch (err) {
+        console.error(`Finalizing hourly invoice ${invoice._id} failed:`, err.message);
+      }
+    }
+    return { checked: due.length, finalized };
+  }
+
+  // ===========================================
+  // CHARGING
+  // ===========================================
+
+  chargeMetadata(invoice, contract, fees) {
+    return {
+      type: "hourly_invoice",
+      invoiceId: String(invoice._id),
+      contractId: String(contract._id),
+      buyerId: contract.buyerId,
+      sellerId: contract.sellerId,
+      gigTitle: contract.title,
+      clientEmail: contract.email,
+      fees
+    };
+  }
+
+  /**
+   * Charge the saved card for a finalized week
+   * @returns {Promise<string>} charged | pending | failed
+   */
+  async chargeInvoice(invoice, contract) {
+    const attempt = (invoice.chargeAttempts || 0) + 1;
+    const reference = `hrl_${invoice._id}_a${attempt}`;
+    const claimed = await HourlyInvoice.findOneAndUpdate(
+      { _id: invoice._id, status: "awaiting_payment", pendingChargeReference: null },
+      { $set: { pendingChargeReference: reference } },
+      { new: true }
+    );
+    if (!claimed) return "pending";
+
+    const fees = await feeService.quote(claimed.amount, contract.sellerId);
+    const provider = paymentProviderService.get(contract.provider);
+    let transaction;
+    try {
+      transaction = await provider.chargeSavedAuthorization({
+        email: contract.email,
+        amount: fees.buyerTotal,
+        authorizationCode: contract.authorization.code,
+        reference,
+        metadata: this.chargeMetadata(claimed, contract, fees)
+      });
+    } catch (err) {
+      if (err.response) {
+        return this.recordChargeFailure(claimed, contract, err.response.data?.message || "Card was declined");
+      }
+      console.error(`Hourly invoice ${claimed._id} charge ${reference} outcome unknown:`, err.message);
+      return "pending";
+    }
+    return this.applyChargeResult(claimed, contract, transaction);
+  }
+
+  async applyChargeResult(invoice, contract, transaction) {
+    if (transaction?.status === "success") {
+      await orderFulfillmentService.fulfillTransaction(transaction, { source: "hourly_billing" });
+      return "charged";
+    }
+    if (["failed", "reversed", "abandoned"].includes(transaction?.status)) {
+      return this.recordChargeFailure(invoice, contract, transaction.raw?.gateway_response || `Charge ${transaction.status}`);
+    }
+    return "pending";
+  }
+
+  // Retry daily; after the last attempt the contract is paused until the invoice is paid
+  async recordChargeFailure(invoice, contract, reason) {
+    const attempts = (invoice.chargeAttempts || 0) + 1;
+    const givesUp = attempts >= MAX_CHARGE_ATTEMPTS;
+    const updated = await HourlyInvoice.findOneAndUpdate(
+      { _id: invoice._id, status: "awaiting_payment" },
+      {
+        $set: {
+          status: givesUp ? "failed" : "awaiting_payment",
+          chargeAttempts: attempts,
+          lastChargeError: reason,
+          pendingChargeReference: null,
+          nextChargeAt: new Date(Date.now() + MS_PER_DAY)
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return "failed";
+
+    if (givesUp) {
+      await HourlyContract.updateOne(
+        { _id: contract._id, status: "active" },
+        { $set: { status: "paused", pausedAt: new Date(), pausedBy: "system", pauseReason: "Weekly invoice could not be charged" } }
+      );
+      await this.notify(contract.buyerId, "Hourly Contract Paused", `We couldn't charge your card for "${contract.title}" after ${attempts} attempts. The contract is paused until you pay the invoice.`, contract);
+      await this.notify(contract.sellerId, "Hourly Contract Paused", `The client's payment for "${contract.title}" failed, so the contract is paused until the invoice is paid.`, contract);
+    } else {
+      await this.notify(contract.buyerId, "Hourly Payment Failed", `We couldn't charge your card for "${contract.title}" (${reason}). We'll retry tomorrow, or you can pay now with another card.`, contract);
+    }
+    return "failed";
+  }
+
+  /**
+   * Charge finalized invoices that are due and settle charges still processing
+   * @returns {Promise<Object>} { checked, charged, pending, failed }
+   */
+  async chargeDueInvoices() {
+    const stats = { checked: 0, charged: 0, pending: 0, failed: 0 };
+    const due = await HourlyInvoice.find({
+      status: "awaiting_payment",
+      $or: [{ pendingChargeReference: { $ne: null } }, { nextChargeAt: { $lte: new Date() } }]
+    }).limit(BATCH_SIZE);
+
+    for (const invoice of due) {
+      stats.checked++;
+      try {
+        const contract = await HourlyContract.findById(invoice.contractId);
+        if (!contract?.authorization?.code) continue; // Paid through checkout instead
+
+        let outcome;
+        if (invoice.pendingChargeReference) {
+          const provider = paymentProviderService.get(contract.provider);
+          let transaction;
+          try {
+            transaction = await provider.verifyPayment(invoice.pendingChargeReference);
+          } catch (err) {
+            if (err.response?.status === 404 || err.response?.status === 400) {
+              outcome = await this.recordChargeFailure(invoice, contract, "Charge was not recorded by the gateway");
+            } else {
+              console.error(`Hourly invoice ${invoice._id} charge verification failed:`, err.message);
+              outcome = "pending";
+            }
+          }
+          if (!outcome) outcome = await this.applyChargeResult(invoice, contract, transaction);
+        } else {
+          outcome = await this.chargeInvoice(invoice, contract);
+        }
+        stats[outcome]++;
+      } catch (err) {
+        console.error(`Hourly invoice ${invoice._id} billing failed:`, err.message);
+      }
+    }
+    return stats;
+  }
+
+  // Scheduled run: open ended weeks, close expired reviews, then charge
+  async runWeeklyBilling() {
+    const opened = await this.openEndedWeeks();
+    const finalized = await this.finalizeDueInvoices();
+    const charges = await this.chargeDueInvoices();
+    return { ...opened, finalized: finalized.finalized, charges };
+  }
+
+  /**
+   * Buyer pays an invoice through checkout (first week, or after a failed charge)
+   * @returns {Promise<{session: Object, fees: Object, isExisting: boolean}>}
+   */
+  async startCheckout(invoice, userId, { email } = {}) {
+    if (invoice.buyerId !== userId) throw createError(403, "Only the client can pay this invoice");
+    if (!["awaiting_payment", "failed"].includes(invoice.status)) {
+      throw createError(400, "This invoice is not awaiting payment");
+    }
+    if (invoice.pendingChargeReference) {
+      throw createError(409, "A payment for this invoice is already being processed. Please check back shortly.");
+    }
+
+    const contract = await HourlyContract.findById(invoice.contractId);
+    const billingEmail = email || contract.email;
+    if (!billingEmail) throw createError(400, "Email address is required to process the payment");
+
+    const openSession = await CheckoutSession.findOne({
+      hourlyInvoiceId: String(invoice._id),
+      status: "pending",
+      expiresAt: { $gt: new Date() }
+    });
+    if (openSession) {
+      return { session: openSession, fees: openSession.fees, isExisting: true };
+    }
+
+    const fees = await feeService.quote(invoice.amount, contract.sellerId);
+    const provider = paymentProviderService.get("paystack");
+    const payment = await provider.initializePayment({
+      email: billingEmail,
+      amount: fees.buyerTotal,
+      reference: crypto.randomBytes(8).toString("hex"),
+      callbackUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`,
+      metadata: this.chargeMetadata(invoice, contract, fees)
+    });
+
+    const session = await checkoutSessionService.createSession({
+      reference: payment.reference,
+      provider: provider.name,
+      purpose: "hourly_invoice",
+      hourlyInvoiceId: String(invoice._id),
+      buyerId: contract.buyerId,
+      sellerId: contract.sellerId,
+      gigTitle: contract.title,
+      email: billingEmail,
+      amount: invoice.amount,
+      total: fees.buyerTotal,
+      fees,
+      authorizationUrl: payment.authorizationUrl,
+      accessCode: payment.accessCode
+    });
+
+    // Hold off automatic retries while the buyer has a checkout open
+    await HourlyInvoice.updateOne({ _id: invoice._id }, { $set: { nextChargeAt: session.expiresAt } });
+    if (billingEmail !== contract.email) {
+      await HourlyContract.updateOne({ _id: contract._id }, { $set: { email: billingEmail } });
+    }
+
+    return { session, fees, isExisting: false };
+  }
+
+  // ===========================================
+  // QUERIES
+  // ===========================================
+
+  async getUserContracts(userId, { status } = {}) {
+    const query = { $or: [{ buyerId: userId }, { sellerId: userId }] };
+    if (status) query.status = status;
+    return HourlyContract.find(query).sort({ updatedAt: -1 });
+  }
+
+  // Contract with this week's hours and the recent weekly invoices
+  async getContractOverview(contractId, userId) {
+    const contract = await HourlyContract.findById(contractId);
+    if (!contract) throw createError(404, "Contract not found");
+    if (!this.partyRole(contract, userId)) throw createError(403, "You are not part of this contract");
+
+    const weekStart = this.weekStartOf();
+    const [entries, invoices] = await Promise.all([
+      TimeEntry.find({ contractId: contract._id, weekStart }).sort({ workDate: -1 }),
+      HourlyInvoice.find({ contractId: contract._id }).sort({ weekStart: -1 }).limit(12)
+    ]);
+    const loggedMinutes = entries.reduce((sum, e) => sum + e.minutes, 0);
+    return {
+      contract,
+      currentWeek: {
+        weekStart,
+        loggedMinutes,
+        remainingMinutes: Math.max(contract.weeklyCapHours * 60 - loggedMinutes, 0),
+        entries
+      },
+      invoices
+    };
+  }
+
+  async getInvoiceWithEntries(invoiceId, userId) {
+    const invoice = await HourlyInvoice.findById(invoiceId);
+    if (!invoice) throw createError(404, "Invoice not found");
+    if (invoice.buyerId !== userId && invoice.sellerId !== userId) {
+      throw createError(403, "You are not part of this contract");
+    }
+    const entries = await TimeEntry.find({ invoiceId: invoice._id }).sort({ workDate: 1 });
+    return { invoice, entries };
+  }
+}
+
+export default new HourlyContractService();
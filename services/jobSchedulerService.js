@@ -0,0 +1,211 @@
+import os from "os";
+import mongoose from "mongoose";
+import ScheduledJob from "../models/scheduledJob.model.js";
+import JobRun from "../models/jobRun.model.js";
+import createError from "../utils/createError.js";
+
+const TICK_INTERVAL_MS = 30 * 1000;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// In-process scheduler for recurring background jobs. Schedules and locks
+// live in the scheduledjobs collection so any number of API instances can run
+// the scheduler and each job still runs on only one of them at a time.
+class JobSchedulerService {
+  constructor() {
+    this.jobs = new Map(); // name -> { handler, intervalMs, lockTtlMs, description }
+    this.running = new Set();
+    this.timer = null;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a recurring job (call before start)
+   * @param {string} name - Unique job name
+   * @param {Object} options - { intervalMs, handler, description, lockTtlMs }
+   */
+  register(name, { intervalMs, handler, description, lockTtlMs = DEFAULT_LOCK_TTL_MS }) {
+    this.jobs.set(name, { intervalMs, handler, description, lockTtlMs });
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    // Create missing job records; keep admin changes (enabled) on existing ones
+    for (const [name, job] of this.jobs) {
+      await ScheduledJob.updateOne(
+        { name },
+        {
+          $set: { intervalMs: job.intervalMs, description: job.description },
+          $setOnInsert: { nextRunAt: new Date() }
+        },
+        { upsert: true }
+      );
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(err => console.error('Job scheduler tick failed:', err?.message || err));
+    }, TICK_INTERVAL_MS);
+    this.timer.unref?.();
+    console.log(`⏱️  Job scheduler started (${this.jobs.size} jobs)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (mongoose.connection.readyState !== 1) return;
+    for (const name of this.jobs.keys()) {
+      if (this.running.has(name)) continue;
+      await this.runIfDue(name);
+    }
+  }
+
+  // Take the job's lock if it is enabled, due and not held by a live run
+  async acquireLock(name, { force = false } = {}) {
+    const job = this.jobs.get(name);
+    const now = new Date();
+    const filter = {
+      name,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+    if (!force) {
+      filter.enabled = true;
+      filter.nextRunAt = { $lte: now };
+    }
+    return ScheduledJob.findOneAndUpdate(
+      filter,
+      { $set: { lockedBy: this.instanceId, lockedUntil: new Date(now.getTime() + job.lockTtlMs), lastRunAt: now } },
+      { new: true }
+    );
+  }
+
+  async runIfDue(name) {
+    const locked = await this.acquireLock(name);
+    if (!locked) return null;
+    return this.execute(name, { trigger: 'schedule' });
+  }
+
+  /**
+   * Run a job immediately, outside its schedule (still respects the lock)
+   * @param {string} name
+   * @param {Object} options - { triggeredBy } admin user ID
+   * @returns {Promise<Object>} JobRun document
+   */
+  async runNow(name, options = {}) {
+    if (!this.jobs.has(name)) throw createError(404, "Job not found");
+    const locked = await this.acquireLock(name, { force: true });
+    if (!locked) throw createError(409, "This job is already running");
+    return this.execute(name, { trigger: 'manual', triggeredBy: options.triggeredBy });
+  }
+
+  async extendLock(name, lockTtlMs) {
+    const result = await ScheduledJob.updateOne(
+      { name, lockedBy: this.instanceId, lockedUntil: { $ne: null } },
+      { $set: { lockedUntil: new Date(Date.now() + lockTtlMs) } }
+    );
+    if (result.matchedCount === 0) {
+      console.warn(`Job ${name} lost its lock while running`);
+    }
+  }
+
+  // Run a job whose lock we hold, record the run, then schedule the next one
+  async execute(name, { trigger, triggeredBy }) {
+    const job = this.jobs.get(name);
+    this.running.add(name);
+    const startedAt = new Date();
+    const run = await JobRun.create({ jobName: name, trigger, triggeredBy, instanceId: this.instanceId, startedAt });
+
+    // Keep extending the lock while the handler runs, so a run that outlasts
+    // lockTtlMs is not picked up again by another instance
+    const heartbeat = setInterval(() => {
+      this.extendLock(name, job.lockTtlMs).catch(err => console.error(`Job ${name} lock renewal failed:`, err?.message || err));
+    }, Math.max(Math.floor(job.lockTtlMs / 3), 1000));
+    heartbeat.unref?.();
+
+    let status = 'success';
+    let result = null;
+    let error = null;
+    try {
+      result = await job.handler();
+    } catch (err) {
+      status = 'failed';
+      error = err?.message || String(err);
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const finishedAt = new Date();
+    try {
+      const updatedRun = await JobRun.findByIdAndUpdate(
+        run._id,
+        { $set: { status, result, error, finishedAt, durationMs: finishedAt - startedAt } },
+        { new: true }
+      );
+      await ScheduledJob.updateOne(
+        { name, lockedBy: this.instanceId },
+        {
+          $set: {
+            lastFinishedAt: finishedAt,
+            lastStatus: status,
+            lastError: error,
+            lastResult: result,
+            nextRunAt: new Date(startedAt.getTime() + job.intervalMs),
+            lockedUntil: null,
+            lockedBy: null
+          },
+          $inc: { runCount: 1, ...(status === 'failed' && { failCount: 1 }) }
+        }
+      );
+      return updatedRun;
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  // ===========================================
+  // ADMIN
+  // ===========================================
+
+  async getJobs() {
+    const jobs = await ScheduledJob.find().sort({ name: 1 }).lean();
+    return jobs.map(job => ({
+      ...job,
+      registered: this.jobs.has(job.name),
+      isRunning: Boolean(job.lockedUntil && job.lockedUntil > new Date())
+    }));
+  }
+
+  async setEnabled(name, enabled) {
+    const job = await ScheduledJob.findOneAndUpdate({ name }, { $set: { enabled: Boolean(enabled) } }, { new: true });
+    if (!job) throw createError(404, "Job not found");
+    return job;
+  }
+
+  async getHistory({ jobName, status, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (jobName) filter.jobName = jobName;
+    if (status) filter.status = status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter).sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      JobRun.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+    return {
+      runs,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRuns: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+}
+
+export default new JobSchedulerService();
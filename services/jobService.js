@@ -0,0 +1,539 @@
+import crypto from "crypto";
+import Job from "../models/job.model.js";
+import Proposal from "../models/proposal.model.js";
+import User from "../models/user.model.js";
+import CheckoutSession from "../models/checkoutSession.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import checkoutSessionService from "./checkoutSessionService.js";
+import contentFilterService from "./contentFilterService.js";
+import fileUploadService from "./fileUploadService.js";
+import feeService from "./feeService.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import { roundMoney } from "./ledgerService.js";
+import createError from "../utils/createError.js";
+import { checkTransactionLimit } from "../utils/transactionLimits.js";
+import { normalizeAgreedTerms } from "../utils/agreedTerms.js";
+
+const MAX_SKILLS = 15;
+const MAX_COVER_LETTER_LENGTH = 5000;
+const OPEN_PROPOSAL_STATUSES = ['submitted', 'shortlisted'];
+const MAX_SEARCH_LENGTH = 100;
+
+// Search text is matched literally, not as a pattern
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Reverse marketplace: buyers post jobs, freelancers send proposals, and the
+// buyer shortlists and hires one. Hiring pays for the proposal's terms
+// through the normal checkout, so the order is created in escrow like a gig
+// order; fulfillment marks the job filled.
+class JobService {
+
+  async notify(userId, title, message, url) {
+    try {
+      await notificationService.createUserNotification(userId, 'order', title, message, {
+        priority: 'medium',
+        actionButton: { text: 'View Job', url, style: 'primary' }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: 'order',
+        data: { action: 'open_url', url }
+      });
+    } catch (notifyError) {
+      console.log("Job notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // Multipart forms send arrays as JSON or comma-separated strings
+  parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value.trim()) return [];
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return value.split(',');
+    }
+  }
+
+  // ===========================================
+  // JOBS
+  // ===========================================
+
+  /**
+   * Validate job details. Updates inherit anything they leave out.
+   * @param {Object} details - { title, desc, cat, subcategory, skills, budgetMin, budgetMax, deadline }
+   * @param {Object} base - Job being edited (optional)
+   * @returns {Object} Clean job fields
+   */
+  normalizeJob(details = {}, base = null) {
+    const pick = (key) => (details[key] !== undefined && details[key] !== null && details[key] !== '' ? details[key] : base?.[key]);
+
+    const title = String(pick('title') || '').trim();
+    const desc = String(pick('desc') || '').trim();
+    const cat = String(pick('cat') || '').trim();
+    const subcategory = String(pick('subcategory') || '').trim();
+    const budgetMin = roundMoney(Number(pick('budgetMin')));
+    const budgetMax = roundMoney(Number(pick('budgetMax') ?? budgetMin));
+    const rawDeadline = pick('deadline');
+
+    if (!title) throw createError(400, "Job title is required");
+    if (title.length > 120) throw createError(400, "Job title must be at most 120 characters");
+    if (!desc) throw createError(400, "Please describe the work you need done");
+    if (!cat || !subcategory) throw createError(400, "Choose a category and subcategory for the job");
+    if (!(budgetMin > 0)) throw createError(400, "Budget must be greater than zero");
+    if (!(budgetMax >= budgetMin)) throw createError(400, "Maximum budget cannot be lower than the minimum");
+
+    let deadline = null;
+    if (rawDeadline) {
+      deadline = new Date(rawDeadline);
+      if (Number.isNaN(deadline.getTime())) throw createError(400, "Invalid deadline");
+      if (deadline <= new Date() && deadline.getTime() !== base?.deadline?.getTime()) {
+        throw createError(400, "Deadline must be in the future");
+      }
+    }
+
+    const skills = details.skills !== undefined
+      ? [...new Set(this.parseList(details.skills).map(s => String(s).trim()).filter(Boolean))]
+      : (base?.skills || []);
+    if (skills.length > MAX_SKILLS) throw createError(400, `List at most ${MAX_SKILLS} skills`);
+
+    return { title, desc, cat, subcategory, skills, budgetMin, budgetMax, deadline };
+  }
+
+  async uploadAttachments(files) {
+    if (!files || files.length === 0) return [];
+    try {
+      return await fileUploadService.uploadMultipleFiles(files, 'jobs');
+    } catch (uploadError) {
+      console.error('Job attachment upload error:', uploadError);
+      throw createError(400, "Failed to upload attachments");
+    }
+  }
+
+  /**
+   * Buyer posts a job
+   * @param {string} buyerId
+   * @param {Object} details - Job fields (see normalizeJob)
+   * @param {Array} files - Attachments from the upload middleware (optional)
+   * @returns {Promise<Object>} Job document
+   */
+  async postJob(buyerId, details, files = []) {
+    const clean = this.normalizeJob(details);
+    const attachments = await this.uploadAttachments(files);
+    return Job.create({ buyerId, ...clean, attachments });
+  }
+
+  async updateJob(job, userId, details, files = []) {
+    if (job.buyerId !== userId) throw createError(403, "Only the client who posted this job can edit it");
+    if (!['open', 'closed'].includes(job.status)) throw createError(400, `This job is already ${job.status}`);
+
+    const clean = this.normalizeJob(details, job);
+    const attachments = await this.uploadAttachments(files);
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['open', 'closed'] } },
+      { $set: clean, $push: { attachments: { $each: attachments } } },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "This job changed while saving. Please reload and try again.");
+    return updated;
+  }
+
+  // Stop taking proposals (the buyer can still hire from those received) or reopen
+  async setAcceptingProposals(job, userId, accepting) {
+    if (job.buyerId !== userId) throw createError(403, "Only the client who posted this job can change it");
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, status: accepting ? 'closed' : 'open' },
+      { $set: { status: accepting ? 'open' : 'closed', closedAt: accepting ? null : new Date() } },
+      { new: true }
+    );
+    if (!updated) throw createError(400, accepting ? "Only a closed job can be reopened" : "Only an open job can be closed");
+    return updated;
+  }
+
+  async cancelJob(job, userId) {
+    if (job.buyerId !== userId) throw createError(403, "Only the client who posted this job can cancel it");
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['open', 'closed'] } },
+      { $set: { status: 'cancelled', closedAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) throw createError(400, `This job is already ${job.status}`);
+
+    const open = await Proposal.find({ jobId: String(job._id), status: { $in: OPEN_PROPOSAL_STATUSES } }, 'sellerId');
+    await Proposal.updateMany(
+      { jobId: String(job._id), status: { $in: OPEN_PROPOSAL_STATUSES } },
+      { $set: { status: 'declined', declinedAt: new Date(), declineReason: 'The job was cancelled' } }
+    );
+    for (const { sellerId } of open) {
+      await this.notify(sellerId, 'Job Cancelled', `The client cancelled "${job.title}".`, `/jobs/${job._id}`);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Browse open jobs (same query style and response shape as GET /api/gigs)
+   * @param {Object} q - { cat, subcategory, min, max, search, page, limit, sort }
+   */
+  async listJobs(q = {}) {
+    const page = parseInt(q.page) || 1;
+    const limit = Math.min(parseInt(q.limit) || 12, 50);
+    const skip = (page - 1) * limit;
+
+    const filters = {
+      status: 'open',
+      ...(q.cat && { cat: q.cat }),
+      ...(q.subcategory && { subcategory: q.subcategory }),
+      // Jobs whose budget range overlaps the requested one
+      ...(q.min && { budgetMax: { $gte: Number(q.min) } }),
+      ...(q.max && { budgetMin: { $lte: Number(q.max) } }),
+      ...(q.search && { title: { $regex: escapeRegex(String(q.search).trim().slice(0, MAX_SEARCH_LENGTH)), $options: "i" } })
+    };
+    const sortField = ['createdAt', 'budgetMax', 'deadline', 'proposalCount'].includes(q.sort) ? q.sort : 'createdAt';
+
+    const [jobs, totalCount] = await Promise.all([
+      Job.find(filters)
+        .sort({ [sortField]: sortField === 'deadline' || sortField === 'proposalCount' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('buyerId', 'username img country'),
+      Job.countDocuments(filters)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return {
+      data: jobs,
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        pages: totalPages,
+        hasMore: page < totalPages,
+        hasPrevious: page > 1
+      }
+    };
+  }
+
+  // The buyer sees every proposal; a freelancer sees only their own
+  async getJob(jobId, userId) {
+    const job = await Job.findById(jobId).populate('buyerId', 'username img country');
+    if (!job) throw createError(404, "Job not found");
+
+    const isOwner = String(job.buyerId?._id || job.buyerId) === userId;
+    if (isOwner) {
+      const proposals = await Proposal.find({ jobId: String(job._id), status: { $ne: 'withdrawn' } })
+        .select('-originalCoverLetter -filteringDetails')
+        .sort({ createdAt: 1 })
+        .populate('sellerId', 'username img averageRating totalReviews hourlyRate');
+      return { job, proposals };
+    }
+    const myProposal = userId
+      ? await Proposal.findOne({ jobId: String(job._id), sellerId: userId })
+      : null;
+    return { job, myProposal };
+  }
+
+  async getBuyerJobs(buyerId, { status } = {}) {
+    const query = { buyerId };
+    if (status) query.status = status;
+    return Job.find(query).sort({ createdAt: -1 });
+  }
+
+  // ===========================================
+  // PROPOSALS
+  // ===========================================
+
+  /**
+   * Validate proposal terms. Edits inherit anything they leave out.
+   * @param {Object} terms - { coverLetter, price, deliveryDays, revisions, milestones }
+   * @param {Object} base - Proposal being edited (optional)
+   * @returns {Object} Clean terms
+   */
+  normalizeProposal(terms = {}, base = null) {
+    const pick = (key) => (terms[key] !== undefined && terms[key] !== null && terms[key] !== '' ? terms[key] : base?.[key]);
+
+    const coverLetter = String(pick('coverLetter') || '').trim();
+    if (!coverLetter) throw createError(400, "Please write a cover letter");
+    if (coverLetter.length > MAX_COVER_LETTER_LENGTH) {
+      throw createError(400, `Cover letter must be at most ${MAX_COVER_LETTER_LENGTH} characters`);
+    }
+
+    const { price, revisions, deliveryDays, milestones } = normalizeAgreedTerms({
+      price: pick('price'),
+      revisions: pick('revisions'),
+      deliveryDays: pick('deliveryDays'),
+      milestones: terms.milestones !== undefined ? terms.milestones : base?.milestones
+    }, { noun: 'proposal', deliveryLabel: 'Timeline' });
+
+    return { coverLetter, price, deliveryDays, revisions, milestones };
+  }
+
+  // Run the cover letter through the contact-info filter, like chat messages
+  async filterCoverLetter(coverLetter, sellerId) {
+    try {
+      const seller = await User.findById(sellerId, 'contentFilteringLevel');
+      const result = await contentFilterService.filterContent(coverLetter, sellerId, {
+        strictMode: seller?.contentFilteringLevel === 'strict'
+      });
+      if (!result.isAllowed) {
+        throw createError(400, result.warning || "Your proposal contains prohibited content.");
+      }
+
+      const filtered = result.action === 'filter' && result.filteredContent !== coverLetter;
+      return {
+        fields: {
+          coverLetter: result.filteredContent,
+          isFiltered: filtered,
+          originalCoverLetter: filtered ? coverLetter : null,
+          filteringDetails: filtered
+            ? { violations: result.violations, action: result.action, filteredAt: new Date() }
+            : null
+        },
+        warning: result.warning || null
+      };
+    } catch (filterError) {
+      if (filterError.status) throw filterError;
+      // On filtering service error, allow the proposal but log the error
+      console.error('Content filtering error:', filterError);
+      return { fields: { coverLetter }, warning: null };
+    }
+  }
+
+  /**
+   * Freelancer sends a proposal for an open job
+   * @param {string} jobId
+   * @param {string} sellerId
+   * @param {Object} terms - { coverLetter, price, deliveryDays, revisions, milestones }
+   * @returns {Promise<{proposal: Object, warning: string|null}>}
+   */
+  async submitProposal(jobId, sellerId, terms = {}) {
+    const job = await Job.findById(jobId);
+    if (!job) throw createError(404, "Job not found");
+    if (job.status !== 'open') throw createError(400, "This job is no longer taking proposals");
+    if (job.buyerId === sellerId) throw createError(400, "You cannot send a proposal for your own job");
+
+    const seller = await User.findById(sellerId, 'isSeller');
+    if (!seller?.isSeller) throw createError(403, "Only freelancers can send proposals");
+
+    const clean = this.normalizeProposal(terms);
+    const { fields, warning } = await this.filterCoverLetter(clean.coverLetter, sellerId);
+
+    let proposal;
+    try {
+      proposal = await Proposal.create({
+        jobId: String(job._id),
+        sellerId,
+        buyerId: job.buyerId,
+        ...clean,
+        ...fields
+      });
+    } catch (err) {
+      if (err.code === 11000) throw createError(409, "You have already sent a proposal for this job");
+      throw err;
+    }
+    await Job.updateOne({ _id: job._id }, { $inc: { proposalCount: 1 } });
+
+    await this.notify(
+      job.buyerId,
+      'New Proposal',
+      `You received a proposal for "${job.title}" at ₦${proposal.price.toLocaleString()} over ${proposal.deliveryDays} day${proposal.deliveryDays === 1 ? '' : 's'}.`,
+      `/jobs/${job._id}`
+    );
+    return { proposal, warning };
+  }
+
+  async loadProposal(proposalId) {
+    const proposal = await Proposal.findById(proposalId);
+    if (!proposal) throw createError(404, "Proposal not found");
+    const job = await Job.findById(proposal.jobId);
+    if (!job) throw createError(404, "Job not found");
+    return { proposal, job };
+  }
+
+  // Freelancer edits their proposal until the buyer hires or declines
+  async updateProposal(proposalId, sellerId, terms = {}) {
+    const { proposal, job } = await this.loadProposal(proposalId);
+    if (proposal.sellerId !== sellerId) throw createError(403, "Only the freelancer who sent this proposal can edit it");
+    if (!OPEN_PROPOSAL_STATUSES.includes(proposal.status) || !['open', 'closed'].includes(job.status)) {
+      throw createError(400, "This proposal can no longer be edited");
+    }
+    if (proposal.checkoutReference && await CheckoutSession.exists({ reference: proposal.checkoutReference, status: 'pending', expiresAt: { $gt: new Date() } })) {
+      throw createError(409, "The client is paying for this proposal and it can't be changed now");
+    }
+
+    const clean = this.normalizeProposal(terms, proposal);
+    const { fields, warning } = clean.coverLetter === proposal.coverLetter
+      ? { fields: {}, warning: null }
+      : await this.filterCoverLetter(clean.coverLetter, sellerId);
+
+    const updated = await Proposal.findOneAndUpdate(
+      { _id: proposal._id, status: { $in: OPEN_PROPOSAL_STATUSES } },
+      { $set: { ...clean, ...fields, checkoutReference: null } },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "This proposal changed while saving. Please reload and try again.");
+    return { proposal: updated, warning };
+  }
+
+  async withdrawProposal(proposalId, sellerId) {
+    const { proposal } = await this.loadProposal(proposalId);
+    if (proposal.sellerId !== sellerId) throw createError(403, "Only the freelancer who sent this proposal can withdraw it");
+    const withdrawn = await Proposal.findOneAndUpdate(
+      { _id: proposal._id, status: { $in: OPEN_PROPOSAL_STATUSES } },
+      { $set: { status: 'withdrawn', withdrawnAt: new Date() } },
+      { new: true }
+    );
+    if (!withdrawn) throw createError(400, `This proposal is already ${proposal.status}`);
+    await Job.updateOne({ _id: proposal.jobId, proposalCount: { $gt: 0 } }, { $inc: { proposalCount: -1 } });
+    return withdrawn;
+  }
+
+  async shortlistProposal(proposalId, buyerId) {
+    const { proposal, job } = await this.loadProposal(proposalId);
+    if (job.buyerId !== buyerId) throw createError(403, "Only the client who posted this job can shortlist proposals");
+    if (!['open', 'closed'].includes(job.status)) throw createError(400, `This job is already ${job.status}`);
+
+    const shortlisted = await Proposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'submitted' },
+      { $set: { status: 'shortlisted', shortlistedAt: new Date() } },
+      { new: true }
+    );
+    if (!shortlisted) throw createError(400, `This proposal is already ${proposal.status}`);
+
+    await this.notify(
+      proposal.sellerId,
+      'Proposal Shortlisted',
+      `Your proposal for "${job.title}" was shortlisted.`,
+      `/jobs/${job._id}`
+    );
+    return shortlisted;
+  }
+
+  async declineProposal(proposalId, buyerId, { reason } = {}) {
+    const { proposal, job } = await this.loadProposal(proposalId);
+    if (job.buyerId !== buyerId) throw createError(403, "Only the client who posted this job can decline proposals");
+
+    const declined = await Proposal.findOneAndUpdate(
+      { _id: proposal._id, status: { $in: OPEN_PROPOSAL_STATUSES } },
+      { $set: { status: 'declined', declinedAt: new Date(), declineReason: reason } },
+      { new: true }
+    );
+    if (!declined) throw createError(400, `This proposal is already ${proposal.status}`);
+
+    await this.notify(
+      proposal.sellerId,
+      'Proposal Declined',
+      `Your proposal for "${job.title}" was declined.${reason ? ` Reason: ${reason}` : ''}`,
+      `/jobs/${job._id}`
+    );
+    return declined;
+  }
+
+  async getSellerProposals(sellerId, { status } = {}) {
+    const query = { sellerId };
+    if (status) query.status = status;
+    return Proposal.find(query)
+      .sort({ updatedAt: -1 })
+      .populate('jobId', 'title status budgetMin budgetMax deadline');
+  }
+
+  // ===========================================
+  // HIRING
+  // ===========================================
+
+  /**
+   * Buyer hires a freelancer: start (or resume) checkout for the proposal's
+   * terms. The order is created and the job filled once payment is confirmed.
+   * @param {string} proposalId
+   * @param {string} buyerId
+   * @param {Object} params - { email, fundingMode: 'upfront' | 'per_milestone' }
+   * @returns {Promise<{proposal: Object, session: Object, fees: Object, isExisting: boolean}>}
+   */
+  async hire(proposalId, buyerId, { email, fundingMode } = {}) {
+    const { proposal, job } = await this.loadProposal(proposalId);
+    if (job.buyerId !== buyerId) throw createError(403, "Only the client who posted this job can hire for it");
+    if (!['open', 'closed'].includes(job.status)) throw createError(400, `This job is already ${job.status}`);
+    if (!OPEN_PROPOSAL_STATUSES.includes(proposal.status)) {
+      throw createError(400, `This proposal is ${proposal.status}`);
+    }
+    if (!email) throw createError(400, "Email address is required to process the payment");
+
+    const limitCheck = await checkTransactionLimit(buyerId, proposal.price, 'order');
+    if (!limitCheck.allowed) throw createError(400, limitCheck.message);
+
+    // Send the buyer back to an open checkout instead of charging them twice
+    if (proposal.checkoutReference) {
+      const openSession = await CheckoutSession.findOne({
+        reference: proposal.checkoutReference,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      });
+      if (openSession) return { proposal, session: openSession, fees: openSession.fees, isExisting: true };
+    }
+
+    const perMilestone = fundingMode === 'per_milestone';
+    if (perMilestone && !proposal.milestones?.length) {
+      throw createError(400, "Only milestone proposals can be funded per milestone");
+    }
+    const chargeNow = perMilestone ? proposal.milestones[0].amount : proposal.price;
+    const fees = await feeService.quote(chargeNow, proposal.sellerId);
+
+    const payment = await paymentProviderService.initializeWithFailover({
+      email,
+      amount: fees.buyerTotal,
+      baseReference: crypto.randomBytes(8).toString("hex"),
+      callbackUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`,
+      metadata: {
+        type: 'job_proposal',
+        proposalId: String(proposal._id),
+        jobId: String(job._id),
+        buyerId: job.buyerId,
+        sellerId: proposal.sellerId,
+        gigTitle: job.title,
+        gigPrice: proposal.price,
+        clientEmail: email,
+        fundingMode: perMilestone ? 'per_milestone' : 'upfront',
+        projectPrice: perMilestone ? proposal.price : undefined,
+        // The freelancer can edit the proposal once this checkout expires, so
+        // the order is built from the terms the client is paying for now
+        proposalTerms: {
+          revisions: proposal.revisions,
+          deliveryDays: proposal.deliveryDays,
+          milestones: (proposal.milestones || []).map(m => ({
+            title: m.title,
+            description: m.description,
+            amount: m.amount,
+            deliveryDays: m.deliveryDays
+          }))
+        },
+        fees
+      }
+    });
+
+    const session = await checkoutSessionService.createSession({
+      reference: payment.reference,
+      provider: payment.provider,
+      buyerId: job.buyerId,
+      sellerId: proposal.sellerId,
+      proposalId: String(proposal._id),
+      gigTitle: job.title,
+      email,
+      amount: chargeNow,
+      total: fees.buyerTotal,
+      fees,
+      authorizationUrl: payment.authorizationUrl,
+      accessCode: payment.accessCode
+    });
+
+    const updatedProposal = await Proposal.findByIdAndUpdate(
+      proposal._id,
+      { $set: { checkoutReference: payment.reference } },
+      { new: true }
+    );
+    return { proposal: updatedProposal, session, fees, isExisting: false };
+  }
+}
+
+export default new JobService();
@@ -0,0 +1,780 @@
+import mongoose from "mongoose";
+import LedgerAccount from "../models/ledgerAccount.model.js";
+import JournalEntry from "../models/journalEntry.model.js";
+import Order from "../models/order.model.js";
+import Withdrawal from "../models/withdrawal.model.js";
+import LedgerRetry from "../models/ledgerRetry.model.js";
+import Sequence from "../models/sequence.model.js";
+import createError from "../utils/createError.js";
+import feeService from "./feeService.js";
+
+// Money is kept in Naira with kobo precision
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const EPSILON = 0.005;
+const ESCROW_ACCOUNT_PATTERN = /^buyer:.+:escrow$/;
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+const RETRY_MAX_DELAY_MS = 12 * 60 * 60 * 1000;
+const RETRY_MAX_ATTEMPTS = 12;
+const RETRY_BATCH_SIZE = 100;
+const BACKFILL_MARKER = 'ledger:backfill';
+
+// Postings that can be queued for a retry
+const RETRYABLE_METHODS = new Set([
+  'recordEscrowFunding',
+  'recordMilestoneFunding',
+  'recordEscrowRelease',
+  'recordTip',
+  'recordRefund',
+  'recordRefundSplit',
+  'recordRefundPayout',
+  'holdWithdrawal',
+  'completeWithdrawal',
+  'releaseWithdrawalHold',
+  'syncWithdrawal'
+]);
+
+// Documents are queued as they were when the posting was attempted
+const snapshotArg = (value) => (typeof value?.toObject === 'function' ? value.toObject({ depopulate: true }) : value);
+
+// Account factories. Codes are deterministic so they can be referenced before they exist.
+export const ACCOUNTS = {
+  gateway: () => ({ code: 'platform:gateway', name: 'Payment gateway balance', type: 'asset', ownerType: 'platform', purpose: 'gateway' }),
+  revenue: () => ({ code: 'platform:revenue', name: 'Platform fee revenue', type: 'revenue', ownerType: 'platform', purpose: 'revenue' }),
+  buyerEscrow: (buyerId) => ({ code: `buyer:${buyerId}:escrow`, name: 'Funds in escrow', type: 'liability', ownerType: 'buyer', ownerId: String(buyerId), purpose: 'buyer_escrow' }),
+  buyerRefunds: (buyerId) => ({ code: `buyer:${buyerId}:refunds`, name: 'Refunds in transit', type: 'liability', ownerType: 'buyer', ownerId: String(buyerId), purpose: 'buyer_refunds' }),
+  sellerAvailable: (sellerId) => ({ code: `seller:${sellerId}:available`, name: 'Available earnings', type: 'liability', ownerType: 'seller', ownerId: String(sellerId), purpose: 'seller_available' }),
+  sellerWithdrawalHold: (sellerId) => ({ code: `seller:${sellerId}:withdrawal_hold`, name: 'Pending withdrawals', type: 'liability', ownerType: 'seller', ownerId: String(sellerId), purpose: 'seller_withdrawal_hold' })
+};
+
+// Signed change to an account's balance on its normal side
+const balanceDelta = (account, debit, credit) => (
+  account.type === 'asset' ? debit - credit : credit - debit
+);
+
+class LedgerService {
+
+  /**
+   * Fail fast when MongoDB cannot run multi-document transactions. Every
+   * posting runs in one, so MONGO must point to a replica set or sharded
+   * cluster (Atlas clusters are replica sets; locally, start mongod with
+   * --replSet and run rs.initiate() once).
+   * @returns {Promise<void>}
+   */
+  async assertTransactionSupport() {
+    if (mongoose.connection.readyState !== 1) return; // Not connected; nothing to check yet
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      throw new Error('The ledger needs MongoDB transactions, which a standalone server does not support. Point MONGO to a replica set or sharded cluster.');
+    }
+  }
+
+  /**
+   * Post a balanced journal entry and update account balances atomically.
+   * Requires transaction support (see assertTransactionSupport).
+   * @param {Object} entry - { key, type, description, lines: [{ account, debit, credit, memo }], ...references }
+   * @param {Object} options - { guardAccounts: [codes] } accounts that must not go negative
+   * @returns {Promise<{entry: Object, isExisting: boolean}>}
+   */
+  async post(entry, options = {}) {
+    const { key, lines = [], ...rest } = entry;
+    if (!key) throw createError(500, "Journal entries require an idempotency key");
+
+    const normalized = lines
+      .map(l => ({ account: l.account, debit: roundMoney(l.debit), credit: roundMoney(l.credit), memo: l.memo }))
+      .filter(l => l.debit > 0 || l.credit > 0);
+    const totalDebit = roundMoney(normalized.reduce((sum, l) => sum + l.debit, 0));
+    const totalCredit = roundMoney(normalized.reduce((sum, l) => sum + l.credit, 0));
+
+    if (normalized.length < 2 || totalDebit <= 0 || Math.abs(totalDebit - totalCredit) > EPSILON) {
+      throw createError(500, `Unbalanced journal entry ${key} (debits ₦${totalDebit}, credits ₦${totalCredit})`);
+    }
+
+    const existing = await JournalEntry.findOne({ key });
+    if (existing) return { entry: existing, isExisting: true };
+
+    const guarded = new Set(options.guardAccounts || []);
+    const session = await mongoose.startSession();
+    try {
+      let created;
+      await session.withTransaction(async () => {
+        for (const line of normalized) {
+          const { code, ...definition } = line.account;
+          await LedgerAccount.updateOne(
+            { code },
+            { $setOnInsert: { code, ...definition } },
+            { upsert: true, session }
+          );
+
+          const delta = roundMoney(balanceDelta(line.account, line.debit, line.credit));
+          const filter = { code };
+          if (guarded.has(code) && delta < 0) {
+            filter.balance = { $gte: -delta - EPSILON };
+          }
+          const result = await LedgerAccount.updateOne(filter, { $inc: { balance: delta } }, { session });
+          if (result.matchedCount === 0) {
+            throw createError(400, "Insufficient balance");
+          }
+        }
+
+        [created] = await JournalEntry.create([{
+          key,
+          ...rest,
+          lines: normalized.map(l => ({ accountCode: l.account.code, debit: l.debit, credit: l.credit, memo: l.memo })),
+          amount: totalDebit
+        }], { session });
+      });
+      return { entry: created, isExisting: false };
+    } catch (err) {
+      // Another request posted the same business event first
+      if (err.code === 11000 && err.keyPattern?.key) {
+        const entry = await JournalEntry.findOne({ key });
+        return { entry, isExisting: true };
+      }
+      throw err;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Post after the money has already moved (payment captured, escrow released).
+   * A failure must not undo the business flow, so the posting is queued and
+   * replayed by the ledger-retry job instead.
+   * @param {string} label - What the posting is for, for logs
+   * @param {string} method - ledgerService posting method
+   * @param {...*} args - Arguments for the method
+   * @returns {Promise<*>} The method's result, or null when the posting was queued
+   */
+  async tryPost(label, method, ...args) {
+    if (!RETRYABLE_METHODS.has(method)) throw new Error(`Unknown ledger posting: ${method}`);
+    try {
+      return await this[method](...args);
+    } catch (err) {
+      console.error(`Ledger posting failed (${label}), queued for retry:`, err?.message || err);
+      try {
+        await LedgerRetry.create({
+          label,
+          method,
+          args: args.map(snapshotArg),
+          lastError: err?.message || String(err),
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS)
+        });
+      } catch (queueError) {
+        console.error(`Could not queue ledger retry (${label}):`, queueError?.message || queueError);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Replay queued postings that are due. Each failure backs off exponentially;
+   * after RETRY_MAX_ATTEMPTS the posting is abandoned and shows up in the
+   * reconciliation report.
+   * @returns {Promise<{checked: number, posted: number, failed: number, abandoned: number}>}
+   */
+  async retryFailedPostings() {
+    const due = await LedgerRetry.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE);
+    const result = { checked: due.length, posted: 0, failed: 0, abandoned: 0 };
+
+    for (const retry of due) {
+      try {
+        await this[retry.method](...(retry.args || []));
+        await LedgerRetry.updateOne({ _id: retry._id }, { $set: { status: 'posted', postedAt: new Date() } });
+        result.posted++;
+      } catch (err) {
+        const attempts = retry.attempts + 1;
+        const abandoned = attempts >= RETRY_MAX_ATTEMPTS;
+        const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempts, RETRY_MAX_DELAY_MS);
+        await LedgerRetry.updateOne({ _id: retry._id }, {
+          $set: {
+            attempts,
+            lastError: err?.message || String(err),
+            status: abandoned ? 'abandoned' : 'pending',
+            nextAttemptAt: new Date(Date.now() + delay)
+          }
+        });
+        if (abandoned) {
+          result.abandoned++;
+          console.error(`Ledger posting abandoned after ${attempts} attempts (${retry.label}):`, err?.message || err);
+        } else {
+          result.failed++;
+        }
+      }
+    }
+    return result;
+  }
+
+  // Funds still held in escrow for an order, according to the ledger
+  async getOrderEscrowBalance(orderId) {
+    const [row] = await JournalEntry.aggregate([
+      { $match: { orderId: String(orderId) } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.accountCode': ESCROW_ACCOUNT_PATTERN } },
+      { $group: { _id: null, credit: { $sum: '$lines.credit' }, debit: { $sum: '$lines.debit' } } }
+    ]);
+    return roundMoney((row?.credit || 0) - (row?.debit || 0));
+  }
+
+  orderReferences(order) {
+    const buyerId = String(order.buyerId?._id || order.buyerId);
+    const sellerId = String(order.sellerId?._id || order.sellerId);
+    return { orderId: String(order._id), buyerId, sellerId, userIds: [buyerId, sellerId] };
+  }
+
+  // ===========================================
+  // ORDER POSTINGS
+  // ===========================================
+
+  // Buyer payment captured by the gateway: the service price is held in escrow,
+  // buyer-side processing fees are platform revenue straight away
+  async recordEscrowFunding(order, options = {}) {
+    const refs = this.orderReferences(order);
+    const amount = roundMoney(options.amount ?? order.price);
+    const processingFee = options.amount === undefined ? roundMoney(order.fees?.paymentProcessingFee) : 0;
+    return this.post({
+      key: options.key || `order:${refs.orderId}:funding`,
+      type: 'escrow_funding',
+      description: `Escrow funded for "${order.title}"`,
+      ...refs,
+      lines: [
+        { account: ACCOUNTS.gateway(), debit: roundMoney(amount + processingFee) },
+        { account: ACCOUNTS.buyerEscrow(refs.buyerId), credit: amount, memo: 'Payment held in escrow' },
+        { account: ACCOUNTS.revenue(), credit: processingFee, memo: 'Payment processing fee' }
+      ]
+    });
+  }
+
+  // One milestone of a per-milestone order paid through its own reference
+  async recordMilestoneFunding(order, milestoneIndex) {
+    const refs = this.orderReferences(order);
+    const milestone = order.milestones[milestoneIndex];
+    const amount = roundMoney(milestone.amount);
+    const processingFee = roundMoney(milestone.fundingFees?.paymentProcessingFee);
+    return this.post({
+      key: `order:${refs.orderId}:milestone:${milestoneIndex}:funding`,
+      type: 'escrow_funding',
+      description: `Milestone ${Number(milestoneIndex) + 1} funded for "${order.title}"`,
+      ...refs,
+      milestoneIndex: Number(milestoneIndex),
+      lines: [
+        { account: ACCOUNTS.gateway(), debit: roundMoney(amount + processingFee) },
+        { account: ACCOUNTS.buyerEscrow(refs.buyerId), credit: amount, memo: 'Milestone payment held in escrow' },
+        { account: ACCOUNTS.revenue(), credit: processingFee, memo: 'Payment processing fee' }
+      ]
+    });
+  }
+
+  /**
+   * Release escrow to the seller, withholding the platform fee
+   * @param {Object} order - Order document
+   * @param {Object} options - { amount, milestoneIndex, key, capToHeld } (amount defaults to everything still held)
+   * @returns {Promise<{amount: number, fee: number, net: number}|null>}
+   */
+  async recordEscrowRelease(order, options = {}) {
+    const refs = this.orderReferences(order);
+    const held = await this.getOrderEscrowBalance(refs.orderId);
+    let amount = roundMoney(options.amount ?? held);
+    if (options.capToHeld) amount = Math.min(amount, held);
+    if (amount <= 0) return null;
+    if (amount - held > EPSILON) {
+      throw createError(400, `Cannot release ₦${amount}; only ₦${held} is held in escrow for this order`);
+    }
+
+    const isMilestone = options.milestoneIndex !== undefined && options.milestoneIndex !== null;
+    const fee = await feeService.serviceFeeForRelease(order, amount);
+    const net = roundMoney(amount - fee);
+
+    await this.post({
+      key: options.key || (isMilestone
+        ? `order:${refs.orderId}:milestone:${options.milestoneIndex}:release`
+        : `order:${refs.orderId}:release`),
+      type: isMilestone ? 'milestone_release' : 'escrow_release',
+      description: isMilestone
+        ? `Milestone ${Number(options.milestoneIndex) + 1} released for "${order.title}"`
+        : `Escrow released for "${order.title}"`,
+      ...refs,
+      ...(isMilestone && { milestoneIndex: Number(options.milestoneIndex) }),
+      lines: [
+        { account: ACCOUNTS.buyerEscrow(refs.buyerId), debit: amount, memo: 'Released from escrow' },
+        { account: ACCOUNTS.sellerAvailable(refs.sellerId), credit: net, memo: 'Earnings after platform fee' },
+        { account: ACCOUNTS.revenue(), credit: fee, memo: 'Platform service fee' }
+      ]
+    });
+
+    return { amount, fee, net };
+  }
+
+  // Tip paid after completion: never held in escrow, the seller is credited straight away
+  async recordTip(order, tip) {
+    const refs = this.orderReferences(order);
+    const amount = roundMoney(tip.amount);
+    const processingFee = roundMoney(tip.paymentProcessingFee);
+    const serviceFee = roundMoney(tip.serviceFee);
+    return this.post({
+      key: `order:${refs.orderId}:tip:${tip.reference}`,
+      type: 'tip',
+      description: `Tip for "${order.title}"`,
+      ...refs,
+      lines: [
+        { account: ACCOUNTS.gateway(), debit: roundMoney(amount + processingFee) },
+        { account: ACCOUNTS.sellerAvailable(refs.sellerId), credit: roundMoney(amount - serviceFee), memo: 'Tip from the client' },
+        { account: ACCOUNTS.revenue(), credit: serviceFee, memo: 'Platform service fee' },
+        { account: ACCOUNTS.revenue(), credit: processingFee, memo: 'Payment processing fee' }
+      ]
+    });
+  }
+
+  // Move escrowed funds into the buyer's refund account
+  async recordRefund(order, amount, options = {}) {
+    const refs = this.orderReferences(order);
+    const held = await this.getOrderEscrowBalance(refs.orderId);
+    const refundAmount = roundMoney(amount);
+    if (refundAmount <= 0) return null;
+    if (refundAmount - held > EPSILON) {
+      throw createError(400, `Cannot refund ₦${refundAmount}; only ₦${held} is held in escrow for this order`);
+    }
+
+    const key = options.key || `order:${refs.orderId}:refund`;
+    const { entry } = await this.post({
+      key,
+      type: 'refund',
+      description: `Refund for "${order.title}"`,
+      ...refs,
+      ...(options.refundId && { refundId: String(options.refundId) }),
+      lines: [
+        { account: ACCOUNTS.buyerEscrow(refs.buyerId), debit: refundAmount, memo: 'Refunded from escrow' },
+        { account: ACCOUNTS.buyerRefunds(refs.buyerId), credit: refundAmount, memo: 'Refund to original payment method' }
+      ]
+    });
+    return entry;
+  }
+
+  /**
+   * Refund part (or all) of an order's escrow and release the remainder to the
+   * seller in a single balanced entry
+   * @returns {Promise<{refundAmount: number, released: number, fee: number}>}
+   */
+  async recordRefundSplit(order, amount, options = {}) {
+    const refs = this.orderReferences(order);
+    const held = await this.getOrderEscrowBalance(refs.orderId);
+    const refundAmount = roundMoney(amount);
+    if (refundAmount <= 0) return null;
+    if (refundAmount - held > EPSILON) {
+      throw createError(400, `Cannot refund ₦${refundAmount}; only ₦${held} is held in escrow for this order`);
+    }
+
+    const released = roundMoney(Math.max(held - refundAmount, 0));
+    const fee = released > 0 ? await feeService.serviceFeeForRelease(order, released) : 0;
+
+    await this.post({
+      key: options.key || `order:${refs.orderId}:refund`,
+      type: 'refund',
+      description: released > 0
+        ? `Partial refund for "${order.title}"; remainder released to seller`
+        : `Refund for "${order.title}"`,
+      ...refs,
+      ...(options.refundId && { refundId: String(options.refundId) }),
+      lines: [
+        { account: ACCOUNTS.buyerEscrow(refs.buyerId), debit: roundMoney(refundAmount + released), memo: 'Settled from escrow' },
+        { account: ACCOUNTS.buyerRefunds(refs.buyerId), credit: refundAmount, memo: 'Refund to original payment method' },
+        { account: ACCOUNTS.sellerAvailable(refs.sellerId), credit: roundMoney(released - fee), memo: 'Remainder after partial refund' },
+        { account: ACCOUNTS.revenue(), credit: fee, memo: 'Platform service fee' }
+      ]
+    });
+
+    return { refundAmount, released, fee };
+  }
+
+  // Refund has left the platform's gateway balance. With options.afterKey the
+  // payout waits (throws, so tryPost queues it) until that entry is posted.
+  async recordRefundPayout(order, amount, options = {}) {
+    const refs = this.orderReferences(order);
+    const refundAmount = roundMoney(amount);
+    if (refundAmount <= 0) return null;
+    if (options.afterKey && !(await JournalEntry.exists({ key: options.afterKey }))) {
+      throw createError(409, `Refund payout is waiting for entry ${options.afterKey} to be posted`);
+    }
+    const { entry } = await this.post({
+      key: options.key || `order:${refs.orderId}:refund:payout`,
+      type: 'refund_payout',
+      description: `Refund paid out for "${order.title}"`,
+      ...refs,
+      ...(options.refundId && { refundId: String(options.refundId) }),
+      lines: [
+        { account: ACCOUNTS.buyerRefunds(refs.buyerId), debit: refundAmount, memo: 'Refund sent' },
+        { account: ACCOUNTS.gateway(), credit: refundAmount }
+      ]
+    });
+    return entry;
+  }
+
+  // Refund that has already been returned to the buyer (both legs at once)
+  async recordSettledRefund(order, amount, options = {}) {
+    const key = options.key || `order:${order._id}:refund`;
+    const entry = await this.recordRefund(order, amount, { ...options, key });
+    if (entry) await this.recordRefundPayout(order, amount, { ...options, key: `${key}:payout` });
+    return entry;
+  }
+
+  // ===========================================
+  // WITHDRAWAL POSTINGS
+  // ===========================================
+
+  withdrawalReferences(withdrawal) {
+    const sellerId = String(withdrawal.freelancerId?._id || withdrawal.freelancerId);
+    return { withdrawalId: String(withdrawal._id), sellerId, userIds: [sellerId] };
+  }
+
+  // Reserve the requested amount; fails with 400 when earnings are insufficient
+  async holdWithdrawal(withdrawal) {
+    const refs = this.withdrawalReferences(withdrawal);
+    const amount = roundMoney(withdrawal.amount);
+    const available = ACCOUNTS.sellerAvailable(refs.sellerId);
+    const { entry } = await this.post({
+      key: `withdrawal:${refs.withdrawalId}:hold`,
+      type: 'withdrawal_hold',
+      description: `Withdrawal of ₦${amount.toLocaleString()} requested`,
+      ...refs,
+      lines: [
+        { account: available, debit: amount, memo: 'Reserved for withdrawal' },
+        { account: ACCOUNTS.sellerWithdrawalHold(refs.sellerId), credit: amount }
+      ]
+    }, { guardAccounts: [available.code] });
+    return entry;
+  }
+
+  // Withdrawal paid out: net amount leaves the gateway, processing fee is platform revenue
+  async completeWithdrawal(withdrawal) {
+    const refs = this.withdrawalReferences(withdrawal);
+    if (await JournalEntry.exists({ key: `withdrawal:${refs.withdrawalId}:release` })) {
+      throw createError(400, "This withdrawal's funds were already returned to the seller");
+    }
+    const amount = roundMoney(withdrawal.amount);
+    const fee = roundMoney(Math.min(withdrawal.processingFee || 0, amount));
+    const { entry } = await this.post({
+      key: `withdrawal:${refs.withdrawalId}:payout`,
+      type: 'withdrawal_payout',
+      description: `Withdrawal of ₦${amount.toLocaleString()} paid out`,
+      ...refs,
+      lines: [
+        { account: ACCOUNTS.sellerWithdrawalHold(refs.sellerId), debit: amount, memo: 'Withdrawal paid' },
+        { account: ACCOUNTS.gateway(), credit: roundMoney(amount - fee) },
+        { account: ACCOUNTS.revenue(), credit: fee, memo: 'Withdrawal processing fee' }
+      ]
+    });
+    return entry;
+  }
+
+  // Withdrawal failed or was cancelled: return the reserved funds
+  async releaseWithdrawalHold(withdrawal) {
+    const refs = this.withdrawalReferences(withdrawal);
+    const [hold, payout] = await Promise.all([
+      JournalEntry.exists({ key: `withdrawal:${refs.withdrawalId}:hold` }),
+      JournalEntry.exists({ key: `withdrawal:${refs.withdrawalId}:payout` })
+    ]);
+    if (!hold) return null;
+    if (payout) return this.reverseWithdrawalPayout(withdrawal);
+    const amount = roundMoney(withdrawal.amount);
+    const { entry } = await this.post({
+      key: `withdrawal:${refs.withdrawalId}:release`,
+      type: 'withdrawal_release',
+      description: `Withdrawal of ₦${amount.toLocaleString()} returned to balance`,
+      ...refs,
+      lines: [
+        { account: ACCOUNTS.sellerWithdrawalHold(refs.sellerId), debit: amount },
+        { account: ACCOUNTS.sellerAvailable(refs.sellerId), credit: amount, memo: 'Withdrawal returned' }
+      ]
+    });
+    return entry;
+  }
+
+  // Transfer bounced after it was recorded as paid: the money is back at the gateway
+  async reverseWithdrawalPayout(withdrawal) {
+    const refs = this.withdrawalReferences(withdrawal);
+    const amount = roundMoney(withdrawal.amount);
+    const fee = roundMoney(Math.min(withdrawal.processingFee || 0, amount));
+    const { entry } = await this.post({
+      key: `withdrawal:${refs.withdrawalId}:reversal`,
+      type: 'withdrawal_reversal',
+      description: `Withdrawal of ₦${amount.toLocaleString()} reversed`,
+      ...refs,
+      lines: [
+        { account: ACCOUNTS.gateway(), debit: roundMoney(amount - fee) },
+        { account: ACCOUNTS.revenue(), debit: fee, memo: 'Processing fee returned' },
+        { account: ACCOUNTS.sellerAvailable(refs.sellerId), credit: amount, memo: 'Withdrawal reversed' }
+      ]
+    });
+    return entry;
+  }
+
+  // Post whatever the withdrawal's current status implies
+  async syncWithdrawal(withdrawal) {
+    if (withdrawal.status === 'completed') return this.completeWithdrawal(withdrawal);
+    if (['failed', 'cancelled'].includes(withdrawal.status)) return this.releaseWithdrawalHold(withdrawal);
+    return null;
+  }
+
+  // ===========================================
+  // WALLET QUERIES
+  // ===========================================
+
+  async getUserBalances(userId) {
+    const id = String(userId);
+    const [accounts, incoming] = await Promise.all([
+      LedgerAccount.find({ ownerId: id }).lean(),
+      // Escrow held by buyers for this user's orders as seller
+      JournalEntry.aggregate([
+        { $match: { sellerId: id } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.accountCode': ESCROW_ACCOUNT_PATTERN } },
+        { $group: { _id: null, credit: { $sum: '$lines.credit' }, debit: { $sum: '$lines.debit' } } }
+      ])
+    ]);
+
+    const byPurpose = Object.fromEntries(accounts.map(a => [a.purpose, roundMoney(a.balance)]));
+    return {
+      currency: 'NGN',
+      seller: {
+        available: byPurpose.seller_available || 0,
+        pendingWithdrawal: byPurpose.seller_withdrawal_hold || 0,
+        inEscrow: roundMoney((incoming[0]?.credit || 0) - (incoming[0]?.debit || 0))
+      },
+      buyer: {
+        inEscrow: byPurpose.buyer_escrow || 0,
+        refundsInTransit: byPurpose.buyer_refunds || 0
+      }
+    };
+  }
+
+  async getUserTransactions(userId, { page = 1, limit = 20, type } = {}) {
+    const id = String(userId);
+    const filter = { userIds: id, ...(type && { type }) };
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(filter)
+        .sort({ postedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JournalEntry.countDocuments(filter)
+    ]);
+
+    const ownMarker = `:${id}:`;
+    const transactions = entries.map(entry => {
+      const lines = entry.lines
+        .filter(l => l.accountCode.includes(ownMarker))
+        .map(l => ({
+          account: l.accountCode.split(':').pop(),
+          // Every user account is a liability, so credits increase it
+          amount: roundMoney(l.credit - l.debit),
+          memo: l.memo
+        }));
+      return {
+        id: entry._id,
+        type: entry.type,
+        description: entry.description,
+        postedAt: entry.postedAt,
+        orderId: entry.orderId,
+        withdrawalId: entry.withdrawalId,
+        lines
+      };
+    });
+
+    return {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  // ===========================================
+  // BACKFILL
+  // ===========================================
+
+  /**
+   * Post journal entries for orders and withdrawals from before the ledger
+   * existed, so existing sellers' balances are right. Runs once, from the
+   * ledger-backfill job on the first start after the rollout (or
+   * scripts/backfillLedger.js); every posting is keyed, so a forced re-run
+   * is safe.
+   * @param {Object} options - { force } run even if it has completed before
+   * @returns {Promise<Object|null>} Counts, or null when it had already run
+   */
+  async backfillHistory({ force = false } = {}) {
+    if (!force && await Sequence.exists({ _id: BACKFILL_MARKER })) return null;
+    const result = { orders: 0, ordersFailed: 0, withdrawals: 0, withdrawalsFailed: 0 };
+
+    const orders = Order.find({ paymentStatus: 'paid' }).sort({ createdAt: 1 }).cursor();
+    for await (const order of orders) {
+      result.orders++;
+      try {
+        if (order.fundingMode === 'per_milestone') {
+          for (const [index, milestone] of (order.milestones || []).entries()) {
+            if (milestone.fundingReference) await this.recordMilestoneFunding(order, index);
+          }
+        } else {
+          await this.recordEscrowFunding(order);
+        }
+
+        for (const [index, milestone] of (order.milestones || []).entries()) {
+          if (['approved', 'paid'].includes(milestone.status)) {
+            await this.recordEscrowRelease(order, { amount: milestone.amount, milestoneIndex: index, capToHeld: true });
+          }
+        }
+
+        if (order.escrowStatus === 'released') {
+          await this.recordEscrowRelease(order);
+        } else if (order.escrowStatus === 'refunded' && !(await JournalEntry.exists({ orderId: String(order._id), type: 'refund' }))) {
+          // Refunds made since the rollout are already posted under their refund's key
+          await this.recordSettledRefund(order, order.refundAmount || order.price);
+        }
+      } catch (err) {
+        result.ordersFailed++;
+        console.error(`Ledger backfill failed for order ${order._id}:`, err?.message || err);
+      }
+    }
+
+    const withdrawals = Withdrawal.find({ status: { $in: ['pending', 'processing', 'completed'] } }).sort({ createdAt: 1 }).cursor();
+    for await (const withdrawal of withdrawals) {
+      result.withdrawals++;
+      try {
+        await this.holdWithdrawal(withdrawal);
+        if (withdrawal.status === 'completed') await this.completeWithdrawal(withdrawal);
+      } catch (err) {
+        result.withdrawalsFailed++;
+        console.error(`Ledger backfill failed for withdrawal ${withdrawal._id}:`, err?.message || err);
+      }
+    }
+
+    await Sequence.updateOne({ _id: BACKFILL_MARKER }, { $inc: { seq: 1 } }, { upsert: true });
+    return result;
+  }
+
+  // ===========================================
+  // RECONCILIATION
+  // ===========================================
+
+  async getReconciliationReport({ limit = 100 } = {}) {
+    const [lineTotals, lineTotalsByAccount, accounts, escrowByOrder, withdrawalEntries, orders, withdrawals, retries] = await Promise.all([
+      JournalEntry.aggregate([
+        { $unwind: '$lines' },
+        { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+      ]),
+      JournalEntry.aggregate([
+        { $unwind: '$lines' },
+        { $group: { _id: '$lines.accountCode', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+      ]),
+      LedgerAccount.find({}).lean(),
+      JournalEntry.aggregate([
+        { $match: { orderId: { $ne: null } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.accountCode': ESCROW_ACCOUNT_PATTERN } },
+        {
+          $group: {
+            _id: '$orderId',
+            funded: { $sum: { $cond: [{ $eq: ['$type', 'escrow_funding'] }, '$lines.credit', 0] } },
+            credit: { $sum: '$lines.credit' },
+            debit: { $sum: '$lines.debit' }
+          }
+        }
+      ]),
+      JournalEntry.aggregate([
+        { $match: { withdrawalId: { $ne: null } } },
+        { $group: { _id: '$withdrawalId', types: { $addToSet: '$type' } } }
+      ]),
+      Order.find({}, 'title price escrowStatus status reference fundingMode milestones.amount milestones.fundingReference').lean(),
+      Withdrawal.find({}, 'amount status freelancerId transactionReference').lean(),
+      LedgerRetry.find({ status: { $in: ['pending', 'abandoned'] } }, 'label method status attempts lastError nextAttemptAt createdAt')
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+
+    // 1. Trial balance
+    const debit = roundMoney(lineTotals[0]?.debit || 0);
+    const credit = roundMoney(lineTotals[0]?.credit || 0);
+
+    // 2. Stored balances against balances recomputed from journal lines
+    const lineMap = new Map(lineTotalsByAccount.map(r => [r._id, r]));
+    const driftedAccounts = accounts
+      .map(account => {
+        const row = lineMap.get(account.code) || { debit: 0, credit: 0 };
+        const expected = roundMoney(balanceDelta(account, row.debit, row.credit));
+        return { code: account.code, stored: roundMoney(account.balance), expected };
+      })
+      .filter(a => Math.abs(a.stored - a.expected) > EPSILON);
+
+    // 3. Orders against escrow postings
+    const escrowMap = new Map(escrowByOrder.map(r => [String(r._id), r]));
+    const openStatuses = ['funded', 'work_submitted', 'approved', 'disputed'];
+    const orderIssues = [];
+    for (const order of orders) {
+      const ledger = escrowMap.get(String(order._id));
+      const base = { orderId: order._id, title: order.title, escrowStatus: order.escrowStatus, price: order.price };
+      if (!ledger) {
+        orderIssues.push({ ...base, issue: 'missing_funding_entry' });
+        continue;
+      }
+      const held = roundMoney(ledger.credit - ledger.debit);
+      // Per-milestone orders are only funded as far as the milestones paid so far
+      const isPerMilestone = order.fundingMode === 'per_milestone';
+      const expectedFunding = isPerMilestone
+        ? (order.milestones || []).filter(m => m.fundingReference).reduce((sum, m) => sum + (m.amount || 0), 0)
+        : order.price;
+      if (Math.abs(roundMoney(ledger.funded) - roundMoney(expectedFunding)) > EPSILON) {
+        orderIssues.push({ ...base, issue: 'funding_amount_mismatch', funded: roundMoney(ledger.funded) });
+      }
+      if (!openStatuses.includes(order.escrowStatus) && held > EPSILON) {
+        orderIssues.push({ ...base, issue: 'residual_escrow', held });
+      } else if (openStatuses.includes(order.escrowStatus) && held <= EPSILON && !isPerMilestone) {
+        orderIssues.push({ ...base, issue: 'open_order_without_escrow', held });
+      }
+    }
+
+    // 4. Withdrawals against hold / payout / release postings
+    const withdrawalMap = new Map(withdrawalEntries.map(r => [String(r._id), new Set(r.types)]));
+    const withdrawalIssues = [];
+    for (const withdrawal of withdrawals) {
+      const types = withdrawalMap.get(String(withdrawal._id)) || new Set();
+      const base = { withdrawalId: withdrawal._id, status: withdrawal.status, amount: withdrawal.amount, reference: withdrawal.transactionReference };
+      if (['pending', 'processing'].includes(withdrawal.status)) {
+        if (!types.has('withdrawal_hold')) withdrawalIssues.push({ ...base, issue: 'missing_hold' });
+        if (types.has('withdrawal_payout') || types.has('withdrawal_release')) withdrawalIssues.push({ ...base, issue: 'settled_but_open' });
+      } else if (withdrawal.status === 'completed') {
+        if (!types.has('withdrawal_payout')) withdrawalIssues.push({ ...base, issue: 'missing_payout' });
+      } else if (types.has('withdrawal_payout') && !types.has('withdrawal_reversal')) {
+        withdrawalIssues.push({ ...base, issue: 'payout_not_reversed' });
+      } else if (types.has('withdrawal_hold') && !types.has('withdrawal_payout') && !types.has('withdrawal_release')) {
+        withdrawalIssues.push({ ...base, issue: 'hold_not_released' });
+      }
+    }
+
+    const totalsByPurpose = accounts.reduce((acc, a) => {
+      acc[a.purpose] = roundMoney((acc[a.purpose] || 0) + a.balance);
+      return acc;
+    }, {});
+
+    return {
+      generatedAt: new Date(),
+      trialBalance: { debit, credit, balanced: Math.abs(debit - credit) <= EPSILON },
+      totals: totalsByPurpose,
+      accounts: { checked: accounts.length, drifted: driftedAccounts.slice(0, limit), driftedCount: driftedAccounts.length },
+      orders: { checked: orders.length, discrepancyCount: orderIssues.length, discrepancies: orderIssues.slice(0, limit) },
+      withdrawals: { checked: withdrawals.length, discrepancyCount: withdrawalIssues.length, discrepancies: withdrawalIssues.slice(0, limit) },
+      // Postings still waiting on a retry, or given up on
+      queuedPostings: {
+        pendingCount: retries.filter(r => r.status === 'pending').length,
+        abandonedCount: retries.filter(r => r.status === 'abandoned').length,
+        items: retries.slice(0, limit)
+      }
+    };
+  }
+}
+
+export default new LedgerService();
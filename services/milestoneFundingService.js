@@ -0,0 +1,235 @@
+import crypto from "crypto";
+import CheckoutSession from "../models/checkoutSession.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import checkoutSessionService from "./checkoutSessionService.js";
+import refundService from "./refundService.js";
+import orderCancellationService, { CANCELLATION_TRUST_PENALTIES } from "./orderCancellationService.js";
+import feeService from "./feeService.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import { roundMoney } from "./ledgerService.js";
+import createError from "../utils/createError.js";
+
+const MIN_PLAN_MILESTONES = 2;
+const MAX_PLAN_MILESTONES = 20;
+
+// Per-milestone funding: the checkout pays for the first milestone only, each
+// later milestone is paid through its own reference before work on it can be
+// submitted, and a project stopped early refunds every milestone that was paid
+// for but not yet released.
+class MilestoneFundingService {
+
+  isPerMilestone(order) {
+    return order.fundingMode === "per_milestone";
+  }
+
+  // Upfront orders fund every milestone with the order payment
+  isFunded(order, milestone) {
+    return !this.isPerMilestone(order) || milestone.fundingStatus === "funded";
+  }
+
+  async notify(userId, title, message, order) {
+    try {
+      await notificationService.createUserNotification(userId, "order", title, message, {
+        priority: "high",
+        actionButton: { text: "View Order", url: `/orders/${order._id}`, style: "primary" }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: "order",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Milestone funding notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  /**
+   * Validate a buyer-defined milestone plan submitted at checkout
+   * @param {Array} milestones - [{ title, description, amount, dueDate }]
+   * @param {number} price - Gig price the plan must add up to
+   * @returns {Array} Plan safe to store in payment metadata
+   */
+  buildPlan(milestones, price) {
+    if (!Array.isArray(milestones) || milestones.length < MIN_PLAN_MILESTONES || milestones.length > MAX_PLAN_MILESTONES) {
+      throw createError(400, `A milestone plan needs between ${MIN_PLAN_MILESTONES} and ${MAX_PLAN_MILESTONES} milestones`);
+    }
+
+    const now = new Date();
+    let previousDue = now;
+    const plan = milestones.map((milestone, index) => {
+      const amount = roundMoney(Number(milestone?.amount));
+      const dueDate = new Date(milestone?.dueDate);
+      if (!milestone?.title || !String(milestone.title).trim()) {
+        throw createError(400, `Milestone ${index + 1} needs a title`);
+      }
+      if (!(amount > 0)) {
+        throw createError(400, `Milestone ${index + 1} needs an amount greater than zero`);
+      }
+      if (Number.isNaN(dueDate.getTime()) || dueDate <= previousDue) {
+        throw createError(400, `Milestone ${index + 1} needs a due date in the future and after the previous milestone`);
+      }
+      previousDue = dueDate;
+      return {
+        title: String(milestone.title).trim(),
+        description: milestone.description,
+        amount,
+        dueDate: dueDate.toISOString()
+      };
+    });
+
+    const total = roundMoney(plan.reduce((sum, m) => sum + m.amount, 0));
+    if (Math.abs(total - roundMoney(price)) > 0.01) {
+      throw createError(400, `Milestone amounts (₦${total}) must equal order total (₦${price})`);
+    }
+    return plan;
+  }
+
+  /**
+   * Start (or resume) the payment for one milestone of a per-milestone order
+   * @param {Object} order - Order document
+   * @param {number} index - Milestone index
+   * @param {string} userId - Must be the buyer
+   * @param {Object} params - { email }
+   * @returns {Promise<{session: Object, fees: Object, isExisting: boolean}>}
+   */
+  async initializeFunding(order, index, userId, { email } = {}) {
+    if (order.buyerId !== userId) {
+      throw createError(403, "Only the client can fund milestones");
+    }
+    if (!this.isPerMilestone(order)) {
+      throw createError(400, "This order was paid in full at checkout");
+    }
+    if (order.status === "cancelled" || order.disputeStatus !== "none") {
+      throw createError(400, "Milestones cannot be funded on this order");
+    }
+    if (!email) {
+      throw createError(400, "Email address is required to process the payment");
+    }
+
+    const milestone = order.milestones[index];
+    if (!milestone) throw createError(404, "Milestone not found");
+    if (milestone.fundingStatus !== "unfunded") {
+      throw createError(400, "This milestone has already been funded");
+    }
+    // Milestones unlock in order
+    const earlierUnfunded = order.milestones.findIndex((m, i) => i < index && m.fundingStatus === "unfunded");
+    if (earlierUnfunded !== -1) {
+      throw createError(400, `Please fund milestone ${earlierUnfunded + 1} first`);
+    }
+
+    // Send the buyer back to an open checkout instead of charging them twice
+    const openSession = await CheckoutSession.findOne({
+      orderId: String(order._id),
+      milestoneIndex: index,
+      status: "pending",
+      expiresAt: { $gt: new Date() }
+    });
+    if (openSession) {
+      return { session: openSession, fees: openSession.fees, isExisting: true };
+    }
+
+    const fees = await feeService.quote(milestone.amount, order.sellerId);
+    const payment = await paymentProviderService.initializeWithFailover({
+      email,
+      amount: fees.buyerTotal,
+      baseReference: crypto.randomBytes(8).toString("hex"),
+      callbackUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`,
+      metadata: {
+        type: "milestone_funding",
+        orderId: String(order._id),
+        milestoneIndex: index,
+        gigId: order.gigId,
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        gigTitle: order.title,
+        milestoneTitle: milestone.title,
+        clientEmail: email,
+        fees
+      }
+    });
+
+    const session = await checkoutSessionService.createSession({
+      reference: payment.reference,
+      provider: payment.provider,
+      purpose: "milestone_funding",
+      orderId: String(order._id),
+      milestoneIndex: index,
+      buyerId: order.buyerId,
+      sellerId: order.sellerId,
+      gigId: order.gigId,
+      ...(order.proposalId && { proposalId: order.proposalId }), // Hired from a job, no gig
+      gigTitle: order.title,
+      email,
+      amount: milestone.amount,
+      total: fees.buyerTotal,
+      fees,
+      authorizationUrl: payment.authorizationUrl,
+      accessCode: payment.accessCode
+    });
+
+    return { session, fees, isExisting: false };
+  }
+
+  /**
+   * Stop a per-milestone project early. Every funded milestone that has not
+   * been released is refunded through its own payment; unfunded milestones
+   * are simply never charged.
+   * @param {Object} order - Order document
+   * @param {string} userId - Buyer or seller
+   * @param {Object} params - { reason }
+   * @returns {Promise<{order: Object, refunds: Object[], amount: number}>}
+   */
+  async stopProject(order, userId, { reason } = {}) {
+    const role = orderCancellationService.partyRole(order, userId);
+    if (!role) throw createError(403, "You are not authorized to stop this project");
+    if (!this.isPerMilestone(order)) {
+      throw createError(400, "Only milestone-funded projects can be stopped early. Request a cancellation instead.");
+    }
+    if (!reason || !String(reason).trim()) {
+      throw createError(400, "A reason is required to stop the project");
+    }
+    if (order.status === "cancelled") {
+      throw createError(400, "This project has already been stopped");
+    }
+    if (order.disputeStatus !== "none") {
+      throw createError(400, "This order is in dispute. Cancellation is handled through the dispute.");
+    }
+    if (order.milestones.some(m => m.status === "submitted")) {
+      throw createError(400, "A milestone is awaiting review. Approve it or request a revision before stopping the project.");
+    }
+
+    const stopReason = String(reason).trim();
+    const result = await refundService.issueMilestoneRefunds(order, {
+      reason: `Project stopped early: ${stopReason}`,
+      description: stopReason,
+      source: "cancellation",
+      orderUpdates: {
+        cancelledAt: new Date(),
+        cancelledBy: userId,
+        cancellationReason: stopReason
+      }
+    });
+
+    await orderCancellationService.recordCancellation(result.order, {
+      sellerPenalty: role === "seller" ? CANCELLATION_TRUST_PENALTIES.seller : 0,
+      reason: `Order ${order._id} stopped early by the seller`
+    });
+
+    const refundNote = result.amount > 0
+      ? ` ₦${result.amount.toLocaleString()} for unreleased milestones is being refunded to the buyer.`
+      : "";
+    const counterpartyId = role === "buyer" ? order.sellerId : order.buyerId;
+    await this.notify(
+      counterpartyId,
+      "Project Stopped",
+      `The ${role} stopped "${order.title}" early.${refundNote} Reason: ${stopReason}`,
+      order
+    );
+
+    return { order: result.order, refunds: result.refunds, amount: result.amount };
+  }
+}
+
+export default new MilestoneFundingService();
@@ -0,0 +1,442 @@
+import crypto from "crypto";
+import Offer from "../models/offer.model.js";
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+import Gig from "../models/gig.model.js";
+import User from "../models/user.model.js";
+import CheckoutSession from "../models/checkoutSession.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import checkoutSessionService from "./checkoutSessionService.js";
+import feeService from "./feeService.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import createError from "../utils/createError.js";
+import { checkTransactionLimit } from "../utils/transactionLimits.js";
+import { normalizeAgreedTerms } from "../utils/agreedTerms.js";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+// Custom offers negotiated in a conversation: the seller proposes terms, the
+// other party accepts, counters or declines, and an accepted offer is paid for
+// through the normal checkout so the order is created with the offer's terms.
+class OfferService {
+
+  partyRole(offer, userId) {
+    if (offer.sellerId === userId) return 'seller';
+    if (offer.buyerId === userId) return 'buyer';
+    return null;
+  }
+
+  isExpired(offer) {
+    return offer.expiresAt && offer.expiresAt <= new Date();
+  }
+
+  /**
+   * Validate offer terms. Counter-offers inherit anything they leave out.
+   * @param {Object} terms - { title, description, price, deliveryDays, revisions, milestones, expiresInDays }
+   * @param {Object} base - Offer being countered (optional)
+   * @returns {Object} Clean terms
+   */
+  normalizeTerms(terms = {}, base = null) {
+    const pick = (key) => (terms[key] !== undefined && terms[key] !== null && terms[key] !== '' ? terms[key] : base?.[key]);
+
+    const title = String(pick('title') || '').trim();
+    const description = String(pick('description') || '').trim();
+    if (!title) throw createError(400, "Offer title is required");
+    if (!description) throw createError(400, "Please describe the scope of work");
+
+    const { price, revisions, deliveryDays, milestones } = normalizeAgreedTerms({
+      price: pick('price'),
+      revisions: pick('revisions'),
+      deliveryDays: pick('deliveryDays'),
+      milestones: terms.milestones !== undefined ? terms.milestones : base?.milestones
+    }, { noun: 'offer', deliveryLabel: 'Delivery' });
+
+    const expiresInDays = Number(terms.expiresInDays || DEFAULT_EXPIRY_DAYS);
+    if (!(expiresInDays > 0) || expiresInDays > MAX_EXPIRY_DAYS) {
+      throw createError(400, `Offers can stay open for at most ${MAX_EXPIRY_DAYS} days`);
+    }
+
+    return {
+      title,
+      description,
+      price,
+      deliveryDays,
+      revisions,
+      milestones,
+      expiresAt: new Date(Date.now() + expiresInDays * MS_PER_DAY)
+    };
+  }
+
+  summarize(offer) {
+    const milestoneNote = offer.milestones?.length ? `, ${offer.milestones.length} milestones` : '';
+    return `₦${offer.price.toLocaleString()} · ${offer.deliveryDays} day${offer.deliveryDays === 1 ? '' : 's'} · ${offer.revisions} revision${offer.revisions === 1 ? '' : 's'}${milestoneNote}`;
+  }
+
+  // ===========================================
+  // CONVERSATION MESSAGES
+  // ===========================================
+
+  // Post an offer message in the conversation and push it to the other party
+  async postOfferMessage(offer, senderId, text) {
+    const isSellerSender = senderId === offer.sellerId;
+    const message = await Message.create({
+      conversationId: offer.conversationId,
+      userId: senderId,
+      messageType: 'offer',
+      offerId: String(offer._id),
+      desc: text
+    });
+
+    await Conversation.findOneAndUpdate(
+      { id: offer.conversationId },
+      { $set: { readBySeller: isSellerSender, readByBuyer: !isSellerSender, lastMessage: `💼 ${text}` } }
+    );
+
+    try {
+      const sender = await User.findById(senderId, "img username").lean();
+      socketService.broadcastNewMessage(
+        offer.conversationId,
+        { ...message.toObject(), offer: offer.toObject ? offer.toObject() : offer },
+        { _id: String(senderId), img: sender?.img, username: sender?.username }
+      );
+    } catch (socketError) {
+      console.log('WebSocket broadcast failed:', socketError.message);
+    }
+
+    return message;
+  }
+
+  async notify(userId, title, message, offer) {
+    try {
+      await notificationService.createUserNotification(userId, 'message', title, message, {
+        priority: 'high',
+        actionButton: { text: 'View Offer', url: `/message/${offer.conversationId}`, style: 'primary' }
+      });
+    } catch (notifyError) {
+      console.log("Offer notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // Status change: tell the other party in the chat and by notification
+  async announceUpdate(offer, actorId, title, message) {
+    try {
+      socketService.broadcastOfferUpdate(offer.conversationId, offer, actorId);
+    } catch (socketError) {
+      console.log('WebSocket broadcast failed:', socketError.message);
+    }
+    const counterpartyId = actorId === offer.sellerId ? offer.buyerId : offer.sellerId;
+    await this.notify(counterpartyId, title, message, offer);
+  }
+
+  // ===========================================
+  // NEGOTIATION
+  // ===========================================
+
+  /**
+   * Seller sends a custom offer in a conversation
+   * @param {string} sellerId
+   * @param {Object} params - { conversationId, gigId, ...terms }
+   * @returns {Promise<Object>} Offer document
+   */
+  async createOffer(sellerId, { conversationId, gigId, ...terms } = {}) {
+    const conversation = await Conversation.findOne({ id: conversationId });
+    if (!conversation) throw createError(404, "Conversation not found");
+    if (conversation.sellerId !== sellerId) {
+      throw createError(403, "Only the seller in this conversation can send a custom offer");
+    }
+
+    const gig = await Gig.findById(gigId);
+    if (!gig || gig.userId !== sellerId) {
+      throw createError(400, "Choose one of your own gigs for this offer");
+    }
+    if (gig.status !== 'active') {
+      throw createError(400, "Offers can only be based on an active gig");
+    }
+
+    const clean = this.normalizeTerms(terms);
+
+    // A fresh offer replaces anything still open in this conversation
+    await Offer.updateMany(
+      { conversationId, status: 'pending' },
+      { $set: { status: 'withdrawn', respondedAt: new Date(), respondedBy: sellerId } }
+    );
+
+    const offer = await Offer.create({
+      conversationId,
+      sellerId,
+      buyerId: conversation.buyerId,
+      gigId: String(gig._id),
+      proposedBy: 'seller',
+      ...clean
+    });
+
+    const message = await this.postOfferMessage(offer, sellerId, `Custom offer: ${offer.title} (${this.summarize(offer)})`);
+    offer.messageId = String(message._id);
+    await offer.save();
+
+    await this.notify(
+      offer.buyerId,
+      'New Custom Offer',
+      `You received a custom offer "${offer.title}" for ₦${offer.price.toLocaleString()}.`,
+      offer
+    );
+    return offer;
+  }
+
+  // Load an offer the user can answer: pending, unexpired, proposed by the other party
+  async getRespondableOffer(offerId, userId) {
+    const offer = await Offer.findById(offerId);
+    if (!offer) throw createError(404, "Offer not found");
+
+    const role = this.partyRole(offer, userId);
+    if (!role) throw createError(403, "You are not part of this offer");
+    if (offer.status !== 'pending') {
+      throw createError(400, `This offer is already ${offer.status}`);
+    }
+    if (this.isExpired(offer)) {
+      await this.expireOffer(offer);
+      throw createError(410, "This offer has expired");
+    }
+    if (role === offer.proposedBy) {
+      throw createError(403, "You cannot respond to your own offer");
+    }
+    return { offer, role };
+  }
+
+  // Move a pending offer to a final status; fails if someone answered first
+  async claimPending(offer, updates) {
+    const claimed = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending' },
+      { $set: { respondedAt: new Date(), ...updates } },
+      { new: true }
+    );
+    if (!claimed) throw createError(409, "This offer was already answered");
+    return claimed;
+  }
+
+  /**
+   * Answer an offer with different terms
+   * @returns {Promise<Object>} The new counter-offer
+   */
+  async counter(offerId, userId, terms = {}) {
+    const { offer, role } = await this.getRespondableOffer(offerId, userId);
+    const clean = this.normalizeTerms(terms, offer);
+
+    await this.claimPending(offer, { status: 'countered', respondedBy: userId });
+
+    const counterOffer = await Offer.create({
+      conversationId: offer.conversationId,
+      sellerId: offer.sellerId,
+      buyerId: offer.buyerId,
+      gigId: offer.gigId,
+      proposedBy: role,
+      parentOfferId: offer._id,
+      ...clean
+    });
+
+    const message = await this.postOfferMessage(counterOffer, userId, `Counter-offer: ${counterOffer.title} (${this.summarize(counterOffer)})`);
+    counterOffer.messageId = String(message._id);
+    await counterOffer.save();
+
+    try {
+      socketService.broadcastOfferUpdate(offer.conversationId, { ...offer.toObject(), status: 'countered' }, userId);
+    } catch (socketError) {
+      console.log('WebSocket broadcast failed:', socketError.message);
+    }
+    const counterpartyId = role === 'seller' ? offer.buyerId : offer.sellerId;
+    await this.notify(
+      counterpartyId,
+      'Counter-Offer Received',
+      `The ${role} countered "${offer.title}" with ₦${counterOffer.price.toLocaleString()} and ${counterOffer.deliveryDays} days.`,
+      counterOffer
+    );
+    return counterOffer;
+  }
+
+  /**
+   * Accept an offer. When the buyer accepts, checkout starts straight away;
+   * when the seller accepts a buyer's counter, the buyer is asked to pay.
+   * @param {string} offerId
+   * @param {string} userId
+   * @param {Object} params - { email, fundingMode } (buyer only)
+   * @returns {Promise<{offer: Object, checkout?: Object}>}
+   */
+  async accept(offerId, userId, { email, fundingMode } = {}) {
+    const { offer, role } = await this.getRespondableOffer(offerId, userId);
+    if (role === 'buyer' && !email) {
+      throw createError(400, "Email address is required to process the payment");
+    }
+
+    const accepted = await this.claimPending(offer, { status: 'accepted', respondedBy: userId });
+    await this.announceUpdate(
+      accepted,
+      userId,
+      'Offer Accepted',
+      role === 'buyer'
+        ? `Your offer "${offer.title}" was accepted. The order starts once payment is confirmed.`
+        : `Your counter-offer for "${offer.title}" was accepted. Complete checkout to start the order.`
+    );
+
+    if (role !== 'buyer') return { offer: accepted };
+
+    const checkout = await this.startCheckout(accepted, userId, { email, fundingMode });
+    return { offer: checkout.offer, checkout };
+  }
+
+  async decline(offerId, userId, { reason } = {}) {
+    const { offer, role } = await this.getRespondableOffer(offerId, userId);
+    const declined = await this.claimPending(offer, { status: 'declined', respondedBy: userId, declineReason: reason });
+    await this.announceUpdate(
+      declined,
+      userId,
+      'Offer Declined',
+      `The ${role} declined "${offer.title}".${reason ? ` Reason: ${reason}` : ''}`
+    );
+    return declined;
+  }
+
+  async withdraw(offerId, userId) {
+    const offer = await Offer.findById(offerId);
+    if (!offer) throw createError(404, "Offer not found");
+    if (this.partyRole(offer, userId) !== offer.proposedBy) {
+      throw createError(403, "Only the party who made this offer can withdraw it");
+    }
+    if (offer.status !== 'pending') {
+      throw createError(400, `This offer is already ${offer.status}`);
+    }
+    const withdrawn = await this.claimPending(offer, { status: 'withdrawn', respondedBy: userId });
+    await this.announceUpdate(withdrawn, userId, 'Offer Withdrawn', `The offer "${offer.title}" was withdrawn.`);
+    return withdrawn;
+  }
+
+  // ===========================================
+  // CHECKOUT
+  // ===========================================
+
+  /**
+   * Start (or resume) payment for an accepted offer
+   * @param {Object} offer - Accepted offer
+   * @param {string} buyerId
+   * @param {Object} params - { email, fundingMode: 'upfront' | 'per_milestone' }
+   * @returns {Promise<{offer: Object, session: Object, fees: Object, isExisting: boolean}>}
+   */
+  async startCheckout(offer, buyerId, { email, fundingMode } = {}) {
+    if (offer.buyerId !== buyerId) throw createError(403, "Only the buyer can pay for this offer");
+    if (offer.status !== 'accepted') {
+      throw createError(400, offer.status === 'ordered' ? "This offer has already been ordered" : "Only accepted offers can be paid for");
+    }
+    if (!email) throw createError(400, "Email address is required to process the payment");
+
+    const limitCheck = await checkTransactionLimit(buyerId, offer.price, 'order');
+    if (!limitCheck.allowed) throw createError(400, limitCheck.message);
+
+    // Send the buyer back to an open checkout instead of charging them twice
+    if (offer.checkoutReference) {
+      const openSession = await CheckoutSession.findOne({
+        reference: offer.checkoutReference,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      });
+      if (openSession) return { offer, session: openSession, fees: openSession.fees, isExisting: true };
+    }
+
+    const perMilestone = fundingMode === 'per_milestone';
+    if (perMilestone && !offer.milestones?.length) {
+      throw createError(400, "Only milestone offers can be funded per milestone");
+    }
+    const chargeNow = perMilestone ? offer.milestones[0].amount : offer.price;
+    const fees = await feeService.quote(chargeNow, offer.sellerId);
+
+    const payment = await paymentProviderService.initializeWithFailover({
+      email,
+      amount: fees.buyerTotal,
+      baseReference: crypto.randomBytes(8).toString("hex"),
+      callbackUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`,
+      metadata: {
+        type: 'custom_offer',
+        offerId: String(offer._id),
+        gigId: offer.gigId,
+        buyerId: offer.buyerId,
+        sellerId: offer.sellerId,
+        gigTitle: offer.title,
+        gigPrice: offer.price,
+        clientEmail: email,
+        fundingMode: perMilestone ? 'per_milestone' : 'upfront',
+        projectPrice: perMilestone ? offer.price : undefined,
+        fees
+      }
+    });
+
+    const session = await checkoutSessionService.createSession({
+      reference: payment.reference,
+      provider: payment.provider,
+      buyerId: offer.buyerId,
+      sellerId: offer.sellerId,
+      gigId: offer.gigId,
+      gigTitle: offer.title,
+      email,
+      amount: chargeNow,
+      total: fees.buyerTotal,
+      fees,
+      authorizationUrl: payment.authorizationUrl,
+      accessCode: payment.accessCode
+    });
+
+    const updatedOffer = await Offer.findByIdAndUpdate(
+      offer._id,
+      { $set: { checkoutReference: payment.reference } },
+      { new: true }
+    );
+    return { offer: updatedOffer, session, fees, isExisting: false };
+  }
+
+  // ===========================================
+  // QUERIES & EXPIRY
+  // ===========================================
+
+  async getConversationOffers(conversationId, userId) {
+    const conversation = await Conversation.findOne({ id: conversationId });
+    if (!conversation) throw createError(404, "Conversation not found");
+    if (conversation.sellerId !== userId && conversation.buyerId !== userId) {
+      throw createError(403, "You are not part of this conversation");
+    }
+    return Offer.find({ conversationId }).sort({ createdAt: -1 });
+  }
+
+  async expireOffer(offer) {
+    const expired = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: { $in: OPEN_STATUSES }, expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+    if (expired) {
+      try {
+        socketService.broadcastOfferUpdate(expired.conversationId, expired, null);
+      } catch (socketError) {
+        console.log('WebSocket broadcast failed:', socketError.message);
+      }
+    }
+    return Boolean(expired);
+  }
+
+  // Scheduler job: expire offers that were neither answered nor paid in time
+  async expireStaleOffers() {
+    const stale = await Offer.find({ status: { $in: OPEN_STATUSES }, expiresAt: { $lte: new Date() } }).limit(100);
+    let expired = 0;
+    for (const offer of stale) {
+      // An accepted offer with a checkout in flight is left for the checkout sweeper
+      if (offer.status === 'accepted' && offer.checkoutReference
+        && await CheckoutSession.exists({ reference: offer.checkoutReference, status: 'pending' })) {
+        continue;
+      }
+      if (await this.expireOffer(offer)) expired++;
+    }
+    return { checked: stale.length, expired };
+  }
+}
+
+export default new OfferService();
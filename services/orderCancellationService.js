@@ -0,0 +1,324 @@
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import refundService from "./refundService.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import { roundMoney } from "./ledgerService.js";
+import createError from "../utils/createError.js";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const DEFAULT_RESPONSE_HOURS = 48;
+const CANCELLABLE_ESCROW_STATUSES = ["funded", "work_submitted"];
+const RELEASED_MILESTONE_STATUSES = ["approved", "paid"];
+
+// Trust score deducted from the seller when a cancellation goes through.
+// Buyer-requested cancellations carry no trust penalty for either party.
+export const CANCELLATION_TRUST_PENALTIES = {
+  seller: 2,   // Seller asked to cancel
+  overdue: 5   // Cancelled automatically for non-delivery
+};
+
+// Mutual cancellation: one party proposes, the other accepts (refunding the
+// buyer) or declines before the deadline. Also keeps the cancellation stats
+// on both users' profiles up to date.
+class OrderCancellationService {
+
+  async getResponseHours() {
+    try {
+      const settings = await PlatformSettings.findOne().lean();
+      return settings?.disputes?.cancellationResponseHours || DEFAULT_RESPONSE_HOURS;
+    } catch (e) {
+      return DEFAULT_RESPONSE_HOURS;
+    }
+  }
+
+  partyRole(order, userId) {
+    if (order.buyerId === userId) return "buyer";
+    if (order.sellerId === userId) return "seller";
+    return null;
+  }
+
+  pendingRequest(order) {
+    return (order.cancellationRequests || []).find(r => r.status === "pending") || null;
+  }
+
+  // Escrow still held for the order: the price less any milestones already released
+  // (per-milestone orders: only milestones that were paid for and not yet released)
+  refundableAmount(order) {
+    if (order.fundingMode === "per_milestone") {
+      return roundMoney(refundService.refundableMilestones(order).reduce((sum, { milestone }) => sum + milestone.amount, 0));
+    }
+    const released = (order.milestones || [])
+      .filter(m => RELEASED_MILESTONE_STATUSES.includes(m.status))
+      .reduce((sum, m) => sum + (m.amount || 0), 0);
+    return roundMoney(Math.max(order.price - released, 0));
+  }
+
+  async notify(userId, title, message, order, priority = "high") {
+    try {
+      await notificationService.createUserNotification(userId, "order", title, message, {
+        priority,
+        actionButton: { text: "View Order", url: `/orders/${order._id}`, style: "primary" }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: "order",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Cancellation notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  /**
+   * Propose cancelling an order
+   * @param {Object} order - Order document
+   * @param {string} userId - Buyer or seller making the request
+   * @param {Object} params - { reason, details, refundAmount } refundAmount defaults to everything still in escrow
+   * @returns {Promise<Object>} Updated order
+   */
+  async requestCancellation(order, userId, { reason, details, refundAmount } = {}) {
+    const role = this.partyRole(order, userId);
+    if (!role) throw createError(403, "You are not authorized to cancel this order");
+
+    if (!reason || !String(reason).trim()) {
+      throw createError(400, "A reason is required to request cancellation");
+    }
+    if (!CANCELLABLE_ESCROW_STATUSES.includes(order.escrowStatus) || order.status === "cancelled") {
+      throw createError(400, "This order can no longer be cancelled");
+    }
+    if (order.disputeStatus !== "none") {
+      throw createError(400, "This order is in dispute. Cancellation is handled through the dispute.");
+    }
+    if (this.pendingRequest(order)) {
+      throw createError(400, "A cancellation request is already awaiting a response");
+    }
+
+    const refundable = this.refundableAmount(order);
+    const amount = refundAmount === undefined || refundAmount === null || refundAmount === ""
+      ? refundable
+      : roundMoney(Number(refundAmount));
+    if (!(amount > 0) || amount - refundable > 0.005) {
+      throw createError(400, `Refund amount must be between ₦1 and ₦${refundable.toLocaleString()}`);
+    }
+    if (order.fundingMode === "per_milestone" && Math.abs(amount - refundable) > 0.005) {
+      throw createError(400, `Milestone-funded orders are refunded per milestone. The refundable amount is ₦${refundable.toLocaleString()}.`);
+    }
+
+    const responseHours = await this.getResponseHours();
+    const request = {
+      requestedBy: userId,
+      requestedByRole: role,
+      reason: String(reason).trim(),
+      details,
+      refundAmount: amount,
+      requestedAt: new Date(),
+      respondBy: new Date(Date.now() + responseHours * MS_PER_HOUR),
+      status: "pending"
+    };
+
+    // Only one open request at a time, even under concurrent submissions
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, "cancellationRequests.status": { $ne: "pending" } },
+      { $push: { cancellationRequests: request } },
+      { new: true }
+    );
+    if (!updatedOrder) {
+      throw createError(400, "A cancellation request is already awaiting a response");
+    }
+
+    const counterpartyId = role === "buyer" ? order.sellerId : order.buyerId;
+    await this.notify(
+      counterpartyId,
+      "Cancellation Requested",
+      `The ${role} has asked to cancel "${order.title}" (refund ₦${amount.toLocaleString()} to the buyer). Please accept or decline by ${request.respondBy.toLocaleString()}.`,
+      order
+    );
+
+    return updatedOrder;
+  }
+
+  /**
+   * Accept or decline the pending cancellation request
+   * @param {Object} order - Order document
+   * @param {string} userId - The party who did not make the request
+   * @param {Object} params - { action: 'accept' | 'decline', note }
+   * @returns {Promise<{order: Object, refund?: Object}>}
+   */
+  async respond(order, userId, { action, note } = {}) {
+    const role = this.partyRole(order, userId);
+    if (!role) throw createError(403, "You are not authorized to respond for this order");
+    if (!["accept", "decline"].includes(action)) {
+      throw createError(400, "Action must be 'accept' or 'decline'");
+    }
+
+    const request = this.pendingRequest(order);
+    if (!request) throw createError(404, "There is no pending cancellation request");
+    if (request.requestedBy === userId) {
+      throw createError(403, "You cannot respond to your own cancellation request");
+    }
+    if (request.respondBy && request.respondBy <= new Date()) {
+      await this.expireRequest(order, request);
+      throw createError(410, "This cancellation request has expired");
+    }
+
+    const status = action === "accept" ? "accepted" : "declined";
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, cancellationRequests: { $elemMatch: { _id: request._id, status: "pending" } } },
+      {
+        $set: {
+          "cancellationRequests.$.status": status,
+          "cancellationRequests.$.respondedAt": new Date(),
+          "cancellationRequests.$.responseNote": note
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw createError(409, "This cancellation request was already answered");
+    }
+
+    if (status === "declined") {
+      await this.notify(
+        request.requestedBy,
+        "Cancellation Declined",
+        `Your request to cancel "${order.title}" was declined.${note ? ` Note: ${note}` : ""} You can continue the order or open a dispute.`,
+        order
+      );
+      return { order: claimed };
+    }
+
+    const refundAmount = request.refundAmount || this.refundableAmount(claimed);
+    let result;
+    try {
+      result = await refundService.issueRefund(claimed, {
+        amount: refundAmount,
+        reason: `Order cancelled by mutual agreement: ${request.reason}`,
+        description: request.details || request.reason,
+        source: "cancellation",
+        orderUpdates: {
+          cancelledAt: new Date(),
+          cancelledBy: request.requestedBy,
+          cancellationReason: request.reason
+        }
+      });
+    } catch (err) {
+      // Nothing was refunded, so the request is still open for another attempt
+      await Order.updateOne(
+        { _id: order._id, "cancellationRequests._id": request._id },
+        { $set: { "cancellationRequests.$.status": "pending" }, $unset: { "cancellationRequests.$.respondedAt": 1 } }
+      );
+      throw err;
+    }
+
+    await this.recordCancellation(result.order, {
+      sellerPenalty: request.requestedByRole === "seller" ? CANCELLATION_TRUST_PENALTIES.seller : 0,
+      reason: `Order ${order._id} cancelled at the seller's request`
+    });
+
+    const message = `"${order.title}" has been cancelled by mutual agreement. ₦${refundAmount.toLocaleString()} is being refunded to the buyer.`;
+    await this.notify(order.buyerId, "Order Cancelled", message, order);
+    await this.notify(order.sellerId, "Order Cancelled", message, order);
+
+    return result;
+  }
+
+  async expireRequest(order, request) {
+    const expired = await Order.findOneAndUpdate(
+      { _id: order._id, cancellationRequests: { $elemMatch: { _id: request._id, status: "pending" } } },
+      { $set: { "cancellationRequests.$.status": "expired" } }
+    );
+    if (expired) {
+      await this.notify(
+        request.requestedBy,
+        "Cancellation Request Expired",
+        `Your request to cancel "${order.title}" was not answered in time. You can continue the order or open a dispute.`,
+        order,
+        "medium"
+      );
+    }
+    return Boolean(expired);
+  }
+
+  // Scheduler job: close requests whose response deadline has passed
+  async expireStaleRequests() {
+    const now = new Date();
+    const orders = await Order.find({
+      cancellationRequests: { $elemMatch: { status: "pending", respondBy: { $lte: now } } }
+    }).limit(100);
+
+    let expired = 0;
+    for (const order of orders) {
+      const request = this.pendingRequest(order);
+      if (request && request.respondBy <= now && await this.expireRequest(order, request)) {
+        expired++;
+      }
+    }
+    return { expired };
+  }
+
+  // ===========================================
+  // PROFILE BOOKKEEPING
+  // ===========================================
+
+  /**
+   * Update both users after an order is cancelled: cancelled count, completion
+   * rate and (for seller-side cancellations) the seller's trust score
+   * @param {Object} order - The cancelled order
+   * @param {Object} options - { sellerPenalty, reason }
+   */
+  async recordCancellation(order, { sellerPenalty = 0, reason } = {}) {
+    try {
+      const userIds = [order.buyerId, order.sellerId];
+      await User.updateMany({ _id: { $in: userIds } }, { $inc: { cancelledOrders: 1 } });
+      await Promise.all(userIds.map(userId => this.recalculateCompletionRate(userId)));
+
+      if (sellerPenalty > 0) {
+        await this.adjustTrustScore(order.sellerId, -sellerPenalty, reason);
+      }
+    } catch (err) {
+      console.error(`Cancellation bookkeeping for order ${order._id} failed:`, err?.message || err);
+    }
+  }
+
+  // Share of the user's settled orders that were paid out rather than refunded.
+  // Escrow status is used because submitted-but-unreviewed work already shows as "completed".
+  async recalculateCompletionRate(userId) {
+    const [row] = await Order.aggregate([
+      { $match: { $or: [{ buyerId: String(userId) }, { sellerId: String(userId) }], escrowStatus: { $in: ["released", "refunded"] } } },
+      {
+        $group: {
+          _id: null,
+          finished: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ["$escrowStatus", "released"] }, 1, 0] } }
+        }
+      }
+    ]);
+    const completionRate = row?.finished ? Number(((row.completed / row.finished) * 100).toFixed(1)) : 0;
+    await User.findByIdAndUpdate(userId, { completionRate });
+    return completionRate;
+  }
+
+  async adjustTrustScore(userId, adjustment, reason) {
+    const user = await User.findById(userId, "trustScore");
+    if (!user) return;
+    const newTrustScore = Math.max(0, Math.min(100, user.trustScore + adjustment));
+    await User.findByIdAndUpdate(userId, {
+      trustScore: newTrustScore,
+      $push: {
+        trustScoreHistory: {
+          previousScore: user.trustScore,
+          newScore: newTrustScore,
+          adjustment,
+          reason,
+          adjustedBy: "system",
+          adjustedAt: new Date()
+        }
+      }
+    });
+  }
+}
+
+export default new OrderCancellationService();
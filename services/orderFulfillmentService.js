@@ -0,0 +1,919 @@
+import Order from "../models/order.model.js";
+import Gig from "../models/gig.model.js";
+import User from "../models/user.model.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import CheckoutSession from "../models/checkoutSession.model.js";
+import Refund from "../models/refund.model.js";
+import Offer from "../models/offer.model.js";
+import Job from "../models/job.model.js";
+import Proposal from "../models/proposal.model.js";
+import Retainer from "../models/retainer.model.js";
+import HourlyContract from "../models/hourlyContract.model.js";
+import HourlyInvoice from "../models/hourlyInvoice.model.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import ledgerService, { roundMoney } from "./ledgerService.js";
+import feeService from "./feeService.js";
+import paymentProviderService from "./paymentProviderService.js";
+import refundService from "./refundService.js";
+import orderRequirementsService from "./orderRequirementsService.js";
+import paymentEventService from "./paymentEventService.js";
+import createError from "../utils/createError.js";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Turns a successful gateway transaction into an escrow-funded order.
+// Shared by the browser verification flow and the payment webhooks so both
+// paths create exactly the same order, exactly once per reference.
+class OrderFulfillmentService {
+
+  /**
+   * Create the order for a successful transaction (idempotent by reference)
+   * @param {Object} transaction - Normalized provider transaction ({ provider, reference, amount (Naira), metadata, paidAt })
+   * @param {Object} options - { source: 'verify' | 'webhook' }
+   * @returns {Promise<{order: Object, isExisting: boolean}>}
+   */
+  async fulfillTransaction(transaction, options = {}) {
+    const outcome = await this.applyTransaction(transaction, options);
+    // Refund webhooks that arrived before the payment was applied
+    await paymentEventService.replayDeferred(transaction.reference);
+    return outcome;
+  }
+
+  async applyTransaction(transaction, options = {}) {
+    const reference = transaction?.reference;
+    if (!reference) {
+      throw createError(400, "Transaction reference is required");
+    }
+
+    const metadata = transaction.metadata || {};
+    if (metadata.type === 'milestone_funding') {
+      return this.fundMilestone(transaction, options);
+    }
+    if (metadata.type === 'retainer_cycle') {
+      return this.fulfillRetainerCycle(transaction, options);
+    }
+    if (metadata.type === 'hourly_invoice') {
+      return this.fulfillHourlyInvoice(transaction, options);
+    }
+    if (metadata.type === 'order_tip') {
+      return this.fulfillTip(transaction, options);
+    }
+
+    // CRITICAL: Check if order already exists to prevent duplicates
+    const existingOrder = await Order.findOne({ reference });
+    if (existingOrder) {
+      console.log("🔄 Order already exists for reference:", reference);
+      await this.markCheckoutPaid(existingOrder);
+      return { order: existingOrder, isExisting: true };
+    }
+
+    const amountPaid = transaction.amount;
+    const isPerMilestone = metadata.fundingMode === 'per_milestone';
+
+    // Hired job proposals have no gig; everything else is ordered from one
+    const isProposal = metadata.type === 'job_proposal';
+    const gig = isProposal ? null : await Gig.findById(metadata.gigId);
+    if (!isProposal && !gig) {
+      throw createError(404, "Gig not found");
+    }
+
+    // Custom offers replace the gig's title, delivery time and milestones with the agreed terms
+    const offer = metadata.type === 'custom_offer' ? await Offer.findById(metadata.offerId) : null;
+    if (metadata.type === 'custom_offer' && !offer) {
+      throw createError(404, "Offer not found");
+    }
+    const proposal = isProposal ? await Proposal.findById(metadata.proposalId) : null;
+    const job = proposal ? await Job.findById(proposal.jobId) : null;
+    if (isProposal && (!proposal || !job)) {
+      throw createError(404, "Proposal not found");
+    }
+    // Proposals stay editable, so use the terms snapshotted when the checkout started
+    const proposalTerms = proposal && (metadata.proposalTerms || proposal.toObject());
+    const terms = offer || proposal
+      ? this.offerTerms(offer || { ...proposalTerms, title: job.title })
+      : gig;
+
+    // Buyer-side fees are not held in escrow; only the service price is
+    const paymentFees = await feeService.snapshotForPayment(amountPaid, metadata.fees, metadata.sellerId);
+    // A per-milestone order is priced for the whole project but this payment only funds the first milestone
+    const amount = isPerMilestone ? roundMoney(metadata.projectPrice) : paymentFees.subtotal;
+    const fees = isPerMilestone
+      ? await feeService.quote(amount, metadata.sellerId, { chargeBuyerFees: false })
+      : paymentFees;
+
+    console.log(`✅ Creating new order for reference: ${reference} (via ${options.source || 'verify'})`);
+
+    // CREATE ORDER ONLY NOW AFTER SUCCESSFUL PAYMENT
+    const newOrder = new Order({
+      ...(gig && { gigId: gig._id, img: gig.cover }),
+      title: terms.title,
+      buyerId: metadata.buyerId,
+      sellerId: metadata.sellerId,
+      price: amount,
+      fees,
+      reference: reference,
+      provider: transaction.provider || metadata.provider || "paystack",
+      status: "in progress",
+      paymentStatus: "paid",
+      escrowStatus: "funded", // CRITICAL: Funds held in escrow, not released
+      fundingMode: isPerMilestone ? "per_milestone" : "upfront",
+      ...(offer && { offerId: String(offer._id), revisionsIncluded: offer.revisions }),
+      ...(proposal && { jobId: String(job._id), proposalId: String(proposal._id), revisionsIncluded: proposalTerms.revisions }),
+      ...(gig && !offer && this.checkoutSelection(gig, metadata)),
+      paidAt: transaction.paidAt ? new Date(transaction.paidAt) : new Date(),
+    });
+
+    await this.applyDeliverySchedule(newOrder, terms, amount, metadata.milestones, {
+      packageDeliveryTime: terms === gig ? metadata.packageDeliveryTime : null,
+      extraDays: terms === gig ? metadata.addOnDays : 0
+    });
+    if (isPerMilestone) {
+      this.applyFirstMilestoneFunding(newOrder, transaction, paymentFees);
+    }
+    // Orders for gigs with a questionnaire wait for the buyer's answers before the clock starts
+    if (gig) orderRequirementsService.applyQuestionnaire(newOrder, gig);
+
+    try {
+      await newOrder.save();
+      console.log("✅ Order created successfully:", newOrder._id);
+    } catch (saveError) {
+      // Handle duplicate key error gracefully (verify and webhook raced each other)
+      if (saveError.code === 11000 && saveError.keyPattern?.reference) {
+        console.log("🔄 Duplicate order detected during save, fetching existing order");
+        const order = await Order.findOne({ reference });
+        return { order, isExisting: true };
+      }
+      throw saveError; // Re-throw other errors
+    }
+
+    // Record the captured payment as buyer escrow; reconciliation flags any gap
+    await (isPerMilestone
+      ? ledgerService.tryPost('order funding', 'recordMilestoneFunding', newOrder, 0)
+      : ledgerService.tryPost('order funding', 'recordEscrowFunding', newOrder));
+    await this.markCheckoutPaid(newOrder);
+    if (offer) {
+      await Offer.updateOne(
+        { _id: offer._id },
+        { $set: { status: 'ordered', orderId: String(newOrder._id), orderedAt: new Date() } }
+      );
+    }
+    if (proposal && !(await this.recordHire(job, proposal, newOrder))) {
+      // The buyer already hired someone else for this job with another payment
+      await refundService.issueRefund(newOrder, {
+        reason: 'Job was already filled',
+        source: 'system',
+        orderUpdates: { cancelledAt: new Date(), cancellationReason: 'Job already filled by another proposal' }
+      });
+      return { order: newOrder, isExisting: false, refunded: true };
+    }
+
+    await this.notifyOrderCreated(newOrder, terms, metadata);
+
+    return { order: newOrder, isExisting: false };
+  }
+
+  // Shape an accepted offer like a gig so the delivery schedule is built from its terms
+  offerTerms(offer) {
+    return {
+      title: offer.title,
+      deliveryTime: offer.deliveryDays,
+      hasMilestones: offer.milestones.length > 0,
+      milestones: offer.milestones.map((m, index) => ({
+        title: m.title,
+        description: m.description,
+        price: m.amount,
+        deliveryTime: m.deliveryDays,
+        order: index + 1
+      }))
+    };
+  }
+
+  // Fill the job with the hired proposal; false when another proposal got there first
+  async recordHire(job, proposal, order) {
+    const hiredAt = order.paidAt || new Date();
+    const hired = await Job.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['open', 'closed'] } },
+      {
+        $set: {
+          status: 'hired',
+          hiredProposalId: String(proposal._id),
+          hiredSellerId: proposal.sellerId,
+          orderId: String(order._id),
+          hiredAt
+        }
+      },
+      { new: true }
+    );
+    if (!hired) return false;
+
+    await Proposal.updateOne(
+      { _id: proposal._id },
+      { $set: { status: 'hired', orderId: String(order._id), hiredAt } }
+    );
+    await Proposal.updateMany(
+      { jobId: String(job._id), _id: { $ne: proposal._id }, status: { $in: ['submitted', 'shortlisted'] } },
+      { $set: { status: 'declined', declinedAt: hiredAt, declineReason: 'Another freelancer was hired' } }
+    );
+    return true;
+  }
+
+  // Package, quantity and add-ons the buyer picked at checkout
+  checkoutSelection(gig, metadata) {
+    const revisions = metadata.packageRevisions ?? gig.revisionNumber;
+    return {
+      selectedPackage: metadata.selectedPackage,
+      quantity: Number(metadata.quantity) || 1,
+      addOns: Array.isArray(metadata.addOns) ? metadata.addOns : [],
+      extraRevisions: Number(metadata.addOnRevisions) || 0,
+      ...(typeof revisions === 'number' && { revisionsIncluded: revisions })
+    };
+  }
+
+  // Close the checkout session this payment came from (if it was recorded)
+  async markCheckoutPaid(order, reference = order.reference) {
+    try {
+      await CheckoutSession.updateOne(
+        { reference, status: { $ne: 'paid' } },
+        { $set: { status: 'paid', paidAt: order.paidAt || new Date(), orderId: String(order._id) } }
+      );
+    } catch (e) {
+      console.error("Checkout session update failed:", e?.message || e);
+    }
+  }
+
+  // ===========================================
+  // PER-MILESTONE FUNDING
+  // ===========================================
+
+  // The checkout payment of a per-milestone order funds only its first milestone
+  applyFirstMilestoneFunding(newOrder, transaction, paymentFees) {
+    newOrder.milestones.forEach((milestone, index) => {
+      milestone.fundingStatus = index === 0 ? "funded" : "unfunded";
+    });
+    const first = newOrder.milestones[0];
+    first.fundingReference = transaction.reference;
+    first.fundingProvider = newOrder.provider;
+    first.fundingFees = {
+      paymentProcessingFee: paymentFees.paymentProcessingFee,
+      buyerTotal: paymentFees.buyerTotal
+    };
+    first.fundedAt = newOrder.paidAt;
+  }
+
+  /**
+   * Apply a successful milestone_funding payment to its order (idempotent by reference)
+   * @param {Object} transaction - Normalized provider transaction with metadata { orderId, milestoneIndex, fees }
+   * @param {Object} options - { source }
+   * @returns {Promise<{order: Object, isExisting: boolean, milestoneIndex: number, refunded?: boolean}>}
+   */
+  async fundMilestone(transaction, options = {}) {
+    const { reference, metadata = {} } = transaction;
+    const index = Number(metadata.milestoneIndex);
+
+    const order = await Order.findById(metadata.orderId);
+    if (!order) {
+      throw createError(404, "Order not found");
+    }
+    const milestone = order.milestones?.[index];
+    if (!milestone) {
+      throw createError(404, "Milestone not found");
+    }
+    if (milestone.fundingReference === reference) {
+      await this.markCheckoutPaid(order, reference);
+      return { order, isExisting: true, milestoneIndex: index };
+    }
+
+    const fees = await feeService.snapshotForPayment(transaction.amount, metadata.fees, order.sellerId);
+    const fundedAt = transaction.paidAt ? new Date(transaction.paidAt) : new Date();
+
+    console.log(`✅ Funding milestone ${index + 1} of order ${order._id} with ${reference} (via ${options.source || 'verify'})`);
+
+    const funded = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $ne: "cancelled" }, [`milestones.${index}.fundingStatus`]: "unfunded" },
+      {
+        $set: {
+          [`milestones.${index}.fundingStatus`]: "funded",
+          [`milestones.${index}.fundingReference`]: reference,
+          [`milestones.${index}.fundingProvider`]: transaction.provider || order.provider,
+          [`milestones.${index}.fundingFees`]: {
+            paymentProcessingFee: fees.paymentProcessingFee,
+            buyerTotal: fees.buyerTotal
+          },
+          [`milestones.${index}.fundedAt`]: fundedAt,
+          ...this.rescheduleForLateFunding(order, index, fundedAt)
+        }
+      },
+      { new: true }
+    );
+
+    if (!funded) {
+      // Verification and the webhook raced each other
+      const current = await Order.findById(order._id);
+      if (current.milestones[index]?.fundingReference === reference) {
+        return { order: current, isExisting: true, milestoneIndex: index };
+      }
+      // Paid for a milestone that was funded by another payment, or an order that was stopped meanwhile
+      await this.refundUnappliedPayment(current, transaction, {
+        milestoneIndex: index,
+        description: `Milestone ${index + 1} was already funded or the order was stopped when payment ${transaction.reference} arrived`
+      });
+      return { order: current, isExisting: true, milestoneIndex: index, refunded: true };
+    }
+
+    await ledgerService.tryPost('milestone funding', 'recordMilestoneFunding', funded, index);
+    await this.markCheckoutPaid(funded, reference);
+    await this.notifyMilestoneFunded(funded, index);
+
+    return { order: funded, isExisting: false, milestoneIndex: index };
+  }
+
+  // A milestone's time starts when it is paid for. If it is funded after its
+  // planned start, it and every later deadline move back by the delay.
+  rescheduleForLateFunding(order, index, fundedAt) {
+    const plannedStart = index > 0 ? order.milestones[index - 1].dueDate : order.paidAt;
+    const delayMs = plannedStart ? fundedAt.getTime() - new Date(plannedStart).getTime() : 0;
+    if (delayMs <= 0) return {};
+
+    const shift = (date) => new Date(new Date(date).getTime() + delayMs);
+    const updates = {};
+    order.milestones.forEach((milestone, i) => {
+      if (i >= index && milestone.dueDate) {
+        updates[`milestones.${i}.dueDate`] = shift(milestone.dueDate);
+        updates[`milestones.${i}.lateWarningSentAt`] = null;
+      }
+    });
+    if (order.expectedDeliveryDate) updates.expectedDeliveryDate = shift(order.expectedDeliveryDate);
+    if (order.autoReleaseDate) updates.autoReleaseDate = shift(order.autoReleaseDate);
+    if (order.clientReviewDeadline) updates.clientReviewDeadline = shift(order.clientReviewDeadline);
+    return updates;
+  }
+
+  // Send a payment that could not be applied (a milestone or retainer month
+  // that was already paid for) straight back to the buyer
+  async refundUnappliedPayment(order, transaction, { milestoneIndex, description } = {}) {
+    const reason = milestoneIndex !== undefined ? 'Milestone payment could not be applied' : 'Payment could not be applied';
+    let refund;
+    try {
+      refund = await Refund.create({
+        orderId: order._id,
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        amount: transaction.amount,
+        milestoneIndex,
+        paymentReference: transaction.reference,
+        paymentProvider: transaction.provider || order.provider,
+        reason,
+        description,
+        source: 'system',
+        status: 'processing',
+        processedAt: new Date()
+      });
+    } catch (err) {
+      // Another verification of this payment already started its refund
+      if (err.code === 11000) return;
+      throw err;
+    }
+
+    const provider = paymentProviderService.get(transaction.provider || order.provider);
+    try {
+      const gatewayRefund = await provider.refundPayment({
+        reference: transaction.reference,
+        amount: transaction.amount,
+        reason,
+        note: `Refund ${refund._id}`
+      });
+      await Refund.findByIdAndUpdate(refund._id, {
+        $set: {
+          transactionId: gatewayRefund.id,
+          gatewayStatus: gatewayRefund.status,
+          gatewayResponse: gatewayRefund.raw,
+          ...(gatewayRefund.status === 'processed' && { status: 'completed' })
+        }
+      });
+    } catch (err) {
+      console.error(`Refund of unapplied payment ${transaction.reference} failed:`, err.response?.data || err.message);
+      await Refund.findByIdAndUpdate(refund._id, {
+        $set: {
+          status: 'failed',
+          failureReason: err.response?.data?.message || 'Gateway outcome unknown; check the dashboard before retrying'
+        }
+      });
+    }
+  }
+
+  async notifyMilestoneFunded(order, index) {
+    const milestone = order.milestones[index];
+    const label = `Milestone ${index + 1} ("${milestone.title}")`;
+    try {
+      await notificationService.createUserNotification(
+        order.sellerId,
+        'order',
+        'Milestone Funded',
+        `${label} of "${order.title}" is funded and held in escrow. You can start work on it.`,
+        { priority: 'high', actionButton: { text: 'View Order', url: `/orders/${order._id}`, style: 'primary' } }
+      );
+      socketService.sendNotificationToUser(order.sellerId, {
+        title: "Milestone Funded",
+        body: `${label} of "${order.title}" is funded. You can start work on it.`,
+        type: "order",
+        data: { action: "open_order", orderId: order._id }
+      });
+      socketService.sendNotificationToUser(order.buyerId, {
+        title: "Payment Confirmed",
+        body: `₦${milestone.amount.toLocaleString()} for ${label} is held securely in escrow`,
+        type: "order",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Milestone funding notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // ===========================================
+  // RETAINER CYCLES
+  // ===========================================
+
+  /**
+   * Turn a retainer payment (first checkout or monthly renewal) into the
+   * escrow-funded order for that billing period (idempotent by reference)
+   * @param {Object} transaction - Normalized provider transaction with metadata { retainerId, cycle, fees }
+   * @param {Object} options - { source }
+   * @returns {Promise<{order: Object, isExisting: boolean, retainer: Object}>}
+   */
+  async fulfillRetainerCycle(transaction, options = {}) {
+    const { reference, metadata = {} } = transaction;
+
+    const existingOrder = await Order.findOne({ reference });
+    if (existingOrder) {
+      await this.markCheckoutPaid(existingOrder);
+      return { order: existingOrder, isExisting: true, retainer: await Retainer.findById(existingOrder.retainerId) };
+    }
+
+    const retainer = await Retainer.findById(metadata.retainerId);
+    if (!retainer) {
+      throw createError(404, "Retainer not found");
+    }
+    const gig = await Gig.findById(retainer.gigId);
+    const cycle = Number(metadata.cycle);
+    const paidAt = transaction.paidAt ? new Date(transaction.paidAt) : new Date();
+
+    // Renewals continue from the end of the last period unless billing lapsed for more than a day
+    const continues = cycle > 1 && retainer.currentPeriodEnd
+      && paidAt.getTime() - retainer.currentPeriodEnd.getTime() <= MS_PER_DAY;
+    const periodStart = continues ? retainer.currentPeriodEnd : paidAt;
+    const periodEnd = new Date(periodStart);
+    periodEnd.setMonth(periodEnd.getMonth() + 1);
+
+    const fees = await feeService.snapshotForPayment(transaction.amount, metadata.fees, retainer.sellerId);
+    let reviewDays = 3;
+    try {
+      const settings = await PlatformSettings.findOne().lean();
+      reviewDays = settings?.disputes?.clientReviewWindowDays ?? settings?.disputes?.escrowHoldDays ?? reviewDays;
+    } catch (e) {
+      // keep fallback
+    }
+    const autoReleaseDate = new Date(periodEnd.getTime() + reviewDays * MS_PER_DAY);
+
+    console.log(`✅ Creating retainer cycle ${cycle} order for ${retainer._id} with ${reference} (via ${options.source || 'verify'})`);
+
+    const newOrder = new Order({
+      gigId: retainer.gigId,
+      img: gig?.cover,
+      title: `${retainer.title} (month ${cycle})`,
+      buyerId: retainer.buyerId,
+      sellerId: retainer.sellerId,
+      price: fees.subtotal,
+      fees,
+      reference,
+      provider: transaction.provider || retainer.provider,
+      status: "in progress",
+      paymentStatus: "paid",
+      escrowStatus: "funded",
+      retainerId: String(retainer._id),
+      retainerCycle: cycle,
+      billingPeriodStart: periodStart,
+      billingPeriodEnd: periodEnd,
+      expectedDeliveryDate: periodEnd, // The month's work is due by the end of the period
+      autoReleaseDate,
+      clientReviewDeadline: autoReleaseDate,
+      paidAt
+    });
+
+    try {
+      await newOrder.save();
+    } catch (saveError) {
+      if (saveError.code === 11000 && saveError.keyPattern?.reference) {
+        const order = await Order.findOne({ reference });
+        return { order, isExisting: true, retainer };
+      }
+      if (saveError.code === 11000 && saveError.keyPattern?.retainerCycle) {
+        // Renewal charge and a manual checkout both paid the same month: send this payment back
+        const order = await Order.findOne({ retainerId: String(retainer._id), retainerCycle: cycle });
+        await this.refundUnappliedPayment(order, transaction, {
+          description: `Month ${cycle} of the retainer was already paid for when payment ${reference} arrived`
+        });
+        return { order, isExisting: true, retainer, refunded: true };
+      }
+      throw saveError;
+    }
+
+    await ledgerService.tryPost('retainer cycle funding', 'recordEscrowFunding', newOrder);
+    await this.markCheckoutPaid(newOrder);
+
+    // Paid for a retainer that was cancelled meanwhile: the money goes straight back
+    if (retainer.status === 'cancelled') {
+      await refundService.issueRefund(newOrder, {
+        reason: 'Retainer was cancelled before this payment arrived',
+        source: 'system',
+        orderUpdates: { cancelledAt: new Date(), cancellationReason: 'Retainer cancelled' }
+      });
+      return { order: newOrder, isExisting: false, retainer, refunded: true };
+    }
+
+    const authorization = transaction.authorization?.reusable ? transaction.authorization : null;
+    const updatedRetainer = await Retainer.findOneAndUpdate(
+      { _id: retainer._id, status: { $ne: 'cancelled' } },
+      {
+        $set: {
+          status: 'active',
+          currentCycle: cycle,
+          currentOrderId: String(newOrder._id),
+          currentPeriodStart: periodStart,
+          currentPeriodEnd: periodEnd,
+          nextBillingDate: periodEnd,
+          pendingChargeReference: null,
+          failedChargeAttempts: 0,
+          lastChargeError: null,
+          ...(authorization && {
+            authorization: {
+              code: authorization.code,
+              signature: authorization.signature,
+              last4: authorization.last4,
+              cardType: authorization.cardType,
+              bank: authorization.bank,
+              expMonth: authorization.expMonth,
+              expYear: authorization.expYear
+            }
+          })
+        }
+      },
+      { new: true }
+    );
+
+    await this.notifyRetainerCycleFunded(newOrder, cycle);
+
+    return { order: newOrder, isExisting: false, retainer: updatedRetainer || retainer };
+  }
+
+  async notifyRetainerCycleFunded(order, cycle) {
+    const period = `${order.billingPeriodStart.toDateString()} – ${order.billingPeriodEnd.toDateString()}`;
+    try {
+      await notificationService.createUserNotification(
+        order.sellerId,
+        'order',
+        cycle === 1 ? 'New Retainer Started' : 'Retainer Renewed',
+        `Month ${cycle} of "${order.title}" (${period}) is funded and held in escrow.`,
+        { priority: 'high', actionButton: { text: 'View Order', url: `/orders/${order._id}`, style: 'primary' } }
+      );
+      socketService.sendNotificationToUser(order.buyerId, {
+        title: "Retainer Payment Confirmed",
+        body: `₦${order.price.toLocaleString()} for month ${cycle} (${period}) is held securely in escrow`,
+        type: "order",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Retainer notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // ===========================================
+  // HOURLY INVOICES
+  // ===========================================
+
+  /**
+   * Record the payment of a week of approved hours. The hours were already
+   * reviewed by the buyer, so the escrow order is released immediately.
+   * @param {Object} transaction - Normalized provider transaction with metadata { invoiceId, contractId, fees }
+   * @param {Object} options - { source }
+   * @returns {Promise<{order: Object, isExisting: boolean, invoice: Object, refunded?: boolean}>}
+   */
+  async fulfillHourlyInvoice(transaction, options = {}) {
+    const { reference, metadata = {} } = transaction;
+
+    const existingOrder = await Order.findOne({ reference });
+    if (existingOrder) {
+      await this.markCheckoutPaid(existingOrder);
+      return { order: existingOrder, isExisting: true, invoice: await HourlyInvoice.findById(existingOrder.hourlyInvoiceId) };
+    }
+
+    const invoice = await HourlyInvoice.findById(metadata.invoiceId);
+    if (!invoice) throw createError(404, "Invoice not found");
+    const contract = await HourlyContract.findById(invoice.contractId);
+    if (!contract) throw createError(404, "Contract not found");
+
+    const paidAt = transaction.paidAt ? new Date(transaction.paidAt) : new Date();
+    // Claim the invoice; a second payment for the same week is refunded below
+    const claimed = await HourlyInvoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $in: ['awaiting_payment', 'failed'] } },
+      { $set: { status: 'paid', paidReference: reference, paidAt, pendingChargeReference: null, lastChargeError: null } },
+      { new: true }
+    );
+
+    const fees = await feeService.snapshotForPayment(transaction.amount, metadata.fees, contract.sellerId);
+    const weekLabel = invoice.weekStart.toDateString();
+    console.log(`✅ Recording hourly invoice ${invoice._id} payment ${reference} (via ${options.source || 'verify'})`);
+
+    const newOrder = new Order({
+      title: `${contract.title} (week of ${weekLabel})`,
+      buyerId: contract.buyerId,
+      sellerId: contract.sellerId,
+      price: fees.subtotal,
+      fees,
+      reference,
+      provider: transaction.provider || contract.provider,
+      status: "in progress",
+      paymentStatus: "paid",
+      escrowStatus: "funded",
+      hourlyContractId: String(contract._id),
+      ...(claimed && { hourlyInvoiceId: String(invoice._id), billedMinutes: invoice.approvedMinutes }),
+      billingPeriodStart: invoice.weekStart,
+      billingPeriodEnd: invoice.weekEnd,
+      paidAt
+    });
+
+    try {
+      await newOrder.save();
+    } catch (saveError) {
+      if (saveError.code === 11000 && saveError.keyPattern?.reference) {
+        const order = await Order.findOne({ reference });
+        return { order, isExisting: true, invoice: claimed || invoice };
+      }
+      throw saveError;
+    }
+
+    await ledgerService.tryPost('hourly invoice funding', 'recordEscrowFunding', newOrder);
+    await this.markCheckoutPaid(newOrder);
+
+    if (!claimed) {
+      // The week was already paid by another charge or checkout
+      await refundService.issueRefund(newOrder, {
+        reason: 'Hourly invoice was already paid',
+        source: 'system',
+        orderUpdates: { cancelledAt: new Date(), cancellationReason: 'Duplicate hourly invoice payment' }
+      });
+      return { order: newOrder, isExisting: false, invoice, refunded: true };
+    }
+
+    const released = await Order.findOneAndUpdate(
+      { _id: newOrder._id, escrowStatus: "funded" },
+      { $set: { escrowStatus: "released", status: "completed", isCompleted: true, approvedAt: paidAt, releasedAt: new Date() } },
+      { new: true }
+    );
+    await ledgerService.tryPost('hourly invoice release', 'recordEscrowRelease', released || newOrder);
+    await HourlyInvoice.updateOne({ _id: invoice._id }, { $set: { orderId: String(newOrder._id) } });
+
+    // Save the card for the following weeks and lift a pause caused by failed charges
+    const authorization = transaction.authorization?.reusable ? transaction.authorization : null;
+    const outstanding = await HourlyInvoice.countDocuments({ contractId: contract._id, status: 'failed' });
+    await HourlyContract.updateOne({ _id: contract._id }, {
+      $set: {
+        ...(authorization && {
+          authorization: {
+            code: authorization.code,
+            signature: authorization.signature,
+            last4: authorization.last4,
+            cardType: authorization.cardType,
+            bank: authorization.bank,
+            expMonth: authorization.expMonth,
+            expYear: authorization.expYear
+          }
+        }),
+        ...(contract.status === 'paused' && contract.pausedBy === 'system' && outstanding === 0 && {
+          status: 'active',
+          pausedAt: null,
+          pausedBy: null,
+          pauseReason: null
+        })
+      }
+    });
+
+    await this.notifyHourlyInvoicePaid(released || newOrder, claimed);
+
+    return { order: released || newOrder, isExisting: false, invoice: claimed };
+  }
+
+  async notifyHourlyInvoicePaid(order, invoice) {
+    const hours = (invoice.approvedMinutes / 60).toFixed(2);
+    try {
+      await notificationService.createUserNotification(
+        order.sellerId,
+        'payment',
+        'Hourly Payment Released',
+        `₦${order.price.toLocaleString()} for ${hours} approved hours on "${order.title}" has been released to your balance.`,
+        { priority: 'high', actionButton: { text: 'View Earnings', url: `/orders/${order._id}`, style: 'primary' } }
+      );
+      socketService.sendNotificationToUser(order.buyerId, {
+        title: "Hourly Invoice Paid",
+        body: `₦${order.price.toLocaleString()} for ${hours} hours on "${order.title}" was paid`,
+        type: "payment",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Hourly invoice notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // ===========================================
+  // TIPS
+  // ===========================================
+
+  /**
+   * Record a tip on a completed order and credit the seller (idempotent by reference)
+   * @param {Object} transaction - Normalized provider transaction with metadata { orderId, tipMessage, fees }
+   * @param {Object} options - { source }
+   * @returns {Promise<{order: Object, isExisting: boolean, tip: Object}>}
+   */
+  async fulfillTip(transaction, options = {}) {
+    const { reference, metadata = {} } = transaction;
+
+    const order = await Order.findById(metadata.orderId);
+    if (!order) throw createError(404, "Order not found");
+    const recorded = order.tips?.find(t => t.reference === reference);
+    if (recorded) {
+      await this.markCheckoutPaid(order, reference);
+      return { order, isExisting: true, tip: recorded };
+    }
+
+    const fees = await feeService.snapshotForPayment(transaction.amount, metadata.fees, order.sellerId, { tip: true });
+    const tip = {
+      amount: fees.subtotal,
+      serviceFee: fees.serviceFee,
+      paymentProcessingFee: fees.paymentProcessingFee,
+      sellerNet: fees.sellerNet,
+      message: metadata.tipMessage,
+      reference,
+      provider: transaction.provider || order.provider,
+      paidAt: transaction.paidAt ? new Date(transaction.paidAt) : new Date()
+    };
+    console.log(`✅ Recording ₦${tip.amount} tip on order ${order._id} with ${reference} (via ${options.source || 'verify'})`);
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'tips.reference': { $ne: reference } },
+      { $push: { tips: tip }, $inc: { tipsTotal: tip.amount } },
+      { new: true }
+    );
+    if (!updated) {
+      // Verification and the webhook raced each other
+      const current = await Order.findById(order._id);
+      return { order: current, isExisting: true, tip: current.tips.find(t => t.reference === reference) };
+    }
+
+    await ledgerService.tryPost('order tip', 'recordTip', updated, tip);
+    await this.markCheckoutPaid(updated, reference);
+    await this.notifyTipPaid(updated, tip);
+
+    return { order: updated, isExisting: false, tip };
+  }
+
+  async notifyTipPaid(order, tip) {
+    await notificationService.notifyPayment(tip.sellerNet, order.sellerId, 'received');
+    await notificationService.notifyPayment(roundMoney(tip.amount + tip.paymentProcessingFee), order.buyerId, 'processed');
+    try {
+      socketService.sendNotificationToUser(order.sellerId, {
+        title: "You Received a Tip!",
+        body: `The client sent you a ₦${tip.amount.toLocaleString()} tip for "${order.title}"${tip.message ? `: "${tip.message}"` : ''}`,
+        type: "payment",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Tip notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // Calculate auto-release and review windows using gig delivery time for better alignment
+  async applyDeliverySchedule(newOrder, gig, amount, customMilestones = null, { packageDeliveryTime = null, extraDays = 0 } = {}) {
+    // Platform settings
+    let autoReleaseDays = amount >= 50000 ? 14 : 7;
+    let reviewDays = 3; // for non-milestone gigs: client review window after work submission
+    let holdDays = 3;   // for milestone gigs: hold window after last due date
+    try {
+      const settings = await PlatformSettings.findOne().lean();
+      autoReleaseDays = settings?.disputes?.autoReleaseAfterDays ?? autoReleaseDays;
+      reviewDays = settings?.disputes?.clientReviewWindowDays ?? settings?.disputes?.escrowHoldDays ?? reviewDays;
+      holdDays = settings?.disputes?.escrowHoldDays ?? holdDays;
+    } catch (e) {
+      // keep fallbacks
+    }
+
+    const paidAt = newOrder.paidAt || new Date();
+
+    let formattedMilestones = null;
+    if (Array.isArray(customMilestones) && customMilestones.length > 0) {
+      // Buyer-defined plan chosen at checkout (per-milestone funding)
+      formattedMilestones = customMilestones.map((m) => ({
+        title: m.title,
+        description: m.description,
+        amount: Number(m.amount),
+        dueDate: new Date(m.dueDate),
+        status: "pending",
+        deliverables: []
+      }));
+    } else if (gig.hasMilestones && Array.isArray(gig.milestones) && gig.milestones.length > 0) {
+      // Auto-create order milestones based on seller-defined gig milestones
+      const sorted = [...gig.milestones].sort((a, b) => (a.order || 1) - (b.order || 1));
+      let accumulatedDays = 0;
+      formattedMilestones = sorted.map((m) => {
+        const days = Number(m.deliveryTime) || 0;
+        accumulatedDays += days;
+        const dueDate = new Date(paidAt.getTime() + accumulatedDays * MS_PER_DAY);
+        return {
+          title: m.title,
+          description: m.description,
+          amount: m.price,
+          dueDate,
+          status: "pending",
+          deliverables: []
+        };
+      });
+    }
+
+    if (formattedMilestones) {
+      const latestDue = formattedMilestones.reduce((max, m) => (m.dueDate && m.dueDate > max ? m.dueDate : max), new Date(0));
+      if (latestDue && latestDue.getTime() > 0) {
+        newOrder.expectedDeliveryDate = latestDue;
+        const autoReleaseDate = new Date(latestDue.getTime() + holdDays * MS_PER_DAY);
+        newOrder.autoReleaseDate = autoReleaseDate;
+        newOrder.clientReviewDeadline = autoReleaseDate;
+      }
+      newOrder.milestones = formattedMilestones;
+      newOrder.protectionLevel = newOrder.price >= 100000 ? "enhanced" : "standard";
+    } else {
+      // Non-milestone gigs: derive expected delivery and review-based auto-release
+      let expectedDeliveryDays = null;
+      if (Number(packageDeliveryTime) > 0) {
+        expectedDeliveryDays = Number(packageDeliveryTime);
+      } else if (gig.hasPackages && gig.packages) {
+        const candidates = ['basic', 'standard', 'premium']
+          .map(k => gig.packages[k])
+          .filter(p => p && p.enabled && typeof p.deliveryTime === 'number' && p.deliveryTime > 0)
+          .map(p => p.deliveryTime);
+        if (candidates.length > 0) expectedDeliveryDays = Math.min(...candidates);
+      } else if (typeof gig.deliveryTime === 'number' && gig.deliveryTime > 0) {
+        expectedDeliveryDays = gig.deliveryTime;
+      }
+
+      // Add-ons can lengthen delivery (or shorten it, e.g. fast delivery) but never below a day
+      if (expectedDeliveryDays && Number(extraDays)) {
+        expectedDeliveryDays = Math.max(1, expectedDeliveryDays + Number(extraDays));
+      }
+
+      const expectedDeliveryDate = expectedDeliveryDays
+        ? new Date(paidAt.getTime() + expectedDeliveryDays * MS_PER_DAY)
+        : null;
+      if (expectedDeliveryDate) {
+        newOrder.expectedDeliveryDate = expectedDeliveryDate;
+      }
+
+      const baseDate = expectedDeliveryDate || new Date(paidAt.getTime() + autoReleaseDays * MS_PER_DAY);
+      const autoReleaseDate = new Date(baseDate.getTime() + reviewDays * MS_PER_DAY);
+      newOrder.autoReleaseDate = autoReleaseDate;
+      newOrder.clientReviewDeadline = autoReleaseDate;
+    }
+  }
+
+  // Send notifications to seller and buyer
+  async notifyOrderCreated(newOrder, gig, metadata) {
+    try {
+      const [buyer, seller] = await Promise.all([
+        User.findById(metadata.buyerId, "username"),
+        User.findById(metadata.sellerId, "username")
+      ]);
+
+      // Persist notifications in DB
+      await notificationService.notifyNewOrder(newOrder, seller, buyer);
+
+      // Real-time toast for seller (new order)
+      socketService.sendNotificationToUser(metadata.sellerId, {
+        title: "New Order Received!",
+        body: `You received a new order for "${gig.title}" from ${buyer?.username || "a buyer"}`,
+        type: "order",
+        data: { action: "open_order", orderId: newOrder._id }
+      });
+
+      // Real-time toast for buyer (order confirmed)
+      socketService.sendNotificationToUser(metadata.buyerId, {
+        title: "Order Confirmed",
+        body: newOrder.requirementsStatus === "pending"
+          ? `Your order "${gig.title}" is confirmed. Please submit the requirements so the seller can start`
+          : `Your order "${gig.title}" has been confirmed and is being processed`,
+        type: "order",
+        data: { action: "open_order", orderId: newOrder._id }
+      });
+    } catch (notifyError) {
+      console.log("Order notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+}
+
+export default new OrderFulfillmentService();
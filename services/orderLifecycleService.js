@@ -0,0 +1,318 @@
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import ledgerService from "./ledgerService.js";
+import refundService from "./refundService.js";
+import orderCancellationService, { CANCELLATION_TRUST_PENALTIES } from "./orderCancellationService.js";
+import notificationService from "./notificationService.js";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const BATCH_SIZE = 100;
+
+// Time-driven order transitions run by the job scheduler: escrow auto-release,
+// late-delivery warnings, review-deadline reminders and auto-cancel of orders
+// that are far past due. Each method is safe to run repeatedly.
+class OrderLifecycleService {
+
+  async getDisputeSettings() {
+    try {
+      const settings = await PlatformSettings.findOne().lean();
+      return settings?.disputes || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  async notify(userId, title, message, order, priority = 'medium') {
+    try {
+      await notificationService.createUserNotification(userId, 'order', title, message, {
+        priority,
+        actionButton: { text: 'View Order', url: `/orders/${order._id}`, style: 'primary' }
+      });
+    } catch (notifyError) {
+      console.log("Order lifecycle notification failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // ===========================================
+  // AUTO-RELEASE
+  // ===========================================
+
+  /**
+   * Release escrow for submitted work the buyer did not review in time
+   * @returns {Promise<{checked: number, released: number, skipped: number}>}
+   */
+  async autoReleaseDueOrders() {
+    const now = new Date();
+    const { escrowHoldDays = 3 } = await this.getDisputeSettings();
+
+    const due = await Order.find({
+      escrowStatus: "work_submitted",
+      autoReleaseDate: { $lte: now },
+      disputeStatus: "none"
+    }).limit(BATCH_SIZE);
+
+    let released = 0;
+    let skipped = 0;
+    for (const order of due) {
+      // Milestone orders are not released before the hold window after the last due date
+      if (order.milestones && order.milestones.length > 0) {
+        const latestDue = order.milestones.reduce((max, m) => (m.dueDate && m.dueDate > max ? m.dueDate : max), new Date(0));
+        const extendedCutoff = latestDue.getTime() > 0
+          ? new Date(latestDue.getTime() + escrowHoldDays * MS_PER_DAY)
+          : null;
+        if (extendedCutoff && now < extendedCutoff) {
+          skipped++;
+          continue;
+        }
+      }
+
+      // Claim atomically so a buyer approving at the same moment can't double release
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, escrowStatus: "work_submitted", disputeStatus: "none" },
+        {
+          $set: {
+            escrowStatus: "released",
+            status: "completed",
+            isCompleted: true,
+            releasedAt: now,
+            adminNotes: "Auto-released due to client non-response within deadline"
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        skipped++;
+        continue;
+      }
+
+      await ledgerService.tryPost('auto-release', 'recordEscrowRelease', claimed);
+
+      // Update freelancer stats
+      await User.findByIdAndUpdate(claimed.sellerId, { $inc: { totalOrders: 1 } });
+
+      await this.notify(
+        claimed.sellerId,
+        'Payment Released',
+        `Payment for "${claimed.title}" was released automatically after the review period ended.`,
+        claimed,
+        'high'
+      );
+      await this.notify(
+        claimed.buyerId,
+        'Order Completed',
+        `The review period for "${claimed.title}" ended, so payment was released to the seller.`,
+        claimed
+      );
+      released++;
+    }
+
+    return { checked: due.length, released, skipped };
+  }
+
+  // ===========================================
+  // LATE DELIVERY WARNINGS
+  // ===========================================
+
+  /**
+   * Warn sellers once when an order or milestone passes its due date undelivered
+   * @returns {Promise<{orders: number, milestones: number}>}
+   */
+  async warnLateDeliveries() {
+    const now = new Date();
+    let orders = 0;
+    let milestones = 0;
+
+    const lateOrders = await Order.find({
+      escrowStatus: "funded",
+      status: "in progress",
+      disputeStatus: "none",
+      expectedDeliveryDate: { $lte: now },
+      lateDeliveryWarningSentAt: null,
+      $or: [{ milestones: { $exists: false } }, { milestones: { $size: 0 } }]
+    }).limit(BATCH_SIZE);
+
+    for (const order of lateOrders) {
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, lateDeliveryWarningSentAt: null },
+        { $set: { lateDeliveryWarningSentAt: now } }
+      );
+      if (!claimed) continue;
+
+      await this.notify(
+        order.sellerId,
+        'Delivery Overdue',
+        `"${order.title}" was due on ${order.expectedDeliveryDate.toDateString()}. Please deliver or contact the buyer as soon as possible.`,
+        order,
+        'high'
+      );
+      orders++;
+    }
+
+    const milestoneOrders = await Order.find({
+      escrowStatus: { $in: ["funded", "work_submitted"] },
+      disputeStatus: "none",
+      requirementsStatus: { $ne: "pending" },
+      milestones: {
+        $elemMatch: {
+          status: { $in: ["pending", "in_progress"] },
+          fundingStatus: { $ne: "unfunded" },
+          dueDate: { $lte: now },
+          lateWarningSentAt: null
+        }
+      }
+    }).limit(BATCH_SIZE);
+
+    for (const order of milestoneOrders) {
+      for (let index = 0; index < order.milestones.length; index++) {
+        const milestone = order.milestones[index];
+        // The seller can't be late on a milestone the buyer hasn't paid for yet
+        const isLate = ["pending", "in_progress"].includes(milestone.status)
+          && milestone.fundingStatus !== "unfunded"
+          && milestone.dueDate && milestone.dueDate <= now
+          && !milestone.lateWarningSentAt;
+        if (!isLate) continue;
+
+        const claimed = await Order.findOneAndUpdate(
+          { _id: order._id, [`milestones.${index}.lateWarningSentAt`]: null },
+          { $set: { [`milestones.${index}.lateWarningSentAt`]: now } }
+        );
+        if (!claimed) continue;
+
+        await this.notify(
+          order.sellerId,
+          'Milestone Overdue',
+          `Milestone "${milestone.title}" for "${order.title}" was due on ${milestone.dueDate.toDateString()}.`,
+          order,
+          'high'
+        );
+        milestones++;
+      }
+    }
+
+    return { orders, milestones };
+  }
+
+  // ===========================================
+  // REVIEW REMINDERS
+  // ===========================================
+
+  /**
+   * Remind buyers shortly before submitted work auto-releases
+   * @returns {Promise<{reminded: number}>}
+   */
+  async remindReviewDeadlines() {
+    const now = new Date();
+    const { reviewReminderHours = 24 } = await this.getDisputeSettings();
+    const windowEnd = new Date(now.getTime() + reviewReminderHours * MS_PER_HOUR);
+
+    const due = await Order.find({
+      escrowStatus: "work_submitted",
+      disputeStatus: "none",
+      autoReleaseDate: { $gt: now, $lte: windowEnd },
+      reviewReminderSentAt: null
+    }).limit(BATCH_SIZE);
+
+    let reminded = 0;
+    for (const order of due) {
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, reviewReminderSentAt: null },
+        { $set: { reviewReminderSentAt: now } }
+      );
+      if (!claimed) continue;
+
+      await this.notify(
+        order.buyerId,
+        'Review Your Delivery',
+        `Please review the work delivered for "${order.title}". Payment will be released to the seller automatically on ${order.autoReleaseDate.toLocaleString()} unless you request a revision or open a dispute.`,
+        order,
+        'high'
+      );
+      reminded++;
+    }
+
+    return { reminded };
+  }
+
+  // ===========================================
+  // AUTO-CANCEL OVERDUE
+  // ===========================================
+
+  /**
+   * Cancel and fully refund orders with nothing delivered long after the due date
+   * @returns {Promise<{cancelled: number, failed: number, disabled?: boolean}>}
+   */
+  async cancelOverdueOrders() {
+    const { autoCancelOverdueDays = 7 } = await this.getDisputeSettings();
+    if (!autoCancelOverdueDays || autoCancelOverdueDays <= 0) {
+      return { cancelled: 0, failed: 0, disabled: true };
+    }
+
+    const cutoff = new Date(Date.now() - autoCancelOverdueDays * MS_PER_DAY);
+    const overdue = await Order.find({
+      escrowStatus: "funded",
+      status: "in progress",
+      disputeStatus: "none",
+      expectedDeliveryDate: { $lte: cutoff },
+      // Any delivered or paid milestone means work exists; leave those to a dispute
+      "milestones.status": { $nin: ["submitted", "approved", "paid"] },
+      // An unfunded milestone means the buyer is the one holding the project up
+      "milestones.fundingStatus": { $ne: "unfunded" },
+      // Give the buyer the chance to answer an open extension or cancellation request first
+      // (both expire after their response deadline, see extension-request-expiry)
+      "deliveryExtensions.status": { $ne: "pending" },
+      "cancellationRequests.status": { $ne: "pending" }
+    }).limit(BATCH_SIZE);
+
+    let cancelled = 0;
+    let failed = 0;
+    for (const order of overdue) {
+      try {
+        // Per-milestone orders refund each funded milestone through its own payment
+        await refundService.issueRefund(order, {
+          amount: order.fundingMode === 'per_milestone' ? undefined : order.price,
+          reason: 'Order cancelled: delivery overdue',
+          description: `No delivery ${autoCancelOverdueDays} days after the due date`,
+          source: 'system',
+          orderUpdates: {
+            autoCancelledAt: new Date(),
+            cancelledAt: new Date(),
+            cancelledBy: 'system',
+            cancellationReason: 'Delivery overdue',
+            adminNotes: `Auto-cancelled: no delivery ${autoCancelOverdueDays} days after the due date`
+          }
+        });
+      } catch (err) {
+        failed++;
+        console.error(`Auto-cancel of order ${order._id} failed:`, err?.message || err);
+        continue;
+      }
+
+      await orderCancellationService.recordCancellation(order, {
+        sellerPenalty: CANCELLATION_TRUST_PENALTIES.overdue,
+        reason: `Order ${order._id} auto-cancelled for non-delivery`
+      });
+
+      await this.notify(
+        order.buyerId,
+        'Order Cancelled and Refunded',
+        `"${order.title}" was not delivered ${autoCancelOverdueDays} days after its due date, so it has been cancelled and your payment refunded.`,
+        order,
+        'high'
+      );
+      await this.notify(
+        order.sellerId,
+        'Order Cancelled',
+        `"${order.title}" was cancelled because it was not delivered ${autoCancelOverdueDays} days after its due date. The buyer has been refunded.`,
+        order,
+        'high'
+      );
+      cancelled++;
+    }
+
+    return { cancelled, failed };
+  }
+}
+
+export default new OrderLifecycleService();
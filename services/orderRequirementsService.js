@@ -0,0 +1,325 @@
+import Order from "../models/order.model.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import fileUploadService from "./fileUploadService.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import createError from "../utils/createError.js";
+
+const QUESTION_TYPES = ["text", "multiple_choice", "file"];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_FILES_PER_ANSWER = 5; // The upload middleware takes at most 5 files per request
+const FILES_FOLDER = "order-requirements";
+const DOWNLOAD_URL_SECONDS = 60 * 60;
+const MS_PER_HOUR = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Post-purchase requirements questionnaire. Sellers define questions on the
+// gig; a paid order snapshots them and waits in "pending" until the buyer
+// answers, and only then does the delivery clock start.
+class OrderRequirementsService {
+
+  isAwaitingRequirements(order) {
+    return order.requirementsStatus === "pending";
+  }
+
+  async notify(userId, title, message, order) {
+    try {
+      await notificationService.createUserNotification(userId, "order", title, message, {
+        priority: "high",
+        actionButton: { text: "View Order", url: `/orders/${order._id}`, style: "primary" }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: "order",
+        data: { action: "open_order", orderId: order._id }
+      });
+    } catch (notifyError) {
+      console.log("Requirements notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  /**
+   * Validate the questionnaire a seller defines on a gig
+   * @param {Array} questions - [{ question, type, options, allowMultiple, required }]
+   * @returns {Array} Questions safe to store on the gig
+   */
+  normalizeQuestions(questions) {
+    if (!Array.isArray(questions)) {
+      throw createError(400, "Requirements must be a list of questions");
+    }
+    if (questions.length > MAX_QUESTIONS) {
+      throw createError(400, `A gig can ask at most ${MAX_QUESTIONS} requirement questions`);
+    }
+
+    return questions.map((q, index) => {
+      const question = String(q?.question || "").trim();
+      const type = q?.type || "text";
+      if (!question) throw createError(400, `Requirement ${index + 1} needs a question`);
+      if (!QUESTION_TYPES.includes(type)) {
+        throw createError(400, `Requirement ${index + 1} has an invalid type. Use ${QUESTION_TYPES.join(", ")}`);
+      }
+
+      let options = [];
+      if (type === "multiple_choice") {
+        options = [...new Set((q.options || []).map(o => String(o).trim()).filter(Boolean))];
+        if (options.length < 2 || options.length > MAX_OPTIONS) {
+          throw createError(400, `"${question}" needs between 2 and ${MAX_OPTIONS} options`);
+        }
+      }
+
+      return {
+        ...(q._id && { _id: q._id }),
+        question,
+        type,
+        options,
+        allowMultiple: type === "multiple_choice" && Boolean(q.allowMultiple),
+        required: q.required !== false
+      };
+    });
+  }
+
+  /**
+   * Snapshot the gig's questionnaire onto a new order and hold it in "pending"
+   * @param {Object} order - Unsaved order document
+   * @param {Object} gig - Gig document
+   */
+  applyQuestionnaire(order, gig) {
+    const questions = gig.requirements || [];
+    if (questions.length === 0) return;
+
+    order.requirements = questions.map(q => ({
+      questionId: String(q._id),
+      question: q.question,
+      type: q.type,
+      options: q.options,
+      allowMultiple: q.allowMultiple,
+      required: q.required
+    }));
+    order.requirementsStatus = "pending";
+    order.status = "pending";
+  }
+
+  // Multipart forms send the answers as a JSON string
+  parseAnswers(answers) {
+    if (typeof answers !== "string") return answers;
+    try {
+      return JSON.parse(answers);
+    } catch {
+      throw createError(400, "Answers must be a list");
+    }
+  }
+
+  // Match each answer to its question and validate it against the question type.
+  // File answers point at the uploaded files by position ("fileIndexes").
+  buildAnswers(order, answers, fileCount = 0) {
+    if (!Array.isArray(answers)) {
+      throw createError(400, "Answers must be a list");
+    }
+    const byQuestion = new Map(answers.map(a => [String(a?.questionId), a]));
+    const usedIndexes = new Set();
+
+    return order.requirements.map(q => {
+      const answer = byQuestion.get(q.questionId) || {};
+      const entry = {
+        questionId: q.questionId,
+        question: q.question,
+        type: q.type,
+        options: q.options,
+        allowMultiple: q.allowMultiple,
+        required: q.required
+      };
+
+      if (q.type === "text") {
+        const text = String(answer.text || "").trim();
+        if (text.length > MAX_ANSWER_LENGTH) {
+          throw createError(400, `The answer to "${q.question}" is too long`);
+        }
+        if (q.required && !text) throw createError(400, `Please answer "${q.question}"`);
+        entry.answerText = text;
+      } else if (q.type === "multiple_choice") {
+        const selected = [...new Set(Array.isArray(answer.options) ? answer.options : [answer.options].filter(Boolean))];
+        if (selected.some(o => !q.options.includes(o))) {
+          throw createError(400, `Please choose from the listed options for "${q.question}"`);
+        }
+        if (!q.allowMultiple && selected.length > 1) {
+          throw createError(400, `Choose only one option for "${q.question}"`);
+        }
+        if (q.required && selected.length === 0) throw createError(400, `Please choose an option for "${q.question}"`);
+        entry.selectedOptions = selected;
+      } else {
+        if (Array.isArray(answer.files) && answer.files.length > 0) {
+          throw createError(400, `Upload the files for "${q.question}" with the form instead of linking them`);
+        }
+        const indexes = (Array.isArray(answer.fileIndexes) ? answer.fileIndexes : [answer.fileIndexes])
+          .filter(i => i !== undefined && i !== null && i !== "")
+          .map(Number);
+        if (indexes.some(i => !Number.isInteger(i) || i < 0 || i >= fileCount || usedIndexes.has(i))) {
+          throw createError(400, `The files for "${q.question}" do not match the uploaded files`);
+        }
+        if (indexes.length > MAX_FILES_PER_ANSWER) {
+          throw createError(400, `Attach at most ${MAX_FILES_PER_ANSWER} files to "${q.question}"`);
+        }
+        if (q.required && indexes.length === 0) throw createError(400, `Please attach a file for "${q.question}"`);
+        indexes.forEach(i => usedIndexes.add(i));
+        entry.fileIndexes = indexes;
+      }
+      return entry;
+    });
+  }
+
+  // Requirements with short-lived download links for the private answer files
+  requirementsView(order) {
+    return (order.requirements || []).map(item => {
+      const requirement = typeof item.toObject === "function" ? item.toObject() : item;
+      return {
+        ...requirement,
+        files: (requirement.files || []).map(file => ({
+          ...file,
+          ...(file.publicId && {
+            downloadUrl: fileUploadService.generateSecureDownloadUrl(file.publicId, file.resourceType, DOWNLOAD_URL_SECONDS)
+          })
+        }))
+      };
+    });
+  }
+
+  /**
+   * Buyer submits the questionnaire; every deadline moves forward by the time
+   * the order spent waiting, so the seller gets the full delivery time
+   * @param {Object} order - Order document
+   * @param {string} userId - Must be the buyer
+   * @param {Array|string} answers - [{ questionId, text | options | fileIndexes }]
+   * @param {Array} files - Uploaded files (multipart "files") the answers refer to
+   * @returns {Promise<Object>} Updated order
+   */
+  async submitRequirements(order, userId, answers, files = []) {
+    if (order.buyerId !== userId) {
+      throw createError(403, "Only the client can submit the order requirements");
+    }
+    if (order.status === "cancelled") {
+      throw createError(400, "This order has been cancelled");
+    }
+    if (!this.isAwaitingRequirements(order)) {
+      throw createError(400, "Requirements are not awaiting submission for this order");
+    }
+
+    const requirements = this.buildAnswers(order, this.parseAnswers(answers), files.length);
+
+    // Validate everything before uploading, and upload only the files an answer uses
+    const usedIndexes = requirements.flatMap(entry => entry.fileIndexes || []);
+    const uploaded = usedIndexes.length > 0
+      ? await fileUploadService.uploadMultipleFiles(usedIndexes.map(i => files[i]), `${FILES_FOLDER}/${order._id}`, true)
+      : [];
+    const uploadedByIndex = new Map(usedIndexes.map((fileIndex, position) => [fileIndex, uploaded[position]]));
+    requirements.forEach(entry => {
+      if (!entry.fileIndexes) return;
+      entry.files = entry.fileIndexes.map(i => {
+        const file = uploadedByIndex.get(i);
+        return {
+          fileUrl: file.fileUrl,
+          originalName: file.fileName,
+          fileSize: file.fileSize,
+          mimeType: file.fileType,
+          publicId: file.publicId,
+          resourceType: file.resourceType
+        };
+      });
+      delete entry.fileIndexes;
+    });
+
+    const submittedAt = new Date();
+    const startedAt = order.paidAt || order.createdAt;
+    const delayMs = startedAt ? Math.max(0, submittedAt.getTime() - new Date(startedAt).getTime()) : 0;
+    const shift = (date) => new Date(new Date(date).getTime() + delayMs);
+
+    const updates = {
+      requirements,
+      requirementsStatus: "submitted",
+      requirementsSubmittedAt: submittedAt,
+      status: "in progress"
+    };
+    if (order.expectedDeliveryDate) updates.expectedDeliveryDate = shift(order.expectedDeliveryDate);
+    if (order.autoReleaseDate) updates.autoReleaseDate = shift(order.autoReleaseDate);
+    if (order.clientReviewDeadline) updates.clientReviewDeadline = shift(order.clientReviewDeadline);
+    (order.milestones || []).forEach((milestone, index) => {
+      if (milestone.dueDate) updates[`milestones.${index}.dueDate`] = shift(milestone.dueDate);
+    });
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, requirementsStatus: "pending", status: { $ne: "cancelled" } },
+      { $set: updates },
+      { new: true }
+    );
+    if (!updated) {
+      await fileUploadService.deleteMultipleFiles(uploaded.map(f => f.publicId)).catch(() => {});
+      throw createError(409, "Requirements were already submitted for this order");
+    }
+
+    const dueNote = updated.expectedDeliveryDate
+      ? ` Delivery is due by ${updated.expectedDeliveryDate.toDateString()}.`
+      : "";
+    await this.notify(
+      order.sellerId,
+      "Requirements Submitted",
+      `The client submitted the requirements for "${order.title}". You can start work now.${dueNote}`,
+      updated
+    );
+
+    return updated;
+  }
+
+  // ===========================================
+  // REMINDERS
+  // ===========================================
+
+  /**
+   * Remind buyers who paid but have not submitted the requirements; the
+   * delivery clock does not start until they do
+   * @returns {Promise<{reminded: number}>}
+   */
+  async remindPendingRequirements() {
+    let reminderHours = 24;
+    try {
+      const settings = await PlatformSettings.findOne().lean();
+      reminderHours = settings?.disputes?.requirementsReminderHours ?? reminderHours;
+    } catch (e) {
+      // Fall back to the default
+    }
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - reminderHours * MS_PER_HOUR);
+
+    const due = await Order.find({
+      requirementsStatus: "pending",
+      status: { $ne: "cancelled" },
+      requirementsReminderSentAt: null,
+      $or: [
+        { paidAt: { $lte: cutoff } },
+        { paidAt: null, createdAt: { $lte: cutoff } }
+      ]
+    }).limit(BATCH_SIZE);
+
+    let reminded = 0;
+    for (const order of due) {
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, requirementsStatus: "pending", requirementsReminderSentAt: null },
+        { $set: { requirementsReminderSentAt: now } }
+      );
+      if (!claimed) continue;
+
+      await this.notify(
+        order.buyerId,
+        "Requirements Needed",
+        `The seller is waiting for your requirements for "${order.title}". Work and the delivery clock start once you submit them.`,
+        order
+      );
+      reminded++;
+    }
+
+    return { reminded };
+  }
+}
+
+export default new OrderRequirementsService();
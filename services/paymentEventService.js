@@ -0,0 +1,100 @@
+import PaymentEvent from "../models/paymentEvent.model.js";
+import refundService from "./refundService.js";
+
+// A delivery still "processing" after this long is assumed to have died with
+// its process and may be claimed again by a redelivery
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Stored payment gateway events: claiming a delivery for processing,
+// persisting each outcome, and replaying refund events that arrived before
+// the payment they refer to was applied.
+class PaymentEventService {
+
+  /**
+   * Store a new delivery, or claim a redelivery of one that failed or whose
+   * processing was abandoned
+   * @param {Object} fields - { provider, eventKey, event, reference, payload }
+   * @returns {Promise<Object|null>} The claimed PaymentEvent, or null for a duplicate
+   */
+  async claim(fields) {
+    const now = new Date();
+    try {
+      return await PaymentEvent.create({ ...fields, status: 'processing', processingStartedAt: now });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+
+    const cutoff = new Date(now.getTime() - PROCESSING_LEASE_MS);
+    const claimed = await PaymentEvent.findOneAndUpdate(
+      {
+        eventKey: fields.eventKey,
+        $or: [
+          { status: 'failed' },
+          { status: { $in: ['received', 'processing'] }, processingStartedAt: { $not: { $gte: cutoff } }, createdAt: { $lt: cutoff } }
+        ]
+      },
+      { $set: { status: 'processing', processingStartedAt: now }, $inc: { deliveries: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      await PaymentEvent.updateOne({ eventKey: fields.eventKey }, { $inc: { deliveries: 1 } });
+    }
+    return claimed;
+  }
+
+  /**
+   * Run a claimed event through its handler and persist the outcome
+   * @param {Object} paymentEvent - Claimed PaymentEvent
+   * @param {Function} handler - async () => ({ status, result })
+   * @returns {Promise<string>} processed | deferred | ignored | failed
+   */
+  async process(paymentEvent, handler) {
+    try {
+      const { status, result } = await handler();
+      const updates = { status, result, lastError: null };
+      if (status === 'processed') updates.processedAt = new Date();
+      await PaymentEvent.findByIdAndUpdate(paymentEvent._id, {
+        $set: updates,
+        $inc: { attempts: 1 }
+      });
+      return status;
+    } catch (error) {
+      console.error(`${paymentEvent.provider} webhook ${paymentEvent.event} processing failed:`, error?.message || error);
+      await PaymentEvent.findByIdAndUpdate(paymentEvent._id, {
+        $set: { status: 'failed', lastError: error?.message || String(error) },
+        $inc: { attempts: 1 }
+      });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Replay refund events that were deferred until this payment was applied.
+   * Called by every fulfillment path (webhook, browser verification, sweeps).
+   * @param {string} reference - Payment reference
+   * @returns {Promise<number>} Events replayed
+   */
+  async replayDeferred(reference) {
+    if (!reference) return 0;
+    let replayed = 0;
+    try {
+      const deferred = await PaymentEvent.find({ reference, status: 'deferred', event: /^refund\./ }).sort({ createdAt: 1 });
+      for (const paymentEvent of deferred) {
+        // Claim it so a concurrent fulfillment does not replay it twice
+        const claimed = await PaymentEvent.findOneAndUpdate(
+          { _id: paymentEvent._id, status: 'deferred' },
+          { $set: { status: 'processing', processingStartedAt: new Date() } },
+          { new: true }
+        );
+        if (!claimed) continue;
+        await this.process(claimed, () => refundService.handleGatewayEvent(claimed.event, claimed.payload || {}));
+        replayed++;
+      }
+    } catch (err) {
+      console.error(`Replaying deferred payment events for ${reference} failed:`, err?.message || err);
+    }
+    return replayed;
+  }
+}
+
+export default new PaymentEventService();
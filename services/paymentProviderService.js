@@ -0,0 +1,91 @@
+import PlatformSettings from "../models/platformSettings.model.js";
+import paystackService from "./paystackService.js";
+import flutterwaveService from "./flutterwaveService.js";
+import createError from "../utils/createError.js";
+
+const PROVIDERS = {
+  paystack: paystackService,
+  flutterwave: flutterwaveService,
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Registry of payment provider adapters. Each adapter exposes the same
+// normalized interface (initializePayment, verifyPayment, refundPayment,
+// sendTransfer, verifyWebhook, parseWebhookEvent, resolveWebhookCharge).
+// Paystack also exposes chargeSavedAuthorization for recurring retainer billing.
+class PaymentProviderService {
+
+  get(name = "paystack") {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw createError(400, `Unknown payment provider: ${name}`);
+    }
+    return provider;
+  }
+
+  async getSettings() {
+    let settings = null;
+    try {
+      settings = await PlatformSettings.findOne().lean();
+    } catch (e) {
+      // keep fallbacks
+    }
+    return settings?.payments || new PlatformSettings().toObject().payments;
+  }
+
+  // Providers to try at checkout: the admin's default first, then the rest when failover is on
+  async providerOrder() {
+    const { defaultProvider = "paystack", failoverEnabled = true } = await this.getSettings();
+    const primary = PROVIDERS[defaultProvider] ? defaultProvider : "paystack";
+    const names = failoverEnabled
+      ? [primary, ...PROVIDER_NAMES.filter(name => name !== primary)]
+      : [primary];
+    return names.filter(name => PROVIDERS[name].isConfigured());
+  }
+
+  // Work out which provider issued a reference from its format
+  providerForReference(reference) {
+    return flutterwaveService.ownsReference(reference) ? flutterwaveService : paystackService;
+  }
+
+  /**
+   * Start a hosted checkout, failing over to the next provider if initialization errors
+   * @param {Object} params - { email, amount (Naira), baseReference, callbackUrl, metadata }
+   * @returns {Promise<Object>} { provider, reference, authorizationUrl, accessCode, failedProviders }
+   */
+  async initializeWithFailover({ email, amount, baseReference, callbackUrl, metadata = {} }) {
+    const names = await this.providerOrder();
+    if (names.length === 0) {
+      throw createError(503, "No payment provider is configured");
+    }
+
+    const failedProviders = [];
+    let lastError = null;
+    for (const name of names) {
+      const provider = PROVIDERS[name];
+      const reference = provider.formatReference(baseReference);
+      try {
+        const result = await provider.initializePayment({
+          email,
+          amount,
+          reference,
+          callbackUrl,
+          metadata: { ...metadata, provider: name },
+        });
+        if (failedProviders.length > 0) {
+          console.warn(`Checkout ${baseReference} failed over to ${name} after:`, failedProviders.map(f => f.provider).join(', '));
+        }
+        return { provider: name, ...result, reference: result.reference || reference, failedProviders };
+      } catch (err) {
+        lastError = err;
+        const message = err.response?.data?.message || err.message;
+        console.error(`${name} initialization error:`, err.response?.data || err.message);
+        failedProviders.push({ provider: name, message });
+      }
+    }
+    throw lastError;
+  }
+}
+
+export default new PaymentProviderService();
@@ -0,0 +1,337 @@
+import Withdrawal from "../models/withdrawal.model.js";
+import TransferRecipient from "../models/transferRecipient.model.js";
+import PlatformSettings from "../models/platformSettings.model.js";
+import WithdrawalLock from "../models/withdrawalLock.model.js";
+import paystackService from "./paystackService.js";
+import paymentProviderService from "./paymentProviderService.js";
+import ledgerService from "./ledgerService.js";
+import notificationService from "./notificationService.js";
+import createError from "../utils/createError.js";
+
+const BANK_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const WITHDRAWAL_LOCK_TTL_MS = 30 * 1000;
+
+// Withdrawal statuses that count against daily / monthly limits
+const COUNTED_STATUSES = ['pending', 'processing', 'completed'];
+
+// Seller payouts through Paystack Transfers: recipient management, withdrawal
+// limits and transfer initiation. Final outcomes arrive via the transfer webhooks.
+class PayoutService {
+  constructor() {
+    this.bankCache = { banks: null, fetchedAt: 0 };
+  }
+
+  async getSettings() {
+    let settings = null;
+    try {
+      settings = await PlatformSettings.findOne().lean();
+    } catch (e) {
+      // keep fallbacks
+    }
+    return settings || new PlatformSettings().toObject();
+  }
+
+  async listBanks() {
+    const { banks, fetchedAt } = this.bankCache;
+    if (banks && Date.now() - fetchedAt < BANK_CACHE_TTL_MS) return banks;
+
+    const fetched = await paystackService.listBanks();
+    const normalized = fetched
+      .filter(b => b.active !== false)
+      .map(b => ({ name: b.name, code: b.code, slug: b.slug }));
+    this.bankCache = { banks: normalized, fetchedAt: Date.now() };
+    return normalized;
+  }
+
+  // ===========================================
+  // RECIPIENTS
+  // ===========================================
+
+  async getRecipients(userId) {
+    return TransferRecipient.find({ userId: String(userId), active: true })
+      .sort({ isDefault: -1, createdAt: -1 });
+  }
+
+  /**
+   * Resolve a bank account and register it as a transfer recipient
+   * @param {string} userId - Seller id
+   * @param {Object} details - { accountNumber, bankCode }
+   * @returns {Promise<Object>} TransferRecipient document
+   */
+  async addRecipient(userId, { accountNumber, bankCode }) {
+    const number = String(accountNumber || '').trim();
+    if (!/^\d{10}$/.test(number)) {
+      throw createError(400, "Account number must be 10 digits");
+    }
+
+    const banks = await this.listBanks();
+    const bank = banks.find(b => b.code === String(bankCode));
+    if (!bank) {
+      throw createError(400, "Unsupported bank");
+    }
+
+    const existing = await TransferRecipient.findOne({ userId: String(userId), accountNumber: number, bankCode: bank.code, active: true });
+    if (existing) return existing;
+
+    let resolved;
+    try {
+      resolved = await paystackService.resolveAccount(number, bank.code);
+    } catch (err) {
+      if (err.response) {
+        throw createError(400, "Could not verify this bank account. Please check the account number and bank.");
+      }
+      throw err;
+    }
+
+    const recipient = await paystackService.createTransferRecipient({
+      name: resolved.account_name,
+      accountNumber: number,
+      bankCode: bank.code,
+      metadata: { userId: String(userId) }
+    });
+
+    const hasDefault = await TransferRecipient.exists({ userId: String(userId), active: true, isDefault: true });
+
+    return TransferRecipient.create({
+      userId: String(userId),
+      recipientCode: recipient.recipient_code,
+      accountNumber: number,
+      accountName: resolved.account_name,
+      bankCode: bank.code,
+      bankName: bank.name,
+      isDefault: !hasDefault
+    });
+  }
+
+  async setDefaultRecipient(userId, recipientId) {
+    const recipient = await TransferRecipient.findOne({ _id: recipientId, userId: String(userId), active: true });
+    if (!recipient) throw createError(404, "Payout account not found");
+
+    await TransferRecipient.updateMany({ userId: String(userId), _id: { $ne: recipient._id } }, { $set: { isDefault: false } });
+    recipient.isDefault = true;
+    await recipient.save();
+    return recipient;
+  }
+
+  async removeRecipient(userId, recipientId) {
+    const recipient = await TransferRecipient.findOne({ _id: recipientId, userId: String(userId), active: true });
+    if (!recipient) throw createError(404, "Payout account not found");
+
+    recipient.active = false;
+    const wasDefault = recipient.isDefault;
+    recipient.isDefault = false;
+    await recipient.save();
+
+    // Promote the most recent remaining account
+    if (wasDefault) {
+      await TransferRecipient.findOneAndUpdate(
+        { userId: String(userId), active: true },
+        { $set: { isDefault: true } },
+        { sort: { createdAt: -1 } }
+      );
+    }
+    return recipient;
+  }
+
+  // Recipient for a withdrawal: the one requested, otherwise the seller's default
+  async resolveRecipient(userId, recipientId) {
+    if (recipientId) {
+      const recipient = await TransferRecipient.findOne({ _id: recipientId, userId: String(userId), active: true });
+      if (!recipient) throw createError(404, "Payout account not found");
+      return recipient;
+    }
+    return TransferRecipient.findOne({ userId: String(userId), active: true, isDefault: true });
+  }
+
+  // ===========================================
+  // LIMITS
+  // ===========================================
+
+  async sumWithdrawalsSince(userId, since) {
+    const [row] = await Withdrawal.aggregate([
+      { $match: { freelancerId: String(userId), status: { $in: COUNTED_STATUSES }, createdAt: { $gte: since } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return row?.total || 0;
+  }
+
+  // Throws a 400 describing the first limit the amount would exceed
+  async checkWithdrawalLimits(userId, amount) {
+    const { limits = {} } = await this.getSettings();
+
+    if (limits.minimumWithdrawal && amount < limits.minimumWithdrawal) {
+      throw createError(400, `Minimum withdrawal amount is ₦${limits.minimumWithdrawal.toLocaleString()}`);
+    }
+    if (limits.maximumWithdrawal && amount > limits.maximumWithdrawal) {
+      throw createError(400, `Maximum withdrawal amount is ₦${limits.maximumWithdrawal.toLocaleString()} per request`);
+    }
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const startOfMonth = new Date(startOfDay);
+    startOfMonth.setDate(1);
+
+    const [today, thisMonth] = await Promise.all([
+      this.sumWithdrawalsSince(userId, startOfDay),
+      this.sumWithdrawalsSince(userId, startOfMonth)
+    ]);
+
+    if (limits.dailyWithdrawalLimit && today + amount > limits.dailyWithdrawalLimit) {
+      const remaining = Math.max(limits.dailyWithdrawalLimit - today, 0);
+      throw createError(400, `Daily withdrawal limit of ₦${limits.dailyWithdrawalLimit.toLocaleString()} reached. You can withdraw up to ₦${remaining.toLocaleString()} more today.`);
+    }
+    if (limits.monthlyWithdrawalLimit && thisMonth + amount > limits.monthlyWithdrawalLimit) {
+      const remaining = Math.max(limits.monthlyWithdrawalLimit - thisMonth, 0);
+      throw createError(400, `Monthly withdrawal limit of ₦${limits.monthlyWithdrawalLimit.toLocaleString()} reached. You can withdraw up to ₦${remaining.toLocaleString()} more this month.`);
+    }
+  }
+
+  /**
+   * Claim the seller's withdrawal lock. Limits are checked against saved
+   * withdrawals, so the check and the save must not interleave with another
+   * request from the same seller.
+   * @param {string} userId
+   * @returns {Promise<Object>} Lock to pass to releaseWithdrawalLock
+   */
+  async acquireWithdrawalLock(userId) {
+    const now = new Date();
+    let lock = null;
+    try {
+      lock = await WithdrawalLock.findOneAndUpdate(
+        { _id: String(userId), $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        { $set: { lockedUntil: new Date(now.getTime() + WITHDRAWAL_LOCK_TTL_MS) } },
+        { upsert: true, new: true }
+      );
+    } catch (err) {
+      // The upsert collided with a lock that is still held
+      if (err.code !== 11000) throw err;
+    }
+    if (!lock) throw createError(409, "Another withdrawal request is being processed. Please try again shortly.");
+    return lock;
+  }
+
+  async releaseWithdrawalLock(lock) {
+    try {
+      await WithdrawalLock.updateOne({ _id: lock._id, lockedUntil: lock.lockedUntil }, { $set: { lockedUntil: null } });
+    } catch (err) {
+      // It expires on its own
+      console.error(`Could not release withdrawal lock for ${lock._id}:`, err?.message || err);
+    }
+  }
+
+  async automaticPayoutsEnabled() {
+    const settings = await this.getSettings();
+    return settings.features?.automaticPayouts !== false && Boolean(paystackService.secretKey);
+  }
+
+  // ===========================================
+  // TRANSFERS
+  // ===========================================
+
+  /**
+   * Send a withdrawal to its recipient via its provider's transfer API
+   * @param {string} withdrawalId
+   * @param {Object} options - { retry } retry a transfer whose initiation outcome was unknown
+   * @returns {Promise<Object|null>} Updated withdrawal, or null if it was not eligible
+   */
+  async initiatePayout(withdrawalId, options = {}) {
+    // Claim the withdrawal so two callers can never start the same transfer
+    const claimFilter = options.retry
+      ? { _id: withdrawalId, status: 'processing', transferCode: { $exists: false } }
+      : { _id: withdrawalId, status: 'pending' };
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { ...claimFilter, recipientCode: { $exists: true } },
+      {
+        $set: { status: 'processing', transferReference: `wdr_${withdrawalId}` },
+        $inc: { transferAttempts: 1 }
+      },
+      { new: true }
+    );
+    if (!withdrawal) return null;
+
+    try {
+      const provider = paymentProviderService.get(withdrawal.provider || 'paystack');
+      const transfer = await provider.sendTransfer({
+        amount: withdrawal.netAmount,
+        recipient: {
+          recipientCode: withdrawal.recipientCode,
+          accountNumber: withdrawal.bankDetails?.accountNumber,
+          bankCode: withdrawal.bankDetails?.bankCode,
+          accountName: withdrawal.bankDetails?.accountName
+        },
+        reference: withdrawal.transferReference,
+        reason: `Withdrawal ${withdrawal.transactionReference}`
+      });
+
+      const updates = {
+        transferCode: transfer.transferCode,
+        paymentGatewayResponse: { event: 'transfer.initiated', ...transfer.raw }
+      };
+      if (transfer.status === 'success') {
+        updates.status = 'completed';
+        updates.processedAt = new Date();
+      } else if (['failed', 'reversed'].includes(transfer.status)) {
+        updates.status = 'failed';
+        updates.processedAt = new Date();
+        updates.failureReason = transfer.failureReason || `Transfer ${transfer.status}`;
+      }
+
+      const updated = await Withdrawal.findByIdAndUpdate(withdrawal._id, { $set: updates }, { new: true });
+      if (updates.status) await this.settlePayout(updated);
+      return updated;
+    } catch (err) {
+      if (!err.response) {
+        // Outcome unknown (network error). Keep it processing: the webhook or an
+        // admin retry with the same reference will settle it without double paying.
+        console.error(`Transfer initiation for withdrawal ${withdrawal._id} did not complete:`, err.message);
+        return Withdrawal.findByIdAndUpdate(
+          withdrawal._id,
+          { $set: { notes: `Transfer initiation outcome unknown: ${err.message}` } },
+          { new: true }
+        );
+      }
+
+      // The provider rejected the request, so no money moved
+      const updated = await Withdrawal.findByIdAndUpdate(
+        withdrawal._id,
+        {
+          $set: {
+            status: 'failed',
+            processedAt: new Date(),
+            failureReason: err.response.data?.message || 'Transfer could not be initiated',
+            paymentGatewayResponse: { event: 'transfer.initiate_failed', ...err.response.data }
+          }
+        },
+        { new: true }
+      );
+      await this.settlePayout(updated);
+      return updated;
+    }
+  }
+
+  // Post the ledger outcome of a finished transfer and tell the seller
+  async settlePayout(withdrawal) {
+    await ledgerService.tryPost('payout settlement', 'syncWithdrawal', withdrawal);
+    await this.notifyPayoutOutcome(withdrawal);
+  }
+
+  async notifyPayoutOutcome(withdrawal) {
+    try {
+      if (withdrawal.status === 'completed') {
+        await notificationService.notifyPayment(withdrawal.netAmount, withdrawal.freelancerId, 'processed');
+      } else if (withdrawal.status === 'failed') {
+        await notificationService.createUserNotification(
+          withdrawal.freelancerId,
+          'payment',
+          'Withdrawal Failed',
+          `Your withdrawal of ₦${withdrawal.amount.toLocaleString()} could not be completed and has been returned to your balance.`,
+          { priority: 'high' }
+        );
+      }
+    } catch (notifyError) {
+      console.log("Payout notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+}
+
+export default new PayoutService();
@@ -0,0 +1,281 @@
+import axios from "axios";
+import crypto from "crypto";
+
+const PAYSTACK_BASE_URL = "https://api.paystack.co";
+
+class PaystackService {
+  constructor() {
+    this.baseUrl = PAYSTACK_BASE_URL;
+  }
+
+  // Read the key lazily so dotenv has loaded by the time we need it
+  get secretKey() {
+    return process.env.PAYSTACK_SECRET_KEY;
+  }
+
+  headers() {
+    return {
+      Authorization: `Bearer ${this.secretKey}`,
+      "Content-Type": "application/json",
+    };
+  }
+
+  // Initialize a hosted checkout transaction (amount in Naira)
+  async initializeTransaction({ email, amount, reference, callbackUrl, metadata = {} }) {
+    const response = await axios.post(
+      `${this.baseUrl}/transaction/initialize`,
+      {
+        email,
+        amount: Math.round(amount * 100), // Paystack uses kobo
+        reference,
+        callback_url: callbackUrl,
+        metadata,
+      },
+      { headers: this.headers() }
+    );
+    return response.data;
+  }
+
+  // Fetch the authoritative transaction record for a reference
+  async verifyTransaction(reference) {
+    const response = await axios.get(
+      `${this.baseUrl}/transaction/verify/${encodeURIComponent(reference)}`,
+      { headers: this.headers() }
+    );
+    return response.data?.data;
+  }
+
+  // Refund a captured transaction to the original payment method (amount in Naira)
+  async createRefund({ reference, amount, customerNote, merchantNote }) {
+    const response = await axios.post(
+      `${this.baseUrl}/refund`,
+      {
+        transaction: reference,
+        amount: Math.round(amount * 100),
+        currency: "NGN",
+        customer_note: customerNote,
+        merchant_note: merchantNote,
+      },
+      { headers: this.headers() }
+    );
+    return response.data?.data; // { id, status, amount, ... }
+  }
+
+  // Charge a card saved from an earlier transaction (amount in Naira)
+  async chargeAuthorization({ email, amount, authorizationCode, reference, metadata = {} }) {
+    const response = await axios.post(
+      `${this.baseUrl}/transaction/charge_authorization`,
+      {
+        email,
+        amount: Math.round(amount * 100),
+        authorization_code: authorizationCode,
+        reference,
+        metadata,
+      },
+      { headers: this.headers() }
+    );
+    return response.data?.data; // Same shape as a verified transaction
+  }
+
+  // ===========================================
+  // TRANSFERS (seller payouts)
+  // ===========================================
+
+  // Nigerian banks that support transfers ({ name, code, ... })
+  async listBanks() {
+    const response = await axios.get(`${this.baseUrl}/bank`, {
+      headers: this.headers(),
+      params: { country: "nigeria", currency: "NGN", perPage: 100 },
+    });
+    return response.data?.data || [];
+  }
+
+  // Confirm an account exists and return its registered name
+  async resolveAccount(accountNumber, bankCode) {
+    const response = await axios.get(`${this.baseUrl}/bank/resolve`, {
+      headers: this.headers(),
+      params: { account_number: accountNumber, bank_code: bankCode },
+    });
+    return response.data?.data; // { account_number, account_name, bank_id }
+  }
+
+  async createTransferRecipient({ name, accountNumber, bankCode, metadata = {} }) {
+    const response = await axios.post(
+      `${this.baseUrl}/transferrecipient`,
+      {
+        type: "nuban",
+        name,
+        account_number: accountNumber,
+        bank_code: bankCode,
+        currency: "NGN",
+        metadata,
+      },
+      { headers: this.headers() }
+    );
+    return response.data?.data; // { recipient_code, details, ... }
+  }
+
+  // Start a transfer (amount in Naira). The reference makes retries idempotent on Paystack's side.
+  async initiateTransfer({ amount, recipientCode, reference, reason }) {
+    const response = await axios.post(
+      `${this.baseUrl}/transfer`,
+      {
+        source: "balance",
+        amount: Math.round(amount * 100),
+        recipient: recipientCode,
+        reference,
+        reason,
+      },
+      { headers: this.headers() }
+    );
+    return response.data?.data; // { transfer_code, status, reference, ... }
+  }
+
+  /**
+   * Validate the x-paystack-signature header of a webhook delivery
+   * @param {Buffer|string} rawBody - The unparsed request body
+   * @param {string} signature - Value of the x-paystack-signature header
+   * @returns {boolean}
+   */
+  verifyWebhookSignature(rawBody, signature) {
+    if (!rawBody || !signature || !this.secretKey) return false;
+
+    const expected = crypto
+      .createHmac("sha512", this.secretKey)
+      .update(rawBody)
+      .digest("hex");
+
+    const expectedBuf = Buffer.from(expected, "hex");
+    let providedBuf;
+    try {
+      providedBuf = Buffer.from(String(signature), "hex");
+    } catch (_) {
+      return false;
+    }
+    if (providedBuf.length !== expectedBuf.length) return false;
+    return crypto.timingSafeEqual(expectedBuf, providedBuf);
+  }
+
+  // ===========================================
+  // PROVIDER ADAPTER
+  // Normalized interface shared with the other payment providers
+  // (see paymentProviderService). Amounts are in Naira throughout.
+  // ===========================================
+
+  get name() {
+    return "paystack";
+  }
+
+  isConfigured() {
+    return Boolean(this.secretKey);
+  }
+
+  // Paystack references are used as generated
+  formatReference(base) {
+    return base;
+  }
+
+  async initializePayment({ email, amount, reference, callbackUrl, metadata = {} }) {
+    const response = await this.initializeTransaction({ email, amount, reference, callbackUrl, metadata });
+    return {
+      authorizationUrl: response.data?.authorization_url,
+      accessCode: response.data?.access_code,
+      reference: response.data?.reference || reference,
+      raw: response.data,
+    };
+  }
+
+  async verifyPayment(reference) {
+    const transaction = await this.verifyTransaction(reference);
+    return transaction ? this.normalizeTransaction(transaction) : null;
+  }
+
+  normalizeTransaction(data) {
+    return {
+      provider: this.name,
+      reference: data.reference,
+      status: data.status, // success | failed | abandoned | ...
+      amount: (Number(data.amount) || 0) / 100,
+      currency: data.currency || "NGN",
+      metadata: data.metadata || {},
+      paidAt: data.paid_at || data.paidAt || null,
+      providerTransactionId: data.id ? String(data.id) : undefined,
+      // Card details for recurring charges (only reusable authorizations can be charged again)
+      authorization: data.authorization?.authorization_code
+        ? {
+            code: data.authorization.authorization_code,
+            reusable: Boolean(data.authorization.reusable),
+            signature: data.authorization.signature,
+            last4: data.authorization.last4,
+            cardType: data.authorization.card_type,
+            bank: data.authorization.bank,
+            expMonth: data.authorization.exp_month,
+            expYear: data.authorization.exp_year,
+          }
+        : undefined,
+      raw: data,
+    };
+  }
+
+  // Recurring charge without the buyer present; returns a normalized transaction
+  async chargeSavedAuthorization({ email, amount, authorizationCode, reference, metadata = {} }) {
+    const charge = await this.chargeAuthorization({ email, amount, authorizationCode, reference, metadata });
+    return this.normalizeTransaction({ reference, metadata, ...charge });
+  }
+
+  async refundPayment({ reference, amount, reason, note }) {
+    const refund = await this.createRefund({ reference, amount, customerNote: reason, merchantNote: note });
+    return { id: refund?.id ? String(refund.id) : undefined, status: refund?.status, raw: refund };
+  }
+
+  async sendTransfer({ amount, recipient = {}, reference, reason }) {
+    const transfer = await this.initiateTransfer({
+      amount,
+      recipientCode: recipient.recipientCode,
+      reference,
+      reason,
+    });
+    return {
+      transferCode: transfer?.transfer_code,
+      status: transfer?.status, // success | pending | otp | failed | reversed
+      failureReason: transfer?.gateway_response,
+      raw: transfer,
+    };
+  }
+
+  verifyWebhook(req) {
+    return this.verifyWebhookSignature(req.rawBody, req.headers["x-paystack-signature"]);
+  }
+
+  // Map a webhook body to { event, eventKey, reference, data } with a refund
+  // payload of { id, reference, amount, status, reason }
+  parseWebhookEvent(body = {}) {
+    const { event, data } = body;
+    if (!event || !data) return null;
+
+    const id = data.id || data.refund_reference || data.transfer_code || data.reference || data.transaction_reference;
+    const parsed = { event, eventKey: `paystack:${event}:${id}`, reference: data.reference, data };
+
+    if (event.startsWith("refund.")) {
+      parsed.reference = data.transaction_reference || data.transaction?.reference;
+      parsed.data = {
+        id: data.id ? String(data.id) : undefined,
+        reference: parsed.reference,
+        amount: (Number(data.amount) || 0) / 100,
+        status: data.status,
+        reason: data.reason || data.merchant_note,
+        raw: data,
+      };
+    } else if (event.startsWith("transfer.")) {
+      parsed.data = { ...data, reason: data.reason || data.gateway_response };
+    }
+    return parsed;
+  }
+
+  // Paystack signs the full body, so the charge in the webhook is authoritative
+  async resolveWebhookCharge(data) {
+    return this.normalizeTransaction(data);
+  }
+}
+
+export default new PaystackService();
@@ -0,0 +1,631 @@
+import Order from "../models/order.model.js";
+import Refund from "../models/refund.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import ledgerService, { roundMoney } from "./ledgerService.js";
+import notificationService from "./notificationService.js";
+import createError from "../utils/createError.js";
+
+const RELEASED_MILESTONE_STATUSES = ['approved', 'paid'];
+
+// Refunds to the buyer's original payment method. Escrow is settled when the
+// refund is issued (remainder of a partial refund goes to the seller); the cash
+// leg is posted when the gateway confirms the refund was processed.
+class RefundService {
+
+  /**
+   * Issue a full or partial refund for an order
+   * @param {Object} order - Order document
+   * @param {Object} options - { amount, reason, description, processedBy, adminNotes, source, refund (existing Refund), orderUpdates }
+   * @returns {Promise<{order: Object, refund: Object}>}
+   */
+  async issueRefund(order, options = {}) {
+    if (order.fundingMode === 'per_milestone') {
+      return this.issueMilestoneRefunds(order, options);
+    }
+
+    const amount = roundMoney(options.amount ?? order.price);
+    if (!(amount > 0) || amount - order.price > 0.005) {
+      throw createError(400, "Invalid refund amount");
+    }
+    if (order.escrowStatus === 'refunded') {
+      throw createError(400, "Order has already been refunded");
+    }
+    if (order.escrowStatus === 'released') {
+      throw createError(400, "Funds for this order were already released to the seller");
+    }
+
+    const orderUpdates = options.orderUpdates || {};
+    const previous = {
+      status: order.status,
+      escrowStatus: order.escrowStatus,
+      refundAmount: order.refundAmount || 0
+    };
+    Object.keys(orderUpdates).forEach(key => { previous[key] = order[key] ?? null; });
+
+    // Claim the order first so concurrent requests can never refund it twice
+    const claimedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, escrowStatus: order.escrowStatus },
+      { $set: { ...orderUpdates, status: 'cancelled', escrowStatus: 'refunded', refundAmount: amount } },
+      { new: true }
+    );
+    if (!claimedOrder) {
+      throw createError(409, "This order was updated by another request. Please reload and try again.");
+    }
+
+    const now = new Date();
+    const refundFields = {
+      amount,
+      status: 'processing',
+      processedAt: now,
+      ...(options.processedBy && { processedBy: options.processedBy }),
+      ...(options.adminNotes && { adminNotes: options.adminNotes })
+    };
+    const refund = options.refund
+      ? await Refund.findByIdAndUpdate(options.refund._id, { $set: refundFields }, { new: true })
+      : await Refund.create({
+          orderId: order._id,
+          buyerId: String(order.buyerId?._id || order.buyerId),
+          sellerId: String(order.sellerId?._id || order.sellerId),
+          reason: options.reason || 'Refund',
+          description: options.description || options.reason,
+          source: options.source || 'admin',
+          priority: 'medium',
+          refundMethod: 'original_payment',
+          requestedAt: now,
+          ...refundFields
+        });
+
+    const provider = paymentProviderService.get(order.provider || 'paystack');
+    let gatewayRefund = null;
+    try {
+      gatewayRefund = await provider.refundPayment({
+        reference: order.reference,
+        amount,
+        reason: options.reason,
+        note: `Refund ${refund._id}`
+      });
+    } catch (err) {
+      if (err.response) {
+        // Gateway rejected the refund, so no money moved: put the order back
+        const message = err.response.data?.message || 'Refund rejected by payment gateway';
+        await Order.findByIdAndUpdate(order._id, { $set: previous });
+        await Refund.findByIdAndUpdate(refund._id, {
+          $set: { status: 'failed', failureReason: message, gatewayResponse: err.response.data }
+        });
+        throw createError(502, `Refund could not be issued: ${message}`);
+      }
+      // Outcome unknown. Gateway refunds are not idempotent, so never retry blindly;
+      // the refund webhook (or a manual check) settles it.
+      console.error(`Refund ${refund._id} outcome unknown:`, err.message);
+    }
+
+    const split = await ledgerService.tryPost('refund', 'recordRefundSplit', claimedOrder, amount, { key: `refund:${refund._id}`, refundId: refund._id });
+
+    const refundUpdates = {
+      sellerReleaseAmount: split ? split.released : roundMoney(order.price - amount)
+    };
+    if (gatewayRefund) {
+      if (gatewayRefund.id) refundUpdates.transactionId = gatewayRefund.id;
+      refundUpdates.gatewayStatus = gatewayRefund.status;
+      refundUpdates.gatewayResponse = gatewayRefund.raw;
+    } else {
+      refundUpdates.failureReason = `Gateway outcome unknown; check the ${provider.name} dashboard before retrying`;
+    }
+
+    let updatedRefund = await Refund.findByIdAndUpdate(refund._id, { $set: refundUpdates }, { new: true });
+    if (gatewayRefund?.status === 'processed') {
+      updatedRefund = await this.markProcessed(updatedRefund, claimedOrder);
+    }
+
+    return { order: claimedOrder, refund: updatedRefund };
+  }
+
+  // ===========================================
+  // PER-MILESTONE REFUNDS
+  // ===========================================
+
+  // Milestones of a per-milestone order that are paid for but not yet released to the seller
+  refundableMilestones(order) {
+    return (order.milestones || [])
+      .map((milestone, index) => ({ milestone, index }))
+      .filter(({ milestone }) => milestone.fundingStatus === 'funded' && !RELEASED_MILESTONE_STATUSES.includes(milestone.status));
+  }
+
+  /**
+   * Stop a per-milestone order, refunding each funded, unreleased milestone
+   * through the payment that funded it. Partial amounts are not supported:
+   * a milestone is refunded in full or not at all.
+   * @param {Object} order - Order document (fundingMode 'per_milestone')
+   * @param {Object} options - Same as issueRefund; amount, if given, must equal the refundable total
+   * @returns {Promise<{order: Object, refund: Object|null, refunds: Object[], amount: number}>}
+   */
+  async issueMilestoneRefunds(order, options = {}) {
+    const refundable = this.refundableMilestones(order);
+    // A stopped order keeps milestones whose refund the gateway rejected; an admin retries those
+    const isRetry = order.status === 'cancelled';
+    if (isRetry && refundable.length === 0) {
+      throw createError(400, "Order has already been cancelled");
+    }
+
+    const amount = roundMoney(refundable.reduce((sum, { milestone }) => sum + milestone.amount, 0));
+    if (options.amount !== undefined && options.amount !== null && Math.abs(roundMoney(options.amount) - amount) > 0.005) {
+      throw createError(400, `Milestone-funded orders are refunded per milestone. The refundable amount is ₦${amount.toLocaleString()}.`);
+    }
+
+    const orderUpdates = options.orderUpdates || {};
+    const previous = {
+      status: order.status,
+      escrowStatus: order.escrowStatus,
+      refundAmount: order.refundAmount || 0
+    };
+    Object.keys(orderUpdates).forEach(key => { previous[key] = order[key] ?? null; });
+
+    // With nothing left in escrow the seller has been paid for everything delivered
+    const now = new Date();
+    const claimUpdates = {
+      ...orderUpdates,
+      status: 'cancelled',
+      escrowStatus: amount > 0 || isRetry ? 'refunded' : 'released',
+      refundAmount: roundMoney((isRetry ? order.refundAmount || 0 : 0) + amount)
+    };
+    refundable.forEach(({ index }) => {
+      claimUpdates[`milestones.${index}.fundingStatus`] = 'refunded';
+      claimUpdates[`milestones.${index}.refundedAt`] = now;
+    });
+
+    const claimedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, escrowStatus: order.escrowStatus, status: order.status },
+      { $set: claimUpdates },
+      { new: true }
+    );
+    if (!claimedOrder) {
+      throw createError(409, "This order was updated by another request. Please reload and try again.");
+    }
+
+    // An existing Refund goes with the milestone it was created for
+    const refundIndex = options.refund && refundable.some(({ index }) => index === options.refund.milestoneIndex)
+      ? options.refund.milestoneIndex
+      : refundable[0]?.index;
+    const refunds = [];
+    const rejected = [];
+    for (const { milestone, index } of refundable) {
+      const result = await this.refundMilestone(claimedOrder, index, {
+        ...options,
+        refund: index === refundIndex ? options.refund : undefined
+      });
+      if (result.rejected) rejected.push({ index, milestone, message: result.message });
+      refunds.push(result.refund);
+    }
+
+    if (refundable.length > 0 && rejected.length === refundable.length) {
+      // Nothing moved at all: put the order back exactly as it was
+      const revert = { ...previous };
+      refundable.forEach(({ index }) => {
+        revert[`milestones.${index}.fundingStatus`] = 'funded';
+        revert[`milestones.${index}.refundedAt`] = null;
+      });
+      await Order.findByIdAndUpdate(order._id, { $set: revert });
+      throw createError(502, `Refund could not be issued: ${rejected[0].message}`);
+    }
+
+    let updatedOrder;
+    if (rejected.length > 0) {
+      // Those milestones are still held in escrow until an admin retries them
+      const stillFunded = {};
+      rejected.forEach(({ index }) => {
+        stillFunded[`milestones.${index}.fundingStatus`] = 'funded';
+        stillFunded[`milestones.${index}.refundedAt`] = null;
+      });
+      const notRefunded = rejected.reduce((sum, r) => sum + r.milestone.amount, 0);
+      updatedOrder = await Order.findByIdAndUpdate(
+        order._id,
+        { $set: { ...stillFunded, refundAmount: roundMoney(claimUpdates.refundAmount - notRefunded) } },
+        { new: true }
+      );
+    } else {
+      updatedOrder = await Order.findById(order._id);
+    }
+
+    return { order: updatedOrder, refund: refunds[0] || null, refunds, amount };
+  }
+
+  // Refund one milestone through the payment reference that funded it
+  async refundMilestone(order, index, options = {}) {
+    const milestone = order.milestones[index];
+    const amount = roundMoney(milestone.amount);
+    const now = new Date();
+    const refundFields = {
+      amount,
+      milestoneIndex: index,
+      status: 'processing',
+      processedAt: now,
+      ...(options.processedBy && { processedBy: options.processedBy }),
+      ...(options.adminNotes && { adminNotes: options.adminNotes })
+    };
+    const refund = options.refund
+      ? await Refund.findByIdAndUpdate(options.refund._id, { $set: refundFields }, { new: true })
+      : await Refund.create({
+          orderId: order._id,
+          buyerId: String(order.buyerId?._id || order.buyerId),
+          sellerId: String(order.sellerId?._id || order.sellerId),
+          reason: options.reason || 'Refund',
+          description: options.description || options.reason,
+          source: options.source || 'admin',
+          priority: 'medium',
+          refundMethod: 'original_payment',
+          requestedAt: now,
+          ...refundFields
+        });
+
+    const provider = paymentProviderService.get(milestone.fundingProvider || order.provider || 'paystack');
+    let gatewayRefund = null;
+    try {
+      gatewayRefund = await provider.refundPayment({
+        reference: milestone.fundingReference,
+        amount,
+        reason: options.reason,
+        note: `Refund ${refund._id} (milestone ${index + 1})`
+      });
+    } catch (err) {
+      if (err.response) {
+        const message = err.response.data?.message || 'Refund rejected by payment gateway';
+        const failed = await Refund.findByIdAndUpdate(refund._id, {
+          $set: { status: 'failed', failureReason: message, gatewayResponse: err.response.data }
+        }, { new: true });
+        return { refund: failed, rejected: true, message };
+      }
+      console.error(`Refund ${refund._id} outcome unknown:`, err.message);
+    }
+
+    await ledgerService.tryPost('milestone refund', 'recordRefund', order, amount, { key: `refund:${refund._id}`, refundId: refund._id });
+
+    const refundUpdates = {};
+    if (gatewayRefund) {
+      if (gatewayRefund.id) refundUpdates.transactionId = gatewayRefund.id;
+      refundUpdates.gatewayStatus = gatewayRefund.status;
+      refundUpdates.gatewayResponse = gatewayRefund.raw;
+    } else {
+      refundUpdates.failureReason = `Gateway outcome unknown; check the ${provider.name} dashboard before retrying`;
+    }
+    await Order.updateOne({ _id: order._id }, { $set: { [`milestones.${index}.refundId`]: String(refund._id) } });
+
+    let updatedRefund = await Refund.findByIdAndUpdate(refund._id, { $set: refundUpdates }, { new: true });
+    if (gatewayRefund?.status === 'processed') {
+      updatedRefund = await this.markProcessed(updatedRefund, order);
+    }
+    return { refund: updatedRefund, rejected: false };
+  }
+
+  // ===========================================
+  // RETRIES
+  // ===========================================
+
+  // A refund that failed at the gateway after escrow was settled: the order is
+  // already refunded in our books and only the gateway payment is missing
+  isSettledFromEscrow(refund, order) {
+    if (refund.milestoneIndex !== undefined && refund.milestoneIndex !== null) {
+      return order.milestones?.[refund.milestoneIndex]?.fundingStatus === 'refunded';
+    }
+    return order.escrowStatus === 'refunded';
+  }
+
+  /**
+   * Send a failed refund through the gateway again. Refunds rejected straight
+   * away left the order as it was and are simply issued again; refunds that
+   * failed later (refund.failed webhook) have already settled escrow, so only
+   * the gateway payment is repeated. Refunds of payments that were never
+   * applied to the order only repeat the gateway payment as well.
+   * @param {Object} refund - Failed (or pending) Refund
+   * @param {Object} order - Its order
+   * @param {Object} options - { processedBy, adminNotes }
+   * @returns {Promise<{order: Object, refund: Object}>}
+   */
+  async retryRefund(refund, order, options = {}) {
+    if (refund.paymentReference) {
+      return this.retryUnappliedRefund(refund, order, options);
+    }
+    const isMilestone = refund.milestoneIndex !== undefined && refund.milestoneIndex !== null;
+    // Milestone the gateway rejected when the order was stopped: refund just that one
+    if (isMilestone && refund.status === 'failed' && order.status === 'cancelled' && !this.isSettledFromEscrow(refund, order)) {
+      return this.retryMilestoneRefund(refund, order, options);
+    }
+    if (refund.status !== 'failed' || !this.isSettledFromEscrow(refund, order)) {
+      return this.issueRefund(order, {
+        // Per-milestone orders are refunded milestone by milestone; the Refund keeps its milestoneIndex
+        amount: isMilestone ? undefined : refund.amount,
+        reason: refund.reason,
+        refund,
+        ...options,
+        orderUpdates: options.adminNotes ? { adminNotes: options.adminNotes } : undefined
+      });
+    }
+
+    const milestone = isMilestone ? order.milestones[refund.milestoneIndex] : null;
+
+    // Claim the failed refund so two retries can never both reach the gateway
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'failed' },
+      {
+        $set: {
+          status: 'processing',
+          processedAt: new Date(),
+          ...(options.processedBy && { processedBy: options.processedBy }),
+          ...(options.adminNotes && { adminNotes: options.adminNotes })
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) throw createError(409, "This refund was updated by another request. Please reload and try again.");
+
+    const provider = paymentProviderService.get((isMilestone && milestone.fundingProvider) || order.provider || 'paystack');
+    let gatewayRefund = null;
+    try {
+      gatewayRefund = await provider.refundPayment({
+        reference: isMilestone ? milestone.fundingReference : order.reference,
+        amount: refund.amount,
+        reason: refund.reason,
+        note: `Refund ${refund._id} (retry)`
+      });
+    } catch (err) {
+      if (err.response) {
+        const message = err.response.data?.message || 'Refund rejected by payment gateway';
+        await Refund.findByIdAndUpdate(refund._id, {
+          $set: { status: 'failed', failureReason: message, gatewayResponse: err.response.data }
+        });
+        throw createError(502, `Refund could not be issued: ${message}`);
+      }
+      console.error(`Refund ${refund._id} retry outcome unknown:`, err.message);
+    }
+
+    const refundUpdates = gatewayRefund
+      ? {
+          ...(gatewayRefund.id && { transactionId: gatewayRefund.id }),
+          gatewayStatus: gatewayRefund.status,
+          gatewayResponse: gatewayRefund.raw
+        }
+      : { failureReason: `Gateway outcome unknown; check the ${provider.name} dashboard before retrying` };
+    let updatedRefund = await Refund.findByIdAndUpdate(
+      refund._id,
+      { $set: refundUpdates, ...(gatewayRefund && { $unset: { failureReason: 1 } }) },
+      { new: true }
+    );
+    if (gatewayRefund?.status === 'processed') {
+      updatedRefund = await this.markProcessed(updatedRefund, order);
+    }
+    return { order, refund: updatedRefund };
+  }
+
+  // Refund one still-funded milestone of a stopped order through its own Refund
+  async retryMilestoneRefund(refund, order, options = {}) {
+    const index = refund.milestoneIndex;
+    const milestone = order.milestones?.[index];
+    if (milestone?.fundingStatus !== 'funded') {
+      throw createError(400, "This milestone is no longer held in escrow");
+    }
+
+    const fundingPath = `milestones.${index}.fundingStatus`;
+    const claimedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, [fundingPath]: 'funded' },
+      {
+        $set: { [fundingPath]: 'refunded', [`milestones.${index}.refundedAt`]: new Date() },
+        $inc: { refundAmount: roundMoney(milestone.amount) }
+      },
+      { new: true }
+    );
+    if (!claimedOrder) {
+      throw createError(409, "This order was updated by another request. Please reload and try again.");
+    }
+
+    const result = await this.refundMilestone(claimedOrder, index, {
+      reason: refund.reason,
+      ...options,
+      refund
+    });
+    if (result.rejected) {
+      await Order.findByIdAndUpdate(order._id, {
+        $set: { [fundingPath]: 'funded', [`milestones.${index}.refundedAt`]: null },
+        $inc: { refundAmount: -roundMoney(milestone.amount) }
+      });
+      throw createError(502, `Refund could not be issued: ${result.message}`);
+    }
+    return { order: await Order.findById(order._id), refund: result.refund };
+  }
+
+  // A payment that was never applied to the order (duplicate or late): it never
+  // reached escrow, so only the gateway refund is repeated
+  async retryUnappliedRefund(refund, order, options = {}) {
+    if (refund.status !== 'failed') {
+      throw createError(400, `Refund is already ${refund.status}`);
+    }
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'failed' },
+      {
+        $set: {
+          status: 'processing',
+          processedAt: new Date(),
+          ...(options.processedBy && { processedBy: options.processedBy }),
+          ...(options.adminNotes && { adminNotes: options.adminNotes })
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) throw createError(409, "This refund was updated by another request. Please reload and try again.");
+
+    const provider = paymentProviderService.get(refund.paymentProvider || order.provider || 'paystack');
+    let gatewayRefund = null;
+    try {
+      gatewayRefund = await provider.refundPayment({
+        reference: refund.paymentReference,
+        amount: refund.amount,
+        reason: refund.reason,
+        note: `Refund ${refund._id} (retry)`
+      });
+    } catch (err) {
+      if (err.response) {
+        const message = err.response.data?.message || 'Refund rejected by payment gateway';
+        await Refund.findByIdAndUpdate(refund._id, {
+          $set: { status: 'failed', failureReason: message, gatewayResponse: err.response.data }
+        });
+        throw createError(502, `Refund could not be issued: ${message}`);
+      }
+      console.error(`Refund ${refund._id} retry outcome unknown:`, err.message);
+    }
+
+    const refundUpdates = gatewayRefund
+      ? {
+          ...(gatewayRefund.id && { transactionId: gatewayRefund.id }),
+          gatewayStatus: gatewayRefund.status,
+          gatewayResponse: gatewayRefund.raw
+        }
+      : { failureReason: `Gateway outcome unknown; check the ${provider.name} dashboard before retrying` };
+    let updatedRefund = await Refund.findByIdAndUpdate(
+      refund._id,
+      { $set: refundUpdates, ...(gatewayRefund && { $unset: { failureReason: 1 } }) },
+      { new: true }
+    );
+    if (gatewayRefund?.status === 'processed') {
+      updatedRefund = await this.markProcessed(updatedRefund, order);
+    }
+    return { order, refund: updatedRefund };
+  }
+
+  // Gateway confirmed the money reached the buyer
+  async markProcessed(refund, order, gatewayData = null) {
+    // Unapplied payments never entered the ledger, so there is nothing to pay
+    // out of. Otherwise the payout waits in the retry queue until the refund's
+    // own entry has been posted.
+    if (!refund.paymentReference) {
+      await ledgerService.tryPost('refund payout', 'recordRefundPayout', order, refund.amount, {
+        key: `refund:${refund._id}:payout`,
+        refundId: refund._id,
+        afterKey: `refund:${refund._id}`
+      });
+    }
+
+    if (refund.status === 'completed') return refund;
+
+    const updated = await Refund.findByIdAndUpdate(
+      refund._id,
+      {
+        $set: {
+          status: 'completed',
+          gatewayStatus: 'processed',
+          ...(gatewayData?.raw && { gatewayResponse: gatewayData.raw }),
+          ...(gatewayData?.id && !refund.transactionId && { transactionId: gatewayData.id })
+        },
+        $unset: { failureReason: 1 }
+      },
+      { new: true }
+    );
+
+    try {
+      await notificationService.createUserNotification(
+        refund.buyerId,
+        'payment',
+        'Refund Processed',
+        `₦${refund.amount.toLocaleString()} for "${order.title}" has been refunded to your original payment method.`,
+        { priority: 'medium' }
+      );
+    } catch (notifyError) {
+      console.log("Refund notification dispatch failed:", notifyError?.message || notifyError);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply a refund.* webhook event
+   * @param {string} event - refund.processed | refund.failed | refund.pending | refund.processing
+   * @param {Object} data - Normalized refund ({ id, reference, amount (Naira), status, reason, raw })
+   * @returns {Promise<{status: string, result: Object}>} processed | deferred | ignored
+   */
+  async handleGatewayEvent(event, data) {
+    let refund = data.id ? await Refund.findOne({ transactionId: data.id }) : null;
+    // Refunds of unapplied payments carry a reference no order has
+    if (!refund && data.reference) {
+      refund = await Refund.findOne({ paymentReference: data.reference });
+    }
+    // A known refund identifies its order; otherwise go by the payment reference
+    let order = refund ? await Order.findById(refund.orderId) : null;
+    if (!order && data.reference) {
+      order = await Order.findOne({ $or: [{ reference: data.reference }, { 'milestones.fundingReference': data.reference }] });
+    }
+    if (!order) {
+      if (!data.reference) return { status: 'ignored', result: { reason: 'refund is not linked to a known payment' } };
+      // Refund arrived before the charge was fulfilled; replay once the order exists
+      return { status: 'deferred', result: { reason: 'order not found yet' } };
+    }
+
+    if (!refund) {
+      refund = await Refund.findOne(
+        { orderId: order._id, status: 'processing' },
+        null,
+        { sort: { requestedAt: -1 } }
+      );
+    }
+
+    if (event === 'refund.processed') {
+      if (!refund) {
+        refund = await this.recordExternalRefund(order, data);
+        if (!refund) return { status: 'ignored', result: { reason: 'order already settled' } };
+      }
+      const updated = await this.markProcessed(refund, order, data);
+      return { status: 'processed', result: { orderId: order._id, refundId: updated._id } };
+    }
+
+    if (!refund) {
+      return { status: 'ignored', result: { reason: 'no refund record for this event' } };
+    }
+
+    if (event === 'refund.failed') {
+      // Escrow stays settled: the buyer is still owed this money and an admin
+      // retries the gateway payment (retryRefund)
+      await Refund.findByIdAndUpdate(refund._id, {
+        $set: {
+          status: 'failed',
+          gatewayStatus: 'failed',
+          gatewayResponse: data.raw,
+          failureReason: data.reason || 'Refund failed at the payment gateway'
+        }
+      });
+      return { status: 'processed', result: { orderId: order._id, refundId: refund._id, failed: true } };
+    }
+
+    // refund.pending / refund.processing: progress only
+    await Refund.findByIdAndUpdate(refund._id, { $set: { gatewayStatus: data.status || event.split('.')[1], gatewayResponse: data.raw } });
+    return { status: 'processed', result: { orderId: order._id, refundId: refund._id } };
+  }
+
+  // Refund issued directly from the gateway dashboard: bring our records in line
+  async recordExternalRefund(order, data) {
+    if (order.escrowStatus === 'released') return null;
+    // Milestone refunds are issued one funding reference at a time from issueMilestoneRefunds
+    if (order.fundingMode === 'per_milestone') return null;
+    if (order.escrowStatus === 'refunded' && await Refund.exists({ orderId: order._id, status: 'completed' })) return null;
+    const amount = roundMoney(Number(data.amount) || 0) || order.price;
+
+    const refund = await Refund.create({
+      orderId: order._id,
+      buyerId: order.buyerId,
+      sellerId: order.sellerId,
+      amount,
+      reason: 'Refunded from payment gateway',
+      source: 'admin',
+      status: 'processing',
+      processedAt: new Date(),
+      transactionId: data.id,
+      gatewayStatus: data.status,
+      gatewayResponse: data.raw
+    });
+
+    if (order.escrowStatus !== 'refunded') {
+      await Order.findByIdAndUpdate(order._id, {
+        $set: { status: 'cancelled', escrowStatus: 'refunded', refundAmount: amount }
+      });
+    }
+    await ledgerService.tryPost('external refund', 'recordRefundSplit', order, amount, { key: `refund:${refund._id}`, refundId: refund._id });
+    return refund;
+  }
+}
+
+export default new RefundService();
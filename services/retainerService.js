@@ -0,0 +1,556 @@
+import crypto from "crypto";
+import Retainer from "../models/retainer.model.js";
+import Order from "../models/order.model.js";
+import Gig from "../models/gig.model.js";
+import CheckoutSession from "../models/checkoutSession.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import checkoutSessionService from "./checkoutSessionService.js";
+import orderFulfillmentService from "./orderFulfillmentService.js";
+import refundService from "./refundService.js";
+import feeService from "./feeService.js";
+import notificationService from "./notificationService.js";
+import socketService from "./socketService.js";
+import { roundMoney } from "./ledgerService.js";
+import createError from "../utils/createError.js";
+import { checkTransactionLimit } from "../utils/transactionLimits.js";
+
+const BATCH_SIZE = 50;
+const MAX_CHARGE_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+const BILLABLE_STATUSES = ["active", "past_due"];
+
+// Monthly retainers. The first month is paid through a normal Paystack
+// checkout, which saves the buyer's card; every later month is charged to
+// that card on the billing date and funds a new escrow order for the period.
+//
+// Proration rules:
+// - Pausing stops renewals from the next billing date; the paid month runs out.
+// - Cancelling at period end (the default) also lets the paid month run out.
+// - Cancelling immediately refunds the unused days of the current month if no
+//   work has been delivered for it yet; the used days are released to the seller.
+class RetainerService {
+
+  partyRole(retainer, userId) {
+    if (retainer.buyerId === userId) return "buyer";
+    if (retainer.sellerId === userId) return "seller";
+    return null;
+  }
+
+  async notify(userId, title, message, retainer) {
+    try {
+      await notificationService.createUserNotification(userId, "order", title, message, {
+        priority: "high",
+        actionButton: { text: "View Retainer", url: `/retainers/${retainer._id}`, style: "primary" }
+      });
+      socketService.sendNotificationToUser(userId, {
+        title,
+        body: message,
+        type: "order",
+        data: { action: "open_retainer", retainerId: retainer._id }
+      });
+    } catch (notifyError) {
+      console.log("Retainer notification dispatch failed:", notifyError?.message || notifyError);
+    }
+  }
+
+  // ===========================================
+  // SIGN-UP AND CHECKOUT
+  // ===========================================
+
+  /**
+   * Buyer starts a monthly retainer on a gig that offers one
+   * @param {string} gigId
+   * @param {string} buyerId
+   * @param {Object} params - { email }
+   * @returns {Promise<{retainer: Object, session: Object, fees: Object, isExisting: boolean}>}
+   */
+  async subscribe(gigId, buyerId, { email } = {}) {
+    const gig = await Gig.findById(gigId);
+    if (!gig) throw createError(404, "Gig not found");
+    if (gig.status !== "active") throw createError(400, "This service is currently unavailable");
+    if (!gig.retainer?.enabled || !(gig.retainer.monthlyPrice > 0)) {
+      throw createError(400, "This seller does not offer a monthly retainer for this service");
+    }
+    if (gig.userId === buyerId) throw createError(400, "You cannot retain yourself");
+
+    const existing = await Retainer.findOne({
+      gigId: String(gig._id),
+      buyerId,
+      status: { $in: ["pending", "active", "paused", "past_due"] }
+    });
+    if (existing && existing.status !== "pending") {
+      throw createError(400, "You already have a retainer for this service");
+    }
+
+    const retainer = existing || await Retainer.create({
+      buyerId,
+      sellerId: gig.userId,
+      gigId: String(gig._id),
+      title: gig.title,
+      scope: gig.retainer.scope,
+      monthlyAmount: roundMoney(gig.retainer.monthlyPrice),
+      email
+    });
+
+    const checkout = await this.startCheckout(retainer, buyerId, { email });
+    return { retainer, ...checkout };
+  }
+
+  /**
+   * Open (or resume) a checkout for the retainer's next month. Used for the
+   * first month and to pay a past-due month with a different card.
+   * @param {Object} retainer - Retainer document
+   * @param {string} userId - Must be the buyer
+   * @param {Object} params - { email }
+   * @returns {Promise<{session: Object, fees: Object, isExisting: boolean}>}
+   */
+  async startCheckout(retainer, userId, { email } = {}) {
+    if (retainer.buyerId !== userId) {
+      throw createError(403, "Only the client can pay for this retainer");
+    }
+    if (!["pending", "past_due"].includes(retainer.status)) {
+      throw createError(400, "Nothing is due on this retainer right now");
+    }
+    if (retainer.pendingChargeReference) {
+      throw createError(409, "A renewal payment is already being processed. Please check back shortly.");
+    }
+    const billingEmail = email || retainer.email;
+    if (!billingEmail) throw createError(400, "Email address is required to process the payment");
+
+    const cycle = retainer.currentCycle + 1;
+    const openSession = await CheckoutSession.findOne({
+      retainerId: String(retainer._id),
+      retainerCycle: cycle,
+      status: "pending",
+      expiresAt: { $gt: new Date() }
+    });
+    if (openSession) {
+      return { session: openSession, fees: openSession.fees, isExisting: true };
+    }
+
+    const limitCheck = await checkTransactionLimit(userId, retainer.monthlyAmount, "order");
+    if (!limitCheck.allowed) throw createError(400, limitCheck.message);
+
+    // Saved cards come from Paystack, so retainers always check out there
+    const fees = await feeService.quote(retainer.monthlyAmount, retainer.sellerId);
+    const provider = paymentProviderService.get("paystack");
+    const payment = await provider.initializePayment({
+      email: billingEmail,
+      amount: fees.buyerTotal,
+      reference: crypto.randomBytes(8).toString("hex"),
+      callbackUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`,
+      metadata: this.chargeMetadata(retainer, cycle, fees)
+    });
+
+    const session = await checkoutSessionService.createSession({
+      reference: payment.reference,
+      provider: provider.name,
+      purpose: "retainer_cycle",
+      retainerId: String(retainer._id),
+      retainerCycle: cycle,
+      buyerId: retainer.buyerId,
+      sellerId: retainer.sellerId,
+      gigId: retainer.gigId,
+      gigTitle: retainer.title,
+      email: billingEmail,
+      amount: retainer.monthlyAmount,
+      total: fees.buyerTotal,
+      fees,
+      authorizationUrl: payment.authorizationUrl,
+      accessCode: payment.accessCode
+    });
+
+    // Hold off automatic retries while the buyer has a checkout open for this month
+    if (retainer.status === "past_due") {
+      await Retainer.updateOne(
+        { _id: retainer._id, nextBillingDate: { $lt: session.expiresAt } },
+        { $set: { nextBillingDate: session.expiresAt } }
+      );
+    }
+    if (billingEmail !== retainer.email) {
+      await Retainer.updateOne({ _id: retainer._id }, { $set: { email: billingEmail } });
+    }
+
+    return { session, fees, isExisting: false };
+  }
+
+  chargeMetadata(retainer, cycle, fees) {
+    return {
+      type: "retainer_cycle",
+      retainerId: String(retainer._id),
+      cycle,
+      gigId: retainer.gigId,
+      buyerId: retainer.buyerId,
+      sellerId: retainer.sellerId,
+      gigTitle: retainer.title,
+      clientEmail: retainer.email,
+      fees
+    };
+  }
+
+  // ===========================================
+  // MONTHLY BILLING
+  // ===========================================
+
+  /**
+   * Charge every retainer whose billing date has passed. Retainers set to
+   * cancel at period end are closed instead of charged.
+   * @returns {Promise<Object>} { checked, charged, pending, failed, cancelled }
+   */
+  async billDueRetainers() {
+    const now = new Date();
+    const stats = { checked: 0, charged: 0, pending: 0, failed: 0, cancelled: 0 };
+
+    // Settle renewal charges that were still processing on an earlier run
+    const inFlight = await Retainer.find({
+      status: { $in: BILLABLE_STATUSES },
+      pendingChargeReference: { $ne: null }
+    }).limit(BATCH_SIZE);
+    for (const retainer of inFlight) {
+      stats.checked++;
+      try {
+        const outcome = await this.settlePendingCharge(retainer);
+        stats[outcome]++;
+      } catch (err) {
+        console.error(`Retainer ${retainer._id} charge settlement failed:`, err.message);
+      }
+    }
+
+    const due = await Retainer.find({
+      status: { $in: BILLABLE_STATUSES },
+      nextBillingDate: { $lte: now },
+      pendingChargeReference: null
+    }).limit(BATCH_SIZE);
+
+    for (const retainer of due) {
+      stats.checked++;
+      try {
+        if (retainer.cancelAtPeriodEnd) {
+          const closed = await Retainer.findOneAndUpdate(
+            { _id: retainer._id, status: { $in: BILLABLE_STATUSES } },
+            { $set: { status: "cancelled", cancelledAt: now } },
+            { new: true }
+          );
+          if (closed) {
+            stats.cancelled++;
+            await this.notify(retainer.buyerId, "Retainer Ended", `Your retainer "${retainer.title}" has ended as requested.`, retainer);
+            await this.notify(retainer.sellerId, "Retainer Ended", `The retainer "${retainer.title}" has ended as requested.`, retainer);
+          }
+          continue;
+        }
+        const outcome = await this.chargeRenewal(retainer);
+        stats[outcome]++;
+      } catch (err) {
+        console.error(`Retainer ${retainer._id} billing failed:`, err.message);
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Charge the saved card for the next month
+   * @param {Object} retainer - Retainer document
+   * @returns {Promise<string>} charged | pending | failed
+   */
+  async chargeRenewal(retainer) {
+    if (!retainer.authorization?.code) {
+      return this.recordChargeFailure(retainer, "No saved card on file");
+    }
+
+    const cycle = retainer.currentCycle + 1;
+    const attempt = (retainer.failedChargeAttempts || 0) + 1;
+    const reference = `rtn_${retainer._id}_c${cycle}_a${attempt}`;
+
+    // Claim the billing run so overlapping runs never charge twice
+    const claimed = await Retainer.findOneAndUpdate(
+      { _id: retainer._id, status: { $in: BILLABLE_STATUSES }, pendingChargeReference: null, nextBillingDate: { $lte: new Date() } },
+      { $set: { pendingChargeReference: reference, lastChargeAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return "pending";
+
+    const fees = await feeService.quote(claimed.monthlyAmount, claimed.sellerId);
+    const provider = paymentProviderService.get(claimed.provider);
+    let transaction;
+    try {
+      transaction = await provider.chargeSavedAuthorization({
+        email: claimed.email,
+        amount: fees.buyerTotal,
+        authorizationCode: claimed.authorization.code,
+        reference,
+        metadata: this.chargeMetadata(claimed, cycle, fees)
+      });
+    } catch (err) {
+      if (err.response) {
+        return this.recordChargeFailure(claimed, err.response.data?.message || "Card was declined");
+      }
+      // Outcome unknown: keep the reference and verify it on the next run instead of charging again
+      console.error(`Retainer ${claimed._id} charge ${reference} outcome unknown:`, err.message);
+      return "pending";
+    }
+
+    return this.applyChargeResult(claimed, transaction);
+  }
+
+  async settlePendingCharge(retainer) {
+    const provider = paymentProviderService.get(retainer.provider);
+    let transaction;
+    try {
+      transaction = await provider.verifyPayment(retainer.pendingChargeReference);
+    } catch (err) {
+      if (err.response?.status === 404 || err.response?.status === 400) {
+        // The gateway never recorded the charge
+        return this.recordChargeFailure(retainer, "Renewal charge was not recorded by the gateway");
+      }
+      console.error(`Retainer ${retainer._id} charge verification failed:`, err.message);
+      return "pending";
+    }
+    return this.applyChargeResult(retainer, transaction);
+  }
+
+  async applyChargeResult(retainer, transaction) {
+    if (transaction?.status === "success") {
+      await orderFulfillmentService.fulfillTransaction(transaction, { source: "retainer_renewal" });
+      return "charged";
+    }
+    if (["failed", "reversed", "abandoned"].includes(transaction?.status)) {
+      return this.recordChargeFailure(retainer, transaction.raw?.gateway_response || `Charge ${transaction.status}`);
+    }
+    // Still processing at the bank (e.g. awaiting OTP). One that never completes
+    // within the checkout expiry is given up on; if it is paid after all, the
+    // fulfillment refunds it as a duplicate month or a cancelled retainer.
+    if (await this.isChargeStale(retainer)) {
+      return this.recordChargeFailure(retainer, "Renewal charge did not complete");
+    }
+    return "pending";
+  }
+
+  async isChargeStale(retainer) {
+    if (!retainer.lastChargeAttemptAt) return false;
+    const expiryHours = await checkoutSessionService.getExpiryHours();
+    return Date.now() - retainer.lastChargeAttemptAt.getTime() > expiryHours * 60 * 60 * 1000;
+  }
+
+  // Ask the gateway about an in-flight renewal before a party changes the
+  // retainer, and return the retainer as it stands afterwards
+  async resolvePendingCharge(retainer) {
+    if (!retainer.pendingChargeReference) return retainer;
+    try {
+      await this.settlePendingCharge(retainer);
+    } catch (err) {
+      console.error(`Retainer ${retainer._id} charge settlement failed:`, err.message);
+    }
+    return (await Retainer.findById(retainer._id)) || retainer;
+  }
+
+  // Retry a failed renewal daily; after the last attempt the retainer is cancelled
+  async recordChargeFailure(retainer, reason) {
+    const attempts = (retainer.failedChargeAttempts || 0) + 1;
+    const givesUp = attempts >= MAX_CHARGE_ATTEMPTS;
+    const updated = await Retainer.findOneAndUpdate(
+      { _id: retainer._id, status: { $in: BILLABLE_STATUSES } },
+      {
+        $set: {
+          status: givesUp ? "cancelled" : "past_due",
+          failedChargeAttempts: attempts,
+          lastChargeError: reason,
+          pendingChargeReference: null,
+          nextBillingDate: new Date(Date.now() + RETRY_DELAY_MS),
+          ...(givesUp && { cancelledAt: new Date(), cancelledBy: "system", cancellationReason: "Renewal payment failed" })
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return "failed";
+
+    if (givesUp) {
+      await this.notify(retainer.buyerId, "Retainer Cancelled", `We couldn't charge your card for "${retainer.title}" after ${attempts} attempts, so the retainer has been cancelled.`, retainer);
+      await this.notify(retainer.sellerId, "Retainer Cancelled", `The client's payment for "${retainer.title}" failed ${attempts} times, so the retainer has been cancelled.`, retainer);
+    } else {
+      await this.notify(retainer.buyerId, "Retainer Payment Failed", `We couldn't charge your card for next month of "${retainer.title}" (${reason}). We'll retry tomorrow, or you can pay now with another card.`, retainer);
+    }
+    return "failed";
+  }
+
+  // ===========================================
+  // PAUSE / RESUME / CANCEL
+  // ===========================================
+
+  /**
+   * Either party pauses renewals; the month already paid for continues
+   * @param {Object} retainer - Retainer document
+   * @param {string} userId
+   * @param {Object} params - { reason }
+   * @returns {Promise<Object>} Updated retainer
+   */
+  async pause(retainer, userId, { reason } = {}) {
+    const role = this.partyRole(retainer, userId);
+    if (!role) throw createError(403, "You are not part of this retainer");
+    retainer = await this.resolvePendingCharge(retainer);
+    if (retainer.status !== "active") throw createError(400, "Only an active retainer can be paused");
+    if (retainer.pendingChargeReference) {
+      throw createError(409, "A renewal payment is being processed. Please try again shortly.");
+    }
+
+    const updated = await Retainer.findOneAndUpdate(
+      { _id: retainer._id, status: "active", pendingChargeReference: null },
+      { $set: { status: "paused", pausedAt: new Date(), pausedBy: userId, pauseReason: reason } },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "The retainer changed while pausing. Please reload and try again.");
+
+    const counterpartyId = role === "buyer" ? retainer.sellerId : retainer.buyerId;
+    await this.notify(
+      counterpartyId,
+      "Retainer Paused",
+      `The ${role} paused "${retainer.title}". The current month runs until ${retainer.currentPeriodEnd?.toDateString() || "its end"} and no further months will be billed until it is resumed.${reason ? ` Reason: ${reason}` : ""}`,
+      retainer
+    );
+    return updated;
+  }
+
+  /**
+   * The party who paused resumes billing. If the paid month has already
+   * ended, the next month is charged on the next billing run.
+   */
+  async resume(retainer, userId) {
+    if (!this.partyRole(retainer, userId)) throw createError(403, "You are not part of this retainer");
+    if (retainer.status !== "paused") throw createError(400, "This retainer is not paused");
+    if (retainer.pausedBy !== userId) {
+      throw createError(403, "Only the party who paused the retainer can resume it");
+    }
+
+    const now = new Date();
+    const nextBillingDate = retainer.currentPeriodEnd && retainer.currentPeriodEnd > now ? retainer.currentPeriodEnd : now;
+    const updated = await Retainer.findOneAndUpdate(
+      { _id: retainer._id, status: "paused" },
+      { $set: { status: "active", nextBillingDate, pausedAt: null, pausedBy: null, pauseReason: null } },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "The retainer changed while resuming. Please reload and try again.");
+
+    const counterpartyId = retainer.buyerId === userId ? retainer.sellerId : retainer.buyerId;
+    await this.notify(counterpartyId, "Retainer Resumed", `"${retainer.title}" has been resumed. The next month is billed on ${nextBillingDate.toDateString()}.`, retainer);
+    return updated;
+  }
+
+  // Unused share of the current month, refunded on immediate cancellation
+  proratedRefund(retainer, order, now = new Date()) {
+    if (!order || order.escrowStatus !== "funded" || order.status !== "in progress") return 0;
+    const start = order.billingPeriodStart.getTime();
+    const end = order.billingPeriodEnd.getTime();
+    if (now.getTime() >= end) return 0;
+    const unusedShare = (end - Math.max(now.getTime(), start)) / (end - start);
+    return roundMoney(order.price * unusedShare);
+  }
+
+  /**
+   * Either party cancels. By default renewals stop and the paid month runs
+   * out; with immediate the current month ends now and its unused days are
+   * refunded if no work has been delivered for it yet.
+   * @param {Object} retainer - Retainer document
+   * @param {string} userId
+   * @param {Object} params - { reason, immediate }
+   * @returns {Promise<{retainer: Object, refundAmount: number}>}
+   */
+  async cancel(retainer, userId, { reason, immediate = false } = {}) {
+    const role = this.partyRole(retainer, userId);
+    if (!role) throw createError(403, "You are not part of this retainer");
+    if (retainer.status === "cancelled") throw createError(400, "This retainer has already been cancelled");
+    if (!reason || !String(reason).trim()) throw createError(400, "A reason is required to cancel the retainer");
+    // A renewal still in flight does not block cancelling: if it goes through
+    // after all, the fulfillment refunds it because the retainer is cancelled
+    // (or, at period end, the paid month simply runs out)
+    retainer = await this.resolvePendingCharge(retainer);
+    if (retainer.status === "cancelled") throw createError(400, "This retainer has already been cancelled");
+
+    const cancelReason = String(reason).trim();
+    const now = new Date();
+    // Nothing paid yet (pending) or nothing left to wait for: close it now
+    const endsNow = immediate || retainer.status === "pending" || !retainer.currentPeriodEnd || retainer.currentPeriodEnd <= now;
+
+    const updated = await Retainer.findOneAndUpdate(
+      { _id: retainer._id, status: retainer.status },
+      {
+        $set: {
+          cancelledBy: userId,
+          cancellationReason: cancelReason,
+          ...(endsNow ? { status: "cancelled", cancelledAt: now } : { cancelAtPeriodEnd: true })
+        }
+      },
+      { new: true }
+    );
+    if (!updated) throw createError(409, "The retainer changed while cancelling. Please reload and try again.");
+
+    let refundAmount = 0;
+    if (endsNow && retainer.currentOrderId) {
+      const order = await Order.findById(retainer.currentOrderId);
+      refundAmount = this.proratedRefund(retainer, order, now);
+      if (refundAmount > 0) {
+        // The seller keeps (and is released) the share of the month already used
+        try {
+          await refundService.issueRefund(order, {
+            amount: refundAmount,
+            reason: `Retainer cancelled by the ${role}: unused days refunded`,
+            description: cancelReason,
+            source: "cancellation",
+            orderUpdates: { cancelledAt: now, cancelledBy: userId, cancellationReason: cancelReason }
+          });
+        } catch (err) {
+          // Refund refused: undo the cancellation so the buyer can try again
+          await Retainer.updateOne(
+            { _id: retainer._id, status: "cancelled", cancelledAt: now },
+            {
+              $set: {
+                status: retainer.status,
+                cancelledAt: retainer.cancelledAt ?? null,
+                cancelledBy: retainer.cancelledBy ?? null,
+                cancellationReason: retainer.cancellationReason ?? null
+              }
+            }
+          );
+          throw err;
+        }
+        await Retainer.updateOne({ _id: retainer._id }, { $set: { proratedRefundAmount: refundAmount } });
+      }
+    }
+
+    await CheckoutSession.updateMany(
+      { retainerId: String(retainer._id), status: "pending" },
+      { $set: { status: "expired", expiredAt: now } }
+    );
+
+    const when = endsNow
+      ? "now"
+      : `at the end of the current month (${retainer.currentPeriodEnd.toDateString()})`;
+    const refundNote = refundAmount > 0 ? ` ₦${refundAmount.toLocaleString()} for the unused days is being refunded.` : "";
+    const message = `The ${role} cancelled the retainer "${retainer.title}". It ends ${when}.${refundNote} Reason: ${cancelReason}`;
+    await this.notify(role === "buyer" ? retainer.sellerId : retainer.buyerId, "Retainer Cancelled", message, retainer);
+
+    return { retainer: await Retainer.findById(retainer._id), refundAmount };
+  }
+
+  // ===========================================
+  // QUERIES
+  // ===========================================
+
+  async getUserRetainers(userId, { status } = {}) {
+    const query = { $or: [{ buyerId: userId }, { sellerId: userId }] };
+    if (status) query.status = status;
+    return Retainer.find(query).sort({ updatedAt: -1 });
+  }
+
+  async getRetainerWithCycles(retainerId, userId) {
+    const retainer = await Retainer.findById(retainerId);
+    if (!retainer) throw createError(404, "Retainer not found");
+    if (!this.partyRole(retainer, userId)) throw createError(403, "You are not part of this retainer");
+
+    const cycles = await Order.find({ retainerId: String(retainer._id) })
+      .select("retainerCycle billingPeriodStart billingPeriodEnd price status escrowStatus workSubmittedAt approvedAt")
+      .sort({ retainerCycle: -1 });
+    return { retainer, cycles };
+  }
+}
+
+export default new RetainerService();
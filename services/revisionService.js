@@ -0,0 +1,63 @@
+// Revision allowance bought with an order. The package (or custom offer)
+// sets revisionsIncluded, extra-revision add-ons add to it, and every
+// revision request uses one round. Milestone orders count rounds per
+// milestone against the same allowance. Orders without a snapshot (older
+// orders, milestone gigs) keep unlimited revisions.
+class RevisionService {
+
+  /**
+   * Total revisions available per deliverable, or null when unlimited
+   * @param {Object} order - Order document
+   * @returns {number|null}
+   */
+  allowance(order) {
+    if (typeof order.revisionsIncluded !== "number") return null;
+    return order.revisionsIncluded + (order.extraRevisions || 0);
+  }
+
+  used(order, milestoneIndex = null) {
+    if (milestoneIndex === null) return order.revisionsUsed || 0;
+    return order.milestones?.[milestoneIndex]?.revisionsUsed || 0;
+  }
+
+  remaining(order, milestoneIndex = null) {
+    const allowance = this.allowance(order);
+    if (allowance === null) return null;
+    return Math.max(0, allowance - this.used(order, milestoneIndex));
+  }
+
+  hasRevisionLeft(order, milestoneIndex = null) {
+    const remaining = this.remaining(order, milestoneIndex);
+    return remaining === null || remaining > 0;
+  }
+
+  // Query guard so two concurrent requests can't both use the last revision
+  availabilityFilter(order, milestoneIndex = null) {
+    const allowance = this.allowance(order);
+    if (allowance === null) return {};
+    const path = milestoneIndex === null ? "revisionsUsed" : `milestones.${milestoneIndex}.revisionsUsed`;
+    // $not also matches orders saved before the counter existed
+    return { [path]: { $not: { $gte: allowance } } };
+  }
+
+  // Update that records one more revision round
+  useRevision(milestoneIndex = null) {
+    const path = milestoneIndex === null ? "revisionsUsed" : `milestones.${milestoneIndex}.revisionsUsed`;
+    return { $inc: { [path]: 1 } };
+  }
+
+  limitReachedResponse(order, milestoneIndex = null) {
+    const allowance = this.allowance(order);
+    const scope = milestoneIndex === null ? "this order" : `milestone ${milestoneIndex + 1}`;
+    return {
+      error: "Revision limit reached",
+      message: `All ${allowance} revision${allowance === 1 ? "" : "s"} included with ${scope} have been used. Approve the work, agree changes with the seller in chat, or open a dispute if the delivery doesn't match the agreed scope.`,
+      code: "REVISION_LIMIT_REACHED",
+      revisionsIncluded: order.revisionsIncluded,
+      extraRevisions: order.extraRevisions || 0,
+      revisionsUsed: this.used(order, milestoneIndex)
+    };
+  }
+}
+
+export default new RevisionService();
@@ -0,0 +1,116 @@
+import jobSchedulerService from "./jobSchedulerService.js";
+import orderLifecycleService from "./orderLifecycleService.js";
+import checkoutSessionService from "./checkoutSessionService.js";
+import orderCancellationService from "./orderCancellationService.js";
+import deliveryExtensionService from "./deliveryExtensionService.js";
+import orderRequirementsService from "./orderRequirementsService.js";
+import offerService from "./offerService.js";
+import retainerService from "./retainerService.js";
+import hourlyContractService from "./hourlyContractService.js";
+import financialDocumentService from "./financialDocumentService.js";
+import disputeService from "./disputeService.js";
+import ledgerService from "./ledgerService.js";
+import gigSearchService from "./gigSearchService.js";
+
+const MINUTE = 60 * 1000;
+
+// Background jobs run by every API instance (the scheduler's lock makes
+// sure each run happens on only one of them)
+export const registerScheduledJobs = () => {
+  jobSchedulerService.register('escrow-auto-release', {
+    intervalMs: 15 * MINUTE,
+    description: 'Release escrow for submitted work not reviewed before the deadline',
+    handler: () => orderLifecycleService.autoReleaseDueOrders()
+  });
+
+  jobSchedulerService.register('late-delivery-warnings', {
+    intervalMs: 60 * MINUTE,
+    description: 'Warn sellers about orders and milestones past their due date',
+    handler: () => orderLifecycleService.warnLateDeliveries()
+  });
+
+  jobSchedulerService.register('review-deadline-reminders', {
+    intervalMs: 60 * MINUTE,
+    description: 'Remind buyers before submitted work auto-releases',
+    handler: () => orderLifecycleService.remindReviewDeadlines()
+  });
+
+  jobSchedulerService.register('requirements-reminders', {
+    intervalMs: 60 * MINUTE,
+    description: 'Remind buyers who paid but have not submitted the order requirements',
+    handler: () => orderRequirementsService.remindPendingRequirements()
+  });
+
+  jobSchedulerService.register('overdue-order-cancellation', {
+    intervalMs: 6 * 60 * MINUTE,
+    description: 'Cancel and refund undelivered orders far past their due date',
+    handler: () => orderLifecycleService.cancelOverdueOrders()
+  });
+
+  jobSchedulerService.register('cancellation-request-expiry', {
+    intervalMs: 30 * MINUTE,
+    description: 'Expire cancellation requests not answered before their deadline',
+    handler: () => orderCancellationService.expireStaleRequests()
+  });
+
+  jobSchedulerService.register('extension-request-expiry', {
+    intervalMs: 30 * MINUTE,
+    description: 'Expire delivery extension requests not answered before their deadline',
+    handler: () => deliveryExtensionService.expireStaleRequests()
+  });
+
+  jobSchedulerService.register('checkout-expiry-sweep', {
+    intervalMs: 15 * MINUTE,
+    description: 'Re-verify and expire abandoned checkouts',
+    handler: () => checkoutSessionService.sweepExpired()
+  });
+
+  jobSchedulerService.register('custom-offer-expiry', {
+    intervalMs: 30 * MINUTE,
+    description: 'Expire custom offers not answered or paid for before their deadline',
+    handler: () => offerService.expireStaleOffers()
+  });
+
+  jobSchedulerService.register('retainer-billing', {
+    intervalMs: 60 * MINUTE,
+    description: 'Charge saved cards for retainer months that are due and retry failed renewals',
+    handler: () => retainerService.billDueRetainers()
+  });
+
+  jobSchedulerService.register('hourly-invoicing', {
+    intervalMs: 60 * MINUTE,
+    description: 'Open weekly hourly invoices, approve unreviewed time after the deadline and charge saved cards',
+    handler: () => hourlyContractService.runWeeklyBilling()
+  });
+
+  jobSchedulerService.register('dispute-escalation', {
+    intervalMs: 30 * MINUTE,
+    description: 'Escalate disputes where a party missed their response deadline or admin review is overdue',
+    handler: () => disputeService.escalateOverdue()
+  });
+
+  jobSchedulerService.register('ledger-retry', {
+    intervalMs: 15 * MINUTE,
+    description: 'Retry ledger postings that failed after the money had moved',
+    handler: () => ledgerService.retryFailedPostings()
+  });
+
+  jobSchedulerService.register('ledger-backfill', {
+    intervalMs: 24 * 60 * MINUTE,
+    lockTtlMs: 60 * MINUTE,
+    description: 'Post ledger entries for orders and withdrawals from before the ledger existed (runs once)',
+    handler: () => ledgerService.backfillHistory()
+  });
+
+  jobSchedulerService.register('gig-ranking', {
+    intervalMs: 30 * MINUTE,
+    description: 'Refresh the stored browse ranking of active gigs',
+    handler: () => gigSearchService.refreshRankScores()
+  });
+
+  jobSchedulerService.register('financial-documents', {
+    intervalMs: 60 * MINUTE,
+    description: 'Issue and email invoices, withdrawal receipts and monthly earnings statements',
+    handler: () => financialDocumentService.runScheduledIssuance()
+  });
+};
@@ -0,0 +1,393 @@
+import mongoose from "mongoose";
+import Gig from "../models/gig.model.js";
+import User from "../models/user.model.js";
+import SearchQuery from "../models/searchQuery.model.js";
+import gigSearchService from "./gigSearchService.js";
+
+const INDEX_TTL_MS = 30 * 60 * 1000;
+const MAX_KEY_LENGTH = 30;  // Characters kept from each word onwards
+const MAX_KEY_WORDS = 12;   // Words of a title that can start a match
+const MAX_PREFIX_LENGTH = 60;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 20;
+const MAX_PER_TYPE = 4;
+const MIN_QUERY_COUNT = 3;  // Searches before a query is suggested to anyone else
+const MAX_INDEXED_QUERIES = 5000;
+
+// Per-type multiplier on the score; also decides ties between types
+const TYPE_WEIGHTS = { query: 1, category: 1, subcategory: 0.95, gig: 0.9, seller: 0.85 };
+const MATCH_WEIGHT = 0.65; // The rest of the score is popularity
+const MATCH_SCORES = { exact: 1, start: 0.75, word: 0.5 };
+
+const normalize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9+#]+/g, ' ')
+  .trim();
+
+// Character trie of entry keys; ids are kept only on the node where a key
+// ends, so memory grows with the number of keys rather than their length, and
+// a lookup collects the ids under the prefix. Text is indexed from the start
+// of each word, so "logo" also finds "Modern logo design".
+class PrefixTrie {
+  constructor() {
+    this.root = { children: new Map(), ids: null };
+  }
+
+  keys(norm) {
+    const words = norm.split(' ').slice(0, MAX_KEY_WORDS);
+    return [...new Set(words.map((_, i) => words.slice(i).join(' ').slice(0, MAX_KEY_LENGTH)))];
+  }
+
+  insert(id, norm) {
+    for (const key of this.keys(norm)) {
+      let node = this.root;
+      for (const char of key) {
+        if (!node.children.has(char)) node.children.set(char, { children: new Map(), ids: null });
+        node = node.children.get(char);
+      }
+      (node.ids ||= new Set()).add(id);
+    }
+  }
+
+  remove(id, norm) {
+    for (const key of this.keys(norm)) {
+      const chars = [...key];
+      const path = [this.root];
+      for (const char of chars) {
+        const child = path[path.length - 1].children.get(char);
+        if (!child) break;
+        path.push(child);
+      }
+      if (path.length <= chars.length) continue; // Key was never inserted
+
+      const end = path[path.length - 1];
+      end.ids?.delete(id);
+      if (end.ids?.size === 0) end.ids = null;
+      // Drop nodes nothing lives below any more
+      for (let i = path.length - 1; i > 0 && !path[i].ids && path[i].children.size === 0; i--) {
+        path[i - 1].children.delete(chars[i - 1]);
+      }
+    }
+  }
+
+  lookup(prefix) {
+    let node = this.root;
+    for (const char of prefix.slice(0, MAX_KEY_LENGTH)) {
+      node = node.children.get(char);
+      if (!node) return new Set();
+    }
+    const ids = new Set();
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      current.ids?.forEach(id => ids.add(id));
+      for (const child of current.children.values()) stack.push(child);
+    }
+    return ids;
+  }
+}
+
+// Suggestion entries for live gigs, their categories, subcategories and
+// sellers, plus popular past searches. Category and seller entries are kept
+// up to date from the gigs added and removed.
+class SuggestionIndex {
+  constructor() {
+    this.trie = new PrefixTrie();
+    this.entries = new Map(); // id -> { type, text, norm, popularity, ...details }
+    this.gigs = new Map();    // gigId -> { title, cat, subcategory, sellerId, sales }
+    this.sellers = new Map(); // sellerId -> { username, gigs, sales }
+    this.topPopularity = Object.fromEntries(Object.keys(TYPE_WEIGHTS).map(type => [type, 0]));
+  }
+
+  setEntry(id, type, text, popularity, details = {}) {
+    const norm = normalize(text);
+    if (this.entries.get(id)?.norm !== norm) this.deleteEntry(id);
+    if (!norm) return;
+    if (!this.entries.has(id)) this.trie.insert(id, norm);
+    this.entries.set(id, { type, text, norm, popularity, ...details });
+    this.topPopularity[type] = Math.max(this.topPopularity[type], popularity);
+  }
+
+  deleteEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    this.trie.remove(id, entry.norm);
+    this.entries.delete(id);
+  }
+
+  // Category and subcategory popularity is the number of live gigs in them
+  countGroup(id, type, text, delta, details) {
+    const count = (this.entries.get(id)?.popularity || 0) + delta;
+    if (count > 0) this.setEntry(id, type, text, count, details);
+    else this.deleteEntry(id);
+  }
+
+  countGig(gig, delta) {
+    if (gig.cat) {
+      this.countGroup(`cat:${gig.cat}`, 'category', gig.cat, delta, { category: gig.cat });
+      if (gig.subcategory) {
+        this.countGroup(`sub:${gig.cat}:${gig.subcategory}`, 'subcategory', gig.subcategory, delta, {
+          category: gig.cat,
+          subcategory: gig.subcategory
+        });
+      }
+    }
+
+    const seller = this.sellers.get(gig.sellerId) || { username: null, gigs: 0, sales: 0 };
+    seller.gigs += delta;
+    seller.sales += delta * gig.sales;
+    if (seller.gigs > 0) {
+      this.sellers.set(gig.sellerId, seller);
+      this.refreshSeller(gig.sellerId);
+    } else {
+      this.sellers.delete(gig.sellerId);
+      this.deleteEntry(`seller:${gig.sellerId}`);
+    }
+  }
+
+  addGig(gig) {
+    const gigId = String(gig._id);
+    this.removeGig(gigId);
+    const item = {
+      title: gig.title,
+      cat: gig.cat,
+      subcategory: gig.subcategory,
+      sellerId: String(gig.userId?._id || gig.userId),
+      sales: gig.sales || 0
+    };
+    this.gigs.set(gigId, item);
+    this.setEntry(`gig:${gigId}`, 'gig', item.title, item.sales, { gigId });
+    this.countGig(item, 1);
+  }
+
+  removeGig(gigId) {
+    const item = this.gigs.get(gigId);
+    if (!item) return;
+    this.gigs.delete(gigId);
+    this.deleteEntry(`gig:${gigId}`);
+    this.countGig(item, -1);
+  }
+
+  // Sellers are suggested by username once we know it; popularity is the sales of their live gigs
+  refreshSeller(sellerId) {
+    const seller = this.sellers.get(sellerId);
+    if (!seller?.username) return;
+    this.setEntry(`seller:${sellerId}`, 'seller', seller.username, seller.sales, { sellerId, username: seller.username });
+  }
+
+  // A seller without a username (e.g. a deleted account) is not suggested
+  setSellerName(sellerId, username) {
+    const seller = this.sellers.get(sellerId);
+    if (!seller) return;
+    seller.username = username || null;
+    if (seller.username) this.refreshSeller(sellerId);
+    else this.deleteEntry(`seller:${sellerId}`);
+  }
+
+  setQuery(norm, count) {
+    this.setEntry(`query:${norm}`, 'query', norm, count);
+  }
+
+  score(entry, prefix) {
+    const match = entry.norm === prefix
+      ? MATCH_SCORES.exact
+      : entry.norm.startsWith(prefix) ? MATCH_SCORES.start : MATCH_SCORES.word;
+    const top = this.topPopularity[entry.type];
+    const popularity = top > 0 ? Math.log1p(entry.popularity) / Math.log1p(top) : 0;
+    return TYPE_WEIGHTS[entry.type] * (MATCH_WEIGHT * match + (1 - MATCH_WEIGHT) * popularity);
+  }
+
+  suggest(prefix, limit) {
+    const scored = [];
+    for (const id of this.trie.lookup(prefix)) {
+      const entry = this.entries.get(id);
+      // Keys are cut short, so long prefixes need checking against the full text
+      if (prefix.length > MAX_KEY_LENGTH && !entry.norm.startsWith(prefix) && !entry.norm.includes(` ${prefix}`)) continue;
+      scored.push({ entry, score: this.score(entry, prefix) });
+    }
+    scored.sort((a, b) => b.score - a.score
+      || a.entry.norm.length - b.entry.norm.length
+      || a.entry.norm.localeCompare(b.entry.norm));
+
+    // One suggestion per text, and a mix of types
+    const seen = new Set();
+    const perType = {};
+    const suggestions = [];
+    for (const { entry, score } of scored) {
+      if (suggestions.length >= limit) break;
+      if (seen.has(entry.norm) || (perType[entry.type] || 0) >= MAX_PER_TYPE) continue;
+      seen.add(entry.norm);
+      perType[entry.type] = (perType[entry.type] || 0) + 1;
+
+      const { type, text, norm, popularity, ...details } = entry;
+      suggestions.push({
+        type,
+        text: type === 'query' ? norm : text,
+        ...details,
+        ...(type === 'category' || type === 'subcategory' ? { count: popularity } : {}),
+        score: Math.round(score * 1000) / 1000
+      });
+    }
+    return suggestions;
+  }
+}
+
+// Search box autocomplete served from an in-memory trie. The trie is built
+// from the database on first use and every INDEX_TTL_MS after that (each API
+// instance keeps its own), and gig changes are applied to it as they happen.
+class SearchSuggestService {
+
+  constructor() {
+    this.index = null;
+    this.builtAt = 0;
+    this.building = null;
+    this.pendingGigs = null; // gigId -> change, replayed onto an index still being built
+    this.pendingSellers = null; // sellerId -> username, likewise
+  }
+
+  // ===========================================
+  // INDEX
+  // ===========================================
+
+  async getIndex() {
+    if (this.index && Date.now() - this.builtAt < INDEX_TTL_MS) return this.index;
+    if (!this.building) {
+      this.pendingGigs = new Map();
+      this.pendingSellers = new Map();
+      this.building = this.buildIndex()
+        .then(index => {
+          for (const [gigId, change] of this.pendingGigs) this.applyGig(index, gigId, change);
+          for (const [sellerId, username] of this.pendingSellers) index.setSellerName(sellerId, username);
+          this.index = index;
+          this.builtAt = Date.now();
+          return index;
+        })
+        .finally(() => {
+          this.building = null;
+          this.pendingGigs = null;
+          this.pendingSellers = null;
+        });
+    }
+    // Serve the previous index while a rebuild runs
+    return this.index || this.building;
+  }
+
+  async buildIndex() {
+    const index = new SuggestionIndex();
+    const cursor = Gig.find({ status: 'active' }, 'title cat subcategory userId sales').lean().cursor();
+    for await (const gig of cursor) index.addGig(gig);
+
+    const sellerIds = [...index.sellers.keys()].filter(id => mongoose.Types.ObjectId.isValid(id));
+    const sellers = await User.find({ _id: { $in: sellerIds } }, 'username').lean();
+    sellers.forEach(seller => index.setSellerName(String(seller._id), seller.username));
+
+    const queries = await SearchQuery.find({ count: { $gte: MIN_QUERY_COUNT }, lastResultCount: { $gt: 0 } })
+      .sort({ count: -1 })
+      .limit(MAX_INDEXED_QUERIES)
+      .lean();
+    queries.forEach(query => index.setQuery(query._id, query.count));
+    return index;
+  }
+
+  applyGig(index, gigId, change) {
+    if (!change) return index.removeGig(gigId);
+    index.addGig(change.gig);
+    if (change.username) index.setSellerName(String(change.gig.userId?._id || change.gig.userId), change.username);
+  }
+
+  /**
+   * Bring a gig's suggestions in line with its current state: live gigs are
+   * (re)indexed, anything else is dropped. Never throws, so callers can use it
+   * after the gig has been saved.
+   * @param {Object} gig - Gig as saved
+   */
+  async syncGig(gig) {
+    try {
+      gigSearchService.invalidate();
+      const gigId = String(gig._id);
+      let change = null;
+      if (gig.status === 'active') {
+        const sellerId = String(gig.userId?._id || gig.userId);
+        let username = gig.userId?.username || this.index?.sellers.get(sellerId)?.username;
+        if (!username && mongoose.Types.ObjectId.isValid(sellerId)) {
+          username = (await User.findById(sellerId).select('username').lean())?.username;
+        }
+        change = { gig, username };
+      }
+      if (this.index) this.applyGig(this.index, gigId, change);
+      if (this.pendingGigs) this.pendingGigs.set(gigId, change);
+    } catch (err) {
+      console.error('Failed to update search suggestions for gig:', err.message);
+    }
+  }
+
+  async removeGig(gigId) {
+    return this.syncGig({ _id: gigId, status: 'deleted' });
+  }
+
+  /**
+   * Bring a seller's suggestion in line with their account after a username
+   * change or deletion. Never throws.
+   * @param {Object} user - User as saved
+   */
+  syncSeller(user) {
+    try {
+      const sellerId = String(user._id);
+      const username = user.isDeleted ? null : user.username;
+      this.index?.setSellerName(sellerId, username);
+      this.pendingSellers?.set(sellerId, username);
+    } catch (err) {
+      console.error('Failed to update search suggestions for seller:', err.message);
+    }
+  }
+
+  // ===========================================
+  // QUERIES
+  // ===========================================
+
+  /**
+   * Count a search towards the popular queries. Searches that found nothing
+   * or look like contact details are not kept.
+   * @param {string} query - Query as searched
+   * @param {number} resultCount - Gigs found
+   */
+  async recordQuery(query, resultCount) {
+    const raw = String(query || '');
+    const norm = normalize(raw);
+    if (norm.length < 2 || norm.length > MAX_PREFIX_LENGTH || !(resultCount > 0) || /@|\d{5,}/.test(raw)) return;
+
+    try {
+      const record = await SearchQuery.findByIdAndUpdate(
+        norm,
+        { $inc: { count: 1 }, $set: { lastResultCount: resultCount, lastSearchedAt: new Date() } },
+        { upsert: true, new: true }
+      ).lean();
+      if (record.count >= MIN_QUERY_COUNT) this.index?.setQuery(norm, record.count);
+    } catch (err) {
+      console.error('Failed to record search query:', err.message);
+    }
+  }
+
+  // ===========================================
+  // SUGGESTIONS
+  // ===========================================
+
+  /**
+   * Suggestions for what has been typed so far, best match first
+   * @param {string} q - Partial query
+   * @param {number|string} limit
+   * @returns {Promise<{query: string, suggestions: Array}>}
+   */
+  async suggest(q, limit) {
+    const prefix = normalize(typeof q === 'string' ? q : '').slice(0, MAX_PREFIX_LENGTH);
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    if (!prefix) return { query: prefix, suggestions: [] };
+
+    const index = await this.getIndex();
+    return { query: prefix, suggestions: index.suggest(prefix, size) };
+  }
+}
+
+export default new SearchSuggestService();
@@ -417,6 +417,26 @@ class SocketService {
     }
   }
 
+  // Broadcast a custom offer status change (accepted, declined, countered...) for client-seller chat
+  broadcastOfferUpdate(conversationId, offer, updaterUserId) {
+    if (this.io && this.clientSellerRooms.has(conversationId)) {
+      const room = this.clientSellerRooms.get(conversationId);
+      const isClientUpdater = updaterUserId === room.clientId;
+      const targetSocketId = isClientUpdater ? room.sellerSocket : room.clientSocket;
+
+      if (targetSocketId) {
+        this.io.to(targetSocketId).emit('offer-update', {
+          offerId: offer._id,
+          messageId: offer.messageId,
+          status: offer.status,
+          offer,
+          updaterRole: isClientUpdater ? 'client' : 'seller',
+          conversationId: conversationId
+        });
+      }
+    }
+  }
+
   // Broadcast user status (online/offline)
   broadcastUserStatus(userId, isOnline) {
     if (this.io) {
@@ -0,0 +1,97 @@
+import crypto from "crypto";
+import CheckoutSession from "../models/checkoutSession.model.js";
+import paymentProviderService from "./paymentProviderService.js";
+import checkoutSessionService from "./checkoutSessionService.js";
+import feeService from "./feeService.js";
+import { roundMoney } from "./ledgerService.js";
+import createError from "../utils/createError.js";
+import { checkTransactionLimit } from "../utils/transactionLimits.js";
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// Tips and bonuses a buyer pays after an order is completed. They go through
+// checkout like any payment, skip escrow (the work is already approved) and
+// are credited to the seller once the payment is confirmed.
+class TipService {
+
+  /**
+   * Start (or resume) checkout for a tip on a completed order
+   * @param {Object} order - Order document
+   * @param {string} buyerId
+   * @param {Object} params - { amount, message, email }
+   * @returns {Promise<{session: Object, fees: Object, isExisting: boolean}>}
+   */
+  async startCheckout(order, buyerId, { amount, message, email } = {}) {
+    if (order.buyerId !== buyerId) throw createError(403, "Only the client can tip on this order");
+    if (order.status !== "completed" || order.escrowStatus !== "released") {
+      throw createError(400, "Tips can be sent once the order is completed");
+    }
+    if (!email) throw createError(400, "Email address is required to process the payment");
+
+    const feeSettings = await feeService.getFeeSettings();
+    const { minimum = 0, maximum = null } = feeSettings.tips || {};
+    const tipAmount = roundMoney(Number(amount));
+    if (!(tipAmount > 0) || tipAmount < minimum) {
+      throw createError(400, `Tips must be at least ₦${Number(minimum).toLocaleString()}`);
+    }
+    if (maximum && tipAmount > maximum) {
+      throw createError(400, `Tips can be at most ₦${Number(maximum).toLocaleString()}`);
+    }
+    const note = message ? String(message).trim() : "";
+    if (note.length > MAX_MESSAGE_LENGTH) {
+      throw createError(400, `Tip message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const limitCheck = await checkTransactionLimit(buyerId, tipAmount, 'order');
+    if (!limitCheck.allowed) throw createError(400, limitCheck.message);
+
+    // Send the buyer back to an open checkout for the same tip instead of charging them twice
+    const openSession = await CheckoutSession.findOne({
+      purpose: 'tip',
+      orderId: String(order._id),
+      amount: tipAmount,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (openSession) return { session: openSession, fees: openSession.fees, isExisting: true };
+
+    const fees = await feeService.quoteTip(tipAmount, order.sellerId, { feeSettings });
+    const payment = await paymentProviderService.initializeWithFailover({
+      email,
+      amount: fees.buyerTotal,
+      baseReference: crypto.randomBytes(8).toString("hex"),
+      callbackUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payment/success`,
+      metadata: {
+        type: 'order_tip',
+        orderId: String(order._id),
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        gigTitle: order.title,
+        tipMessage: note || undefined,
+        clientEmail: email,
+        fees
+      }
+    });
+
+    const session = await checkoutSessionService.createSession({
+      reference: payment.reference,
+      provider: payment.provider,
+      purpose: 'tip',
+      orderId: String(order._id),
+      buyerId: order.buyerId,
+      sellerId: order.sellerId,
+      gigId: order.gigId,
+      gigTitle: order.title,
+      email,
+      amount: tipAmount,
+      total: fees.buyerTotal,
+      fees,
+      authorizationUrl: payment.authorizationUrl,
+      accessCode: payment.accessCode
+    });
+
+    return { session, fees, isExisting: false };
+  }
+}
+
+export default new TipService();
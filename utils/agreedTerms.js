@@ -0,0 +1,52 @@
+import createError from "./createError.js";
+import { roundMoney } from "../services/ledgerService.js";
+
+const MAX_DELIVERY_DAYS = 365;
+const MAX_REVISIONS = 50;
+const MAX_MILESTONES = 20;
+
+/**
+ * Validate the price, revisions, delivery time and optional milestones a
+ * buyer and seller agree on (custom offers and job proposals)
+ * @param {Object} terms - { price, revisions, deliveryDays, milestones }
+ * @param {Object} labels - { noun: 'offer' | 'proposal', deliveryLabel: 'Delivery' | 'Timeline' }
+ * @returns {{price: number, revisions: number, deliveryDays: number, milestones: Array}}
+ */
+export const normalizeAgreedTerms = (terms, { noun, deliveryLabel }) => {
+  const price = roundMoney(Number(terms.price));
+  const revisions = Number(terms.revisions ?? 0);
+  let deliveryDays = Number(terms.deliveryDays);
+  const rawMilestones = terms.milestones || [];
+
+  if (!(price > 0)) throw createError(400, `${noun[0].toUpperCase()}${noun.slice(1)} price must be greater than zero`);
+  if (!Number.isInteger(revisions) || revisions < 0 || revisions > MAX_REVISIONS) {
+    throw createError(400, `Revisions must be a whole number between 0 and ${MAX_REVISIONS}`);
+  }
+
+  let milestones = [];
+  if (Array.isArray(rawMilestones) && rawMilestones.length > 0) {
+    if (rawMilestones.length < 2 || rawMilestones.length > MAX_MILESTONES) {
+      throw createError(400, `Milestone ${noun}s need between 2 and ${MAX_MILESTONES} milestones`);
+    }
+    milestones = rawMilestones.map((m, index) => {
+      const amount = roundMoney(Number(m?.amount));
+      const days = Number(m?.deliveryDays);
+      if (!m?.title || !String(m.title).trim()) throw createError(400, `Milestone ${index + 1} needs a title`);
+      if (!(amount > 0)) throw createError(400, `Milestone ${index + 1} needs an amount greater than zero`);
+      if (!Number.isInteger(days) || days < 1) throw createError(400, `Milestone ${index + 1} needs at least one delivery day`);
+      return { title: String(m.title).trim(), description: m.description, amount, deliveryDays: days };
+    });
+    const total = roundMoney(milestones.reduce((sum, m) => sum + m.amount, 0));
+    if (Math.abs(total - price) > 0.01) {
+      throw createError(400, `Milestone amounts (₦${total}) must equal the ${noun} price (₦${price})`);
+    }
+    // Overall delivery is the end of the last milestone
+    deliveryDays = milestones.reduce((sum, m) => sum + m.deliveryDays, 0);
+  }
+
+  if (!Number.isInteger(deliveryDays) || deliveryDays < 1 || deliveryDays > MAX_DELIVERY_DAYS) {
+    throw createError(400, `${deliveryLabel} must be a whole number of days between 1 and ${MAX_DELIVERY_DAYS}`);
+  }
+
+  return { price, revisions, deliveryDays, milestones };
+};
@@ -0,0 +1,142 @@
+import createError from "./createError.js";
+
+const VALID_PACKAGE_KEYS = ['basic', 'standard', 'premium'];
+const MAX_ADD_ONS = 10;
+const MAX_ADD_ON_QUANTITY = 10;
+export const MAX_ORDER_QUANTITY = 10;
+
+const roundNaira = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve the price a buyer pays for a gig (supports packages and milestones)
+ * @param {Object} gig - Gig document
+ * @param {string} selectedPackage - 'basic' | 'standard' | 'premium' (optional)
+ * @returns {{amount: number, selectedPackage: string|undefined, packageDeliveryTime: number|null, packageRevisions: number|null, milestoneTotal: number|null}}
+ */
+export const resolveGigPrice = (gig, selectedPackage) => {
+  const pkgKey = (selectedPackage || '').toString().toLowerCase();
+  const isValidPkg = VALID_PACKAGE_KEYS.includes(pkgKey);
+  let amount = gig.price;
+  let packageDeliveryTime = null;
+  let packageRevisions = null;
+  let milestoneTotal = null;
+
+  // Prefer milestone total when seller defined milestones on the gig
+  if (gig.hasMilestones && Array.isArray(gig.milestones) && gig.milestones.length > 0) {
+    milestoneTotal = gig.milestones.reduce((sum, m) => sum + (m.price || 0), 0);
+    if (milestoneTotal && milestoneTotal > 0) {
+      amount = milestoneTotal;
+    }
+  } else if (gig.hasPackages && gig.packages && isValidPkg) {
+    // Otherwise use selected package price
+    const pkg = gig.packages[pkgKey];
+    if (pkg && pkg.enabled && typeof pkg.price === 'number' && pkg.price > 0) {
+      amount = pkg.price;
+      if (typeof pkg.deliveryTime === 'number' && pkg.deliveryTime > 0) {
+        packageDeliveryTime = pkg.deliveryTime;
+      }
+      if (typeof pkg.revisions === 'number') {
+        packageRevisions = pkg.revisions;
+      }
+    }
+  }
+
+  return {
+    amount,
+    selectedPackage: isValidPkg ? pkgKey : undefined,
+    packageDeliveryTime,
+    packageRevisions,
+    milestoneTotal
+  };
+};
+
+/**
+ * Validate the add-ons a seller offers on a gig
+ * @param {Array} addOns - [{ title, description, price, extraDays, extraRevisions, maxQuantity, enabled }]
+ * @returns {Array} Add-ons with numeric fields coerced
+ */
+export const normalizeAddOns = (addOns) => {
+  if (!Array.isArray(addOns)) {
+    throw createError(400, "Add-ons must be a list");
+  }
+  if (addOns.length > MAX_ADD_ONS) {
+    throw createError(400, `A gig can have at most ${MAX_ADD_ONS} add-ons`);
+  }
+
+  return addOns.map((addOn, index) => {
+    const title = String(addOn?.title || '').trim();
+    const price = Number(addOn?.price);
+    const extraDays = Number(addOn?.extraDays ?? 0);
+    const extraRevisions = Number(addOn?.extraRevisions ?? 0);
+    const maxQuantity = Number(addOn?.maxQuantity ?? 1);
+    if (!title) throw createError(400, `Add-on ${index + 1} needs a title`);
+    if (!(price >= 1)) throw createError(400, `Add-on "${title}" needs a price of at least ₦1`);
+    if (!Number.isInteger(extraDays)) throw createError(400, `Extra days for "${title}" must be a whole number`);
+    if (!Number.isInteger(extraRevisions) || extraRevisions < 0 || extraRevisions > 10) {
+      throw createError(400, `Extra revisions for "${title}" must be between 0 and 10`);
+    }
+    if (!Number.isInteger(maxQuantity) || maxQuantity < 1 || maxQuantity > MAX_ADD_ON_QUANTITY) {
+      throw createError(400, `Maximum quantity for "${title}" must be between 1 and ${MAX_ADD_ON_QUANTITY}`);
+    }
+    return {
+      ...(addOn._id && { _id: addOn._id }),
+      title,
+      description: addOn.description,
+      price,
+      extraDays,
+      extraRevisions,
+      maxQuantity,
+      enabled: addOn.enabled !== false
+    };
+  });
+};
+
+/**
+ * Price the quantity and add-ons a buyer selected at checkout
+ * @param {Object} gig - Gig document
+ * @param {number} basePrice - Price of one unit (from resolveGigPrice)
+ * @param {Object} selection - { quantity, addOns: [{ addOnId, quantity }] }
+ * @returns {{amount: number, quantity: number, addOns: Array, addOnTotal: number, extraDays: number, extraRevisions: number}}
+ */
+export const resolveOrderExtras = (gig, basePrice, { quantity = 1, addOns = [] } = {}) => {
+  const units = Number(quantity || 1);
+  if (!Number.isInteger(units) || units < 1 || units > MAX_ORDER_QUANTITY) {
+    throw createError(400, `Quantity must be a whole number between 1 and ${MAX_ORDER_QUANTITY}`);
+  }
+  if (!Array.isArray(addOns)) {
+    throw createError(400, "Selected add-ons must be a list");
+  }
+
+  const seen = new Set();
+  const selected = addOns.map((selection) => {
+    const addOnId = String(selection?.addOnId || '');
+    const addOn = (gig.addOns || []).find((a) => String(a._id) === addOnId && a.enabled !== false);
+    if (!addOn) throw createError(400, "One of the selected add-ons is no longer available");
+    if (seen.has(addOnId)) throw createError(400, `"${addOn.title}" was selected more than once`);
+    seen.add(addOnId);
+
+    const addOnQuantity = Number(selection.quantity || 1);
+    if (!Number.isInteger(addOnQuantity) || addOnQuantity < 1 || addOnQuantity > (addOn.maxQuantity || 1)) {
+      throw createError(400, `You can add "${addOn.title}" at most ${addOn.maxQuantity || 1} time(s)`);
+    }
+    return {
+      addOnId,
+      title: addOn.title,
+      price: addOn.price,
+      quantity: addOnQuantity,
+      extraDays: (addOn.extraDays || 0) * addOnQuantity,
+      extraRevisions: (addOn.extraRevisions || 0) * addOnQuantity,
+      total: roundNaira(addOn.price * addOnQuantity)
+    };
+  });
+
+  const addOnTotal = roundNaira(selected.reduce((sum, a) => sum + a.total, 0));
+  return {
+    amount: roundNaira(basePrice * units + addOnTotal),
+    quantity: units,
+    addOns: selected,
+    addOnTotal,
+    extraDays: selected.reduce((sum, a) => sum + a.extraDays, 0),
+    extraRevisions: selected.reduce((sum, a) => sum + a.extraRevisions, 0)
+  };
+};
@@ -1,5 +1,6 @@
 import User from "../models/user.model.js";
 import createError from "./createError.js";
+import { resolveGigPrice, resolveOrderExtras } from "./gigPricing.js";
 
 /**
  * Check if a user can make a transaction of a given amount
@@ -137,20 +138,11 @@ export const validateTransactionLimit = async (req, res, next) => {
       if (!gig) {
         return next(createError(404, "Gig not found"));
       }
-      transactionAmount = gig.price;
-      // Prefer milestone total if seller defined milestones
-      if (gig.hasMilestones && Array.isArray(gig.milestones) && gig.milestones.length > 0) {
-        transactionAmount = gig.milestones.reduce((sum, m) => sum + (m.price || 0), 0);
-      } else {
-        // Otherwise, respect selected package if provided
-        const selectedPackage = (req.body?.selectedPackage || '').toString().toLowerCase();
-        const validPkgKeys = ['basic','standard','premium'];
-        if (gig.hasPackages && gig.packages && validPkgKeys.includes(selectedPackage)) {
-          const pkg = gig.packages[selectedPackage];
-          if (pkg?.enabled && typeof pkg.price === 'number' && pkg.price > 0) {
-            transactionAmount = pkg.price;
-          }
-        }
+      const unitPrice = resolveGigPrice(gig, req.body?.selectedPackage).amount;
+      try {
+        transactionAmount = resolveOrderExtras(gig, unitPrice, { quantity: req.body?.quantity, addOns: req.body?.addOns }).amount;
+      } catch (extrasError) {
+        transactionAmount = unitPrice; // Invalid selections are rejected by the order intent itself
       }
     } else {
       // For other routes, get from request body